@@ -0,0 +1,34 @@
+-- OSIA UIN Generator - FPE Serial Sequences
+-- Migration: 004_add_fpe_sequences
+--
+-- UINs generated in 'fpe' mode are FF1 encryptions of a monotonic serial.
+-- Each scope draws its serials from its own Postgres sequence, so two
+-- generators can never hand out the same serial (and therefore the same UIN).
+--
+-- Sequences are created on first use only; later draws just call nextval. Their names are derived from an md5 of
+-- the scope so that any scope string yields a valid identifier.
+
+CREATE OR REPLACE FUNCTION uin_fpe_next_serial(p_scope TEXT)
+RETURNS BIGINT AS $$
+DECLARE
+  seq_name TEXT := 'uin_fpe_serial_' || md5(p_scope);
+BEGIN
+  BEGIN
+    RETURN nextval(format('%I', seq_name)::regclass);
+  EXCEPTION
+    -- First draw for this scope
+    WHEN undefined_table THEN NULL;
+  END;
+
+  BEGIN
+    EXECUTE format('CREATE SEQUENCE IF NOT EXISTS %I AS BIGINT MINVALUE 0 START WITH 0', seq_name);
+  EXCEPTION
+    -- Another session created the sequence concurrently
+    WHEN unique_violation OR duplicate_table THEN NULL;
+  END;
+
+  RETURN nextval(format('%I', seq_name)::regclass);
+END;
+$$ LANGUAGE plpgsql;
+
+COMMENT ON FUNCTION uin_fpe_next_serial(TEXT) IS 'Next FPE serial for a scope, creating the scope sequence on first use';
@@ -0,0 +1,14 @@
+-- OSIA UIN Generator - Structured Format Templates
+-- Migration: 005_add_format_templates
+--
+-- Lets a uin_formats entry describe how structured UINs are built, so that
+-- POST /uin/parse can split a UIN back into its named components
+-- (region, year, facility, serial) and check each of them.
+
+ALTER TABLE uin_formats ADD COLUMN IF NOT EXISTS template TEXT;                 -- structured-mode template, e.g. '{region:2:lookup(regions)}-{serial:5:random(0-9)}'
+ALTER TABLE uin_formats ADD COLUMN IF NOT EXISTS lookups JSONB NOT NULL DEFAULT '{}'::jsonb;  -- lookup tables for lookup() fields, e.g. {"regions": {"07": "Northern"}}
+ALTER TABLE uin_formats ADD COLUMN IF NOT EXISTS checksum_algorithm VARCHAR(30);  -- check characters appended after the template, if any
+
+COMMENT ON COLUMN uin_formats.template IS 'Structured-mode template the UINs of this format are built from (see src/template.mjs)';
+COMMENT ON COLUMN uin_formats.lookups IS 'Lookup tables for lookup() template fields, keyed by table name';
+COMMENT ON COLUMN uin_formats.checksum_algorithm IS 'Checksum algorithm whose check characters follow the template, or NULL';
@@ -0,0 +1,73 @@
+-- OSIA UIN Generator - Structured Template Counters
+-- Migration: 006_add_template_sequences
+--
+-- sequence() fields of structured templates draw their values from these
+-- counters when UINs are pre-generated. There is one counter per scope,
+-- template, field and combination of key values, e.g. one serial counter per
+-- region, facility and year for '{region:2}-{year:4:date(YYYY)}-{facility:3}-{serial:5:sequence}'.
+--
+-- Counters are advanced by uin_sequence_next(), which locks the counter row,
+-- so concurrent generators never receive the same value.
+
+CREATE TABLE IF NOT EXISTS uin_sequences (
+  sequence_key     CHAR(64) PRIMARY KEY,                  -- sha256 of scope, template, field and key values
+  scope            VARCHAR(50) NOT NULL,
+  template         TEXT NOT NULL,
+  field            VARCHAR(100) NOT NULL,                 -- name of the sequence() field
+  key_values       JSONB NOT NULL DEFAULT '{}'::jsonb,    -- values of the key fields, e.g. {"region": "07", "year": "2025"}
+
+  last_value       BIGINT NOT NULL,                       -- last value handed out (start - step before first use)
+  max_value        BIGINT NOT NULL,                       -- largest value that fits the field
+  overflow         VARCHAR(10) NOT NULL DEFAULT 'error',  -- 'error' or 'wrap'
+  wraps            INTEGER NOT NULL DEFAULT 0,            -- times the counter restarted at its start value
+  exhausted        BOOLEAN NOT NULL DEFAULT false,        -- true once an 'error' counter has run out
+  exhausted_at     TIMESTAMPTZ,
+
+  created_at       TIMESTAMPTZ NOT NULL DEFAULT now(),
+  updated_at       TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_uin_sequences_scope ON uin_sequences (scope);
+CREATE INDEX IF NOT EXISTS idx_uin_sequences_exhausted ON uin_sequences (exhausted) WHERE exhausted = true;
+
+-- Next value of a counter, creating it on first use.
+-- Returns NULL when an 'error' counter is exhausted; 'wrap' counters restart at p_start.
+CREATE OR REPLACE FUNCTION uin_sequence_next(
+  p_key TEXT, p_scope TEXT, p_template TEXT, p_field TEXT, p_key_values JSONB,
+  p_start BIGINT, p_step BIGINT, p_max BIGINT, p_overflow TEXT
+)
+RETURNS BIGINT AS $$
+DECLARE
+  v_value BIGINT;
+BEGIN
+  INSERT INTO uin_sequences (sequence_key, scope, template, field, key_values, last_value, max_value, overflow)
+  VALUES (p_key, p_scope, p_template, p_field, p_key_values, p_start - p_step, p_max, p_overflow)
+  ON CONFLICT (sequence_key) DO NOTHING;
+
+  SELECT last_value + p_step INTO v_value
+  FROM uin_sequences
+  WHERE sequence_key = p_key
+  FOR UPDATE;
+
+  IF v_value > p_max THEN
+    IF p_overflow <> 'wrap' THEN
+      UPDATE uin_sequences
+      SET exhausted = true, exhausted_at = COALESCE(exhausted_at, now()), updated_at = now()
+      WHERE sequence_key = p_key;
+      RETURN NULL;
+    END IF;
+
+    v_value := p_start;
+    UPDATE uin_sequences SET wraps = wraps + 1 WHERE sequence_key = p_key;
+  END IF;
+
+  UPDATE uin_sequences
+  SET last_value = v_value, updated_at = now()
+  WHERE sequence_key = p_key;
+
+  RETURN v_value;
+END;
+$$ LANGUAGE plpgsql;
+
+COMMENT ON TABLE uin_sequences IS 'Counters for sequence() fields of structured templates, keyed by the other fields'' values';
+COMMENT ON FUNCTION uin_sequence_next(TEXT, TEXT, TEXT, TEXT, JSONB, BIGINT, BIGINT, BIGINT, TEXT) IS 'Atomically advance a template counter; NULL when it is exhausted';
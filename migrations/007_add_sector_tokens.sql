@@ -0,0 +1,63 @@
+-- OSIA UIN Generator - Sector Token Registry
+-- Migration: 007_add_sector_tokens
+--
+-- Sector tokens are derived from a foundational UIN with a random salt. The
+-- salt and derivation parameters are kept here, so an issued token can be
+-- verified, revoked and - by privileged callers only - resolved back to its
+-- foundational UIN later.
+--
+-- The foundational UIN is never stored in clear: uin_hash is an HMAC-SHA256
+-- used to find a UIN's tokens, uin_ciphertext an AES-256-GCM encryption read
+-- only by the audited resolve operation. Both are keyed from the sector token
+-- key (UIN_SECTOR_TOKEN_KEY or Vault osia/sector-token-key).
+
+CREATE TYPE sector_token_status AS ENUM (
+  'ACTIVE',       -- issued and in use by the sector
+  'REVOKED'       -- withdrawn; verification fails from then on
+);
+
+CREATE TABLE IF NOT EXISTS sector_tokens (
+  id                 BIGSERIAL PRIMARY KEY,
+  token              VARCHAR(64) NOT NULL,
+  sector             TEXT NOT NULL,
+  key_version        INTEGER NOT NULL DEFAULT 1,        -- version of the sector secret the token was derived with
+  derivation_version INTEGER NOT NULL DEFAULT 1,        -- version of the derivation input format
+  algorithm          TEXT NOT NULL,                     -- HMAC algorithm, e.g. 'sha256'
+  salt               TEXT NOT NULL,                     -- derivation salt (hex)
+  token_length       INTEGER NOT NULL,
+  charset            TEXT NOT NULL,
+  uin_hash           CHAR(64) NOT NULL,                 -- HMAC-SHA256 (hex) of the foundational UIN
+  uin_ciphertext     TEXT NOT NULL,                     -- AES-256-GCM of the foundational UIN
+  status             sector_token_status NOT NULL DEFAULT 'ACTIVE',
+  issued_at          TIMESTAMPTZ NOT NULL DEFAULT now(),
+  issued_by          TEXT,                              -- system that requested the token
+  revoked_at         TIMESTAMPTZ,
+  revoked_reason     TEXT,
+  meta               JSONB DEFAULT '{}'::JSONB,
+  UNIQUE (sector, token)
+);
+
+-- One active token per foundational UIN and sector; a new one can be issued once it is revoked
+CREATE UNIQUE INDEX IF NOT EXISTS idx_sector_tokens_active
+  ON sector_tokens(uin_hash, sector) WHERE status = 'ACTIVE';
+CREATE INDEX IF NOT EXISTS idx_sector_tokens_uin_hash ON sector_tokens(uin_hash);
+
+-- Audit table: sector_token_audit
+-- Immutable log of issuance, verification, revocation and resolution
+CREATE TABLE IF NOT EXISTS sector_token_audit (
+  id               BIGSERIAL PRIMARY KEY,
+  token_id         BIGINT NOT NULL REFERENCES sector_tokens(id),
+  event_type       TEXT NOT NULL,                     -- 'ISSUED', 'VERIFIED', 'REVOKED', 'RESOLVED', 'TRANSLATED'
+  actor_system     TEXT,
+  actor_ref        TEXT,
+  details          JSONB DEFAULT '{}'::JSONB,
+  created_at       TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_sector_token_audit_token_id ON sector_token_audit(token_id);
+CREATE INDEX IF NOT EXISTS idx_sector_token_audit_event_type ON sector_token_audit(event_type);
+CREATE INDEX IF NOT EXISTS idx_sector_token_audit_created_at ON sector_token_audit(created_at);
+
+COMMENT ON TABLE sector_tokens IS 'Issued sector tokens with their derivation parameters and protected foundational UIN reference';
+COMMENT ON TABLE sector_token_audit IS 'Immutable audit log for sector token events';
+COMMENT ON COLUMN sector_tokens.uin_ciphertext IS 'AES-256-GCM of the foundational UIN, bound to sector and token; read only by audited resolution';
@@ -0,0 +1,52 @@
+-- OSIA UIN Generator - Sector Secret Rotation
+-- Migration: 008_add_sector_secret_versions
+--
+-- Sector secrets are versioned ('health', 'health@v2', ...). A rekey job
+-- re-derives every active registered token of a sector under the new version:
+-- the old row becomes SUPERSEDED and points at its replacement, so sectors can
+-- look up the token that replaces one they hold. Once no active token uses an
+-- older version, the job retires those versions here and verification stops
+-- accepting tokens derived with them. The retired secrets can then be removed
+-- from the environment or Vault.
+
+ALTER TYPE sector_token_status ADD VALUE IF NOT EXISTS 'SUPERSEDED';  -- re-derived under a newer secret version
+
+ALTER TABLE sector_tokens
+  ADD COLUMN IF NOT EXISTS superseded_by BIGINT REFERENCES sector_tokens(id);
+
+CREATE INDEX IF NOT EXISTS idx_sector_tokens_key_version ON sector_tokens(sector, key_version);
+
+-- Retired secret versions: no longer accepted for verification
+CREATE TABLE IF NOT EXISTS sector_secret_retirements (
+  sector           TEXT NOT NULL,
+  key_version      INTEGER NOT NULL,
+  retired_at       TIMESTAMPTZ NOT NULL DEFAULT now(),
+  job_id           BIGINT,                             -- rekey job that retired it
+  PRIMARY KEY (sector, key_version)
+);
+
+-- Rekey jobs: progress of re-deriving a sector's tokens under a new secret version
+CREATE TABLE IF NOT EXISTS sector_token_rekey_jobs (
+  id               BIGSERIAL PRIMARY KEY,
+  sector           TEXT NOT NULL,
+  target_version   INTEGER NOT NULL,
+  status           TEXT NOT NULL DEFAULT 'PENDING',    -- 'PENDING', 'RUNNING', 'COMPLETED', 'FAILED'
+  total            INTEGER NOT NULL DEFAULT 0,         -- tokens to re-derive when the job started
+  processed        INTEGER NOT NULL DEFAULT 0,         -- tokens re-derived
+  failed           INTEGER NOT NULL DEFAULT 0,         -- tokens that could not be re-derived
+  last_token_id    BIGINT NOT NULL DEFAULT 0,          -- cursor, so an interrupted job resumes where it stopped
+  retired_versions INTEGER[] NOT NULL DEFAULT '{}',
+  error            TEXT,
+  requested_by     TEXT,
+  created_at       TIMESTAMPTZ NOT NULL DEFAULT now(),
+  started_at       TIMESTAMPTZ,
+  finished_at      TIMESTAMPTZ
+);
+
+-- One unfinished job per sector
+CREATE UNIQUE INDEX IF NOT EXISTS idx_sector_token_rekey_jobs_open
+  ON sector_token_rekey_jobs(sector) WHERE status IN ('PENDING', 'RUNNING');
+
+COMMENT ON TABLE sector_secret_retirements IS 'Sector secret versions retired after their tokens were re-derived';
+COMMENT ON TABLE sector_token_rekey_jobs IS 'Progress of sector token re-derivation under a new sector secret version';
+COMMENT ON COLUMN sector_tokens.superseded_by IS 'Token that replaced this one when it was re-derived under a newer secret version';
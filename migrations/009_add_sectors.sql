@@ -0,0 +1,42 @@
+-- OSIA UIN Generator - Sector Registry
+-- Migration: 009_add_sectors
+--
+-- Sectors as configurable entities: each one defines the token policy used by
+-- sector_token generation and the sector token registry (length, charset,
+-- HMAC algorithm, optional check characters), the uin_formats entry tokens are
+-- displayed with, and where its secret is kept. Once this table has rows it is
+-- authoritative: unknown or disabled sectors are refused. While it is empty,
+-- UIN_SUPPORTED_SECTORS and the built-in defaults apply as before.
+
+CREATE TABLE IF NOT EXISTS sectors (
+  code               VARCHAR(50) PRIMARY KEY,                -- e.g. 'health'; matches SECTOR_SECRET_<CODE>
+  name               VARCHAR(100) NOT NULL,
+  description        TEXT,
+
+  -- Token policy
+  token_length       INTEGER NOT NULL DEFAULT 20,            -- derived characters, excluding check characters
+  charset            TEXT,                                   -- charset name or characters; NULL: UIN_DEFAULT_CHARSET
+  algorithm          VARCHAR(10) NOT NULL DEFAULT 'sha256',  -- HMAC algorithm: 'sha256', 'sha384', 'sha512'
+  checksum_algorithm VARCHAR(30),                            -- check characters appended to tokens, e.g. 'iso7064'
+  format_code        VARCHAR(50) REFERENCES uin_formats(format_code) ON UPDATE CASCADE ON DELETE SET NULL,
+
+  -- Secret reference (the secret itself is never stored here)
+  secret_source      VARCHAR(10) NOT NULL DEFAULT 'env',     -- 'env', 'vault' or 'hsm'
+  secret_ref         TEXT,                                   -- NULL (SECTOR_SECRET_<CODE>), variable name, Vault path or HSM key label
+
+  enabled            BOOLEAN NOT NULL DEFAULT true,
+
+  created_at         TIMESTAMPTZ NOT NULL DEFAULT now(),
+  updated_at         TIMESTAMPTZ NOT NULL DEFAULT now(),
+  created_by         VARCHAR(100) DEFAULT 'SYSTEM',
+
+  CONSTRAINT sectors_code_format CHECK (code ~ '^[a-z][a-z0-9_]*$'),
+  CONSTRAINT sectors_secret_source CHECK (secret_source IN ('env', 'vault', 'hsm'))
+);
+
+-- Check characters are part of a registered token; record the algorithm to verify it
+ALTER TABLE sector_tokens
+  ADD COLUMN IF NOT EXISTS checksum_algorithm VARCHAR(30);
+
+COMMENT ON TABLE sectors IS 'Sectors with their token policy, display format and secret reference';
+COMMENT ON COLUMN sectors.secret_ref IS 'Where the sector secret is kept: environment variable, Vault path or HSM key label';
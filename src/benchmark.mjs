@@ -0,0 +1,95 @@
+/**
+ * Generation Benchmark
+ * Measures UIN generation throughput per mode, on the main thread and in the
+ * worker pool, to size UIN_WORKER_THREADS for a host. Worker startup is not
+ * counted: the pool is warmed up before timing.
+ */
+
+import { generateUinAsync } from './uinGenerator.mjs';
+import { getConfig } from './config.mjs';
+import { GenerationPool } from './workerPool.mjs';
+
+/**
+ * Generation options benchmarked for each mode
+ */
+export const BENCHMARK_MODES = {
+  random: { mode: 'random', length: 12 },
+  foundational: { mode: 'foundational', checksum: { enabled: true, algorithm: 'iso7064' } },
+  structured: {
+    mode: 'structured',
+    template: '{region:2:numeric}-{year:date(YYYY)}-{serial:6:random(0-9)}',
+    values: { region: '07' },
+    checksum: { enabled: true, algorithm: 'verhoeff' }
+  }
+};
+
+/**
+ * Time one run
+ * @param {Function} run - Async function generating the UINs
+ * @param {number} count - Number of UINs it generates
+ * @returns {Promise<{elapsedMs: number, perSecond: number}>} Timing
+ */
+async function time(run, count) {
+  const start = process.hrtime.bigint();
+  await run();
+  const elapsedMs = Number(process.hrtime.bigint() - start) / 1e6;
+  return { elapsedMs: Math.round(elapsedMs), perSecond: Math.round(count / elapsedMs * 1000) };
+}
+
+/**
+ * Benchmark generation throughput
+ * @param {object} [params] - Benchmark parameters
+ * @param {string[]} [params.modes] - Modes to benchmark (keys of BENCHMARK_MODES, default: all)
+ * @param {number} [params.count=10000] - UINs per mode and engine
+ * @param {number} [params.threads] - Worker threads (default: config.workers.threads; 0 benchmarks the main thread only)
+ * @returns {Promise<Array<object>>} One row per mode and engine: {mode, engine, threads, count, elapsedMs, perSecond, speedup?}
+ */
+export async function runBenchmark({ modes = Object.keys(BENCHMARK_MODES), count = 10000, threads = getConfig().workers.threads } = {}) {
+  for (const mode of modes) {
+    if (!BENCHMARK_MODES[mode]) {
+      throw new Error(`Unknown benchmark mode '${mode}' (use ${Object.keys(BENCHMARK_MODES).join(', ')})`);
+    }
+  }
+
+  const pool = threads > 0 ? new GenerationPool({ threads, chunkSize: getConfig().workers.chunkSize }) : null;
+  const rows = [];
+
+  try {
+    if (pool) {
+      // One job per worker, so every worker has started before timing
+      await pool.run(new Array(threads * pool.chunkSize).fill(BENCHMARK_MODES.random));
+    }
+
+    for (const mode of modes) {
+      const options = BENCHMARK_MODES[mode];
+
+      const main = await time(async () => {
+        for (let i = 0; i < count; i++) {
+          await generateUinAsync(options);
+        }
+      }, count);
+      rows.push({ mode, engine: 'main', threads: 0, count, ...main });
+
+      if (pool) {
+        const workers = await time(async () => {
+          const failed = (await pool.run(new Array(count).fill(options))).find(outcome => outcome.error);
+          if (failed) {
+            throw failed.error;
+          }
+        }, count);
+        rows.push({ mode, engine: 'workers', threads, count, ...workers, speedup: workers.perSecond / main.perSecond });
+      }
+    }
+  } finally {
+    if (pool) {
+      await pool.close();
+    }
+  }
+
+  return rows;
+}
+
+export default {
+  BENCHMARK_MODES,
+  runBenchmark
+};
@@ -0,0 +1,287 @@
+/**
+ * BLAKE3 Hash Function
+ * Pure JavaScript implementation of the BLAKE3 reference algorithm
+ * Supports plain hashing, keyed hashing, key derivation and extendable output
+ */
+
+/**
+ * Initialization vector (shared with SHA-256)
+ */
+const IV = new Uint32Array([
+  0x6A09E667, 0xBB67AE85, 0x3C6EF372, 0xA54FF53A,
+  0x510E527F, 0x9B05688C, 0x1F83D9AB, 0x5BE0CD19
+]);
+
+/**
+ * Message word permutation applied between rounds
+ */
+const MSG_PERMUTATION = [2, 6, 3, 10, 7, 0, 4, 13, 1, 11, 12, 5, 9, 14, 15, 8];
+
+/**
+ * Domain separation flags
+ */
+const CHUNK_START = 1 << 0;
+const CHUNK_END = 1 << 1;
+const PARENT = 1 << 2;
+const ROOT = 1 << 3;
+const KEYED_HASH = 1 << 4;
+const DERIVE_KEY_CONTEXT = 1 << 5;
+const DERIVE_KEY_MATERIAL = 1 << 6;
+
+const BLOCK_LEN = 64;
+const CHUNK_LEN = 1024;
+export const KEY_LEN = 32;
+export const OUT_LEN = 32;
+
+/**
+ * Rotate a 32-bit word right
+ * @param {number} x - Word
+ * @param {number} n - Rotation amount
+ * @returns {number} Rotated word
+ */
+function rotr(x, n) {
+  return (x >>> n) | (x << (32 - n));
+}
+
+/**
+ * Quarter-round mixing function
+ */
+function g(state, a, b, c, d, mx, my) {
+  state[a] = state[a] + state[b] + mx;
+  state[d] = rotr(state[d] ^ state[a], 16);
+  state[c] = state[c] + state[d];
+  state[b] = rotr(state[b] ^ state[c], 12);
+  state[a] = state[a] + state[b] + my;
+  state[d] = rotr(state[d] ^ state[a], 8);
+  state[c] = state[c] + state[d];
+  state[b] = rotr(state[b] ^ state[c], 7);
+}
+
+/**
+ * One full round: columns then diagonals
+ */
+function round(state, m) {
+  g(state, 0, 4, 8, 12, m[0], m[1]);
+  g(state, 1, 5, 9, 13, m[2], m[3]);
+  g(state, 2, 6, 10, 14, m[4], m[5]);
+  g(state, 3, 7, 11, 15, m[6], m[7]);
+  g(state, 0, 5, 10, 15, m[8], m[9]);
+  g(state, 1, 6, 11, 12, m[10], m[11]);
+  g(state, 2, 7, 8, 13, m[12], m[13]);
+  g(state, 3, 4, 9, 14, m[14], m[15]);
+}
+
+/**
+ * BLAKE3 compression function
+ * @param {Uint32Array} cv - 8-word chaining value
+ * @param {Uint32Array} blockWords - 16-word message block
+ * @param {number} counter - Chunk or output block counter
+ * @param {number} blockLen - Number of input bytes in the block
+ * @param {number} flags - Domain separation flags
+ * @returns {Uint32Array} 16-word output state
+ */
+function compress(cv, blockWords, counter, blockLen, flags) {
+  const state = new Uint32Array([
+    cv[0], cv[1], cv[2], cv[3], cv[4], cv[5], cv[6], cv[7],
+    IV[0], IV[1], IV[2], IV[3],
+    counter >>> 0, Math.floor(counter / 0x100000000) >>> 0, blockLen, flags
+  ]);
+
+  let m = Uint32Array.from(blockWords);
+  for (let r = 0; r < 7; r++) {
+    round(state, m);
+    if (r < 6) {
+      m = Uint32Array.from(MSG_PERMUTATION, i => m[i]);
+    }
+  }
+
+  for (let i = 0; i < 8; i++) {
+    state[i] ^= state[i + 8];
+    state[i + 8] ^= cv[i];
+  }
+
+  return state;
+}
+
+/**
+ * Read a (zero-padded) 64-byte block as little-endian words
+ * @param {Uint8Array} bytes - Up to 64 bytes
+ * @returns {Uint32Array} 16 words
+ */
+function blockToWords(bytes) {
+  const padded = new Uint8Array(BLOCK_LEN);
+  padded.set(bytes);
+  const view = new DataView(padded.buffer);
+  const words = new Uint32Array(16);
+  for (let i = 0; i < 16; i++) {
+    words[i] = view.getUint32(i * 4, true);
+  }
+  return words;
+}
+
+/**
+ * Create an output node (inputs to the final compression of a chunk or parent)
+ */
+function makeOutput(inputCv, blockWords, counter, blockLen, flags) {
+  return { inputCv, blockWords, counter, blockLen, flags };
+}
+
+/**
+ * Chaining value of a non-root output node
+ */
+function outputChainingValue(output) {
+  return compress(output.inputCv, output.blockWords, output.counter, output.blockLen, output.flags).slice(0, 8);
+}
+
+/**
+ * Produce root output bytes of arbitrary length (extendable output)
+ * @param {object} output - Root output node
+ * @param {number} length - Number of bytes
+ * @returns {Buffer} Output bytes
+ */
+function outputRootBytes(output, length) {
+  const out = Buffer.alloc(length);
+  let offset = 0;
+  let blockCounter = 0;
+
+  while (offset < length) {
+    const words = compress(output.inputCv, output.blockWords, blockCounter, output.blockLen, output.flags | ROOT);
+    for (let i = 0; i < 16 && offset < length; i++) {
+      const word = words[i];
+      for (let b = 0; b < 4 && offset < length; b++) {
+        out[offset++] = (word >>> (8 * b)) & 0xff;
+      }
+    }
+    blockCounter++;
+  }
+
+  return out;
+}
+
+/**
+ * Compress one chunk (up to 1024 bytes) and return its output node
+ */
+function chunkOutput(keyWords, chunk, chunkCounter, flags) {
+  let cv = keyWords;
+  const blockCount = Math.max(1, Math.ceil(chunk.length / BLOCK_LEN));
+
+  for (let i = 0; i < blockCount - 1; i++) {
+    const blockWords = blockToWords(chunk.subarray(i * BLOCK_LEN, (i + 1) * BLOCK_LEN));
+    const blockFlags = flags | (i === 0 ? CHUNK_START : 0);
+    cv = compress(cv, blockWords, chunkCounter, BLOCK_LEN, blockFlags).slice(0, 8);
+  }
+
+  const lastBlock = chunk.subarray((blockCount - 1) * BLOCK_LEN);
+  const lastFlags = flags | CHUNK_END | (blockCount === 1 ? CHUNK_START : 0);
+  return makeOutput(cv, blockToWords(lastBlock), chunkCounter, lastBlock.length, lastFlags);
+}
+
+/**
+ * Output node for a parent of two chaining values
+ */
+function parentOutput(leftCv, rightCv, keyWords, flags) {
+  const blockWords = new Uint32Array(16);
+  blockWords.set(leftCv, 0);
+  blockWords.set(rightCv, 8);
+  return makeOutput(keyWords, blockWords, 0, BLOCK_LEN, flags | PARENT);
+}
+
+/**
+ * Hash a complete input with the given key words and mode flags
+ * @param {Uint8Array} input - Input bytes
+ * @param {Uint32Array} keyWords - 8-word key (IV for plain hashing)
+ * @param {number} flags - Mode flags
+ * @param {number} length - Output length in bytes
+ * @returns {Buffer} Hash output
+ */
+function hashInternal(input, keyWords, flags, length) {
+  const chunkCount = Math.max(1, Math.ceil(input.length / CHUNK_LEN));
+  const cvStack = [];
+
+  for (let i = 0; i < chunkCount - 1; i++) {
+    const output = chunkOutput(keyWords, input.subarray(i * CHUNK_LEN, (i + 1) * CHUNK_LEN), i, flags);
+    let cv = outputChainingValue(output);
+
+    // Merge completed subtrees: one merge per trailing zero bit of the chunk total
+    let totalChunks = i + 1;
+    while ((totalChunks & 1) === 0) {
+      cv = outputChainingValue(parentOutput(cvStack.pop(), cv, keyWords, flags));
+      totalChunks /= 2;
+    }
+    cvStack.push(cv);
+  }
+
+  let output = chunkOutput(keyWords, input.subarray((chunkCount - 1) * CHUNK_LEN), chunkCount - 1, flags);
+  while (cvStack.length > 0) {
+    output = parentOutput(cvStack.pop(), outputChainingValue(output), keyWords, flags);
+  }
+
+  return outputRootBytes(output, length);
+}
+
+/**
+ * Convert a 32-byte key to words
+ * @param {Uint8Array} key - 32-byte key
+ * @returns {Uint32Array} 8 words
+ */
+function keyToWords(key) {
+  if (!key || key.length !== KEY_LEN) {
+    throw new Error(`BLAKE3 key must be exactly ${KEY_LEN} bytes`);
+  }
+  return blockToWords(key).slice(0, 8);
+}
+
+/**
+ * Validate requested output length
+ * @param {number} length - Output length in bytes
+ */
+function assertLength(length) {
+  if (!Number.isInteger(length) || length < 1) {
+    throw new Error('Output length must be a positive integer');
+  }
+}
+
+/**
+ * BLAKE3 hash
+ * @param {Uint8Array} input - Input bytes
+ * @param {number} [length=32] - Output length in bytes
+ * @returns {Buffer} Hash output
+ */
+export function blake3(input, length = OUT_LEN) {
+  assertLength(length);
+  return hashInternal(input, IV, 0, length);
+}
+
+/**
+ * BLAKE3 keyed hash (MAC / PRF)
+ * @param {Uint8Array} key - 32-byte key
+ * @param {Uint8Array} input - Input bytes
+ * @param {number} [length=32] - Output length in bytes
+ * @returns {Buffer} Hash output
+ */
+export function blake3Keyed(key, input, length = OUT_LEN) {
+  assertLength(length);
+  return hashInternal(input, keyToWords(key), KEYED_HASH, length);
+}
+
+/**
+ * BLAKE3 key derivation
+ * The context string should be hardcoded, globally unique and application-specific
+ * @param {string} context - Context string
+ * @param {Uint8Array} keyMaterial - Input key material
+ * @param {number} [length=32] - Output length in bytes
+ * @returns {Buffer} Derived key
+ */
+export function blake3DeriveKey(context, keyMaterial, length = OUT_LEN) {
+  assertLength(length);
+  const contextKey = hashInternal(Buffer.from(context, 'utf8'), IV, DERIVE_KEY_CONTEXT, KEY_LEN);
+  return hashInternal(keyMaterial, keyToWords(contextKey), DERIVE_KEY_MATERIAL, length);
+}
+
+export default {
+  blake3,
+  blake3Keyed,
+  blake3DeriveKey,
+  KEY_LEN,
+  OUT_LEN
+};
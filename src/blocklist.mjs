@@ -0,0 +1,352 @@
+/**
+ * Generation Blocklist
+ * Filter stage applied to generated candidates before they are returned.
+ * Candidates that spell offensive words (leetspeak included), contain long
+ * runs or keyboard/alphabetic/numeric sequences, or match patterns reserved
+ * for other ID schemes are rejected and regenerated by uinGenerator.
+ *
+ * Filters are pluggable: each is a function (compact, value) => detail|null,
+ * where compact is the value without separators. Rejections are counted per
+ * filter so operators can see what the blocklist costs.
+ */
+
+import fs from 'fs';
+import { getConfig } from './config.mjs';
+
+/**
+ * Built-in words, rejected in any mode the blocklist covers.
+ * Deployments add their official languages through UIN_BLOCKLIST_WORDLISTS.
+ */
+const DEFAULT_WORDS = [
+  'anal', 'anus', 'arse', 'ass', 'bitch', 'boob', 'butt', 'cock', 'crap', 'cum', 'cunt',
+  'dick', 'dildo', 'fag', 'fuck', 'jizz', 'kkk', 'nazi', 'nigg', 'penis', 'piss', 'porn',
+  'pussy', 'rape', 'sex', 'shit', 'slut', 'tit', 'twat', 'vagina', 'wank', 'whore'
+];
+
+/**
+ * Letters a digit or symbol can stand in for
+ */
+const LEET = {
+  '0': 'o',
+  '1': 'il',
+  '2': 'z',
+  '3': 'e',
+  '4': 'a',
+  '5': 's',
+  '6': 'g',
+  '7': 't',
+  '8': 'b',
+  '9': 'g',
+  '@': 'a',
+  '$': 's',
+  '!': 'i',
+  '+': 't'
+};
+
+/**
+ * Character orders that count as sequences, checked forwards and backwards
+ */
+const SEQUENCE_LINES = [
+  '0123456789',
+  'abcdefghijklmnopqrstuvwxyz',
+  // Keyboard rows (QWERTY and AZERTY)
+  '1234567890',
+  'qwertyuiop',
+  'asdfghjkl',
+  'zxcvbnm',
+  'azertyuiop',
+  'qsdfghjklm',
+  'wxcvbn'
+];
+
+// Characters removed before filtering, so 'F-U-C-K' is caught like 'FUCK'
+const SEPARATORS = /[\s\-._:/]/g;
+
+/**
+ * Read a wordlist file: one word per line, '#' starts a comment
+ * @param {string} path - File path
+ * @returns {string[]} Words
+ */
+export function readWordlist(path) {
+  return fs.readFileSync(path, 'utf8')
+    .split(/\r?\n/)
+    .map(line => line.replace(/#.*/, '').trim().toLowerCase())
+    .filter(Boolean);
+}
+
+/**
+ * Filter rejecting words, reading digits and symbols as the letters they resemble
+ * A match must contain at least one real letter, so purely numeric values are
+ * not rejected for digits that merely resemble a word (455 for 'ass').
+ * @param {string[]} words - Words to reject (case-insensitive)
+ * @returns {Function} Filter
+ */
+export function wordFilter(words) {
+  const list = [...new Set(words.map(word => word.toLowerCase()).filter(word => word.length >= 2))];
+
+  const matches = (char, letter) => char.toLowerCase() === letter || (LEET[char] || '').includes(letter);
+
+  return (compact) => {
+    for (const word of list) {
+      for (let start = 0; start + word.length <= compact.length; start++) {
+        const span = compact.slice(start, start + word.length);
+        if (/[A-Za-z]/.test(span) && [...word].every((letter, i) => matches(span[i], letter))) {
+          return `contains '${span}' (${word})`;
+        }
+      }
+    }
+    return null;
+  };
+}
+
+/**
+ * Filter rejecting runs of one repeated character
+ * @param {number} maxRun - Longest allowed run
+ * @returns {Function} Filter
+ */
+export function runFilter(maxRun) {
+  return (compact) => {
+    const lower = compact.toLowerCase();
+    let run = 1;
+    for (let i = 1; i < lower.length; i++) {
+      run = lower[i] === lower[i - 1] ? run + 1 : 1;
+      if (run > maxRun) {
+        return `run of ${run} '${compact[i]}'`;
+      }
+    }
+    return null;
+  };
+}
+
+/**
+ * Filter rejecting ascending or descending numeric, alphabetic and keyboard sequences
+ * @param {number} maxSequence - Longest allowed sequence
+ * @returns {Function} Filter
+ */
+export function sequenceFilter(maxSequence) {
+  const lines = SEQUENCE_LINES.flatMap(line => [line, [...line].reverse().join('')]);
+
+  return (compact) => {
+    const lower = compact.toLowerCase();
+    for (const line of lines) {
+      let length = 1;
+      for (let i = 1; i < lower.length; i++) {
+        const previous = line.indexOf(lower[i - 1]);
+        length = previous !== -1 && line[previous + 1] === lower[i] ? length + 1 : 1;
+        if (length > maxSequence) {
+          return `sequence '${compact.slice(i - length + 1, i + 1)}'`;
+        }
+      }
+    }
+    return null;
+  };
+}
+
+/**
+ * Filter rejecting values that match patterns reserved for other ID schemes
+ * Patterns are matched against the value as generated, separators included.
+ * @param {object} patterns - Regular expressions (strings or RegExp) keyed by scheme name
+ * @returns {Function} Filter
+ */
+export function reservedFilter(patterns) {
+  const compiled = Object.entries(patterns).map(([name, pattern]) => [name, pattern instanceof RegExp ? pattern : new RegExp(pattern)]);
+
+  return (compact, value) => {
+    const match = compiled.find(([, pattern]) => pattern.test(value));
+    return match ? `reserved for ${match[0]}` : null;
+  };
+}
+
+/**
+ * Zeroed rejection counters
+ * @returns {object} Metrics
+ */
+function emptyMetrics() {
+  return {
+    checked: 0,
+    rejected: 0,
+    exhausted: 0,
+    byReason: {}
+  };
+}
+
+/**
+ * Blocklist class
+ * Runs candidates through an ordered list of named filters and keeps rejection metrics
+ */
+export class UinBlocklist {
+  /**
+   * @param {object} [options] - Blocklist options
+   * @param {boolean} [options.enabled=true] - Whether generation consults the blocklist
+   * @param {string[]} [options.modes] - Generation modes the blocklist applies to. Structured mode is
+   *   not covered by default: its values are mostly supplied, and zero-padded sequence() fields are runs
+   * @param {number} [options.maxAttempts=100] - Candidates tried before generation gives up
+   */
+  constructor(options = {}) {
+    this.enabled = options.enabled !== false;
+    this.modes = options.modes || ['random', 'foundational'];
+    this.maxAttempts = options.maxAttempts || 100;
+    this.filters = [];
+    this.metrics = emptyMetrics();
+  }
+
+  /**
+   * Add a filter stage
+   * @param {string} name - Filter name, used as the rejection reason in metrics
+   * @param {Function} filter - (compact, value) => detail string when the value is rejected, otherwise null
+   * @returns {UinBlocklist} This blocklist
+   */
+  addFilter(name, filter) {
+    if (typeof filter !== 'function') {
+      throw new Error(`Blocklist filter '${name}' must be a function`);
+    }
+    this.filters = this.filters.filter(existing => existing.name !== name);
+    this.filters.push({ name, filter });
+    return this;
+  }
+
+  /**
+   * Remove a filter stage
+   * @param {string} name - Filter name
+   */
+  removeFilter(name) {
+    this.filters = this.filters.filter(existing => existing.name !== name);
+  }
+
+  /**
+   * Whether candidates of a generation mode are checked
+   * @param {string} mode - Generation mode
+   * @returns {boolean} True if the blocklist applies
+   */
+  appliesTo(mode) {
+    return this.enabled && this.filters.length > 0 && this.modes.includes(mode);
+  }
+
+  /**
+   * Check a candidate against every filter
+   * @param {string} value - Candidate UIN
+   * @returns {{reason: string, detail: string}|null} First rejection, or null if the value passes
+   */
+  check(value) {
+    const compact = value.replace(SEPARATORS, '');
+    for (const { name, filter } of this.filters) {
+      const detail = filter(compact, value);
+      if (detail) {
+        return { reason: name, detail };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Count the outcome of one generation
+   * Called once per generated UIN, so candidates replayed after an entropy top-up are not double-counted.
+   * @param {Array<object>} rejections - Rejections returned by check() for the discarded candidates
+   * @param {boolean} accepted - Whether a candidate was finally accepted
+   */
+  record(rejections, accepted) {
+    this.metrics.checked += rejections.length + (accepted ? 1 : 0);
+    this.metrics.rejected += rejections.length;
+    for (const { reason } of rejections) {
+      this.metrics.byReason[reason] = (this.metrics.byReason[reason] || 0) + 1;
+    }
+    if (!accepted) {
+      this.metrics.exhausted++;
+    }
+  }
+
+  /**
+   * Add counters collected elsewhere, e.g. by the blocklist of a generation worker
+   * @param {object} metrics - Counters from takeMetrics()
+   */
+  merge(metrics) {
+    this.metrics.checked += metrics.checked;
+    this.metrics.rejected += metrics.rejected;
+    this.metrics.exhausted += metrics.exhausted;
+    for (const [reason, count] of Object.entries(metrics.byReason)) {
+      this.metrics.byReason[reason] = (this.metrics.byReason[reason] || 0) + count;
+    }
+  }
+
+  /**
+   * Return the counters and start again from zero
+   * @returns {object} Counters since the last call
+   */
+  takeMetrics() {
+    const metrics = this.metrics;
+    this.metrics = emptyMetrics();
+    return metrics;
+  }
+
+  /**
+   * Get rejection metrics
+   * @returns {object} Blocklist configuration summary and counters
+   */
+  getMetrics() {
+    return {
+      enabled: this.enabled,
+      modes: this.modes,
+      filters: this.filters.map(({ name }) => name),
+      maxAttempts: this.maxAttempts,
+      ...this.metrics,
+      byReason: { ...this.metrics.byReason },
+      rejectionRate: this.metrics.checked > 0 ? this.metrics.rejected / this.metrics.checked : 0
+    };
+  }
+}
+
+/**
+ * Build the blocklist described by configuration
+ * @param {object} config - Blocklist configuration (see config.blocklist)
+ * @returns {UinBlocklist} Blocklist with the built-in filters
+ */
+export function createBlocklist(config) {
+  const blocklist = new UinBlocklist(config);
+  const words = [...DEFAULT_WORDS, ...config.wordlists.flatMap(readWordlist)];
+
+  blocklist.addFilter('word', wordFilter(words));
+  if (config.maxRun > 0) {
+    blocklist.addFilter('run', runFilter(config.maxRun));
+  }
+  if (config.maxSequence > 0) {
+    blocklist.addFilter('sequence', sequenceFilter(config.maxSequence));
+  }
+  if (Object.keys(config.reservedPatterns).length > 0) {
+    blocklist.addFilter('reserved', reservedFilter(config.reservedPatterns));
+  }
+
+  return blocklist;
+}
+
+// Singleton instance
+let blocklist = null;
+
+/**
+ * Get the generation blocklist
+ * @returns {UinBlocklist} Blocklist
+ */
+export function getBlocklist() {
+  if (!blocklist) {
+    blocklist = createBlocklist(getConfig().blocklist);
+  }
+  return blocklist;
+}
+
+/**
+ * Discard the blocklist so it is rebuilt from configuration (useful for testing)
+ */
+export function resetBlocklist() {
+  blocklist = null;
+}
+
+export default {
+  UinBlocklist,
+  createBlocklist,
+  getBlocklist,
+  resetBlocklist,
+  readWordlist,
+  wordFilter,
+  runFilter,
+  sequenceFilter,
+  reservedFilter
+};
@@ -0,0 +1,129 @@
+/**
+ * Bloom Filter
+ * Fixed-size set membership test for in-stream deduplication of generated UINs.
+ * A value that was added is always reported as seen; a value that was not added
+ * is reported as seen with the configured false-positive probability.
+ *
+ * Bit positions use double hashing (Kirsch-Mitzenmacher) over a SHA-256 digest
+ * of the value.
+ */
+
+import crypto from 'crypto';
+
+// Largest filter allocated: 2^31 bits (256 MiB)
+export const MAX_BITS = 2 ** 31;
+
+// Accepted false-positive rates: tighter rates grow the filter for little benefit
+export const MIN_FALSE_POSITIVE_RATE = 1e-9;
+export const MAX_FALSE_POSITIVE_RATE = 0.1;
+
+/**
+ * Bloom filter class
+ */
+export class BloomFilter {
+  /**
+   * Size a filter for an expected number of items
+   * @param {number} expectedItems - Number of items that will be added
+   * @param {number} [falsePositiveRate=0.001] - Probability that an unseen value is reported as seen
+   */
+  constructor(expectedItems, falsePositiveRate = 0.001) {
+    const bits = BloomFilter.requiredBits(expectedItems, falsePositiveRate);
+
+    this.bits = Math.ceil(bits / 8) * 8;
+    this.hashes = Math.max(1, Math.round(this.bits / expectedItems * Math.LN2));
+    this.expectedItems = expectedItems;
+    this.falsePositiveRate = falsePositiveRate;
+    this.items = 0;
+    this.buffer = Buffer.alloc(this.bits / 8);
+  }
+
+  /**
+   * Size of a filter, checked against the limits before anything is allocated
+   * @param {number} expectedItems - Number of items that will be added
+   * @param {number} falsePositiveRate - Probability that an unseen value is reported as seen
+   * @returns {number} Number of bits
+   * @throws {Error} If a parameter is out of range or the filter would exceed MAX_BITS
+   */
+  static requiredBits(expectedItems, falsePositiveRate) {
+    if (!Number.isInteger(expectedItems) || expectedItems < 1) {
+      throw new Error('Bloom filter expected items must be a positive integer');
+    }
+    if (typeof falsePositiveRate !== 'number' || !(falsePositiveRate >= MIN_FALSE_POSITIVE_RATE && falsePositiveRate <= MAX_FALSE_POSITIVE_RATE)) {
+      throw new Error(`Bloom filter false-positive rate must be between ${MIN_FALSE_POSITIVE_RATE} and ${MAX_FALSE_POSITIVE_RATE}`);
+    }
+
+    const bits = Math.ceil(-expectedItems * Math.log(falsePositiveRate) / Math.LN2 ** 2);
+    if (bits > MAX_BITS) {
+      throw new Error(`Bloom filter for ${expectedItems} items at rate ${falsePositiveRate} needs ${bits} bits (limit ${MAX_BITS})`);
+    }
+    return bits;
+  }
+
+  /**
+   * Bit positions of a value
+   * @param {string} value - Value
+   * @returns {number[]} Bit indexes
+   */
+  positions(value) {
+    const digest = crypto.createHash('sha256').update(value).digest();
+    // 48-bit halves keep h1 + i * h2 within Number's exact range
+    const h1 = digest.readUIntBE(0, 6);
+    const h2 = digest.readUIntBE(6, 6) || 1;
+
+    const positions = [];
+    for (let i = 0; i < this.hashes; i++) {
+      positions.push((h1 + i * h2) % this.bits);
+    }
+    return positions;
+  }
+
+  /**
+   * Whether a value may have been added
+   * @param {string} value - Value
+   * @returns {boolean} False if the value was certainly not added
+   */
+  has(value) {
+    return this.positions(value).every(bit => (this.buffer[Math.floor(bit / 8)] & (1 << (bit % 8))) !== 0);
+  }
+
+  /**
+   * Add a value
+   * @param {string} value - Value
+   * @returns {boolean} True if the value was new (no bit was set before), false if it may have been added already
+   */
+  add(value) {
+    let added = false;
+    for (const bit of this.positions(value)) {
+      // Indexes can exceed 2^32, so no bitwise operators on them
+      const byte = Math.floor(bit / 8);
+      const mask = 1 << (bit % 8);
+      if ((this.buffer[byte] & mask) === 0) {
+        this.buffer[byte] |= mask;
+        added = true;
+      }
+    }
+    if (added) {
+      this.items++;
+    }
+    return added;
+  }
+
+  /**
+   * Describe the filter
+   * @returns {object} {bits, bytes, hashes, expectedItems, falsePositiveRate, items}
+   */
+  getInfo() {
+    return {
+      bits: this.bits,
+      bytes: this.buffer.length,
+      hashes: this.hashes,
+      expectedItems: this.expectedItems,
+      falsePositiveRate: this.falsePositiveRate,
+      items: this.items
+    };
+  }
+}
+
+export default {
+  BloomFilter
+};
@@ -0,0 +1,284 @@
+/**
+ * Namespace Capacity Calculator
+ * Works out how many distinct UINs a generation configuration can produce and
+ * what that means for a target population: entropy, birthday-bound collision
+ * probability, duplicate retries during pre-generation and, given the current
+ * issuance rate, the years until the namespace runs out.
+ *
+ * Only the random part of a UIN counts towards the keyspace: check characters
+ * add length but no capacity, and supplied or derived structured fields
+ * (region, date, lookup codes) are fixed for a given combination of values.
+ */
+
+import { getConfig, parseCharset, excludeAmbiguous } from './config.mjs';
+import { getChecksumAlgorithm } from './checksum.mjs';
+import { parseTemplate, resolveCharset } from './template.mjs';
+
+// Share of new candidates that may collide with issued UINs before pre-generation is considered degraded
+const RETRY_THRESHOLD = 0.01;
+const DAYS_PER_YEAR = 365.25;
+// Payload lengths generation accepts (the bounds validateConfig puts on the default length)
+const MIN_PAYLOAD_LENGTH = 8;
+const MAX_PAYLOAD_LENGTH = 64;
+
+/**
+ * Base-2 logarithm of a BigInt of any size
+ * @param {bigint} value - Positive value
+ * @returns {number} log2(value)
+ */
+function log2(value) {
+  const bits = value.toString(2).length;
+  // Keep the top 53 bits so the conversion to a number stays exact
+  const shift = Math.max(0, bits - 53);
+  return Math.log2(Number(value >> BigInt(shift))) + shift;
+}
+
+/**
+ * Number of check characters a checksum configuration appends
+ * @param {object} [checksum] - Checksum configuration ({enabled, algorithm, modulus})
+ * @returns {{algorithm: string|null, checkLength: number}} Algorithm and check length
+ */
+function checksumOverhead(checksum) {
+  if (!checksum || !checksum.enabled) {
+    return { algorithm: null, checkLength: 0 };
+  }
+  const algorithm = checksum.algorithm || getConfig().defaultChecksumAlgorithm;
+  const { checkLength } = getChecksumAlgorithm(algorithm, { modulus: checksum.modulus || 10 });
+  return { algorithm, checkLength };
+}
+
+/**
+ * Keyspace of the random part of a structured template
+ * @param {string} template - Structured template
+ * @param {string} defaultCharset - Charset for fields that do not name one
+ * @returns {object} {keyspace, payloadLength, collisionFree, fields}
+ */
+function structuredKeyspace(template, defaultCharset) {
+  const segments = parseTemplate(template);
+  let keyspace = 1n;
+  let payloadLength = 0;
+  let randomFields = 0;
+  const fields = [];
+
+  for (const segment of segments) {
+    if (segment.type === 'literal') {
+      payloadLength += segment.value.length;
+      continue;
+    }
+    payloadLength += segment.length;
+    if (payloadLength > MAX_PAYLOAD_LENGTH) {
+      throw new Error(`Template is longer than ${MAX_PAYLOAD_LENGTH} characters`);
+    }
+
+    let values = null;
+    if (segment.kind === 'random' || segment.kind === 'legacy') {
+      // Legacy fields are random unless a value is supplied
+      values = BigInt((segment.charset || defaultCharset).length) ** BigInt(segment.length);
+      randomFields++;
+    } else if (segment.kind === 'sequence') {
+      values = BigInt(Math.floor((segment.max - segment.start) / segment.step) + 1);
+    }
+
+    if (values !== null) {
+      keyspace *= values;
+      fields.push({ name: segment.name, kind: segment.kind, values: values.toString() });
+    }
+  }
+
+  if (fields.length === 0) {
+    throw new Error('Template has no random or sequence fields: every UIN for the same values is identical');
+  }
+
+  return { keyspace, payloadLength, collisionFree: randomFields === 0, fields };
+}
+
+/**
+ * Resolve the keyspace of a generation configuration
+ * @param {object} options - Generation options, as for generateUin
+ * @param {string} [options.mode] - 'random', 'foundational', 'fpe' or 'structured' (default: configured default mode)
+ * @returns {object} {mode, charset, charsetSize, payloadLength, checksum, totalLength, keyspace, collisionFree, fields?}
+ */
+export function resolveKeyspace(options = {}) {
+  const config = getConfig();
+  const mode = (options.mode || config.defaultMode).toLowerCase();
+  const checksum = checksumOverhead(options.checksum);
+  let charset = parseCharset(options.charset || config.defaultCharset);
+
+  // Ambiguous characters are dropped by default in foundational mode only, as in generation
+  const dropAmbiguous = mode === 'foundational' ? options.excludeAmbiguous !== false : !!options.excludeAmbiguous;
+
+  let result;
+  switch (mode) {
+    case 'random':
+    case 'foundational':
+    case 'fpe': {
+      if (dropAmbiguous) {
+        charset = excludeAmbiguous(charset);
+      }
+      const payloadLength = options.length ?? config.defaultLength;
+      if (!Number.isInteger(payloadLength) || payloadLength < MIN_PAYLOAD_LENGTH || payloadLength > MAX_PAYLOAD_LENGTH) {
+        throw new Error(`Length must be an integer between ${MIN_PAYLOAD_LENGTH} and ${MAX_PAYLOAD_LENGTH}`);
+      }
+      result = {
+        payloadLength,
+        keyspace: BigInt(charset.length) ** BigInt(payloadLength),
+        // FF1 is a permutation of the serials, so fpe UINs never collide
+        collisionFree: mode === 'fpe'
+      };
+      break;
+    }
+
+    case 'structured':
+      if (!options.template) {
+        throw new Error('Template is required for structured mode');
+      }
+      result = structuredKeyspace(options.template, resolveCharset(charset));
+      break;
+
+    default:
+      throw new Error(`Capacity is not computed for mode '${mode}' (use random, foundational, fpe or structured)`);
+  }
+
+  return {
+    mode,
+    charset: mode === 'structured' ? null : charset,
+    charsetSize: mode === 'structured' ? null : charset.length,
+    excludeAmbiguous: mode === 'structured' ? null : dropAmbiguous,
+    checksum,
+    totalLength: result.payloadLength + checksum.checkLength,
+    ...result
+  };
+}
+
+/**
+ * Generation options described by a uin_formats entry
+ * Format lengths include the check characters, so they are subtracted to get the payload length.
+ * @param {object} format - uin_formats row
+ * @param {object} [overrides] - Options that take precedence (mode, charset, excludeAmbiguous)
+ * @returns {object} Generation options for resolveKeyspace
+ */
+export function optionsFromFormat(format, overrides = {}) {
+  const checksum = format.checksum_algorithm ? { enabled: true, algorithm: format.checksum_algorithm } : { enabled: false };
+  const { checkLength } = checksumOverhead(checksum);
+
+  return {
+    mode: format.template ? 'structured' : (format.applies_to_mode || undefined),
+    template: format.template || undefined,
+    length: format.total_length - checkLength,
+    checksum,
+    ...Object.fromEntries(Object.entries(overrides).filter(([, value]) => value !== undefined && value !== null))
+  };
+}
+
+/**
+ * Birthday-bound probability that a population of random UINs contains a collision
+ * @param {number} population - Number of UINs
+ * @param {number} keyspace - Number of possible UINs
+ * @returns {number} Probability
+ */
+export function collisionProbability(population, keyspace) {
+  if (population > keyspace) {
+    return 1;
+  }
+  return -Math.expm1(-(population * (population - 1)) / (2 * keyspace));
+}
+
+/**
+ * Expected duplicate draws while pre-generating a population of unique UINs
+ * Sum over k of k / (N - k), i.e. -N ln(1 - n/N) - n.
+ * @param {number} population - Number of UINs to generate
+ * @param {number} keyspace - Number of possible UINs
+ * @returns {number} Expected retries (Infinity if the population does not fit)
+ */
+export function expectedRetries(population, keyspace) {
+  if (population >= keyspace) {
+    return Infinity;
+  }
+  const fill = population / keyspace;
+  // Series expansion where the closed form would cancel to nothing
+  if (fill < 1e-3) {
+    return population * (fill / 2 + fill ** 2 / 3 + fill ** 3 / 4);
+  }
+  return -keyspace * Math.log1p(-fill) - population;
+}
+
+/**
+ * Analyse the capacity of a generation configuration for a target population
+ * @param {object} options - Generation options (see resolveKeyspace)
+ * @param {object} params - Analysis parameters
+ * @param {number} params.population - Target number of UINs
+ * @param {object} [params.issuance] - Current issuance ({issued, issuedInWindow, windowDays}) from the pool
+ * @returns {object} Capacity report
+ */
+export function analyzeCapacity(options, { population, issuance = null }) {
+  if (!Number.isFinite(population) || population < 1) {
+    throw new Error('Population must be a positive number');
+  }
+
+  const space = resolveKeyspace(options);
+  const keyspace = Number(space.keyspace);
+  const warnings = [];
+
+  const report = {
+    mode: space.mode,
+    payloadLength: space.payloadLength,
+    totalLength: space.totalLength,
+    charset: space.charset,
+    charsetSize: space.charsetSize,
+    excludeAmbiguous: space.excludeAmbiguous,
+    checksum: space.checksum,
+    keyspace: space.keyspace.toString(),
+    entropyBits: log2(space.keyspace),
+    collisionFree: space.collisionFree,
+    population,
+    collisionProbability: space.collisionFree ? 0 : collisionProbability(population, keyspace),
+    expectedRetries: space.collisionFree ? 0 : expectedRetries(population, keyspace),
+    // Chance that one more candidate collides once the population has been issued
+    retryRateAtPopulation: space.collisionFree ? 0 : Math.min(1, population / keyspace),
+    exhaustion: null,
+    warnings
+  };
+
+  if (space.fields) {
+    report.fields = space.fields;
+    warnings.push('Structured keyspace is per combination of the supplied and derived field values');
+  }
+
+  if (population > keyspace) {
+    warnings.push(`The keyspace (${space.keyspace}) is smaller than the target population`);
+  } else if (report.retryRateAtPopulation > RETRY_THRESHOLD) {
+    warnings.push(`At the target population ${(report.retryRateAtPopulation * 100).toFixed(1)}% of new candidates collide; use a longer UIN or a larger charset`);
+  }
+
+  if (issuance) {
+    const ratePerYear = issuance.windowDays > 0 ? issuance.issuedInWindow * DAYS_PER_YEAR / issuance.windowDays : 0;
+    const remaining = Math.max(0, keyspace - issuance.issued);
+    // Random modes degrade before the keyspace is full: retries climb with the fill level
+    const retryLimit = space.collisionFree ? null : Math.max(0, keyspace * RETRY_THRESHOLD - issuance.issued);
+
+    report.exhaustion = {
+      issued: issuance.issued,
+      windowDays: issuance.windowDays,
+      issuedInWindow: issuance.issuedInWindow,
+      ratePerYear,
+      remaining,
+      years: ratePerYear > 0 ? remaining / ratePerYear : null,
+      retryThreshold: space.collisionFree ? null : RETRY_THRESHOLD,
+      yearsToRetryThreshold: retryLimit !== null && ratePerYear > 0 ? retryLimit / ratePerYear : null
+    };
+
+    if (ratePerYear === 0) {
+      warnings.push(`No UINs were issued in the last ${issuance.windowDays} days; exhaustion cannot be estimated`);
+    }
+  }
+
+  return report;
+}
+
+export default {
+  resolveKeyspace,
+  optionsFromFormat,
+  collisionProbability,
+  expectedRetries,
+  analyzeCapacity
+};
@@ -1,8 +1,124 @@
 /**
  * Checksum utilities for UIN validation
- * Supports Mod N and ISO 7064 (MOD 37-2) algorithms
+ * Supports Mod N, the ISO/IEC 7064 pure and hybrid systems, Luhn, Verhoeff and Damm algorithms
+ *
+ * Every algorithm declares its check length and input alphabet (see getChecksumAlgorithm),
+ * so verification does not need to be told how many check characters to strip.
  */
 
+const DIGITS = '0123456789';
+const LETTERS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+const ALPHANUMERIC = DIGITS + LETTERS;
+
+/**
+ * ISO/IEC 7064 check character systems
+ * Pure systems use one modulus M and radix r; hybrid systems use moduli M and M+1.
+ * Two-character pure systems encode the check value v as (v / r, v mod r).
+ */
+export const ISO7064_SYSTEMS = {
+  'mod11-2': { label: 'ISO 7064 MOD 11-2', type: 'pure', modulus: 11, radix: 2, checkLength: 1, alphabet: DIGITS, checkAlphabet: DIGITS + 'X' },
+  'mod37-2': { label: 'ISO 7064 MOD 37-2', type: 'pure', modulus: 37, radix: 2, checkLength: 1, alphabet: ALPHANUMERIC, checkAlphabet: ALPHANUMERIC + '*' },
+  'mod97-10': { label: 'ISO 7064 MOD 97-10', type: 'pure', modulus: 97, radix: 10, checkLength: 2, alphabet: DIGITS, checkAlphabet: DIGITS },
+  'mod661-26': { label: 'ISO 7064 MOD 661-26', type: 'pure', modulus: 661, radix: 26, checkLength: 2, alphabet: LETTERS, checkAlphabet: LETTERS },
+  'mod1271-36': { label: 'ISO 7064 MOD 1271-36', type: 'pure', modulus: 1271, radix: 36, checkLength: 2, alphabet: ALPHANUMERIC, checkAlphabet: ALPHANUMERIC },
+  'mod11-10': { label: 'ISO 7064 MOD 11,10', type: 'hybrid', modulus: 10, checkLength: 1, alphabet: DIGITS, checkAlphabet: DIGITS },
+  'mod27-26': { label: 'ISO 7064 MOD 27,26', type: 'hybrid', modulus: 26, checkLength: 1, alphabet: LETTERS, checkAlphabet: LETTERS },
+  'mod37-36': { label: 'ISO 7064 MOD 37,36', type: 'hybrid', modulus: 36, checkLength: 1, alphabet: ALPHANUMERIC, checkAlphabet: ALPHANUMERIC }
+};
+
+/**
+ * Verhoeff multiplication table (dihedral group D5)
+ */
+const VERHOEFF_D = [
+  [0, 1, 2, 3, 4, 5, 6, 7, 8, 9],
+  [1, 2, 3, 4, 0, 6, 7, 8, 9, 5],
+  [2, 3, 4, 0, 1, 7, 8, 9, 5, 6],
+  [3, 4, 0, 1, 2, 8, 9, 5, 6, 7],
+  [4, 0, 1, 2, 3, 9, 5, 6, 7, 8],
+  [5, 9, 8, 7, 6, 0, 4, 3, 2, 1],
+  [6, 5, 9, 8, 7, 1, 0, 4, 3, 2],
+  [7, 6, 5, 9, 8, 2, 1, 0, 4, 3],
+  [8, 7, 6, 5, 9, 3, 2, 1, 0, 4],
+  [9, 8, 7, 6, 5, 4, 3, 2, 1, 0]
+];
+
+/**
+ * Verhoeff position permutation table
+ */
+const VERHOEFF_P = [
+  [0, 1, 2, 3, 4, 5, 6, 7, 8, 9],
+  [1, 5, 7, 6, 2, 8, 3, 0, 9, 4],
+  [5, 8, 0, 3, 7, 9, 6, 1, 4, 2],
+  [8, 9, 1, 6, 0, 4, 3, 5, 2, 7],
+  [9, 4, 5, 3, 1, 2, 6, 8, 7, 0],
+  [4, 2, 8, 6, 5, 7, 3, 9, 0, 1],
+  [2, 7, 9, 3, 8, 0, 6, 4, 1, 5],
+  [7, 0, 4, 6, 9, 1, 3, 2, 5, 8]
+];
+
+/**
+ * Verhoeff multiplicative inverse table
+ */
+const VERHOEFF_INV = [0, 4, 3, 2, 1, 5, 6, 7, 8, 9];
+
+/**
+ * Damm totally anti-symmetric quasigroup of order 10
+ */
+const DAMM_TABLE = [
+  [0, 3, 1, 7, 5, 9, 8, 6, 4, 2],
+  [7, 0, 9, 2, 1, 5, 4, 8, 6, 3],
+  [4, 2, 0, 6, 8, 7, 1, 3, 5, 9],
+  [1, 7, 5, 0, 9, 8, 3, 4, 2, 6],
+  [6, 1, 2, 3, 0, 4, 5, 9, 7, 8],
+  [3, 6, 7, 4, 2, 0, 9, 5, 8, 1],
+  [5, 8, 6, 9, 7, 2, 0, 1, 3, 4],
+  [8, 9, 4, 5, 3, 6, 2, 0, 1, 7],
+  [9, 4, 3, 8, 6, 1, 7, 2, 0, 5],
+  [2, 5, 8, 1, 4, 3, 6, 7, 9, 0]
+];
+
+/**
+ * Map input characters to their values in an algorithm's input alphabet
+ * Input is case-insensitive; separators (non-alphanumeric characters) are skipped,
+ * alphanumeric characters outside the alphabet are rejected
+ * @param {string} input - The input string
+ * @param {string} alphabet - Input alphabet (DIGITS, LETTERS or ALPHANUMERIC)
+ * @param {string} algorithm - Algorithm name for error messages
+ * @returns {number[]} Character values
+ */
+function toValues(input, alphabet, algorithm) {
+  if (!input || typeof input !== 'string') {
+    throw new Error('Input must be a non-empty string');
+  }
+
+  const kind = alphabet === DIGITS ? 'numeric' : alphabet === LETTERS ? 'alphabetic' : 'alphanumeric';
+  const values = [];
+  for (const char of input.toUpperCase()) {
+    const value = alphabet.indexOf(char);
+    if (value !== -1) {
+      values.push(value);
+    } else if (/[0-9A-Z]/.test(char)) {
+      throw new Error(`${algorithm} requires ${kind} input (found '${char}')`);
+    }
+  }
+
+  if (values.length === 0) {
+    throw new Error(`Input must contain ${kind} characters`);
+  }
+
+  return values;
+}
+
+/**
+ * Extract digits for numeric-only algorithms
+ * @param {string} input - The input string
+ * @param {string} algorithm - Algorithm name for error messages
+ * @returns {number[]} Digit values
+ */
+function toDigits(input, algorithm) {
+  return toValues(input, DIGITS, algorithm);
+}
+
 /**
  * Compute a simple modulus-based checksum
  * @param {string} input - The input string
@@ -49,104 +165,213 @@ export function computeModN(input, modulus = 10) {
 }
 
 /**
- * Compute ISO 7064 MOD 37-2 checksum
- * This is a weighted modulus algorithm used in many identity systems
- * @param {string} input - The input string (alphanumeric)
- * @returns {string} Two-character checksum
+ * Compute ISO/IEC 7064 pure system check characters
+ * @param {number[]} values - Input character values
+ * @param {object} system - Entry of ISO7064_SYSTEMS
+ * @returns {string} One or two check characters
  */
-export function computeIso7064(input) {
-  if (!input || typeof input !== 'string') {
-    throw new Error('Input must be a non-empty string');
-  }
+function computePureSystem(values, system) {
+  const { modulus, radix, checkLength, checkAlphabet } = system;
 
-  // Character set for ISO 7064 MOD 37-2: 0-9, A-Z
-  const charset = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+  let p = 0;
+  for (const value of values) {
+    p = ((p + value) * radix) % modulus;
+  }
+  // Reserve a second position for two-character check values
+  if (checkLength === 2) {
+    p = (p * radix) % modulus;
+  }
 
-  // Convert input to uppercase and remove non-alphanumeric
-  const normalized = input.toUpperCase().replace(/[^0-9A-Z]/g, '');
+  const check = (modulus + 1 - p) % modulus;
 
-  if (normalized.length === 0) {
-    throw new Error('Input must contain alphanumeric characters');
+  if (checkLength === 2) {
+    return checkAlphabet[Math.floor(check / radix)] + checkAlphabet[check % radix];
   }
+  return checkAlphabet[check];
+}
 
-  // MOD 37-2 algorithm
-  let checksum = 36; // Initial value
+/**
+ * Compute ISO/IEC 7064 hybrid system check character (MOD M+1,M)
+ * @param {number[]} values - Input character values
+ * @param {object} system - Entry of ISO7064_SYSTEMS
+ * @returns {string} Single check character
+ */
+function computeHybridSystem(values, system) {
+  const { modulus, checkAlphabet } = system;
 
-  for (let i = 0; i < normalized.length; i++) {
-    const char = normalized[i];
-    const value = charset.indexOf(char);
+  let p = modulus;
+  for (const value of values) {
+    const s = (p + value) % modulus || modulus;
+    p = (s * 2) % (modulus + 1);
+  }
 
-    if (value === -1) {
-      throw new Error(`Invalid character in input: ${char}`);
-    }
+  return checkAlphabet[(modulus + 1 - p) % modulus];
+}
 
-    checksum = ((checksum + value) * 2) % 37;
+/**
+ * Compute an ISO/IEC 7064 checksum
+ * @param {string} input - The input string (separators are ignored, letters are case-insensitive)
+ * @param {string} [system='mod37-2'] - System name from ISO7064_SYSTEMS (e.g. 'mod11-2', 'mod97-10', 'mod37-36')
+ * @returns {string} Check characters: one for MOD 11-2, MOD 37-2 and the hybrid systems
+ *   (MOD 11-2 may return 'X', MOD 37-2 may return '*'), two for MOD 97-10, MOD 661-26 and MOD 1271-36
+ */
+export function computeIso7064(input, system = 'mod37-2') {
+  const definition = ISO7064_SYSTEMS[String(system).toLowerCase()];
+  if (!definition) {
+    throw new Error(`Unsupported ISO 7064 system: ${system}`);
   }
 
-  checksum = (38 - checksum) % 37;
+  const values = toValues(input, definition.alphabet, definition.label);
 
-  // Return as character from charset
-  return charset[checksum];
+  return definition.type === 'hybrid'
+    ? computeHybridSystem(values, definition)
+    : computePureSystem(values, definition);
 }
 
 /**
- * Compute ISO 7064 MOD 97-10 checksum (similar to IBAN)
- * Returns a 2-digit checksum
+ * Compute ISO 7064 MOD 97-10 checksum over alphanumeric input (as in IBAN)
+ * Letters are expanded to two digits (A=10, B=11, ..., Z=35) before applying MOD 97-10
  * @param {string} input - The input string
  * @returns {string} Two-digit checksum
  */
 export function computeIso7064Mod97(input) {
-  if (!input || typeof input !== 'string') {
-    throw new Error('Input must be a non-empty string');
-  }
+  const values = toValues(input, ALPHANUMERIC, 'ISO 7064 MOD 97-10');
+  return computeIso7064(values.join(''), 'mod97-10');
+}
 
-  // Convert letters to numbers (A=10, B=11, ..., Z=35)
-  let numericString = '';
-  for (let i = 0; i < input.length; i++) {
-    const char = input[i].toUpperCase();
-    if (char >= '0' && char <= '9') {
-      numericString += char;
-    } else if (char >= 'A' && char <= 'Z') {
-      numericString += (char.charCodeAt(0) - 'A'.charCodeAt(0) + 10).toString();
+/**
+ * Compute Luhn (mod 10) check digit
+ * Detects all single-digit errors and most adjacent transpositions (not 09/90)
+ * @param {string} input - Numeric input string
+ * @returns {string} Single check digit
+ */
+export function computeLuhn(input) {
+  const digits = toDigits(input, 'Luhn');
+
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    // Double every second digit, starting with the rightmost
+    let value = digits[digits.length - 1 - i];
+    if (i % 2 === 0) {
+      value *= 2;
+      if (value > 9) {
+        value -= 9;
+      }
     }
+    sum += value;
   }
 
-  // Compute mod 97
-  let remainder = 0;
-  for (let i = 0; i < numericString.length; i++) {
-    remainder = (remainder * 10 + parseInt(numericString[i])) % 97;
+  return String((10 - (sum % 10)) % 10);
+}
+
+/**
+ * Compute Verhoeff check digit
+ * Detects all single-digit errors and all adjacent transpositions
+ * @param {string} input - Numeric input string
+ * @returns {string} Single check digit
+ */
+export function computeVerhoeff(input) {
+  const digits = toDigits(input, 'Verhoeff');
+
+  let c = 0;
+  for (let i = 0; i < digits.length; i++) {
+    // Position 0 is reserved for the check digit itself
+    const digit = digits[digits.length - 1 - i];
+    c = VERHOEFF_D[c][VERHOEFF_P[(i + 1) % 8][digit]];
+  }
+
+  return String(VERHOEFF_INV[c]);
+}
+
+/**
+ * Compute Damm check digit
+ * Detects all single-digit errors and all adjacent transpositions
+ * @param {string} input - Numeric input string
+ * @returns {string} Single check digit
+ */
+export function computeDamm(input) {
+  const digits = toDigits(input, 'Damm');
+
+  let interim = 0;
+  for (const digit of digits) {
+    interim = DAMM_TABLE[interim][digit];
+  }
+
+  return String(interim);
+}
+
+/**
+ * Checksum algorithms by lowercase name
+ * Each declares its check length and input alphabet; compute(base, modulus) returns the check characters
+ */
+const CHECKSUM_ALGORITHMS = {
+  modn: { name: 'modN', label: 'Mod N', checkLength: 1, alphabet: ALPHANUMERIC, compute: computeModN },
+  iso7064: { ...ISO7064_SYSTEMS['mod37-2'], name: 'iso7064', compute: base => computeIso7064(base, 'mod37-2') },
+  iso7064mod97: { name: 'iso7064mod97', label: 'ISO 7064 MOD 97-10 (alphanumeric, IBAN-style)', checkLength: 2, alphabet: ALPHANUMERIC, checkAlphabet: DIGITS, compute: computeIso7064Mod97 },
+  luhn: { name: 'luhn', label: 'Luhn', checkLength: 1, alphabet: DIGITS, checkAlphabet: DIGITS, compute: computeLuhn },
+  verhoeff: { name: 'verhoeff', label: 'Verhoeff', checkLength: 1, alphabet: DIGITS, checkAlphabet: DIGITS, compute: computeVerhoeff },
+  damm: { name: 'damm', label: 'Damm', checkLength: 1, alphabet: DIGITS, checkAlphabet: DIGITS, compute: computeDamm }
+};
+
+for (const [system, definition] of Object.entries(ISO7064_SYSTEMS)) {
+  CHECKSUM_ALGORITHMS[`iso7064${system}`] = {
+    ...definition,
+    name: `iso7064${system}`,
+    compute: base => computeIso7064(base, system)
+  };
+}
+
+/**
+ * Look up a checksum algorithm definition
+ * @param {string} algorithm - Algorithm name (case-insensitive)
+ * @returns {object} Algorithm definition
+ */
+function resolveAlgorithm(algorithm) {
+  const definition = CHECKSUM_ALGORITHMS[String(algorithm).toLowerCase()];
+  if (!definition) {
+    throw new Error(`Unsupported checksum algorithm: ${algorithm}`);
   }
+  return definition;
+}
 
-  const checksum = (98 - remainder) % 97;
-  return checksum.toString().padStart(2, '0');
+/**
+ * Describe a checksum algorithm
+ * @param {string} algorithm - Algorithm name (case-insensitive)
+ * @param {object} [options] - Options
+ * @param {number} [options.modulus=10] - Modulus for modN algorithm
+ * @returns {{name: string, label: string, checkLength: number, alphabet: string, checkAlphabet: string}} Algorithm description
+ */
+export function getChecksumAlgorithm(algorithm, options = {}) {
+  const { name, label, checkLength, alphabet, checkAlphabet } = resolveAlgorithm(algorithm);
+  return {
+    name,
+    label,
+    checkLength,
+    alphabet,
+    checkAlphabet: checkAlphabet || ALPHANUMERIC.slice(0, options.modulus || 10)
+  };
+}
+
+/**
+ * List supported checksum algorithm names
+ * @returns {string[]} Algorithm names
+ */
+export function listChecksumAlgorithms() {
+  return Object.values(CHECKSUM_ALGORITHMS).map(definition => definition.name);
 }
 
 /**
  * Append checksum to a base string
  * @param {string} base - The base string
  * @param {object} options - Checksum options
- * @param {string} options.algorithm - Algorithm to use ('modN', 'iso7064', 'iso7064mod97')
+ * @param {string} options.algorithm - Algorithm to use (see listChecksumAlgorithms)
  * @param {number} [options.modulus=10] - Modulus for modN algorithm
  * @returns {{value: string, checksum: string}} Object with final value and checksum
  */
 export function appendChecksum(base, options = {}) {
   const { algorithm = 'modN', modulus = 10 } = options;
 
-  let checksumValue;
-
-  switch (algorithm.toLowerCase()) {
-    case 'modn':
-      checksumValue = computeModN(base, modulus);
-      break;
-    case 'iso7064':
-      checksumValue = computeIso7064(base);
-      break;
-    case 'iso7064mod97':
-      checksumValue = computeIso7064Mod97(base);
-      break;
-    default:
-      throw new Error(`Unsupported checksum algorithm: ${algorithm}`);
-  }
+  const checksumValue = resolveAlgorithm(algorithm).compute(base, modulus);
 
   return {
     value: base + checksumValue,
@@ -156,38 +381,23 @@ export function appendChecksum(base, options = {}) {
 
 /**
  * Verify checksum of a value
+ * The number of trailing check characters comes from the algorithm definition
  * @param {string} valueWithChecksum - The value including checksum
  * @param {object} options - Checksum options
  * @param {string} options.algorithm - Algorithm to use
- * @param {number} [options.checksumLength=1] - Length of checksum to verify
  * @param {number} [options.modulus=10] - Modulus for modN algorithm
  * @returns {boolean} True if checksum is valid
  */
 export function verifyChecksum(valueWithChecksum, options = {}) {
-  const { algorithm = 'modN', checksumLength = 1, modulus = 10 } = options;
+  const { algorithm = 'modN', modulus = 10 } = options;
+  const { checkLength, compute } = resolveAlgorithm(algorithm);
 
-  if (!valueWithChecksum || valueWithChecksum.length <= checksumLength) {
+  if (!valueWithChecksum || valueWithChecksum.length <= checkLength) {
     return false;
   }
 
-  const base = valueWithChecksum.slice(0, -checksumLength);
-  const providedChecksum = valueWithChecksum.slice(-checksumLength);
-
-  let expectedChecksum;
-
-  switch (algorithm.toLowerCase()) {
-    case 'modn':
-      expectedChecksum = computeModN(base, modulus);
-      break;
-    case 'iso7064':
-      expectedChecksum = computeIso7064(base);
-      break;
-    case 'iso7064mod97':
-      expectedChecksum = computeIso7064Mod97(base);
-      break;
-    default:
-      throw new Error(`Unsupported checksum algorithm: ${algorithm}`);
-  }
+  const base = valueWithChecksum.slice(0, -checkLength);
+  const providedChecksum = valueWithChecksum.slice(-checkLength).toUpperCase();
 
-  return providedChecksum === expectedChecksum;
+  return providedChecksum === compute(base, modulus);
 }
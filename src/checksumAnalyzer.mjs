@@ -0,0 +1,409 @@
+/**
+ * Checksum Error-Detection Analyzer
+ * Measures how well a check character scheme detects common transcription errors
+ * for a given charset and payload length, by exhaustive or sampled enumeration.
+ *
+ * Error classes follow Verhoeff (1969): single substitutions (a → b), adjacent
+ * transpositions (ab → ba), jump transpositions (abc → cba), twin errors
+ * (aa → bb) and phonetic errors (a0 ↔ 1a, e.g. "thirty" heard as "thirteen").
+ * Errors are applied anywhere in the code word, check characters included.
+ *
+ * Analysis cost grows with codewords × length² × charset size, so servers use
+ * the async variants, which yield to the event loop, within MAX_REQUEST_ANALYSIS_COST.
+ */
+
+import crypto from 'crypto';
+import { parseCharset } from './config.mjs';
+import { appendChecksum, verifyChecksum, getChecksumAlgorithm, listChecksumAlgorithms } from './checksum.mjs';
+
+/**
+ * Analyzer defaults
+ * Payload spaces up to exhaustiveLimit code words are enumerated completely
+ */
+const DEFAULT_OPTIONS = {
+  samples: 1000,
+  exhaustiveLimit: 10000,
+  modulus: 10
+};
+
+export const MAX_ANALYSIS_LENGTH = 64;
+export const MAX_ANALYSIS_SAMPLES = 100000;
+// A few seconds of CPU per request; 50 samples of length 64 over A-Z0-9 cost 7.4 million
+export const MAX_REQUEST_ANALYSIS_COST = 50000000;
+
+/**
+ * Relative frequencies of the error classes in Verhoeff's study of
+ * human transcription errors, used for the weighted detection rate
+ */
+const ERROR_FREQUENCIES = {
+  singleSubstitution: 0.791,
+  adjacentTransposition: 0.102,
+  jumpTransposition: 0.008,
+  twin: 0.006,
+  phonetic: 0.005
+};
+
+const ERROR_DESCRIPTIONS = {
+  singleSubstitution: 'single substitutions (a → b)',
+  adjacentTransposition: 'adjacent transpositions (ab → ba)',
+  jumpTransposition: 'jump transpositions (abc → cba)',
+  twin: 'twin errors (aa → bb)',
+  phonetic: 'phonetic errors (a0 ↔ 1a)'
+};
+
+/**
+ * Algorithm-specific findings that the measured rates alone do not explain
+ */
+const ALGORITHM_NOTES = {
+  modN: 'Mod N is an unweighted sum of character values: reordering payload characters never changes the sum, so it catches no transpositions at all. Prefer a weighted scheme (ISO 7064, Verhoeff or Damm) when transpositions matter.'
+};
+
+/**
+ * Enumerate every error of each class for one code word
+ * @param {string} word - Valid code word (payload + check characters)
+ * @param {string[]} alphabets - Allowed characters per position
+ * @param {Function} visit - Called with (errorClass, erroneousWord, lastPosition)
+ */
+function enumerateErrors(word, alphabets, visit) {
+  const chars = [...word];
+  const n = chars.length;
+  const replaced = (changes) => {
+    const copy = chars.slice();
+    for (const [position, char] of changes) {
+      copy[position] = char;
+    }
+    return copy.join('');
+  };
+
+  for (let i = 0; i < n; i++) {
+    for (const b of alphabets[i]) {
+      if (b !== chars[i]) {
+        visit('singleSubstitution', replaced([[i, b]]), i);
+      }
+    }
+  }
+
+  for (let i = 0; i + 1 < n; i++) {
+    const a = chars[i];
+    const b = chars[i + 1];
+
+    if (a !== b) {
+      visit('adjacentTransposition', replaced([[i, b], [i + 1, a]]), i + 1);
+    } else {
+      for (const c of alphabets[i]) {
+        if (c !== a && alphabets[i + 1].includes(c)) {
+          visit('twin', replaced([[i, c], [i + 1, c]]), i + 1);
+        }
+      }
+    }
+
+    // "1a" ↔ "a0" for a = 2..9
+    if (a === '1' && b >= '2' && b <= '9' && alphabets[i].includes(b) && alphabets[i + 1].includes('0')) {
+      visit('phonetic', replaced([[i, b], [i + 1, '0']]), i + 1);
+    } else if (a >= '2' && a <= '9' && b === '0' && alphabets[i].includes('1') && alphabets[i + 1].includes(a)) {
+      visit('phonetic', replaced([[i, '1'], [i + 1, a]]), i + 1);
+    }
+  }
+
+  for (let i = 0; i + 2 < n; i++) {
+    if (chars[i] !== chars[i + 2]) {
+      visit('jumpTransposition', replaced([[i, chars[i + 2]], [i + 2, chars[i]]]), i + 2);
+    }
+  }
+}
+
+/**
+ * Iterate over the payloads to analyze
+ * @param {string} charset - Payload charset
+ * @param {number} length - Payload length
+ * @param {boolean} exhaustive - Enumerate every payload instead of sampling
+ * @param {number} samples - Number of random payloads when sampling
+ * @returns {Iterable<string>} Payloads
+ */
+function* payloads(charset, length, exhaustive, samples) {
+  if (!exhaustive) {
+    for (let s = 0; s < samples; s++) {
+      let payload = '';
+      for (let i = 0; i < length; i++) {
+        payload += charset[crypto.randomInt(charset.length)];
+      }
+      yield payload;
+    }
+    return;
+  }
+
+  const digits = new Array(length).fill(0);
+  while (true) {
+    yield digits.map(d => charset[d]).join('');
+
+    let i = length - 1;
+    while (i >= 0 && ++digits[i] === charset.length) {
+      digits[i--] = 0;
+    }
+    if (i < 0) {
+      return;
+    }
+  }
+}
+
+/**
+ * Algorithms whose input alphabet covers a charset, for comparison
+ * @param {string} charset - Upper-cased payload charset
+ * @returns {string[]} Algorithm names
+ */
+function applicableAlgorithms(charset) {
+  return listChecksumAlgorithms()
+    // Aliases of other entries would only repeat their report
+    .filter(name => name !== 'iso7064')
+    .filter(name => [...charset].every(char => getChecksumAlgorithm(name).alphabet.includes(char)));
+}
+
+/**
+ * Estimate the work of an analysis, to bound requests before running them
+ * Each codeword has about length × charset size errors, each verified in time
+ * proportional to the length.
+ * @param {object} options - Analysis options (without algorithm: every applicable one, as compareChecksums)
+ * @returns {number} Cost in units of about one character operation
+ */
+export function estimateAnalysisCost(options = {}) {
+  const { length } = options;
+  const samples = options.samples ?? DEFAULT_OPTIONS.samples;
+  const charset = [...new Set(parseCharset(options.charset).toUpperCase())].join('');
+  const algorithms = options.algorithm ? 1 : applicableAlgorithms(charset).length;
+  const codewords = charset.length ** length <= DEFAULT_OPTIONS.exhaustiveLimit ? charset.length ** length : samples;
+
+  return algorithms * codewords * length * length * charset.length;
+}
+
+/**
+ * Run an analysis to the end
+ * @param {Generator} analysis - Analysis steps
+ * @returns {object} Result
+ */
+function runToEnd(analysis) {
+  let step = analysis.next();
+  while (!step.done) {
+    step = analysis.next();
+  }
+  return step.value;
+}
+
+/**
+ * Run an analysis, letting other work run every sliceMs
+ * @param {Generator} analysis - Analysis steps
+ * @param {number} sliceMs - Longest run between yields, in milliseconds
+ * @returns {Promise<object>} Result
+ */
+async function runInSlices(analysis, sliceMs) {
+  let sliceStart = Date.now();
+  let step = analysis.next();
+  while (!step.done) {
+    if (Date.now() - sliceStart >= sliceMs) {
+      await new Promise(resolve => setImmediate(resolve));
+      sliceStart = Date.now();
+    }
+    step = analysis.next();
+  }
+  return step.value;
+}
+
+/**
+ * Analyze the error-detection capability of one checksum algorithm
+ * @param {object} options - Analysis options
+ * @param {string} options.algorithm - Checksum algorithm (see listChecksumAlgorithms)
+ * @param {string} [options.charset] - Payload charset (name or literal characters, as in generation)
+ * @param {number} options.length - Payload length, excluding check characters
+ * @param {number} [options.samples=1000] - Random payloads to test when the space is too large to enumerate
+ * @param {number} [options.modulus=10] - Modulus for modN algorithm
+ * @returns {object} Detection report
+ */
+export function analyzeChecksum(options = {}) {
+  return runToEnd(analysisSteps(options));
+}
+
+/**
+ * Analyze one checksum algorithm without blocking the event loop
+ * Same result as analyzeChecksum; the analysis lets other work run every sliceMs.
+ * @param {object} options - Analysis options (see analyzeChecksum)
+ * @param {object} [schedule] - Scheduling options
+ * @param {number} [schedule.sliceMs=10] - Longest run between yields, in milliseconds
+ * @returns {Promise<object>} Detection report
+ */
+export async function analyzeChecksumAsync(options = {}, { sliceMs = 10 } = {}) {
+  return runInSlices(analysisSteps(options), sliceMs);
+}
+
+/**
+ * Analysis of one algorithm, yielding after each codeword
+ * @param {object} options - Analysis options (see analyzeChecksum)
+ * @returns {Generator<undefined, object>} Analysis; returns the detection report
+ */
+function* analysisSteps(options) {
+  const { algorithm, length } = options;
+  const samples = options.samples ?? DEFAULT_OPTIONS.samples;
+  const modulus = options.modulus ?? DEFAULT_OPTIONS.modulus;
+
+  if (!algorithm) {
+    throw new Error('Algorithm is required');
+  }
+  if (!Number.isInteger(length) || length < 1 || length > MAX_ANALYSIS_LENGTH) {
+    throw new Error(`Length must be an integer between 1 and ${MAX_ANALYSIS_LENGTH}`);
+  }
+  if (!Number.isInteger(samples) || samples < 1 || samples > MAX_ANALYSIS_SAMPLES) {
+    throw new Error(`Samples must be an integer between 1 and ${MAX_ANALYSIS_SAMPLES}`);
+  }
+
+  const info = getChecksumAlgorithm(algorithm, { modulus });
+  // Algorithms are case-insensitive, so 'a' and 'A' are the same character
+  const charset = [...new Set(parseCharset(options.charset).toUpperCase())].join('');
+  const outside = [...charset].filter(char => !info.alphabet.includes(char));
+  if (outside.length > 0) {
+    throw new Error(`Charset contains characters outside the ${info.label} input alphabet: ${outside.join('')}`);
+  }
+
+  const alphabets = [
+    ...new Array(length).fill(charset),
+    ...new Array(info.checkLength).fill(info.checkAlphabet)
+  ];
+  const exhaustive = charset.length ** length <= DEFAULT_OPTIONS.exhaustiveLimit;
+
+  const errors = {};
+  for (const errorClass of Object.keys(ERROR_FREQUENCIES)) {
+    errors[errorClass] = {
+      tested: 0,
+      detected: 0,
+      undetected: 0,
+      rate: null,
+      // Errors that leave the check characters untouched
+      withinPayload: { tested: 0, detected: 0, rate: null },
+      undetectedExample: null
+    };
+  }
+
+  let codewords = 0;
+  for (const payload of payloads(charset, length, exhaustive, samples)) {
+    const { value } = appendChecksum(payload, { algorithm, modulus });
+    codewords++;
+
+    enumerateErrors(value, alphabets, (errorClass, erroneous, lastPosition) => {
+      const stats = errors[errorClass];
+      const withinPayload = lastPosition < length;
+      stats.tested++;
+      if (withinPayload) {
+        stats.withinPayload.tested++;
+      }
+
+      let accepted;
+      try {
+        accepted = verifyChecksum(erroneous, { algorithm, modulus });
+      } catch (error) {
+        // A character the algorithm cannot read is rejected by validation
+        accepted = false;
+      }
+
+      if (accepted) {
+        stats.undetected++;
+        stats.undetectedExample = stats.undetectedExample || { original: value, erroneous };
+      } else {
+        stats.detected++;
+        if (withinPayload) {
+          stats.withinPayload.detected++;
+        }
+      }
+    });
+    yield;
+  }
+
+  let weight = 0;
+  let weightedRate = 0;
+  const findings = [];
+
+  for (const [errorClass, stats] of Object.entries(errors)) {
+    if (stats.tested === 0) {
+      continue;
+    }
+    stats.rate = stats.detected / stats.tested;
+    if (stats.withinPayload.tested > 0) {
+      stats.withinPayload.rate = stats.withinPayload.detected / stats.withinPayload.tested;
+    }
+    weight += ERROR_FREQUENCIES[errorClass];
+    weightedRate += ERROR_FREQUENCIES[errorClass] * stats.rate;
+
+    if (stats.rate === 0) {
+      findings.push(`Detects none of the ${ERROR_DESCRIPTIONS[errorClass]}`);
+    } else if (stats.rate === 1) {
+      findings.push(`Detects all ${ERROR_DESCRIPTIONS[errorClass]}`);
+    } else {
+      findings.push(`Misses ${(100 * (1 - stats.rate)).toFixed(2)}% of ${ERROR_DESCRIPTIONS[errorClass]}, e.g. ${stats.undetectedExample.original} → ${stats.undetectedExample.erroneous}`);
+    }
+    if (stats.withinPayload.rate === 0 && stats.rate > 0) {
+      findings.push(`Detects none of the ${ERROR_DESCRIPTIONS[errorClass]} within the payload; only those that alter a check character are caught`);
+    }
+  }
+
+  if (ALGORITHM_NOTES[info.name]) {
+    findings.push(ALGORITHM_NOTES[info.name]);
+  }
+
+  return {
+    algorithm: info.name,
+    label: info.label,
+    charset,
+    length,
+    checkLength: info.checkLength,
+    method: exhaustive ? 'exhaustive' : 'sampled',
+    codewords,
+    errors,
+    weightedDetectionRate: weight > 0 ? weightedRate / weight : null,
+    findings
+  };
+}
+
+/**
+ * Analyze every algorithm that accepts the charset, best first
+ * @param {object} options - Analysis options (as analyzeChecksum, without algorithm)
+ * @returns {object[]} Detection reports ordered by weighted detection rate
+ */
+export function compareChecksums(options = {}) {
+  return runToEnd(comparisonSteps(options));
+}
+
+/**
+ * Analyze every applicable algorithm without blocking the event loop
+ * @param {object} options - Analysis options (as analyzeChecksum, without algorithm)
+ * @param {object} [schedule] - Scheduling options (see analyzeChecksumAsync)
+ * @returns {Promise<object[]>} Detection reports ordered by weighted detection rate
+ */
+export async function compareChecksumsAsync(options = {}, { sliceMs = 10 } = {}) {
+  return runInSlices(comparisonSteps(options), sliceMs);
+}
+
+/**
+ * Comparison of every applicable algorithm, yielding after each codeword
+ * @param {object} options - Analysis options (as analyzeChecksum, without algorithm)
+ * @returns {Generator<undefined, object[]>} Comparison; returns the ranked reports
+ */
+function* comparisonSteps(options) {
+  const applicable = applicableAlgorithms(parseCharset(options.charset).toUpperCase());
+
+  if (applicable.length === 0) {
+    throw new Error('No checksum algorithm accepts this charset');
+  }
+
+  const reports = [];
+  for (const algorithm of applicable) {
+    reports.push(yield* analysisSteps({ ...options, algorithm }));
+  }
+  return reports.sort((a, b) => b.weightedDetectionRate - a.weightedDetectionRate);
+}
+
+export default {
+  analyzeChecksum,
+  analyzeChecksumAsync,
+  compareChecksums,
+  compareChecksumsAsync,
+  estimateAnalysisCost,
+  MAX_ANALYSIS_LENGTH,
+  MAX_ANALYSIS_SAMPLES,
+  MAX_REQUEST_ANALYSIS_COST
+};
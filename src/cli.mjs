@@ -5,8 +5,19 @@
  * Provides command-line interface for UIN generation and pool management
  */
 
-import { generateUin, validateUin } from './uinGenerator.mjs';
-import { getConfig } from './config.mjs';
+import fs from 'fs';
+import { generateUin, generateUinAsync, validateUin, createDeterministicSource } from './uinGenerator.mjs';
+import { getConfig, parseCharset } from './config.mjs';
+import { parseMrz } from './mrz.mjs';
+import { analyzeChecksum, compareChecksums } from './checksumAnalyzer.mjs';
+import { loadSecretsFromEnv } from './cryptoService.mjs';
+import { decomposeUin } from './template.mjs';
+import { getFormat, decomposeUinWithFormat } from './formatService.mjs';
+import { analyzeCapacity, optionsFromFormat } from './capacity.mjs';
+import { streamUins } from './uinStream.mjs';
+import { generateBatch, closeGenerationPool } from './workerPool.mjs';
+import { runBenchmark } from './benchmark.mjs';
+import { getModeRegistry, resolveMode, loadConfiguredModePlugins } from './modeRegistry.mjs';
 import {
   preGenerateUins,
   claimUin,
@@ -16,8 +27,12 @@ import {
   releaseStalePreassigned,
   getUin,
   getUinAudit,
-  getPoolStats
+  getPoolStats,
+  getIssuanceStats,
+  reverseFpeSerial
 } from './poolService.mjs';
+import { startSectorRekey, runSectorRekeyJob } from './sectorTokenService.mjs';
+import { loadSectors, getSectors, createSector, updateSector, deleteSector, importConfiguredSectors, checkSectorRegistry } from './sectorService.mjs';
 import { closeDb } from './db.mjs';
 
 /**
@@ -37,6 +52,25 @@ function parseArgs(args) {
     foundationalUin: null,
     sector: null,
     tokenLength: null,
+    keyVersion: null,
+    // Sector registry options
+    name: null,
+    description: null,
+    algorithm: null,
+    secretSource: null,
+    secretRef: null,
+    enabled: null,
+    mrz: [],
+    samples: null,
+    seed: null,
+    population: null,
+    windowDays: null,
+    format: null,
+    csv: false,
+    dedup: false,
+    fpRate: null,
+    out: null,
+    threads: null,
     json: false,
     validate: false,
     help: false,
@@ -49,7 +83,9 @@ function parseArgs(args) {
     actorRef: null,
     newStatus: null,
     reason: null,
-    olderThanMinutes: null
+    olderThanMinutes: null,
+    // Flags not listed above, by name (see buildGenerationOptions)
+    extra: {}
   };
 
   // Check for commands (pre-generate, pool-stats, claim, etc.)
@@ -102,6 +138,17 @@ function parseArgs(args) {
         i++;
         break;
 
+      case '--value': {
+        // name=value for a named template field
+        const separator = nextArg.indexOf('=');
+        if (separator < 1) {
+          throw new Error('--value expects name=value');
+        }
+        options.values[nextArg.slice(0, separator)] = nextArg.slice(separator + 1);
+        i++;
+        break;
+      }
+
       case '--region':
       case '-r':
         options.values.R = nextArg;
@@ -137,6 +184,95 @@ function parseArgs(args) {
         i++;
         break;
 
+      case '--name':
+        options.name = nextArg;
+        i++;
+        break;
+
+      case '--description':
+        options.description = nextArg;
+        i++;
+        break;
+
+      case '--algorithm':
+        options.algorithm = nextArg;
+        i++;
+        break;
+
+      case '--secret-source':
+        options.secretSource = nextArg;
+        i++;
+        break;
+
+      case '--secret-ref':
+        options.secretRef = nextArg;
+        i++;
+        break;
+
+      case '--enabled':
+        options.enabled = nextArg !== 'false';
+        i++;
+        break;
+
+      case '--key-version':
+        options.keyVersion = parseInt(nextArg);
+        i++;
+        break;
+
+      case '--mrz':
+        options.mrz.push(nextArg);
+        i++;
+        break;
+
+      case '--format':
+        options.format = nextArg;
+        i++;
+        break;
+
+      case '--samples':
+        options.samples = parseInt(nextArg);
+        i++;
+        break;
+
+      case '--seed':
+        options.seed = nextArg;
+        i++;
+        break;
+
+      case '--population':
+        options.population = Number(nextArg);
+        i++;
+        break;
+
+      case '--window-days':
+        options.windowDays = parseInt(nextArg);
+        i++;
+        break;
+
+      case '--csv':
+        options.csv = true;
+        break;
+
+      case '--dedup':
+        options.dedup = true;
+        break;
+
+      case '--fp-rate':
+        options.fpRate = Number(nextArg);
+        i++;
+        break;
+
+      case '--out':
+      case '-o':
+        options.out = nextArg;
+        i++;
+        break;
+
+      case '--threads':
+        options.threads = parseInt(nextArg);
+        i++;
+        break;
+
       case '--json':
       case '-j':
         options.json = true;
@@ -202,11 +338,16 @@ function parseArgs(args) {
           const [key, value] = arg.split('=');
           const cleanKey = key.replace(/^--/, '');
 
+          // Kept as given too: mode options (e.g. --issuing-country) are picked out once the mode is known
           if (value) {
             options.values[cleanKey.toUpperCase()] = value;
+            options.extra[cleanKey] = value;
           } else if (nextArg && !nextArg.startsWith('--')) {
             options.values[cleanKey.toUpperCase()] = nextArg;
+            options.extra[cleanKey] = nextArg;
             i++;
+          } else {
+            options.extra[cleanKey] = true;
           }
         }
         break;
@@ -237,15 +378,90 @@ COMMANDS:
   cleanup             Release stale preassigned UINs
   lookup              Look up a UIN
   audit               Show UIN audit history
+  mrz-parse           Parse and validate a scanned MRZ (with OCR correction)
+  uin-parse           Split a structured UIN into its components and check them
+  checksum-analyze    Report checksum error-detection rates (all algorithms unless --checksum is given)
+  capacity            Report keyspace, collision probability and years to exhaustion for a configuration
+  benchmark           Measure generation throughput per mode, on the main thread and in worker threads
+  stream              Stream --count UINs to stdout (or --out) as NDJSON or CSV, ending with a summary line
+  fpe-reverse         Recover the sequence serial of an fpe-mode UIN (requires UIN_FPE_KEY)
+  sectors             List the sector registry
+  sector-add          Register a sector (--sector, --name; token policy options below)
+  sector-update       Change a registered sector's policy
+  sector-remove       Delete a sector without registered tokens
+  sector-import       Register the sectors of UIN_SUPPORTED_SECTORS with the default policy
+  sector-check        Check that the registry, UIN_SUPPORTED_SECTORS and sector secrets agree
+  sector-rekey        Re-derive a sector's registered tokens under its newest secret version and
+                      retire the older versions (requires UIN_SECTOR_TOKEN_KEY)
 
 GENERATION OPTIONS:
-  --mode, -m <mode>              Generation mode (foundational, random, structured, sector_token)
+  --mode, -m <mode>              Generation mode (see MODES; default: foundational)
   --length, -l <number>          Length of UIN (default: 19)
   --charset, -c <charset>        Character set (numeric, alphanumeric, safe, or custom)
   --exclude-ambiguous            Exclude ambiguous characters (0, O, I, 1, l)
-  --checksum [algorithm]         Enable checksum (modN, iso7064, iso7064mod97)
+  --template, -t <template>      Template for structured mode, e.g. "{region:2:numeric}-{serial:5:random(0-9)}"
+  --value <name=value>           Value for a named template field (repeatable)
+  --checksum [algorithm]         Enable checksum (modN, iso7064, iso7064mod97, luhn, verhoeff, damm,
+                                 iso7064mod11-2, iso7064mod37-2, iso7064mod97-10, iso7064mod661-26,
+                                 iso7064mod1271-36, iso7064mod11-10, iso7064mod27-26, iso7064mod37-36)
+  --seed <seed>                  Reproducible test fixtures: draw from an HMAC-DRBG seeded with <seed>
+                                 instead of the CSPRNG (provenance 'deterministic-test'; never issue these)
+  --count <number>               Number of UINs to generate (default: 1)
   --json, -j                     Output in JSON format
 
+MODES (with their options; any mode option can be given as a flag, e.g. --issuing-country UTO):
+${describeModes()}
+
+MRZ OPTIONS:
+  --mrz <line>                   MRZ line (repeat once per line, or pass all lines in one string)
+
+UIN PARSE OPTIONS:
+  --uin <uin>                    UIN to decompose
+  --template <template>          Template it was built from (with --checksum if check characters follow)
+  --format <code>                Or: uin_formats entry holding the template, lookups and checksum
+  --value <name=value>           Expected component value, e.g. --value facility=043 (repeatable)
+
+CHECKSUM ANALYSIS OPTIONS:
+  --charset, --length            Payload charset and length (excluding check characters)
+  --samples <number>             Random payloads to test when the space is too large to enumerate (default: 1000)
+
+CAPACITY OPTIONS:
+  --mode, --length, --charset    Configuration to assess (or --template for structured mode)
+  --exclude-ambiguous, --checksum
+  --format <code>                Or: uin_formats entry to assess
+  --population <number>          Target population (required)
+  --scope <scope>                Pool scope whose issuance rate is used (default: all scopes)
+  --window-days <number>         Days of issuance used to estimate the rate (default: 365)
+
+STREAM OPTIONS:
+  --count <number>               Number of UINs (required; up to UIN_STREAM_MAX_COUNT, default 10,000,000)
+  --csv                          Write CSV (value,hash_rmd160,source) instead of NDJSON
+  --dedup                        Skip values already written in this stream (Bloom filter)
+  --fp-rate <rate>               Bloom filter false-positive rate, 1e-9 to 0.1 (default: 0.001)
+  --out, -o <file>               Write to a file instead of stdout
+
+BENCHMARK OPTIONS:
+  --mode <mode>                  Mode to benchmark: random, foundational or structured (default: all)
+  --count <number>               UINs per mode and engine (default: 10000)
+  --threads <number>             Worker threads (default: UIN_WORKER_THREADS, or CPU cores - 1)
+
+SECTOR REGISTRY OPTIONS:
+  --sector <code>                Sector code, e.g. health (required)
+  --name <name>                  Display name (required for sector-add)
+  --description <text>           Description
+  --token-length <number>        Token length, excluding check characters (default: 20)
+  --charset <charset>            Token charset (default: UIN_DEFAULT_CHARSET)
+  --algorithm <algorithm>        HMAC algorithm: sha256, sha384, sha512 (default: sha256)
+  --checksum <algorithm>         Append check characters (--checksum none removes them)
+  --format <code>                uin_formats entry tokens are displayed with, e.g. HEALTH_ID
+  --secret-source <source>       Where the secret is kept: env, vault or hsm (default: env)
+  --secret-ref <ref>             Environment variable, Vault path or HSM key label of the secret
+  --enabled <true|false>         Enable or disable the sector
+
+SECTOR REKEY OPTIONS:
+  --sector <sector>              Sector whose tokens are re-derived (required)
+  --key-version <number>         Expected newest secret version (refused if another version is newest)
+
 DATABASE OPTIONS:
   --count <number>               Number of UINs to pre-generate
   --scope <scope>                Scope/sector for generation or claim
@@ -262,6 +478,23 @@ EXAMPLES:
   # Generate a foundational UIN
   node cli.mjs --mode foundational --length 19 --json
 
+  # Generate a structured UIN from a named-field template
+  node cli.mjs --mode structured --template "{region:2:numeric}-{year:date(YYYY)}-{facility:3}-{serial:5:random(0-9)}" \\
+    --value region=07 --value facility=043
+
+  # Generate a passport MRZ
+  node cli.mjs --mode passport --issuing-country UTO --surname ERIKSSON --given-names "ANNA MARIA" \\
+    --birth-date 1974-08-12 --expiry-date 2032-04-15 --sex F
+
+  # Generate the same 100 test UINs on every run
+  node cli.mjs --mode foundational --seed qa-registry-fixtures --count 100
+
+  # Compare main-thread and 4-thread generation throughput
+  node cli.mjs benchmark --threads 4 --count 20000
+
+  # Stream 10 million unique UINs to a CSV file
+  node cli.mjs stream --mode foundational --count 10000000 --dedup --csv --out uins.csv
+
   # Pre-generate 10,000 UINs into pool
   node cli.mjs pre-generate --count 10000 --mode foundational --scope foundational
 
@@ -291,9 +524,105 @@ EXAMPLES:
 
   # Show audit history
   node cli.mjs audit --uin ABC123XYZ
+
+  # Parse a scanned passport MRZ
+  node cli.mjs mrz-parse --mrz "P<UTOERIKSSON<<ANNA<MARIA<<<<<<<<<<<<<<<<<<<" --mrz "L898902C36UTO7408122F1204159ZE184226B<<<<<10"
+
+  # Pre-generate sequence-backed UINs (FF1-encrypted serials) for the tax scope
+  UIN_FPE_KEY=<hex key> node cli.mjs pre-generate --count 1000 --mode fpe --scope tax --length 12
+
+  # Recover the serial of an fpe-mode UIN
+  UIN_FPE_KEY=<hex key> node cli.mjs fpe-reverse --uin 483920175264 --actor-system AUDIT --actor-ref CASE-42
+
+  # Register the health sector with 12-character tokens and a check digit, shown as HEALTH_ID
+  node cli.mjs sector-add --sector health --name Health --token-length 11 --charset numeric \
+    --checksum verhoeff --format HEALTH_ID
+
+  # Rotate the health sector secret: add version 2, then re-derive the registered tokens
+  SECTOR_SECRET_HEALTH_V2=<secret> UIN_SECTOR_TOKEN_KEY=<hex key> node cli.mjs sector-rekey --sector health --key-version 2
+
+  # Check that a UIN was issued by facility 043
+  node cli.mjs uin-parse --uin 07-2025-043-12345 --template "{region:2:numeric}-{year:date(YYYY)}-{facility:3}-{serial:5}" \\
+    --value facility=043
+
+  # Compare checksum algorithms for a 10-digit numeric format
+  node cli.mjs checksum-analyze --charset 0-9 --length 10
+
+  # Check whether 12 safe characters are enough for 60 million people
+  node cli.mjs capacity --mode foundational --length 12 --charset safe --checksum iso7064 --population 60000000
 `);
 }
 
+/**
+ * CLI flag of a mode option: documentType → --document-type
+ * @param {string} option - Option name
+ * @returns {string} Flag name without the leading dashes
+ */
+function optionFlag(option) {
+  return option.replace(/[A-Z]/g, letter => `-${letter.toLowerCase()}`);
+}
+
+/**
+ * Convert a flag value to a mode option's schema type
+ * @param {string} option - Option name
+ * @param {object} spec - Option schema entry
+ * @param {string|boolean} value - Flag value (true for a flag given without one)
+ * @returns {*} Option value
+ */
+function coerceOption(option, spec, value) {
+  const types = [].concat(spec.type);
+  if (value === true) {
+    if (types.includes('boolean')) {
+      return true;
+    }
+    throw new Error(`--${optionFlag(option)} expects a value`);
+  }
+  if (types.includes('integer') && /^-?\d+$/.test(value)) {
+    return parseInt(value);
+  }
+  if (types.includes('number') && value.trim() !== '' && Number.isFinite(Number(value))) {
+    return Number(value);
+  }
+  if (types.includes('boolean') && (value === 'true' || value === 'false')) {
+    return value === 'true';
+  }
+  if (types.includes('object') || types.includes('array')) {
+    try {
+      return JSON.parse(value);
+    } catch {
+      throw new Error(`--${optionFlag(option)} expects JSON`);
+    }
+  }
+  if (types.includes('string')) {
+    return value;
+  }
+  throw new Error(`--${optionFlag(option)} expects ${types.join(' or ')}`);
+}
+
+/**
+ * One help line per mode: its aliases and the options it takes as --kebab-case flags
+ * @returns {string} Help text
+ */
+function describeModes() {
+  return getModeRegistry().list().map((mode) => {
+    const name = mode.aliases.length > 0 ? `${mode.name} (${mode.aliases.join(', ')})` : mode.name;
+    const flags = Object.keys(mode.options).map(option => `--${optionFlag(option)}`);
+    if (mode.poolOnly) {
+      flags.unshift('[pre-generate only]');
+    }
+
+    // Flags wrapped into the description column, as in the rest of the help
+    const lines = [`  ${name.padEnd(31)}`];
+    for (const flag of flags) {
+      if (lines[lines.length - 1].length + flag.length > 100) {
+        lines.push(' '.repeat(33));
+      }
+      lines[lines.length - 1] += `${flag} `;
+    }
+    return lines.map(line => line.trimEnd()).join('\n');
+  }).join('\n');
+}
+
 /**
  * Build generation options from CLI args
  */
@@ -301,6 +630,22 @@ function buildGenerationOptions(cliOptions) {
   const options = {
     mode: cliOptions.mode || 'foundational'
   };
+  const values = { ...cliOptions.values };
+
+  // Options of the mode's schema given as --kebab-case flags, e.g. --issuing-country for mrz
+  const definition = resolveMode(options.mode);
+  if (definition) {
+    for (const [option, spec] of Object.entries(definition.options)) {
+      const flag = optionFlag(option);
+      if (Object.hasOwn(cliOptions.extra, flag)) {
+        options[option] = coerceOption(option, spec, cliOptions.extra[flag]);
+        delete values[flag.toUpperCase()];
+      }
+    }
+    if (cliOptions.format && definition.options.format) {
+      options.format = cliOptions.format;
+    }
+  }
 
   if (cliOptions.length !== null) {
     options.length = cliOptions.length;
@@ -325,8 +670,12 @@ function buildGenerationOptions(cliOptions) {
     options.template = cliOptions.template;
   }
 
-  if (Object.keys(cliOptions.values).length > 0) {
-    options.values = cliOptions.values;
+  if (cliOptions.seed !== null) {
+    options.seed = cliOptions.seed;
+  }
+
+  if (Object.keys(values).length > 0) {
+    options.values = values;
   }
 
   if (cliOptions.foundationalUin) {
@@ -351,6 +700,7 @@ async function main() {
   try {
     const args = process.argv.slice(2);
     const cliOptions = parseArgs(args);
+    await loadConfiguredModePlugins();
 
     if (cliOptions.help || args.length === 0) {
       printHelp();
@@ -397,6 +747,59 @@ async function main() {
         await handleAudit(cliOptions);
         break;
 
+      case 'mrz-parse':
+        await handleMrzParse(cliOptions);
+        break;
+
+      case 'uin-parse':
+        await handleUinParse(cliOptions);
+        break;
+
+      case 'checksum-analyze':
+        await handleChecksumAnalyze(cliOptions);
+        break;
+
+      case 'fpe-reverse':
+        await handleFpeReverse(cliOptions);
+        break;
+
+      case 'sectors':
+        await handleSectors(cliOptions);
+        break;
+
+      case 'sector-add':
+      case 'sector-update':
+        await handleSectorSave(cliOptions);
+        break;
+
+      case 'sector-remove':
+        await handleSectorRemove(cliOptions);
+        break;
+
+      case 'sector-import':
+        await handleSectorImport(cliOptions);
+        break;
+
+      case 'sector-check':
+        await handleSectorCheck(cliOptions);
+        break;
+
+      case 'sector-rekey':
+        await handleSectorRekey(cliOptions);
+        break;
+
+      case 'capacity':
+        await handleCapacity(cliOptions);
+        break;
+
+      case 'stream':
+        await handleStream(cliOptions);
+        break;
+
+      case 'benchmark':
+        await handleBenchmark(cliOptions);
+        break;
+
       default:
         // Default: generate a single UIN
         if (cliOptions.validate) {
@@ -407,9 +810,11 @@ async function main() {
         break;
     }
 
+    await closeGenerationPool();
     await closeDb();
   } catch (error) {
     console.error(`Error: ${error.message}`);
+    await closeGenerationPool();
     await closeDb();
     process.exit(1);
   }
@@ -419,13 +824,36 @@ async function main() {
  * Handle single UIN generation
  */
 async function handleGenerate(cliOptions) {
-  const generationOptions = buildGenerationOptions(cliOptions);
-  const result = generateUin(generationOptions);
+  const { seed, ...generationOptions } = buildGenerationOptions(cliOptions);
+  const count = cliOptions.count || 1;
+
+  // Sector tokens follow the sector registry's policy when the database is reachable
+  if (resolveMode(generationOptions.mode)?.name === 'sector_token') {
+    try {
+      await loadSectors();
+    } catch (error) {
+      console.warn(`[Sectors] Sector registry not loaded (${error.message}): using defaults`);
+    }
+  }
+
+  let results;
+  if (seed !== undefined) {
+    // Seeded UINs share one DRBG stream, giving the same set as POST /batch with the same seed
+    const source = createDeterministicSource(seed);
+    results = [];
+    for (let i = 0; i < count; i++) {
+      results.push(await generateUinAsync(generationOptions, source));
+    }
+  } else if (count > 1) {
+    results = await generateBatch(generationOptions, count);
+  } else {
+    results = [generateUin(generationOptions)];
+  }
 
   if (cliOptions.json) {
-    console.log(JSON.stringify(result, null, 2));
+    console.log(JSON.stringify(count === 1 ? results[0] : results, null, 2));
   } else {
-    console.log(result.value);
+    results.forEach(result => console.log(result.value));
   }
 }
 
@@ -442,8 +870,7 @@ async function handleValidate(cliOptions) {
     ? {
         checksum: {
           enabled: true,
-          algorithm: cliOptions.checksumAlgorithm || 'iso7064',
-          length: cliOptions.checksumAlgorithm === 'iso7064mod97' ? 2 : 1
+          algorithm: cliOptions.checksumAlgorithm || 'iso7064'
         }
       }
     : {};
@@ -476,6 +903,10 @@ async function handlePreGenerate(cliOptions) {
     process.exit(1);
   }
 
+  if (cliOptions.mode === 'fpe') {
+    loadSecretsFromEnv();
+  }
+
   const generationOptions = buildGenerationOptions(cliOptions);
   const scope = cliOptions.scope || cliOptions.mode;
 
@@ -511,6 +942,17 @@ async function handlePoolStats(cliOptions) {
     console.log(`  Assigned: ${stats.assigned}`);
     console.log(`  Retired: ${stats.retired}`);
     console.log(`  Revoked: ${stats.revoked}`);
+
+    if (stats.sequences.counters > 0) {
+      console.log('\nSequence Counters:');
+      console.log(`  Counters: ${stats.sequences.counters}`);
+      console.log(`  Wrapped: ${stats.sequences.wrapped}`);
+      console.log(`  Exhausted: ${stats.sequences.exhausted}`);
+      for (const counter of stats.sequences.exhaustedCounters) {
+        const key = Object.entries(counter.key).map(([name, value]) => `${name}=${value}`).join(', ');
+        console.log(`    ✗ ${counter.scope}/${counter.field}${key ? ` (${key})` : ''} reached ${counter.maxValue}`);
+      }
+    }
   }
 }
 
@@ -704,5 +1146,479 @@ async function handleAudit(cliOptions) {
   }
 }
 
+/**
+ * Handle FPE serial recovery
+ */
+async function handleFpeReverse(cliOptions) {
+  if (!cliOptions.foundationalUin) {
+    console.error('Error: --uin is required for fpe-reverse');
+    process.exit(1);
+  }
+
+  if (!cliOptions.actorRef) {
+    console.error('Error: --actor-ref is required for fpe-reverse (case reference for the audit trail)');
+    process.exit(1);
+  }
+
+  loadSecretsFromEnv();
+
+  const result = await reverseFpeSerial({
+    uin: cliOptions.foundationalUin,
+    actorSystem: cliOptions.actorSystem || 'CLI',
+    actorRef: cliOptions.actorRef
+  });
+
+  if (!result) {
+    console.error(`UIN not found: ${cliOptions.foundationalUin}`);
+    process.exit(1);
+  }
+
+  if (cliOptions.json) {
+    console.log(JSON.stringify(result, null, 2));
+  } else {
+    console.log(`\nUIN: ${result.uin}`);
+    console.log(`Scope: ${result.scope}`);
+    console.log(`Serial: ${result.serial}`);
+  }
+}
+
+/**
+ * Sector fields given on the command line
+ * @param {object} cliOptions - Parsed options
+ * @returns {object} Sector fields (snake_case), only those given
+ */
+function sectorFields(cliOptions) {
+  const fields = {
+    name: cliOptions.name,
+    description: cliOptions.description,
+    token_length: cliOptions.tokenLength,
+    charset: cliOptions.charset,
+    algorithm: cliOptions.algorithm,
+    format_code: cliOptions.format,
+    secret_source: cliOptions.secretSource,
+    secret_ref: cliOptions.secretRef,
+    enabled: cliOptions.enabled
+  };
+  const given = Object.fromEntries(Object.entries(fields).filter(([, value]) => value !== null && value !== undefined));
+
+  if (cliOptions.checksum) {
+    given.checksum_algorithm = cliOptions.checksumAlgorithm === 'none' ? null : cliOptions.checksumAlgorithm;
+  }
+  return given;
+}
+
+/**
+ * Print a sector
+ */
+function printSector(sector) {
+  const checksum = sector.checksum_algorithm ? ` + ${sector.checksum_algorithm}` : '';
+  console.log(`${sector.code}${sector.enabled ? '' : ' (disabled)'}: ${sector.name}`);
+  console.log(`  Tokens: ${sector.token_length} chars${checksum}, ${sector.algorithm}, charset ${sector.charset || '(default)'}`);
+  console.log(`  Format: ${sector.format_code || '(none)'}`);
+  console.log(`  Secret: ${sector.secret_source}${sector.secret_ref ? ` ${sector.secret_ref}` : ''}`);
+}
+
+/**
+ * Handle sector listing
+ */
+async function handleSectors(cliOptions) {
+  const sectors = await getSectors();
+
+  if (cliOptions.json) {
+    console.log(JSON.stringify(sectors, null, 2));
+  } else if (sectors.length === 0) {
+    console.log('Sector registry is empty: UIN_SUPPORTED_SECTORS applies (see sector-import)');
+  } else {
+    sectors.forEach(printSector);
+  }
+}
+
+/**
+ * Handle sector-add and sector-update
+ */
+async function handleSectorSave(cliOptions) {
+  if (!cliOptions.sector) {
+    console.error(`Error: --sector is required for ${cliOptions.command}`);
+    process.exit(1);
+  }
+
+  const fields = sectorFields(cliOptions);
+  const sector = cliOptions.command === 'sector-add'
+    ? await createSector({ code: cliOptions.sector, ...fields, created_by: cliOptions.actorSystem || 'CLI' })
+    : await updateSector(cliOptions.sector, fields);
+
+  if (!sector) {
+    console.error(`Sector not found: ${cliOptions.sector}`);
+    process.exit(1);
+  }
+
+  if (cliOptions.json) {
+    console.log(JSON.stringify(sector, null, 2));
+  } else {
+    console.log(`✓ Sector ${cliOptions.command === 'sector-add' ? 'registered' : 'updated'}:`);
+    printSector(sector);
+  }
+}
+
+/**
+ * Handle sector removal
+ */
+async function handleSectorRemove(cliOptions) {
+  if (!cliOptions.sector) {
+    console.error('Error: --sector is required for sector-remove');
+    process.exit(1);
+  }
+
+  if (!(await deleteSector(cliOptions.sector))) {
+    console.error(`Sector not found: ${cliOptions.sector}`);
+    process.exit(1);
+  }
+  console.log(`✓ Sector ${cliOptions.sector} removed`);
+}
+
+/**
+ * Handle sector import from UIN_SUPPORTED_SECTORS
+ */
+async function handleSectorImport(cliOptions) {
+  const created = await importConfiguredSectors(cliOptions.actorSystem || 'CLI');
+
+  if (cliOptions.json) {
+    console.log(JSON.stringify({ created }, null, 2));
+  } else {
+    console.log(`✓ ${created.length} sector(s) registered${created.length > 0 ? `: ${created.join(', ')}` : ''}`);
+  }
+}
+
+/**
+ * Handle sector consistency check
+ */
+async function handleSectorCheck(cliOptions) {
+  loadSecretsFromEnv();
+  const result = await checkSectorRegistry();
+
+  if (cliOptions.json) {
+    console.log(JSON.stringify(result, null, 2));
+  } else if (result.sectors === 0) {
+    console.log('Sector registry is empty: UIN_SUPPORTED_SECTORS applies (see sector-import)');
+  } else if (result.problems.length === 0) {
+    console.log(`✓ ${result.sectors} sector(s) consistent with the configured secrets`);
+  } else {
+    result.problems.forEach(({ sector, problem }) => console.log(`✗ ${sector}: ${problem}`));
+  }
+
+  if (result.problems.length > 0) {
+    process.exit(1);
+  }
+}
+
+/**
+ * Handle sector rekey
+ * Runs the job in the foreground, reporting progress after each batch
+ */
+async function handleSectorRekey(cliOptions) {
+  if (!cliOptions.sector) {
+    console.error('Error: --sector is required for sector-rekey');
+    process.exit(1);
+  }
+
+  loadSecretsFromEnv();
+
+  const job = await startSectorRekey({
+    sector: cliOptions.sector,
+    targetVersion: cliOptions.keyVersion || undefined,
+    requestedBy: cliOptions.actorSystem || 'CLI'
+  });
+
+  if (!cliOptions.json) {
+    console.log(`Rekey job ${job.id}: ${job.total} ${job.sector} token(s) to re-derive under v${job.targetVersion}`);
+  }
+
+  const result = await runSectorRekeyJob(job.id, {
+    onProgress: cliOptions.json ? undefined : (progress) => {
+      console.log(`  ${progress.processed + progress.failed}/${progress.total} (${progress.failed} failed)`);
+    }
+  });
+
+  if (cliOptions.json) {
+    console.log(JSON.stringify(result, null, 2));
+  } else if (result.status === 'COMPLETED') {
+    console.log(`✓ Rekey complete: ${result.processed} token(s) re-derived`);
+    console.log(`  Retired versions: ${result.retiredVersions.length > 0 ? result.retiredVersions.map(v => `v${v}`).join(', ') : 'none'}`);
+  } else {
+    console.error(`✗ Rekey ${result.status.toLowerCase()}: ${result.error}`);
+    process.exit(1);
+  }
+}
+
+/**
+ * Handle MRZ parsing
+ */
+async function handleMrzParse(cliOptions) {
+  if (cliOptions.mrz.length === 0) {
+    console.error('Error: --mrz is required for mrz-parse');
+    process.exit(1);
+  }
+
+  const result = parseMrz(cliOptions.mrz.join('\n'));
+
+  if (cliOptions.json) {
+    console.log(JSON.stringify(result, null, 2));
+    return;
+  }
+
+  const { fields } = result;
+  console.log(`\nFormat: ${result.format}`);
+  console.log(`Document: ${fields.documentType} ${fields.documentNumber} (${fields.issuingCountry})`);
+  console.log(`Name: ${fields.surname}, ${fields.givenNames}`);
+  console.log(`Born: ${fields.birthDate}  Sex: ${fields.sex}  Expires: ${fields.expiryDate}  Nationality: ${fields.nationality}`);
+  console.log('\nCheck digits:');
+  for (const [field, check] of Object.entries(result.checkDigits)) {
+    console.log(`  ${check.valid ? '✓' : '✗'} ${field}: ${check.checkDigit} (expected ${check.expected ?? 'n/a'})`);
+  }
+  result.warnings.forEach(warning => console.log(`  ⚠ ${warning}`));
+
+  if (result.corrected) {
+    console.log(`\nSuggested correction (${result.corrected.valid ? 'all checks pass' : 'partial'}):`);
+    result.corrected.lines.forEach(line => console.log(`  ${line}`));
+    result.corrected.changes.forEach(change => {
+      console.log(`  line ${change.line + 1}, position ${change.position + 1}: ${change.from} → ${change.to}`);
+    });
+  } else if (result.suggestions.length > 0) {
+    console.log('\nAmbiguous corrections:');
+    result.suggestions.forEach(suggestion => {
+      console.log(`  ${suggestion.field}: ${suggestion.candidates.map(c => c.value).join(', ') || 'none found'}`);
+    });
+  }
+
+  if (!result.valid) {
+    process.exit(1);
+  }
+}
+
+/**
+ * Handle structured UIN decomposition
+ */
+async function handleUinParse(cliOptions) {
+  if (!cliOptions.foundationalUin) {
+    console.error('Error: --uin is required for uin-parse');
+    process.exit(1);
+  }
+
+  if (!cliOptions.template && !cliOptions.format) {
+    console.error('Error: --template or --format is required for uin-parse');
+    process.exit(1);
+  }
+
+  const options = {
+    expected: cliOptions.values,
+    defaultCharset: parseCharset(cliOptions.charset || getConfig().defaultCharset)
+  };
+
+  const result = cliOptions.template
+    ? decomposeUin(cliOptions.foundationalUin, cliOptions.template, {
+        ...options,
+        checksum: cliOptions.checksum ? { enabled: true, algorithm: cliOptions.checksumAlgorithm || 'iso7064' } : null
+      })
+    : await decomposeUinWithFormat(cliOptions.foundationalUin, cliOptions.format, options);
+
+  if (cliOptions.json) {
+    console.log(JSON.stringify(result, null, 2));
+  } else {
+    console.log(`\nUIN: ${result.uin}`);
+    result.fields.forEach(field => {
+      const label = field.label ? ` (${field.label})` : '';
+      console.log(`  ${field.valid ? '✓' : '✗'} ${field.name}: ${field.value}${label}`);
+    });
+    if (result.checksum) {
+      console.log(`  ${result.checksum.valid ? '✓' : '✗'} checksum: ${result.checksum.value} (${result.checksum.algorithm})`);
+    }
+    result.errors.forEach(error => console.log(`  ⚠ ${error}`));
+  }
+
+  if (!result.valid) {
+    process.exit(1);
+  }
+}
+
+/**
+ * Handle checksum error-detection analysis
+ */
+async function handleChecksumAnalyze(cliOptions) {
+  const options = {
+    charset: cliOptions.charset || 'numeric',
+    length: cliOptions.length ?? 10
+  };
+  if (cliOptions.samples !== null) {
+    options.samples = cliOptions.samples;
+  }
+
+  const reports = cliOptions.checksum
+    ? [analyzeChecksum({ ...options, algorithm: cliOptions.checksumAlgorithm })]
+    : compareChecksums(options);
+
+  if (cliOptions.json) {
+    console.log(JSON.stringify(cliOptions.checksum ? reports[0] : reports, null, 2));
+    return;
+  }
+
+  const percent = (rate) => (rate === null ? 'n/a' : `${(100 * rate).toFixed(2)}%`).padStart(9);
+  const { charset, length, method, codewords } = reports[0];
+
+  console.log(`\nCharset: ${charset}  Payload length: ${length}  (${method}, ${codewords} code words)`);
+  console.log('Detection rates (all errors / errors within the payload):\n');
+  console.log(`${'Algorithm'.padEnd(20)}${'Substitution'.padStart(21)}${'Adjacent'.padStart(21)}${'Jump'.padStart(21)}${'Twin'.padStart(21)}${'Phonetic'.padStart(21)}${'Weighted'.padStart(10)}`);
+  for (const report of reports) {
+    const columns = Object.values(report.errors)
+      .map(stats => `${percent(stats.rate)} / ${percent(stats.withinPayload.rate)}`.padStart(21))
+      .join('');
+    console.log(`${report.algorithm.padEnd(20)}${columns}${percent(report.weightedDetectionRate).padStart(10)}`);
+  }
+
+  for (const report of reports) {
+    console.log(`\n${report.label} (${report.algorithm}):`);
+    report.findings.forEach(finding => console.log(`  - ${finding}`));
+  }
+}
+
+/**
+ * Handle namespace capacity report
+ */
+async function handleCapacity(cliOptions) {
+  if (!cliOptions.population) {
+    console.error('Error: --population is required for capacity');
+    process.exit(1);
+  }
+
+  let options = buildGenerationOptions(cliOptions);
+  if (cliOptions.format) {
+    const format = await getFormat(cliOptions.format);
+    if (!format) {
+      console.error(`Error: Format '${cliOptions.format}' not found`);
+      process.exit(1);
+    }
+    options = optionsFromFormat(format, {
+      mode: cliOptions.mode,
+      length: cliOptions.length,
+      charset: cliOptions.charset,
+      excludeAmbiguous: cliOptions.excludeAmbiguous,
+      checksum: options.checksum
+    });
+  }
+
+  let issuance = null;
+  try {
+    issuance = await getIssuanceStats({ scope: cliOptions.scope || null, windowDays: cliOptions.windowDays || 365 });
+  } catch (error) {
+    console.error(`Warning: issuance rate unavailable (${error.message})`);
+  }
+
+  const report = analyzeCapacity(options, { population: cliOptions.population, issuance });
+
+  if (cliOptions.json) {
+    console.log(JSON.stringify(report, null, 2));
+    return;
+  }
+
+  const number = (value) => {
+    if (value === null || value === undefined) return 'n/a';
+    return value > 0 && value < 1 ? value.toPrecision(2) : value.toLocaleString('en-US', { maximumFractionDigits: 2 });
+  };
+  const probability = (value) => (value > 0 && value < 1e-4 ? value.toExponential(2) : `${(value * 100).toFixed(2)}%`);
+
+  console.log(`\nCapacity (${report.mode}):`);
+  if (report.charset) {
+    console.log(`  Charset: ${report.charsetSize} characters${report.excludeAmbiguous ? ' (ambiguous excluded)' : ''}`);
+  }
+  console.log(`  Length: ${report.payloadLength} + ${report.checksum.checkLength} check character(s) = ${report.totalLength}`);
+  console.log(`  Keyspace: ${BigInt(report.keyspace).toLocaleString('en-US')} (${report.entropyBits.toFixed(1)} bits)`);
+  console.log(`  Population: ${number(report.population)}`);
+  if (report.collisionFree) {
+    console.log('  Collisions: none (collision-free by construction)');
+  } else {
+    console.log(`  Collision probability: ${probability(report.collisionProbability)}`);
+    console.log(`  Expected pre-generation retries: ${number(report.expectedRetries)}`);
+    console.log(`  Retry rate at population: ${probability(report.retryRateAtPopulation)}`);
+  }
+
+  if (report.exhaustion) {
+    const { exhaustion } = report;
+    console.log(`\nIssuance (last ${exhaustion.windowDays} days):`);
+    console.log(`  Issued: ${number(exhaustion.issued)} (${number(exhaustion.issuedInWindow)} in window, ${number(exhaustion.ratePerYear)} per year)`);
+    console.log(`  Years to exhaustion: ${number(exhaustion.years)}`);
+    if (exhaustion.retryThreshold !== null) {
+      console.log(`  Years until ${probability(exhaustion.retryThreshold)} of candidates collide: ${number(exhaustion.yearsToRetryThreshold)}`);
+    }
+  }
+
+  report.warnings.forEach(warning => console.log(`  ⚠ ${warning}`));
+}
+
+/**
+ * Handle streaming generation
+ */
+async function handleStream(cliOptions) {
+  if (!cliOptions.count) {
+    console.error('Error: --count is required for stream');
+    process.exit(1);
+  }
+
+  const output = cliOptions.out ? fs.createWriteStream(cliOptions.out) : process.stdout;
+  // A closed pipe (e.g. '| head') ends the stream instead of crashing the CLI.
+  // end() rather than destroy(): stdout ignores destroy() and would keep accepting writes
+  output.on('error', () => output.end());
+
+  const summary = await streamUins(output, {
+    count: cliOptions.count,
+    options: buildGenerationOptions(cliOptions),
+    format: cliOptions.csv ? 'csv' : 'ndjson',
+    dedup: cliOptions.dedup,
+    falsePositiveRate: cliOptions.fpRate || undefined
+  });
+
+  if (cliOptions.out && !summary.aborted) {
+    await new Promise((resolve, reject) => output.end(error => (error ? reject(error) : resolve())));
+  }
+
+  // The summary goes to stderr so it never mixes with streamed records on stdout
+  const rate = summary.elapsedMs > 0 ? Math.round(summary.generated / summary.elapsedMs * 1000) : summary.generated;
+  console.error(`Streamed ${summary.generated.toLocaleString('en-US')} of ${summary.requested.toLocaleString('en-US')} UINs in ${(summary.elapsedMs / 1000).toFixed(1)}s (${rate.toLocaleString('en-US')}/s)`);
+  if (summary.dedup) {
+    console.error(`  Duplicates skipped: ${summary.duplicatesSkipped}`);
+  }
+  console.error(`  sha256: ${summary.digest.value}`);
+
+  if (summary.aborted) {
+    console.error('Error: output closed before the stream completed');
+    process.exit(1);
+  }
+  if (summary.error) {
+    console.error(`Error: ${summary.error}`);
+    process.exit(1);
+  }
+}
+
+/**
+ * Handle generation benchmark
+ */
+async function handleBenchmark(cliOptions) {
+  const rows = await runBenchmark({
+    modes: cliOptions.mode ? [cliOptions.mode] : undefined,
+    count: cliOptions.count || 10000,
+    threads: cliOptions.threads !== null ? cliOptions.threads : undefined
+  });
+
+  if (cliOptions.json) {
+    console.log(JSON.stringify(rows, null, 2));
+    return;
+  }
+
+  console.log(`\nGeneration throughput (${rows[0].count.toLocaleString('en-US')} UINs per run):`);
+  for (const row of rows) {
+    const engine = row.engine === 'main' ? 'main thread' : `${row.threads} worker(s)`;
+    const speedup = row.speedup !== undefined ? `  x${row.speedup.toFixed(2)}` : '';
+    console.log(`  ${row.mode.padEnd(13)} ${engine.padEnd(12)} ${row.perSecond.toLocaleString('en-US').padStart(9)} UINs/s  (${row.elapsedMs} ms)${speedup}`);
+  }
+}
+
 // Run CLI
 main();
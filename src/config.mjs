@@ -3,6 +3,8 @@
  * Loads configuration from environment variables with sensible defaults
  */
 
+import os from 'os';
+
 /**
  * Default character sets
  */
@@ -96,6 +98,9 @@ const DEFAULT_CONFIG = {
     'government'
   ],
 
+  // Modes whose candidates are checked against the generation blocklist
+  blocklistModes: ['random', 'foundational'],
+
   // Server configuration
   serverPort: 19020,
   serverHost: '0.0.0.0',
@@ -108,19 +113,35 @@ const DEFAULT_CONFIG = {
   logLevel: 'info'
 };
 
+/**
+ * Name of a sector secret in the secrets map, from its environment variable
+ * SECTOR_SECRET_HEALTH is version 1 ('health'), SECTOR_SECRET_HEALTH_V2 is 'health@v2'
+ * @param {string} key - Environment variable name
+ * @returns {string|null} Secret name, or null if the variable is not a sector secret
+ */
+export function sectorSecretName(key) {
+  const prefix = 'SECTOR_SECRET_';
+  if (!key.startsWith(prefix)) {
+    return null;
+  }
+
+  const name = key.substring(prefix.length).toLowerCase();
+  const versioned = name.match(/^(.+)_v([1-9][0-9]*)$/);
+  return versioned ? `${versioned[1]}@v${versioned[2]}` : name;
+}
+
 /**
  * Load sector secrets from environment
- * Format: SECTOR_SECRET_<SECTOR_NAME>=<secret>
- * @returns {object} Map of sector to secret
+ * Format: SECTOR_SECRET_<SECTOR_NAME>[_V<version>]=<secret>
+ * @returns {object} Map of sector secret name ('health', 'health@v2') to secret
  */
 function loadSectorSecrets() {
   const secrets = {};
-  const prefix = 'SECTOR_SECRET_';
 
   for (const key in process.env) {
-    if (key.startsWith(prefix)) {
-      const sector = key.substring(prefix.length).toLowerCase();
-      secrets[sector] = process.env[key];
+    const name = sectorSecretName(key);
+    if (name) {
+      secrets[name] = process.env[key];
     }
   }
 
@@ -135,6 +156,46 @@ function loadSectorSecrets() {
   return secrets;
 }
 
+/**
+ * Load non-empty environment variables sharing a prefix
+ * Format: <prefix><NAME>=<value>, e.g. UIN_SUGGEST_KEY_CALLCENTRE
+ * No dev defaults: API-key protected endpoints stay disabled until keys are configured
+ * @param {string} prefix - Environment variable prefix
+ * @returns {object} Map of upper-cased name to value
+ */
+function loadPrefixed(prefix) {
+  const keys = {};
+
+  for (const key in process.env) {
+    if (key.startsWith(prefix) && process.env[key]) {
+      keys[key.substring(prefix.length).toUpperCase()] = process.env[key];
+    }
+  }
+
+  return keys;
+}
+
+/**
+ * Parse the sector token translation policy
+ * Format: comma-separated source>target pairs, '*' as target allowing every sector,
+ * e.g. "health>tax,health>finance,police>*". No pairs: every translation is denied.
+ * @param {string} [spec] - Policy
+ * @returns {object} Map of source sector to the target sectors it may translate to
+ */
+export function parseTranslationPolicy(spec) {
+  const policy = {};
+
+  for (const pair of (spec || '').split(',').map(s => s.trim()).filter(Boolean)) {
+    const [source, target] = pair.split('>').map(s => s && s.trim().toLowerCase());
+    if (!source || !target || pair.split('>').length !== 2) {
+      throw new Error(`Invalid translation policy entry '${pair}' (use source>target)`);
+    }
+    policy[source] = [...(policy[source] || []), target];
+  }
+
+  return policy;
+}
+
 /**
  * Load configuration from environment
  * @returns {object} Configuration object
@@ -162,6 +223,70 @@ export function loadConfig() {
     // Security
     enableCors: process.env.UIN_ENABLE_CORS !== 'false',
     corsOrigin: process.env.UIN_CORS_ORIGIN || DEFAULT_CONFIG.corsOrigin,
+    // Seeded (reproducible, predictable) generation for test fixtures; never enable in production
+    allowDeterministic: process.env.UIN_ALLOW_DETERMINISTIC === 'true',
+
+    // Typo recovery (POST /uin/suggest)
+    suggest: {
+      apiKeys: loadPrefixed('UIN_SUGGEST_KEY_'),
+      maxLookups: parseInt(process.env.UIN_SUGGEST_MAX_LOOKUPS || '20'),
+      rateLimit: parseInt(process.env.UIN_SUGGEST_RATE_LIMIT || '10')
+    },
+
+    // FPE serial reversal (POST /uin/fpe/reverse)
+    fpe: {
+      reverseApiKeys: loadPrefixed('UIN_FPE_REVERSE_KEY_')
+    },
+
+    // Sector registry changes (POST /sectors, PUT and DELETE /sectors/:code)
+    sectors: {
+      adminApiKeys: loadPrefixed('UIN_SECTOR_ADMIN_KEY_')
+    },
+
+    // Sector token revocation, resolution, translation and secret rotation
+    // (POST /sector-tokens/revoke, /sector-tokens/resolve, /sector-tokens/translate, /sector-secrets/rekey)
+    sectorTokens: {
+      revokeApiKeys: loadPrefixed('UIN_SECTOR_TOKEN_REVOKE_KEY_'),
+      resolveApiKeys: loadPrefixed('UIN_SECTOR_TOKEN_RESOLVE_KEY_'),
+      rekeyApiKeys: loadPrefixed('UIN_SECTOR_REKEY_KEY_'),
+      translateApiKeys: loadPrefixed('UIN_SECTOR_TOKEN_TRANSLATE_KEY_'),
+      translationPolicy: parseTranslationPolicy(process.env.UIN_SECTOR_TOKEN_TRANSLATE_POLICY)
+    },
+
+    // Generation blocklist (see blocklist.mjs)
+    blocklist: {
+      enabled: process.env.UIN_BLOCKLIST_ENABLED !== 'false',
+      modes: process.env.UIN_BLOCKLIST_MODES
+        ? process.env.UIN_BLOCKLIST_MODES.split(',').map(s => s.trim().toLowerCase())
+        : DEFAULT_CONFIG.blocklistModes,
+      wordlists: process.env.UIN_BLOCKLIST_WORDLISTS
+        ? process.env.UIN_BLOCKLIST_WORDLISTS.split(',').map(s => s.trim()).filter(Boolean)
+        : [],
+      maxRun: parseInt(process.env.UIN_BLOCKLIST_MAX_RUN || '4'),
+      maxSequence: parseInt(process.env.UIN_BLOCKLIST_MAX_SEQUENCE || '4'),
+      maxAttempts: parseInt(process.env.UIN_BLOCKLIST_MAX_ATTEMPTS || '100'),
+      // Format: UIN_BLOCKLIST_RESERVED_<SCHEME>=<regular expression>
+      reservedPatterns: loadPrefixed('UIN_BLOCKLIST_RESERVED_')
+    },
+
+    // Worker-thread generation pool (see workerPool.mjs); 0 threads generates on the main thread
+    workers: {
+      threads: process.env.UIN_WORKER_THREADS !== undefined
+        ? parseInt(process.env.UIN_WORKER_THREADS)
+        : Math.max(1, os.availableParallelism() - 1),
+      // Smaller batches are generated inline: handing them to a worker costs more than it saves
+      minBatch: parseInt(process.env.UIN_WORKER_MIN_BATCH || '64'),
+      chunkSize: parseInt(process.env.UIN_WORKER_CHUNK_SIZE || '256')
+    },
+
+    // Directory of generation-mode plugins loaded at startup (see modeRegistry.mjs)
+    modePluginDir: process.env.UIN_MODE_PLUGIN_DIR || null,
+
+    // Streaming bulk generation (POST /batch/stream, cli stream)
+    stream: {
+      maxCount: parseInt(process.env.UIN_STREAM_MAX_COUNT || '10000000'),
+      dedupFalsePositiveRate: parseFloat(process.env.UIN_STREAM_DEDUP_FP_RATE || '0.001')
+    },
 
     // Logging
     logLevel: process.env.LOG_LEVEL || process.env.UIN_LOG_LEVEL || DEFAULT_CONFIG.logLevel,
@@ -232,6 +357,8 @@ export default {
   validateConfig,
   resetConfig,
   parseCharset,
+  parseTranslationPolicy,
+  sectorSecretName,
   excludeAmbiguous,
   CHARSETS
 };
@@ -7,6 +7,10 @@
 import crypto from 'crypto';
 import { getHsmClient, isHsmEnabled } from './hsm.mjs';
 import { getVaultClient, isVaultEnabled } from './vault.mjs';
+import { softwareRandomBytesWithSource } from './entropyPool.mjs';
+import { getHealthMonitor, STARTUP_SAMPLE_SIZE } from './entropyHealth.mjs';
+import { getConfig, sectorSecretName } from './config.mjs';
+import { resolveSectorSecret, sectorHmac, encodeSectorToken, SECTOR_TOKEN_VERSION, SECTOR_TOKEN_VERSIONS } from './sectorToken.mjs';
 // setProvenance not exported from uinGenerator; use local no-op
 let _provenance = {};
 function setProvenance(p) { _provenance = p; }
@@ -19,6 +23,11 @@ let initialized = false;
 let hsmClient = null;
 let vaultClient = null;
 let sectorSecrets = {};
+// Secrets of registry sectors with a secret_ref, by sector code
+let referencedSecrets = new Map();
+let referencingSectors = [];
+let fpeKey = null;
+let sectorTokenKey = null;
 
 /**
  * Initialize crypto service
@@ -35,6 +44,12 @@ export async function initializeCryptoService(config = {}) {
     vault: { enabled: false, initialized: false, authenticated: false }
   };
 
+  // Startup health test for the software CSPRNG (SP 800-90B)
+  const softwareHealth = getHealthMonitor('software');
+  if (!softwareHealth.startupPassed && !softwareHealth.startup(crypto.randomBytes(STARTUP_SAMPLE_SIZE))) {
+    console.error('[CryptoService] Software CSPRNG failed startup health test');
+  }
+
   // Initialize Vault if enabled
   if (isVaultEnabled()) {
     try {
@@ -58,6 +73,22 @@ export async function initializeCryptoService(config = {}) {
       } catch (error) {
         console.warn('[CryptoService] Could not load secrets from Vault:', error.message);
       }
+
+      // Load FPE key from Vault
+      try {
+        setFpeKey((await vaultClient.getFpeKey()).key);
+        console.log('[CryptoService] Loaded FPE key from Vault');
+      } catch (error) {
+        console.warn('[CryptoService] Could not load FPE key from Vault:', error.message);
+      }
+
+      // Load the sector token registry key from Vault
+      try {
+        setSectorTokenKey((await vaultClient.getSectorTokenKey()).key);
+        console.log('[CryptoService] Loaded sector token key from Vault');
+      } catch (error) {
+        console.warn('[CryptoService] Could not load sector token key from Vault:', error.message);
+      }
     } catch (error) {
       console.error('[CryptoService] Vault initialization failed:', error.message);
     }
@@ -119,7 +150,22 @@ export function getStatus() {
       authenticated: vaultClient.authenticated,
       address: vaultClient.config.address
     } : { enabled: false },
-    secretsLoaded: Object.keys(sectorSecrets).length
+    secretsLoaded: Object.keys(sectorSecrets).length,
+    referencedSecretsLoaded: [...referencedSecrets.values()].reduce((count, secrets) => count + Object.keys(secrets).length, 0),
+    fpeKeyLoaded: fpeKey !== null,
+    sectorTokenKeyLoaded: sectorTokenKey !== null,
+    entropyHealth: getEntropyHealth()
+  };
+}
+
+/**
+ * Get SP 800-90B health test state of every entropy source
+ * @returns {object} Health status keyed by source
+ */
+export function getEntropyHealth() {
+  return {
+    ...(hsmClient ? hsmClient.getHealthStatus() : {}),
+    software: getHealthMonitor('software').getStatus()
   };
 }
 
@@ -131,6 +177,104 @@ export function getSectorSecrets() {
   return { ...sectorSecrets };
 }
 
+/**
+ * Sector secrets in use: the configured ones (SECTOR_SECRET_*), overridden by
+ * those loaded here from Vault, so a version added with reloadSecrets() applies
+ * without a restart. A registry sector with a secret_ref only gets the secrets
+ * loaded from that reference (see loadSectorSecretRefs), never SECTOR_SECRET_<CODE>.
+ * @returns {object} Map of sector secret name to secret
+ */
+export function getEffectiveSectorSecrets() {
+  const secrets = { ...getConfig().sectorSecrets, ...sectorSecrets };
+
+  for (const [code, loaded] of referencedSecrets) {
+    for (const name of Object.keys(secrets)) {
+      if (name === code || name.startsWith(`${code}@v`)) {
+        delete secrets[name];
+      }
+    }
+    Object.assign(secrets, loaded);
+  }
+
+  return secrets;
+}
+
+/**
+ * Load the secrets of one referenced sector
+ * @param {object} sector - Registry sector (code, secret_source, secret_ref)
+ * @param {object} clients - { hsm, vault }
+ * @returns {Promise<object>} Map of sector secret name ('health', 'health@v2') to secret or HSM key
+ */
+async function loadReferencedSecret({ code, secret_source: source, secret_ref: ref }, { hsm, vault }) {
+  const secrets = {};
+
+  if (source === 'env') {
+    // '<REF>' is version 1 and '<REF>_V<n>' version n, as with SECTOR_SECRET_<CODE>_V<n>
+    for (const key in process.env) {
+      const versioned = key.startsWith(`${ref}_V`) ? key.slice(ref.length + 2) : null;
+      if (key === ref) {
+        secrets[code] = process.env[key];
+      } else if (versioned && /^[1-9][0-9]*$/.test(versioned)) {
+        secrets[`${code}@v${versioned}`] = process.env[key];
+      }
+    }
+  } else if (source === 'vault') {
+    if (!vault) {
+      throw new Error('Vault is not available');
+    }
+    // Same fields as sector-secrets: '<code>' and '<code>@v<n>'
+    const data = await vault.readSecret(ref);
+    for (const [name, value] of Object.entries(data || {})) {
+      if (name === code || (name.startsWith(`${code}@v`) && /^[1-9][0-9]*$/.test(name.slice(code.length + 2)))) {
+        secrets[name] = value;
+      }
+    }
+  } else if (source === 'hsm') {
+    if (!hsm || !hsm.pkcs11) {
+      throw new Error('No PKCS#11 HSM session');
+    }
+    for (const { version, key } of hsm.findHmacKeys(ref)) {
+      secrets[version === 1 ? code : `${code}@v${version}`] = key;
+    }
+  }
+
+  return secrets;
+}
+
+/**
+ * Load the secrets that registry sectors reference by secret_ref
+ * An environment variable, a Vault path or an HSM key label (secret_source 'hsm').
+ * Sectors without a reference keep using SECTOR_SECRET_<CODE> and the Vault
+ * sector-secrets map. A reference that cannot be loaded leaves its sector without
+ * a secret, so its tokens are refused rather than derived with another secret.
+ * @param {Array<object>} sectors - Registry sectors
+ * @param {object} [clients] - Sources, defaulting to this service's HSM and Vault clients
+ * @param {object} [clients.hsm] - HSM client (findHmacKeys)
+ * @param {object} [clients.vault] - Vault client (readSecret)
+ * @returns {Promise<Array<{sector: string, problem: string}>>} References that could not be loaded
+ */
+export async function loadSectorSecretRefs(sectors, { hsm = hsmClient, vault = vaultClient && vaultClient.authenticated ? vaultClient : null } = {}) {
+  const loaded = new Map();
+  const problems = [];
+
+  for (const sector of sectors) {
+    if (!sector.secret_ref && sector.secret_source !== 'hsm') {
+      continue;
+    }
+    try {
+      loaded.set(sector.code, await loadReferencedSecret(sector, { hsm, vault }));
+    } catch (error) {
+      loaded.set(sector.code, {});
+      problems.push({ sector: sector.code, problem: `Could not load secret ${sector.secret_ref}: ${error.message}` });
+      console.warn(`[CryptoService] Could not load the ${sector.code} sector secret from ${sector.secret_source} ${sector.secret_ref}:`, error.message);
+    }
+  }
+
+  referencedSecrets = loaded;
+  referencingSectors = sectors;
+  return problems;
+}
+
 /**
  * Set sector secrets (for environments without Vault)
  * @param {object} secrets - Sector secrets map
@@ -140,17 +284,63 @@ export function setSectorSecrets(secrets) {
 }
 
 /**
- * Load sector secrets from environment variables
+ * Get the format-preserving encryption key
+ * @returns {Buffer} AES key for FF1
+ */
+export function getFpeKey() {
+  if (!fpeKey) {
+    throw new Error('No FPE key configured (set UIN_FPE_KEY or store it in Vault at fpe-key)');
+  }
+  return fpeKey;
+}
+
+/**
+ * Set the format-preserving encryption key (for environments without Vault)
+ * @param {string|Buffer} key - AES-128/192/256 key, as a Buffer or hex string
+ */
+export function setFpeKey(key) {
+  const bytes = Buffer.isBuffer(key) ? Buffer.from(key) : Buffer.from(String(key), 'hex');
+  if (![16, 24, 32].includes(bytes.length) || (!Buffer.isBuffer(key) && bytes.length * 2 !== String(key).length)) {
+    throw new Error('FPE key must be 16, 24 or 32 bytes (32, 48 or 64 hex characters)');
+  }
+  fpeKey = bytes;
+}
+
+/**
+ * Get the sector token registry key
+ * Protects the foundational UIN reference stored with each registered sector token
+ * @returns {Buffer} 32-byte key
+ */
+export function getSectorTokenKey() {
+  if (!sectorTokenKey) {
+    throw new Error('No sector token key configured (set UIN_SECTOR_TOKEN_KEY or store it in Vault at sector-token-key)');
+  }
+  return sectorTokenKey;
+}
+
+/**
+ * Set the sector token registry key (for environments without Vault)
+ * @param {string|Buffer} key - 32-byte key, as a Buffer or hex string
+ */
+export function setSectorTokenKey(key) {
+  const bytes = Buffer.isBuffer(key) ? Buffer.from(key) : Buffer.from(String(key), 'hex');
+  if (bytes.length !== 32 || (!Buffer.isBuffer(key) && String(key).length !== 64)) {
+    throw new Error('Sector token key must be 32 bytes (64 hex characters)');
+  }
+  sectorTokenKey = bytes;
+}
+
+/**
+ * Load sector secrets, the FPE key and the sector token key from environment variables
  * @returns {object} Loaded secrets
  */
 export function loadSecretsFromEnv() {
   const secrets = {};
-  const prefix = 'SECTOR_SECRET_';
 
   for (const key in process.env) {
-    if (key.startsWith(prefix)) {
-      const sector = key.substring(prefix.length).toLowerCase();
-      secrets[sector] = process.env[key];
+    const name = sectorSecretName(key);
+    if (name) {
+      secrets[name] = process.env[key];
     }
   }
 
@@ -159,6 +349,16 @@ export function loadSecretsFromEnv() {
     console.log(`[CryptoService] Loaded ${Object.keys(secrets).length} secrets from environment`);
   }
 
+  if (process.env.UIN_FPE_KEY) {
+    setFpeKey(process.env.UIN_FPE_KEY);
+    console.log('[CryptoService] Loaded FPE key from environment');
+  }
+
+  if (process.env.UIN_SECTOR_TOKEN_KEY) {
+    setSectorTokenKey(process.env.UIN_SECTOR_TOKEN_KEY);
+    console.log('[CryptoService] Loaded sector token key from environment');
+  }
+
   return secrets;
 }
 
@@ -198,55 +398,29 @@ export async function hmac(algorithm, key, data) {
  * @returns {Promise<Buffer>} Random bytes
  */
 export async function randomBytes(length) {
-  // Priority: Use HSM hardware TRNG when available
-  if (hsmClient && hsmClient.initialized && (hsmClient.remoteTrngAvailable || hsmClient.trngAvailable)) {
-    try {
-      const bytes = await hsmClient.randomBytes(length);
-      // Set provenance for UIN generator
-      setProvenance({
-        source: hsmClient.remoteTrngAvailable
-          ? 'Utimaco CryptoServer Hardware TRNG (c3)'
-          : (hsmClient.providerInfo?.name || 'HSM Hardware TRNG'),
-        hardware: true,
-        fipsLevel: hsmClient.remoteTrngAvailable ? 3 : (hsmClient.providerInfo?.fipsLevel || 2),
-        provider: hsmClient.remoteTrngAvailable ? 'utimaco-remote' : (hsmClient.config?.provider || 'hsm')
-      });
-      return bytes;
-    } catch (error) {
-      console.warn('[CryptoService] HSM TRNG failed, using software CSPRNG:', error.message);
-    }
-  }
-
-  // Fallback to Node.js CSPRNG
-  setProvenance({
-    source: 'Node.js CSPRNG',
-    hardware: false,
-    fipsLevel: 0,
-    provider: 'software'
-  });
-  return crypto.randomBytes(length);
+  const { bytes, ...provenance } = await randomBytesWithSource(length);
+  setProvenance(provenance);
+  return bytes;
 }
 
 /**
  * Generate random bytes with source information
+ * The source fields describe exactly where these bytes came from, so callers
+ * can attach them to their own result instead of reading shared state
  * @param {number} length - Number of bytes
- * @returns {Promise<{bytes: Buffer, source: string, hardware: boolean, fipsLevel: number}>}
+ * @returns {Promise<{bytes: Buffer, source: string, hardware: boolean, fipsLevel: number, provider: string}>}
  */
 export async function randomBytesWithSource(length) {
   if (hsmClient && hsmClient.initialized && (hsmClient.remoteTrngAvailable || hsmClient.trngAvailable)) {
     try {
       return await hsmClient.randomBytesWithSource(length);
     } catch (error) {
-      console.warn('[CryptoService] HSM TRNG failed:', error.message);
+      console.warn('[CryptoService] HSM TRNG failed, using software CSPRNG:', error.message);
     }
   }
 
-  return {
-    bytes: crypto.randomBytes(length),
-    source: 'Node.js CSPRNG',
-    hardware: false,
-    fipsLevel: 0
-  };
+  // Health-checked; throws if the software CSPRNG is quarantined
+  return softwareRandomBytesWithSource(length);
 }
 
 /**
@@ -261,6 +435,8 @@ export async function randomHex(length) {
 
 /**
  * Derive sector token using HMAC
+ * The HMAC runs on the HSM when available; v2 tokens expand it with HKDF in
+ * software (see encodeSectorToken in sectorToken.mjs)
  * @param {string} uin - Foundational UIN
  * @param {string} sector - Sector identifier
  * @param {object} options - Derivation options
@@ -268,20 +444,20 @@ export async function randomHex(length) {
  */
 export async function deriveSectorToken(uin, sector, options = {}) {
   const normalizedSector = sector.toLowerCase().trim();
-  const sectorSecret = sectorSecrets[normalizedSector];
-
-  if (!sectorSecret) {
-    throw new Error(`No secret configured for sector: ${normalizedSector}`);
-  }
+  const { secret: sectorSecret, keyVersion } = resolveSectorSecret(getEffectiveSectorSecrets(), normalizedSector, options.keyVersion);
 
   const config = {
     tokenLength: options.tokenLength || 20,
     charset: options.charset || '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ',
     algorithm: options.algorithm || 'sha256',
     salt: options.salt || (await randomHex(32)),
-    version: options.version || 1
+    version: options.version || SECTOR_TOKEN_VERSION
   };
 
+  if (!SECTOR_TOKEN_VERSIONS.includes(config.version)) {
+    throw new Error(`Unsupported sector token version: ${config.version}`);
+  }
+
   // Construct derivation input
   const derivationInput = [
     `v${config.version}`,
@@ -290,17 +466,20 @@ export async function deriveSectorToken(uin, sector, options = {}) {
     config.salt
   ].join('|');
 
-  // Perform HMAC
-  const derivedBytes = await hmac(config.algorithm, sectorSecret, derivationInput);
+  // Perform HMAC (for v2, the HKDF pseudorandom key); referenced HSM keys sign themselves
+  const derivedBytes = typeof sectorSecret.hmac === 'function'
+    ? sectorHmac(sectorSecret, config.algorithm, derivationInput)
+    : await hmac(config.algorithm, sectorSecret, derivationInput);
 
   // Convert to target charset
-  const token = bufferToCharset(derivedBytes, config.charset, config.tokenLength);
+  const token = encodeSectorToken(derivedBytes, { ...config, sector: normalizedSector });
 
   return {
     token,
     metadata: {
       sector: normalizedSector,
       version: config.version,
+      keyVersion,
       algorithm: config.algorithm,
       salt: config.salt,
       tokenLength: config.tokenLength,
@@ -310,40 +489,6 @@ export async function deriveSectorToken(uin, sector, options = {}) {
   };
 }
 
-/**
- * Convert buffer to charset string
- * @param {Buffer} buffer - Input buffer
- * @param {string} charset - Target charset
- * @param {number} targetLength - Desired length
- * @returns {string} Encoded string
- */
-function bufferToCharset(buffer, charset, targetLength) {
-  const charsetArray = charset.split('');
-  const charsetLength = charsetArray.length;
-
-  let result = '';
-  let bufferIndex = 0;
-
-  while (result.length < targetLength && bufferIndex < buffer.length) {
-    const byte = buffer[bufferIndex];
-    const charIndex = byte % charsetLength;
-    result += charsetArray[charIndex];
-    bufferIndex++;
-  }
-
-  // If we need more characters, hash the buffer again
-  if (result.length < targetLength) {
-    const hash = crypto.createHash('sha256').update(buffer).digest();
-    return bufferToCharset(
-      Buffer.concat([buffer, hash]),
-      charset,
-      targetLength
-    );
-  }
-
-  return result.substring(0, targetLength);
-}
-
 /**
  * Verify sector token
  * @param {string} token - Token to verify
@@ -358,7 +503,8 @@ export async function verifySectorToken(token, uin, sector, metadata) {
       tokenLength: metadata.tokenLength || token.length,
       algorithm: metadata.algorithm,
       salt: metadata.salt,
-      version: metadata.version,
+      version: metadata.version || 1,
+      keyVersion: metadata.keyVersion || 1,
       charset: metadata.charset || '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ'
     });
 
@@ -381,6 +527,7 @@ export async function reloadSecrets() {
     try {
       vaultClient.clearCache();
       sectorSecrets = await vaultClient.getSectorSecrets();
+      await loadSectorSecretRefs(referencingSectors);
       console.log('[CryptoService] Secrets reloaded from Vault');
       return { success: true, count: Object.keys(sectorSecrets).length };
     } catch (error) {
@@ -404,6 +551,10 @@ export async function shutdown() {
   hsmClient = null;
   vaultClient = null;
   sectorSecrets = {};
+  referencedSecrets = new Map();
+  referencingSectors = [];
+  fpeKey = null;
+  sectorTokenKey = null;
 
   console.log('[CryptoService] Shutdown complete');
 }
@@ -411,11 +562,19 @@ export async function shutdown() {
 export default {
   initializeCryptoService,
   getStatus,
+  getEntropyHealth,
   getSectorSecrets,
+  getEffectiveSectorSecrets,
+  loadSectorSecretRefs,
   setSectorSecrets,
   loadSecretsFromEnv,
+  getFpeKey,
+  setFpeKey,
+  getSectorTokenKey,
+  setSectorTokenKey,
   hmac,
   randomBytes,
+  randomBytesWithSource,
   randomHex,
   deriveSectorToken,
   verifySectorToken,
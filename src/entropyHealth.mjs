@@ -0,0 +1,293 @@
+/**
+ * Entropy Health Tests (NIST SP 800-90B, Section 4.4)
+ * Continuous Repetition Count Test (RCT) and Adaptive Proportion Test (APT)
+ * over byte samples, plus a startup test over a larger sample.
+ *
+ * A source that fails any test is quarantined: it stays unhealthy until the
+ * monitor is explicitly reset, and callers must fail over to another source.
+ * The software CSPRNG is the last-resort source, so it is never quarantined:
+ * a failure raises an alarm, the failed bytes are discarded and testing
+ * starts over on fresh output.
+ */
+
+/**
+ * Health test defaults
+ * minEntropy is the assessed min-entropy per byte sample (H); alpha is the
+ * false positive probability per sample (SP 800-90B recommends 2^-20 to 2^-40)
+ */
+const DEFAULT_CONFIG = {
+  minEntropy: parseFloat(process.env.ENTROPY_HEALTH_MIN_ENTROPY || '8'),
+  alpha: 2 ** -parseInt(process.env.ENTROPY_HEALTH_ALPHA_EXP || '30'),
+  window: 512
+};
+
+/**
+ * Minimum startup test sample (SP 800-90B 4.3: at least 1024 consecutive samples)
+ */
+export const STARTUP_SAMPLE_SIZE = 4096;
+
+/**
+ * Smallest k such that the binomial CDF(k; n, p) >= probability
+ * @param {number} n - Trials
+ * @param {number} p - Success probability
+ * @param {number} probability - Target cumulative probability
+ * @returns {number} Critical value
+ */
+function critBinom(n, p, probability) {
+  let pmf = Math.pow(1 - p, n);
+  let cdf = pmf;
+  let k = 0;
+
+  while (cdf < probability && k < n) {
+    pmf = pmf * ((n - k) / (k + 1)) * (p / (1 - p));
+    cdf += pmf;
+    k++;
+  }
+
+  return k;
+}
+
+/**
+ * Repetition Count Test cutoff: C = 1 + ceil(-log2(alpha) / H)
+ * @param {number} minEntropy - Min-entropy per sample (H)
+ * @param {number} alpha - False positive probability
+ * @returns {number} Cutoff
+ */
+export function repetitionCountCutoff(minEntropy, alpha) {
+  return 1 + Math.ceil(-Math.log2(alpha) / minEntropy);
+}
+
+/**
+ * Adaptive Proportion Test cutoff: C = 1 + CRITBINOM(W, 2^-H, 1 - alpha)
+ * @param {number} minEntropy - Min-entropy per sample (H)
+ * @param {number} alpha - False positive probability
+ * @param {number} window - Window size W
+ * @returns {number} Cutoff
+ */
+export function adaptiveProportionCutoff(minEntropy, alpha, window) {
+  return 1 + critBinom(window, 2 ** -minEntropy, 1 - alpha);
+}
+
+/**
+ * Entropy Health Monitor class
+ * Keeps continuous RCT/APT state for one entropy source across calls
+ */
+export class EntropyHealthMonitor {
+  /**
+   * @param {string} name - Source name (e.g. 'remote-trng', 'hsm-trng', 'software')
+   * @param {object} options - { minEntropy, alpha, window, quarantine }
+   * @param {boolean} [options.quarantine=true] - Quarantine on failure; false only raises an alarm
+   */
+  constructor(name, options = {}) {
+    this.name = name;
+    this.config = { quarantine: true, ...DEFAULT_CONFIG, ...options };
+    this.rctCutoff = repetitionCountCutoff(this.config.minEntropy, this.config.alpha);
+    this.aptCutoff = adaptiveProportionCutoff(this.config.minEntropy, this.config.alpha, this.config.window);
+    this.startupPassed = false;
+    this.failure = null;
+    this.alarms = 0;
+    this.lastAlarm = null;
+    this.samplesTested = 0;
+    this.resetState();
+  }
+
+  /**
+   * Reset continuous test state (not the quarantine)
+   */
+  resetState() {
+    this.rct = { value: null, count: 0 };
+    this.apt = { value: null, count: 0, seen: 0 };
+  }
+
+  /**
+   * Whether the source may be used
+   * @returns {boolean} True unless quarantined
+   */
+  get healthy() {
+    return this.failure === null;
+  }
+
+  /**
+   * Run the startup test over a fresh sample
+   * @param {Buffer} sample - At least STARTUP_SAMPLE_SIZE bytes
+   * @returns {boolean} True if the sample passed
+   */
+  startup(sample) {
+    if (!sample || sample.length < STARTUP_SAMPLE_SIZE) {
+      throw new Error(`Startup test requires at least ${STARTUP_SAMPLE_SIZE} samples`);
+    }
+
+    this.resetState();
+    this.startupPassed = this.runTests(sample, 'startup');
+    this.resetState();
+    return this.startupPassed;
+  }
+
+  /**
+   * Run continuous tests over the next bytes from the source
+   * @param {Buffer} bytes - Source output, in order
+   * @returns {boolean} True if the source is still healthy
+   */
+  check(bytes) {
+    if (!this.healthy) {
+      return false;
+    }
+    return this.runTests(bytes, 'continuous');
+  }
+
+  /**
+   * Feed samples through RCT and APT, quarantining on the first failure
+   * @param {Buffer} bytes - Samples
+   * @param {string} phase - 'startup' or 'continuous'
+   * @returns {boolean} True if all samples passed
+   */
+  runTests(bytes, phase) {
+    const { rct, apt } = this;
+
+    for (let i = 0; i < bytes.length; i++) {
+      const sample = bytes[i];
+      this.samplesTested++;
+
+      // Repetition Count Test (SP 800-90B 4.4.1)
+      if (sample === rct.value) {
+        rct.count++;
+        if (rct.count >= this.rctCutoff) {
+          this.quarantine('Repetition Count Test', phase, `${rct.count} consecutive 0x${sample.toString(16).padStart(2, '0')} samples (cutoff ${this.rctCutoff})`);
+          return false;
+        }
+      } else {
+        rct.value = sample;
+        rct.count = 1;
+      }
+
+      // Adaptive Proportion Test (SP 800-90B 4.4.2)
+      if (apt.seen === 0) {
+        apt.value = sample;
+        apt.count = 1;
+        apt.seen = 1;
+      } else {
+        apt.seen++;
+        if (sample === apt.value) {
+          apt.count++;
+          if (apt.count >= this.aptCutoff) {
+            this.quarantine('Adaptive Proportion Test', phase, `0x${sample.toString(16).padStart(2, '0')} seen ${apt.count} times in a ${this.config.window}-sample window (cutoff ${this.aptCutoff})`);
+            return false;
+          }
+        }
+        if (apt.seen === this.config.window) {
+          apt.seen = 0;
+        }
+      }
+    }
+
+    return true;
+  }
+
+  /**
+   * Quarantine the source, or raise an alarm for sources that are never quarantined
+   * @param {string} test - Failed test name
+   * @param {string} phase - 'startup' or 'continuous'
+   * @param {string} detail - Failure detail
+   */
+  quarantine(test, phase, detail) {
+    const failure = { test, phase, detail, at: new Date().toISOString() };
+
+    if (!this.config.quarantine) {
+      // Testing restarts on the next bytes, so one false positive does not stop the source
+      this.alarms++;
+      this.lastAlarm = failure;
+      this.resetState();
+      console.error(`[EntropyHealth] ${this.name} alarm: ${test} failed (${phase}) - ${detail}`);
+      return;
+    }
+
+    this.failure = failure;
+    console.error(`[EntropyHealth] ${this.name} quarantined: ${test} failed (${phase}) - ${detail}`);
+  }
+
+  /**
+   * Clear quarantine and test state (operator action after investigation)
+   */
+  reset() {
+    this.failure = null;
+    this.startupPassed = false;
+    this.resetState();
+  }
+
+  /**
+   * Get health status
+   * @returns {object} Health state and test parameters
+   */
+  getStatus() {
+    return {
+      source: this.name,
+      healthy: this.healthy,
+      state: this.healthy ? 'healthy' : 'quarantined',
+      startupPassed: this.startupPassed,
+      samplesTested: this.samplesTested,
+      failure: this.failure,
+      alarms: this.alarms,
+      lastAlarm: this.lastAlarm,
+      tests: {
+        minEntropy: this.config.minEntropy,
+        alphaLog2: Math.log2(this.config.alpha),
+        repetitionCountCutoff: this.rctCutoff,
+        adaptiveProportionCutoff: this.aptCutoff,
+        adaptiveProportionWindow: this.config.window
+      }
+    };
+  }
+}
+
+// Shared monitors for process-wide sources (e.g. software CSPRNG)
+const monitors = new Map();
+
+// Sources with nothing to fail over to; they raise alarms instead of being quarantined
+const LAST_RESORT_SOURCES = new Set(['software']);
+
+/**
+ * Get the shared health monitor for a source
+ * @param {string} name - Source name
+ * @returns {EntropyHealthMonitor} Monitor
+ */
+export function getHealthMonitor(name) {
+  if (!monitors.has(name)) {
+    monitors.set(name, new EntropyHealthMonitor(name, { quarantine: !LAST_RESORT_SOURCES.has(name) }));
+  }
+  return monitors.get(name);
+}
+
+/**
+ * Create the error raised when a source fails its health tests
+ * @param {EntropyHealthMonitor} monitor - Failed source monitor
+ * @returns {Error} Error with code ENTROPY_HEALTH_FAILURE
+ */
+export function entropyHealthError(monitor) {
+  const failure = monitor.failure || monitor.lastAlarm;
+  const error = new Error(`Entropy source ${monitor.name} failed health tests: ${failure?.test || 'quarantined'}`);
+  error.code = 'ENTROPY_HEALTH_FAILURE';
+  return error;
+}
+
+/**
+ * Failover record for provenance
+ * @param {EntropyHealthMonitor} monitor - Quarantined source monitor
+ * @returns {object} Failover information
+ */
+export function failoverInfo(monitor) {
+  return {
+    from: monitor.name,
+    reason: `${monitor.failure.test} failed`,
+    at: monitor.failure.at
+  };
+}
+
+export default {
+  EntropyHealthMonitor,
+  getHealthMonitor,
+  STARTUP_SAMPLE_SIZE,
+  repetitionCountCutoff,
+  adaptiveProportionCutoff,
+  entropyHealthError,
+  failoverInfo
+};
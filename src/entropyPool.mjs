@@ -0,0 +1,290 @@
+/**
+ * Entropy Pool
+ * Prefetching buffer of random bytes refilled in the background from a
+ * hardware source (remote TRNG or local PKCS#11 session), so that requests
+ * are served from memory instead of waiting on the device.
+ *
+ * When the buffer cannot satisfy a request within the stall timeout, the
+ * request is served from the fallback source and the result's provenance
+ * records the failover. Bytes from the two sources are never mixed in one result.
+ */
+
+import crypto from 'crypto';
+import { getHealthMonitor, entropyHealthError } from './entropyHealth.mjs';
+
+/**
+ * Entropy pool defaults
+ * Capacity should cover at least one pre-generation batch burst; each UIN draws
+ * max(64, 2 × length) bytes, so 64 KiB holds roughly 1000 UINs
+ */
+const DEFAULT_CONFIG = {
+  capacity: parseInt(process.env.ENTROPY_POOL_SIZE || '65536'),
+  chunkSize: parseInt(process.env.ENTROPY_POOL_CHUNK || '4096'),
+  lowWatermark: parseFloat(process.env.ENTROPY_POOL_LOW_WATER || '0.5'),
+  stallTimeout: parseInt(process.env.ENTROPY_POOL_STALL_MS || '2000'),
+  retryDelay: parseInt(process.env.ENTROPY_POOL_RETRY_MS || '5000')
+};
+
+/**
+ * Software fallback source
+ */
+const SOFTWARE_SOURCE = {
+  source: 'Node.js CSPRNG',
+  hardware: false,
+  fipsLevel: 0,
+  provider: 'software'
+};
+
+/**
+ * Software CSPRNG bytes, checked by the shared 'software' health monitor
+ * Bytes that fail a test are discarded and drawn again once; the monitor raises
+ * an alarm but is not quarantined, so later requests are served normally.
+ * @param {number} length - Number of bytes
+ * @returns {Promise<object>} Bytes with source information
+ */
+export async function softwareRandomBytesWithSource(length) {
+  const monitor = getHealthMonitor('software');
+  for (let attempt = 0; attempt < 2; attempt++) {
+    const bytes = crypto.randomBytes(length);
+    if (monitor.check(bytes)) {
+      return { bytes, ...SOFTWARE_SOURCE };
+    }
+  }
+  throw entropyHealthError(monitor);
+}
+
+/**
+ * Entropy Pool class
+ * Keeps a buffer of bytes from a single source topped up above the low watermark
+ */
+export class EntropyPool {
+  /**
+   * @param {object} options - Pool options
+   * @param {Function} options.fill - Async function (length) => Buffer reading from the primary source
+   * @param {object} options.source - Provenance of the primary source ({ source, hardware, fipsLevel, provider })
+   * @param {Function} [options.fallback] - Async function (length) => { bytes, ...provenance } used on stall
+   * @param {number} [options.capacity] - Buffer size in bytes
+   * @param {number} [options.chunkSize] - Bytes requested from the source per refill call
+   * @param {number} [options.lowWatermark] - Fill ratio below which a refill starts (0-1)
+   * @param {number} [options.stallTimeout] - Milliseconds to wait for the source before using the fallback
+   * @param {number} [options.retryDelay] - Milliseconds to wait after a source error before retrying
+   */
+  constructor(options = {}) {
+    if (typeof options.fill !== 'function') {
+      throw new Error('Entropy pool requires a fill function');
+    }
+
+    this.config = { ...DEFAULT_CONFIG, ...options };
+    this.fill = options.fill;
+    this.source = { ...SOFTWARE_SOURCE, ...options.source };
+    this.fallback = options.fallback || softwareRandomBytesWithSource;
+    this.buffer = Buffer.alloc(0);
+    this.running = false;
+    this.refilling = null;
+    this.retryTimer = null;
+    this.waiters = [];
+    this.metrics = {
+      refills: 0,
+      refillErrors: 0,
+      bytesFilled: 0,
+      bytesServed: 0,
+      fallbackRequests: 0,
+      bytesFromFallback: 0,
+      stalls: 0,
+      lastRefillAt: null,
+      lastRefillMs: null,
+      lastError: null
+    };
+  }
+
+  /**
+   * Start background refilling
+   * @returns {EntropyPool} This pool
+   */
+  start() {
+    this.running = true;
+    this.refill();
+    return this;
+  }
+
+  /**
+   * Stop background refilling and wipe buffered bytes
+   * @returns {Promise<void>}
+   */
+  async stop() {
+    this.running = false;
+    if (this.retryTimer) {
+      clearTimeout(this.retryTimer);
+      this.retryTimer = null;
+    }
+    if (this.refilling) {
+      await this.refilling.catch(() => {});
+    }
+    this.buffer.fill(0);
+    this.buffer = Buffer.alloc(0);
+    this.notifyWaiters();
+  }
+
+  /**
+   * Number of buffered bytes
+   * @returns {number} Available bytes
+   */
+  get available() {
+    return this.buffer.length;
+  }
+
+  /**
+   * Start a refill if the pool is below its low watermark and none is in progress
+   */
+  refill() {
+    if (!this.running || this.refilling || this.retryTimer) {
+      return;
+    }
+    if (this.buffer.length >= this.config.capacity * this.config.lowWatermark && this.waiters.length === 0) {
+      return;
+    }
+
+    this.refilling = this.refillUntilFull().finally(() => {
+      this.refilling = null;
+    });
+  }
+
+  /**
+   * Read chunks from the source until the buffer is full
+   * A failing source schedules a retry after retryDelay instead of spinning
+   * @returns {Promise<void>}
+   */
+  async refillUntilFull() {
+    while (this.running && this.buffer.length < this.config.capacity) {
+      const length = Math.min(this.config.chunkSize, this.config.capacity - this.buffer.length);
+      const startedAt = Date.now();
+
+      try {
+        const bytes = await this.fill(length);
+        if (!bytes || bytes.length !== length) {
+          throw new Error(`Entropy source returned ${bytes ? bytes.length : 0} of ${length} bytes`);
+        }
+        if (!this.running) {
+          bytes.fill(0);
+          return;
+        }
+
+        this.buffer = Buffer.concat([this.buffer, bytes]);
+        bytes.fill(0);
+        this.metrics.refills++;
+        this.metrics.bytesFilled += length;
+        this.metrics.lastRefillAt = new Date().toISOString();
+        this.metrics.lastRefillMs = Date.now() - startedAt;
+        this.notifyWaiters();
+      } catch (error) {
+        this.metrics.refillErrors++;
+        this.metrics.lastError = error.message;
+        console.warn('[EntropyPool] Refill failed:', error.message);
+        this.notifyWaiters();
+        if (this.running) {
+          this.retryTimer = setTimeout(() => {
+            this.retryTimer = null;
+            this.refill();
+          }, this.config.retryDelay);
+          this.retryTimer.unref?.();
+        }
+        return;
+      }
+    }
+  }
+
+  /**
+   * Wake up requests waiting for bytes
+   */
+  notifyWaiters() {
+    const waiters = this.waiters;
+    this.waiters = [];
+    for (const resolve of waiters) {
+      resolve();
+    }
+  }
+
+  /**
+   * Wait until the buffer changes or the deadline passes
+   * @param {number} deadline - Timestamp in milliseconds
+   * @returns {Promise<void>}
+   */
+  waitForBytes(deadline) {
+    return new Promise((resolve) => {
+      const timer = setTimeout(resolve, Math.max(0, deadline - Date.now()));
+      this.waiters.push(() => {
+        clearTimeout(timer);
+        resolve();
+      });
+      this.refill();
+    });
+  }
+
+  /**
+   * Take random bytes from the pool
+   * Waits up to stallTimeout for the source; after that the request is served
+   * entirely from the fallback source
+   * @param {number} length - Number of bytes
+   * @returns {Promise<{bytes: Buffer, source: string, hardware: boolean, fipsLevel: number, provider: string}>}
+   */
+  async take(length) {
+    if (!Number.isInteger(length) || length < 1) {
+      throw new Error('Length must be a positive integer');
+    }
+
+    const deadline = Date.now() + this.config.stallTimeout;
+
+    while (this.running && length <= this.config.capacity && this.buffer.length < length && Date.now() < deadline) {
+      await this.waitForBytes(deadline);
+    }
+
+    if (this.buffer.length >= length) {
+      const bytes = Buffer.from(this.buffer.subarray(0, length));
+      this.buffer.fill(0, 0, length);
+      this.buffer = this.buffer.subarray(length);
+      this.metrics.bytesServed += length;
+      this.refill();
+      return { bytes, ...this.source };
+    }
+
+    if (length > this.config.capacity) {
+      console.warn(`[EntropyPool] Request for ${length} bytes exceeds pool capacity, using fallback`);
+    } else if (this.running) {
+      this.metrics.stalls++;
+      console.warn(`[EntropyPool] ${this.source.source} stalled (${this.buffer.length}/${length} bytes), using fallback`);
+    }
+
+    const result = await this.fallback(length);
+    this.metrics.fallbackRequests++;
+    this.metrics.bytesFromFallback += length;
+    return {
+      ...result,
+      failover: result.failover || { from: this.source.provider, reason: 'Source stalled', at: new Date().toISOString() }
+    };
+  }
+
+  /**
+   * Get pool fill level and refill metrics
+   * @returns {object} Pool metrics
+   */
+  getMetrics() {
+    return {
+      running: this.running,
+      source: this.source.source,
+      provider: this.source.provider,
+      capacity: this.config.capacity,
+      available: this.buffer.length,
+      fillLevel: this.config.capacity > 0 ? this.buffer.length / this.config.capacity : 0,
+      lowWatermark: this.config.lowWatermark,
+      chunkSize: this.config.chunkSize,
+      refilling: !!this.refilling,
+      waiting: this.waiters.length,
+      ...this.metrics
+    };
+  }
+}
+
+export default {
+  EntropyPool,
+  softwareRandomBytesWithSource
+};
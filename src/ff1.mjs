@@ -0,0 +1,254 @@
+/**
+ * FF1 Format-Preserving Encryption (NIST SP 800-38G Rev. 1)
+ * Encrypts a string of numerals in any radix from 2 to 2^16 to another string
+ * of the same length and radix, using AES-128/192/256 as the round function.
+ * Used to turn sequence serials into UINs that are unique by construction but
+ * do not reveal issuance order.
+ */
+
+import crypto from 'crypto';
+
+const ROUNDS = 10;
+const MAX_RADIX = 65536;
+// SP 800-38G Rev. 1 requires radix^minlen >= 1,000,000
+const MIN_DOMAIN_SIZE = 1000000n;
+
+/**
+ * Validate FF1 parameters
+ * @param {Buffer} key - AES key (16, 24 or 32 bytes)
+ * @param {number} radix - Radix of the numerals
+ * @param {number} length - Number of numerals
+ */
+function checkParameters(key, radix, length) {
+  if (!Buffer.isBuffer(key) || ![16, 24, 32].includes(key.length)) {
+    throw new Error('FF1 key must be a 16, 24 or 32 byte Buffer');
+  }
+  if (!Number.isInteger(radix) || radix < 2 || radix > MAX_RADIX) {
+    throw new Error(`FF1 radix must be between 2 and ${MAX_RADIX}`);
+  }
+  if (!Number.isInteger(length) || length < 2 || BigInt(radix) ** BigInt(length) < MIN_DOMAIN_SIZE) {
+    throw new Error(`FF1 domain too small: radix ${radix} with ${length} numerals is below ${MIN_DOMAIN_SIZE} values`);
+  }
+}
+
+/**
+ * Interpret numerals as a big-endian number in the given radix
+ * @param {number[]} numerals - Numerals
+ * @param {bigint} radix - Radix
+ * @returns {bigint} Value
+ */
+function numRadix(numerals, radix) {
+  let value = 0n;
+  for (const numeral of numerals) {
+    value = value * radix + BigInt(numeral);
+  }
+  return value;
+}
+
+/**
+ * Represent a value as exactly m numerals in the given radix
+ * @param {bigint} value - Value (less than radix^m)
+ * @param {bigint} radix - Radix
+ * @param {number} m - Number of numerals
+ * @returns {number[]} Numerals
+ */
+function strRadix(value, radix, m) {
+  const numerals = new Array(m);
+  for (let i = m - 1; i >= 0; i--) {
+    numerals[i] = Number(value % radix);
+    value /= radix;
+  }
+  return numerals;
+}
+
+/**
+ * Big-endian byte string of a value
+ * @param {bigint} value - Value
+ * @param {number} length - Number of bytes
+ * @returns {Buffer} Bytes
+ */
+function bytesOf(value, length) {
+  const bytes = Buffer.alloc(length);
+  for (let i = length - 1; i >= 0; i--) {
+    bytes[i] = Number(value & 0xffn);
+    value >>= 8n;
+  }
+  return bytes;
+}
+
+/**
+ * Build the Feistel round function for one key, tweak, radix and length
+ * @param {Buffer} key - AES key
+ * @param {Buffer} tweak - Tweak
+ * @param {number} radix - Radix
+ * @param {number} n - Number of numerals
+ * @returns {{u: number, v: number, bigRadix: bigint, round: Function}} Half lengths, radix and round function
+ */
+function createRounds(key, tweak, radix, n) {
+  const cipherName = `aes-${key.length * 8}-cbc`;
+  const bigRadix = BigInt(radix);
+  const u = Math.floor(n / 2);
+  const v = n - u;
+  // b = ceil(ceil(v * log2(radix)) / 8), computed exactly from the bit length of radix^v - 1
+  const b = Math.ceil((bigRadix ** BigInt(v) - 1n).toString(2).length / 8);
+  const d = 4 * Math.ceil(b / 4) + 4;
+
+  const P = Buffer.from([1, 2, 1, (radix >> 16) & 0xff, (radix >> 8) & 0xff, radix & 0xff, 10, u % 256, 0, 0, 0, 0, 0, 0, 0, 0]);
+  P.writeUInt32BE(n, 8);
+  P.writeUInt32BE(tweak.length, 12);
+
+  const padding = Buffer.alloc(((-tweak.length - b - 1) % 16 + 16) % 16);
+
+  // CBC-MAC with a zero IV: the last ciphertext block
+  const prf = (data) => {
+    const cipher = crypto.createCipheriv(cipherName, key, Buffer.alloc(16));
+    cipher.setAutoPadding(false);
+    const encrypted = Buffer.concat([cipher.update(data), cipher.final()]);
+    return encrypted.subarray(encrypted.length - 16);
+  };
+
+  /**
+   * Round value y for round i over half B
+   * @param {number} i - Round number
+   * @param {number[]} half - Numerals fed to the round function
+   * @returns {bigint} y
+   */
+  const round = (i, half) => {
+    const Q = Buffer.concat([tweak, padding, Buffer.from([i]), bytesOf(numRadix(half, bigRadix), b)]);
+    const R = prf(Buffer.concat([P, Q]));
+
+    const blocks = [R];
+    for (let j = 1; j < Math.ceil(d / 16); j++) {
+      const block = Buffer.from(R);
+      block.writeUInt32BE(block.readUInt32BE(12) ^ j, 12);
+      blocks.push(prf(block));
+    }
+    const S = Buffer.concat(blocks).subarray(0, d);
+
+    return BigInt('0x' + S.toString('hex'));
+  };
+
+  return { u, v, bigRadix, round };
+}
+
+/**
+ * FF1 encrypt
+ * @param {Buffer} key - AES key (16, 24 or 32 bytes)
+ * @param {Buffer} tweak - Tweak (may be empty)
+ * @param {number} radix - Radix of the numerals
+ * @param {number[]} numerals - Plaintext numerals, each in [0, radix)
+ * @returns {number[]} Ciphertext numerals
+ */
+export function ff1Encrypt(key, tweak, radix, numerals) {
+  checkParameters(key, radix, numerals.length);
+  const { u, v, bigRadix, round } = createRounds(key, tweak, radix, numerals.length);
+
+  let A = numerals.slice(0, u);
+  let B = numerals.slice(u);
+
+  for (let i = 0; i < ROUNDS; i++) {
+    const m = i % 2 === 0 ? u : v;
+    const modulus = bigRadix ** BigInt(m);
+    const c = (numRadix(A, bigRadix) + round(i, B)) % modulus;
+    A = B;
+    B = strRadix(c, bigRadix, m);
+  }
+
+  return [...A, ...B];
+}
+
+/**
+ * FF1 decrypt
+ * @param {Buffer} key - AES key (16, 24 or 32 bytes)
+ * @param {Buffer} tweak - Tweak used for encryption
+ * @param {number} radix - Radix of the numerals
+ * @param {number[]} numerals - Ciphertext numerals, each in [0, radix)
+ * @returns {number[]} Plaintext numerals
+ */
+export function ff1Decrypt(key, tweak, radix, numerals) {
+  checkParameters(key, radix, numerals.length);
+  const { u, v, bigRadix, round } = createRounds(key, tweak, radix, numerals.length);
+
+  let A = numerals.slice(0, u);
+  let B = numerals.slice(u);
+
+  for (let i = ROUNDS - 1; i >= 0; i--) {
+    const m = i % 2 === 0 ? u : v;
+    const modulus = bigRadix ** BigInt(m);
+    const c = ((numRadix(B, bigRadix) - round(i, A)) % modulus + modulus) % modulus;
+    B = A;
+    A = strRadix(c, bigRadix, m);
+  }
+
+  return [...A, ...B];
+}
+
+/**
+ * Ensure an alphabet maps each character to exactly one numeral
+ * @param {string} alphabet - Alphabet
+ */
+function checkAlphabet(alphabet) {
+  if (new Set(alphabet).size !== [...alphabet].length) {
+    throw new Error('FF1 alphabet must not contain repeated characters');
+  }
+}
+
+/**
+ * Convert a string to numerals over an alphabet
+ * @param {string} value - String to convert
+ * @param {string} alphabet - Alphabet; a character's index is its numeral
+ * @returns {number[]} Numerals
+ */
+function toNumerals(value, alphabet) {
+  return [...value].map(char => {
+    const numeral = alphabet.indexOf(char);
+    if (numeral === -1) {
+      throw new Error(`Character '${char}' is not in the alphabet`);
+    }
+    return numeral;
+  });
+}
+
+/**
+ * Encrypt a serial number to a fixed-length string over an alphabet
+ * The serial is written as `length` numerals in radix alphabet.length and encrypted,
+ * so distinct serials always give distinct strings.
+ * @param {bigint|number|string} serial - Non-negative serial number
+ * @param {object} params - Encryption parameters
+ * @param {Buffer} params.key - AES key
+ * @param {Buffer} params.tweak - Tweak
+ * @param {string} params.alphabet - Output alphabet (distinct characters)
+ * @param {number} params.length - Output length
+ * @returns {string} Encrypted string
+ */
+export function encryptSerial(serial, { key, tweak, alphabet, length }) {
+  checkAlphabet(alphabet);
+  const radix = BigInt(alphabet.length);
+  const value = BigInt(serial);
+  if (value < 0n || value >= radix ** BigInt(length)) {
+    throw new Error(`Serial ${value} is outside the ${length}-character domain of a ${alphabet.length}-character alphabet`);
+  }
+
+  return ff1Encrypt(key, tweak, alphabet.length, strRadix(value, radix, length))
+    .map(numeral => alphabet[numeral])
+    .join('');
+}
+
+/**
+ * Decrypt a string produced by encryptSerial back to its serial number
+ * @param {string} value - Encrypted string
+ * @param {object} params - Encryption parameters (as encryptSerial, length is taken from the value)
+ * @returns {bigint} Serial number
+ */
+export function decryptSerial(value, { key, tweak, alphabet }) {
+  checkAlphabet(alphabet);
+  const numerals = ff1Decrypt(key, tweak, alphabet.length, toNumerals(value, alphabet));
+  return numRadix(numerals, BigInt(alphabet.length));
+}
+
+export default {
+  ff1Encrypt,
+  ff1Decrypt,
+  encryptSerial,
+  decryptSerial
+};
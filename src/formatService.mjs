@@ -7,6 +7,9 @@
  */
 
 import { getDb } from './db.mjs';
+import { getConfig, parseCharset } from './config.mjs';
+import { getChecksumAlgorithm } from './checksum.mjs';
+import { parseTemplate, decomposeUin } from './template.mjs';
 
 // Cache for format configurations (refreshed periodically)
 let formatCache = new Map();
@@ -233,28 +236,52 @@ export async function formatUinFromDb(uin) {
   };
 }
 
+/**
+ * Raw UIN length of a structured template, including check characters
+ * @param {string} template - Structured-mode template
+ * @param {string|null} checksumAlgorithm - Checksum algorithm, if any
+ * @returns {number} Length
+ */
+function templateLength(template, checksumAlgorithm) {
+  const length = parseTemplate(template)
+    .reduce((sum, segment) => sum + (segment.type === 'literal' ? segment.value.length : segment.length), 0);
+  return length + (checksumAlgorithm ? getChecksumAlgorithm(checksumAlgorithm).checkLength : 0);
+}
+
 /**
  * Create a new format configuration
+ * A structured template (with optional lookup tables and checksum algorithm) lets
+ * UINs of the format be decomposed; its length is used when total_length is omitted.
  * @param {object} config - Format configuration
  * @returns {Promise<object>} Created format
  */
 export async function createFormat(config) {
   const db = getDb();
 
+  let totalLength = config.total_length;
+  if (config.template) {
+    // Throws on template syntax errors
+    const length = templateLength(config.template, config.checksum_algorithm || null);
+    totalLength = totalLength || length;
+  }
+
   const [format] = await db('uin_formats')
     .insert({
       format_code: config.format_code,
       name: config.name,
       description: config.description || null,
       separator: config.separator || '',
-      segment_lengths: config.segment_lengths,
-      total_length: config.total_length,
+      segment_lengths: config.segment_lengths || (config.template ? [totalLength] : undefined),
+      total_length: totalLength,
       display_case: config.display_case || 'upper',
       prefix: config.prefix || '',
       suffix: config.suffix || '',
       is_default: config.is_default || false,
       applies_to_scope: config.applies_to_scope || null,
       applies_to_mode: config.applies_to_mode || null,
+      template: config.template || null,
+      lookups: config.lookups || {},
+      checksum_algorithm: config.checksum_algorithm || null,
       created_by: config.created_by || 'API'
     })
     .returning('*');
@@ -274,6 +301,10 @@ export async function createFormat(config) {
 export async function updateFormat(id, updates) {
   const db = getDb();
 
+  if (updates.template) {
+    templateLength(updates.template, updates.checksum_algorithm || null);
+  }
+
   const [format] = await db('uin_formats')
     .where({ id })
     .update({
@@ -341,6 +372,42 @@ export async function removeFormatOverride(uin) {
   return deleted > 0;
 }
 
+/**
+ * Decompose a structured UIN using the template stored with its format
+ * The format's prefix and suffix are removed first, so displayed UINs can be parsed.
+ * @param {string} uin - UIN, raw or as displayed with the format's prefix/suffix
+ * @param {number|string} formatIdOrCode - Format ID or code
+ * @param {object} [options] - Extra decomposition options (expected values, additional lookup tables)
+ * @returns {Promise<object>} Decomposition result (see decomposeUin) with the format code
+ */
+export async function decomposeUinWithFormat(uin, formatIdOrCode, options = {}) {
+  const format = await getFormat(formatIdOrCode);
+
+  if (!format) {
+    throw new Error(`Format not found: ${formatIdOrCode}`);
+  }
+  if (!format.template) {
+    throw new Error(`Format ${format.format_code} has no structured template`);
+  }
+
+  let value = uin;
+  if (format.prefix && value.startsWith(format.prefix)) {
+    value = value.slice(format.prefix.length);
+  }
+  if (format.suffix && value.endsWith(format.suffix)) {
+    value = value.slice(0, value.length - format.suffix.length);
+  }
+
+  const result = decomposeUin(value, format.template, {
+    ...options,
+    defaultCharset: options.defaultCharset || parseCharset(getConfig().defaultCharset),
+    lookups: { ...(format.lookups || {}), ...(options.lookups || {}) },
+    checksum: format.checksum_algorithm ? { enabled: true, algorithm: format.checksum_algorithm } : null
+  });
+
+  return { format_code: format.format_code, ...result };
+}
+
 /**
  * Preview how a UIN would look with a specific format
  * @param {string} uin - UIN to format
@@ -366,5 +433,6 @@ export default {
   deleteFormat,
   setFormatOverride,
   removeFormatOverride,
-  previewFormat
+  previewFormat,
+  decomposeUinWithFormat
 };
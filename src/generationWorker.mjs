@@ -0,0 +1,56 @@
+/**
+ * Generation Worker
+ * Worker-thread entry point of the generation pool (see workerPool.mjs).
+ *
+ * Each worker initializes its own crypto service, so it draws from its own
+ * entropy source: its own HSM session and entropy pool when an HSM is
+ * configured, otherwise its own thread's CSPRNG with its own health monitor.
+ * No random bytes are shared between workers or with the main thread.
+ *
+ * Messages in:  { id, items: [generation options, ...], sectors: [sector registry entities] }
+ * Messages out: { type: 'ready' }
+ *               { type: 'result', id, outcomes: [{ result } | { error: { message, code } }], blocklist }
+ */
+
+import { parentPort } from 'worker_threads';
+import { generateUinAsync } from './uinGenerator.mjs';
+import { initializeCryptoService, loadSecretsFromEnv, loadSectorSecretRefs } from './cryptoService.mjs';
+import { getBlocklist } from './blocklist.mjs';
+import { getConfig } from './config.mjs';
+import { loadModePlugins } from './modeRegistry.mjs';
+import { setLoadedSectors } from './sectorService.mjs';
+
+loadSecretsFromEnv();
+await initializeCryptoService();
+
+// Each thread has its own mode registry; plugin failures were already reported by the main thread
+if (getConfig().modePluginDir) {
+  await loadModePlugins(getConfig().modePluginDir);
+}
+
+// Secret references of the registry last received, reloaded only when they change
+let secretRefs = null;
+
+parentPort.on('message', async ({ id, items, sectors }) => {
+  setLoadedSectors(sectors || []);
+
+  const refs = JSON.stringify((sectors || []).map(sector => [sector.code, sector.secret_source, sector.secret_ref]));
+  if (refs !== secretRefs) {
+    await loadSectorSecretRefs(sectors || []);
+    secretRefs = refs;
+  }
+
+  const outcomes = [];
+  for (const options of items) {
+    try {
+      outcomes.push({ result: await generateUinAsync(options) });
+    } catch (error) {
+      outcomes.push({ error: { message: error.message, code: error.code } });
+    }
+  }
+
+  // Rejection counters are reported per job and merged into the main thread's blocklist
+  parentPort.postMessage({ type: 'result', id, outcomes, blocklist: getBlocklist().takeMetrics() });
+});
+
+parentPort.postMessage({ type: 'ready' });
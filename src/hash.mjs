@@ -1,9 +1,28 @@
 /**
  * Hash utilities for UIN
  * Implements RIPEMD160(SHA3-256(UIN + salt)) for hash_rmd160
+ * and BLAKE3 (plain, keyed, derive-key, multi-input) for the /hash endpoints
  */
 
 import crypto from 'crypto';
+import { blake3, blake3Keyed, blake3DeriveKey } from './blake3.mjs';
+
+/**
+ * Maximum BLAKE3 output length accepted by the hash helpers (bytes)
+ */
+export const MAX_HASH_LENGTH = 1024;
+
+/**
+ * Default BLAKE3 output length, and the tag length verifyHash expects (bytes)
+ */
+export const DEFAULT_HASH_LENGTH = 32;
+
+/**
+ * Shortest tag verifyHash accepts (bytes): shorter tags can be forged by guessing
+ */
+export const MIN_VERIFY_LENGTH = 16;
+
+const HASH_FORMATS = ['hex', 'base64', 'base64url', 'buffer'];
 
 /**
  * Compute UIN hash using RIPEMD160(SHA3-256(UIN + salt))
@@ -67,9 +86,200 @@ export function verifyUinHash(uin, expectedHash, salt = '') {
   }
 }
 
+/**
+ * Convert hash input to bytes (strings are UTF-8 encoded)
+ * @param {string|Buffer|Uint8Array} data - Input data
+ * @returns {Buffer} Input bytes
+ */
+function toBytes(data) {
+  if (typeof data === 'string') {
+    return Buffer.from(data, 'utf8');
+  }
+  if (Buffer.isBuffer(data)) {
+    return data;
+  }
+  if (data instanceof Uint8Array) {
+    return Buffer.from(data.buffer, data.byteOffset, data.byteLength);
+  }
+  throw new Error('Hash input must be a string, Buffer or Uint8Array');
+}
+
+/**
+ * Validate output options
+ * @param {object} options - { format, length }
+ * @returns {{format: string, length: number}} Normalized options
+ */
+function normalizeOutputOptions({ format = 'hex', length = DEFAULT_HASH_LENGTH } = {}) {
+  const outLength = Number(length);
+  if (!Number.isInteger(outLength) || outLength < 1 || outLength > MAX_HASH_LENGTH) {
+    throw new Error(`Hash length must be an integer between 1 and ${MAX_HASH_LENGTH}`);
+  }
+  if (!HASH_FORMATS.includes(format)) {
+    throw new Error(`Unsupported output format. Use: ${HASH_FORMATS.join(', ')}`);
+  }
+  return { format, length: outLength };
+}
+
+/**
+ * Encode hash output
+ * @param {Buffer} digest - Hash bytes
+ * @param {string} format - Output format
+ * @returns {string|Buffer} Encoded hash
+ */
+function encodeDigest(digest, format) {
+  return format === 'buffer' ? digest : digest.toString(format);
+}
+
+/**
+ * Compute BLAKE3 hash
+ * @param {string|Buffer|Uint8Array} data - Input data
+ * @param {object} options - { format: 'hex'|'base64'|'base64url'|'buffer', length: output bytes (default 32) }
+ * @returns {string|Buffer} Hash
+ */
+export function computeHash(data, options = {}) {
+  const { format, length } = normalizeOutputOptions(options);
+  return encodeDigest(blake3(toBytes(data), length), format);
+}
+
+/**
+ * Compute keyed BLAKE3 hash (MAC)
+ * @param {string|Buffer|Uint8Array} data - Input data
+ * @param {Buffer|Uint8Array} key - 32-byte key
+ * @param {object} options - { format, length }
+ * @returns {string|Buffer} Keyed hash
+ */
+export function computeKeyedHash(data, key, options = {}) {
+  const { format, length } = normalizeOutputOptions(options);
+  return encodeDigest(blake3Keyed(toBytes(key), toBytes(data), length), format);
+}
+
+/**
+ * Derive key material with BLAKE3 derive-key mode
+ * @param {string} context - Hardcoded, application-specific context string
+ * @param {string|Buffer|Uint8Array} keyMaterial - Input key material
+ * @param {object} options - { format, length }
+ * @returns {string|Buffer} Derived key
+ */
+export function deriveKey(context, keyMaterial, options = {}) {
+  if (!context || typeof context !== 'string') {
+    throw new Error('Derive-key context must be a non-empty string');
+  }
+  const { format, length } = normalizeOutputOptions(options);
+  return encodeDigest(blake3DeriveKey(context, toBytes(keyMaterial), length), format);
+}
+
+/**
+ * Hash several inputs as one message
+ * Each input is prefixed with its 8-byte little-endian length so that
+ * ['ab', 'c'] and ['a', 'bc'] produce different hashes
+ * @param {Array<string|Buffer|Uint8Array>} inputs - Inputs to hash
+ * @param {object} options - { format, length, key } (key enables keyed mode)
+ * @returns {string|Buffer} Hash
+ */
+export function hashMultiple(inputs, options = {}) {
+  if (!Array.isArray(inputs) || inputs.length === 0) {
+    throw new Error('hashMultiple requires a non-empty array of inputs');
+  }
+
+  const parts = [];
+  for (const input of inputs) {
+    const bytes = toBytes(input);
+    const prefix = Buffer.alloc(8);
+    prefix.writeBigUInt64LE(BigInt(bytes.length));
+    parts.push(prefix, bytes);
+  }
+
+  const message = Buffer.concat(parts);
+  return options.key
+    ? computeKeyedHash(message, options.key, options)
+    : computeHash(message, options);
+}
+
+/**
+ * Tag length to verify against
+ * The length is the caller's configuration, never taken from the tag itself:
+ * otherwise a 1-byte tag would be checked against a 1-byte truncation.
+ * @param {object} options - { length } (default DEFAULT_HASH_LENGTH)
+ * @returns {number} Tag length in bytes
+ * @throws {Error} If the length is below MIN_VERIFY_LENGTH
+ */
+function resolveVerifyLength({ length = DEFAULT_HASH_LENGTH } = {}) {
+  const tagLength = Number(length);
+  if (!Number.isInteger(tagLength) || tagLength < MIN_VERIFY_LENGTH || tagLength > MAX_HASH_LENGTH) {
+    throw new Error(`Verification length must be an integer between ${MIN_VERIFY_LENGTH} and ${MAX_HASH_LENGTH} bytes`);
+  }
+  return tagLength;
+}
+
+/**
+ * Decode a hash to verify
+ * @param {string|Buffer} expectedHash - Expected hash
+ * @param {string} format - 'hex', 'base64', 'base64url' or 'buffer'
+ * @returns {Buffer} Hash bytes
+ */
+function decodeHash(expectedHash, format) {
+  return Buffer.isBuffer(expectedHash)
+    ? expectedHash
+    : Buffer.from(String(expectedHash), format === 'buffer' ? 'hex' : format);
+}
+
+/**
+ * Check that a hash to verify has the configured tag length
+ * For callers that reject such requests instead of reporting a mismatch.
+ * @param {string|Buffer} expectedHash - Expected hash
+ * @param {object} options - { format, length } as for verifyHash
+ * @throws {Error} If the length is too short or the hash has another length
+ */
+export function checkHashTag(expectedHash, options = {}) {
+  const length = resolveVerifyLength(options);
+  const actual = decodeHash(expectedHash, options.format || 'hex').length;
+  if (actual !== length) {
+    throw new Error(`Hash must be ${length} bytes (got ${actual})`);
+  }
+}
+
+/**
+ * Verify a BLAKE3 hash in constant time
+ * A hash of any other length than the tag length does not verify.
+ * @param {string|Buffer|Uint8Array|Array} data - Input data (arrays are verified as hashMultiple)
+ * @param {string|Buffer} expectedHash - Expected hash
+ * @param {object} options - { format: 'hex'|'base64'|'base64url', length: tag bytes (default 32, at least 16), key }
+ * @returns {boolean} True if hash matches
+ * @throws {Error} If the length is below MIN_VERIFY_LENGTH
+ */
+export function verifyHash(data, expectedHash, options = {}) {
+  const length = resolveVerifyLength(options);
+
+  try {
+    const { format = 'hex', key } = options;
+    const expected = decodeHash(expectedHash, format);
+
+    const hashOptions = { format: 'buffer', length, key };
+    const computed = Array.isArray(data)
+      ? hashMultiple(data, hashOptions)
+      : key
+        ? computeKeyedHash(data, key, hashOptions)
+        : computeHash(data, hashOptions);
+
+    // timingSafeEqual requires equal lengths; length is not secret
+    if (computed.length !== expected.length) {
+      return false;
+    }
+    return crypto.timingSafeEqual(computed, expected);
+  } catch (error) {
+    return false;
+  }
+}
+
 export default {
   computeUinHash,
   computeSha256,
   computeSha3_256,
-  verifyUinHash
+  verifyUinHash,
+  computeHash,
+  computeKeyedHash,
+  deriveKey,
+  hashMultiple,
+  checkHashTag,
+  verifyHash
 };
@@ -0,0 +1,104 @@
+/**
+ * HMAC_DRBG (NIST SP 800-90A Rev. 1, section 10.1.2) with HMAC-SHA-256
+ * Deterministic random bit generator: the same entropy input, nonce and
+ * personalization string always produce the same output stream.
+ *
+ * Used for seeded test fixtures only. A caller-chosen seed has no secret
+ * entropy, so UINs generated from it are predictable by design.
+ */
+
+import crypto from 'crypto';
+
+const OUTLEN = 32;
+// SP 800-90A Table 2 limits for HMAC_DRBG
+const MAX_BYTES_PER_REQUEST = 2 ** 16; // 2^19 bits
+const RESEED_INTERVAL = 2 ** 48;
+
+/**
+ * HMAC_DRBG class
+ */
+export class HmacDrbg {
+  /**
+   * Instantiate the DRBG
+   * @param {Buffer} entropyInput - Entropy input (for test fixtures: the seed)
+   * @param {Buffer} [nonce] - Nonce
+   * @param {Buffer} [personalization] - Personalization string
+   */
+  constructor(entropyInput, nonce = Buffer.alloc(0), personalization = Buffer.alloc(0)) {
+    if (!Buffer.isBuffer(entropyInput) || entropyInput.length === 0) {
+      throw new Error('HMAC_DRBG entropy input must be a non-empty Buffer');
+    }
+
+    this.key = Buffer.alloc(OUTLEN, 0x00);
+    this.value = Buffer.alloc(OUTLEN, 0x01);
+    this.update(Buffer.concat([entropyInput, nonce, personalization]));
+    this.reseedCounter = 1;
+  }
+
+  /**
+   * HMAC-SHA-256 under the current key
+   * @param {...Buffer} parts - Message parts
+   * @returns {Buffer} MAC
+   */
+  hmac(...parts) {
+    return crypto.createHmac('sha256', this.key).update(Buffer.concat(parts)).digest();
+  }
+
+  /**
+   * HMAC_DRBG_Update
+   * @param {Buffer} [provided] - Provided data
+   */
+  update(provided = Buffer.alloc(0)) {
+    this.key = this.hmac(this.value, Buffer.from([0x00]), provided);
+    this.value = this.hmac(this.value);
+    if (provided.length === 0) {
+      return;
+    }
+    this.key = this.hmac(this.value, Buffer.from([0x01]), provided);
+    this.value = this.hmac(this.value);
+  }
+
+  /**
+   * Reseed with new entropy input
+   * @param {Buffer} entropyInput - Entropy input
+   * @param {Buffer} [additionalInput] - Additional input
+   */
+  reseed(entropyInput, additionalInput = Buffer.alloc(0)) {
+    this.update(Buffer.concat([entropyInput, additionalInput]));
+    this.reseedCounter = 1;
+  }
+
+  /**
+   * Generate pseudorandom bytes
+   * @param {number} length - Number of bytes (at most 65536 per request)
+   * @param {Buffer} [additionalInput] - Additional input
+   * @returns {Buffer} Pseudorandom bytes
+   */
+  generate(length, additionalInput = Buffer.alloc(0)) {
+    if (length > MAX_BYTES_PER_REQUEST) {
+      throw new Error(`HMAC_DRBG requests are limited to ${MAX_BYTES_PER_REQUEST} bytes`);
+    }
+    if (this.reseedCounter > RESEED_INTERVAL) {
+      throw new Error('HMAC_DRBG reseed required');
+    }
+
+    if (additionalInput.length > 0) {
+      this.update(additionalInput);
+    }
+
+    const blocks = [];
+    for (let produced = 0; produced < length; produced += OUTLEN) {
+      this.value = this.hmac(this.value);
+      blocks.push(this.value);
+    }
+
+    this.update(additionalInput);
+    this.reseedCounter++;
+
+    return Buffer.concat(blocks).subarray(0, length);
+  }
+}
+
+export default {
+  HmacDrbg
+};
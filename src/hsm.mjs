@@ -11,6 +11,11 @@
  *   2. Local HSM TRNG (if available, e.g. YubiHSM2)
  *   3. Software CSPRNG (Node.js crypto.randomBytes)
  *
+ * Hardware entropy is served from a prefetching EntropyPool refilled in the
+ * background, so requests never wait on the device or block the event loop.
+ * Every source is checked with SP 800-90B health tests; a failing source is
+ * quarantined and requests fail over to the next one.
+ *
  * Supported HSM Providers:
  * - Thales Luna (Network HSM, Luna SA/PCIe)
  * - SafeNet (Luna, ProtectServer)
@@ -23,7 +28,33 @@
  */
 
 import crypto from 'crypto';
-import { execFileSync } from 'child_process';
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+import { EntropyPool, softwareRandomBytesWithSource } from './entropyPool.mjs';
+import {
+  EntropyHealthMonitor,
+  STARTUP_SAMPLE_SIZE,
+  entropyHealthError,
+  failoverInfo
+} from './entropyHealth.mjs';
+
+const execFileAsync = promisify(execFile);
+
+/**
+ * Environment variable carrying the remote TRNG PIN to pkcs11-tool-remote
+ * (passed as `--pin env:TRNG_PIN` so the PIN never appears on argv)
+ */
+const REMOTE_TRNG_PIN_ENV = 'TRNG_PIN';
+
+/**
+ * Provenance of the remote Utimaco TRNG
+ */
+const REMOTE_TRNG_SOURCE = {
+  source: 'Utimaco CryptoServer Hardware TRNG (c3)',
+  hardware: true,
+  fipsLevel: 3,
+  provider: 'utimaco-remote'
+};
 
 /**
  * HSM provider configurations with priority order
@@ -187,11 +218,17 @@ export class HsmClient {
     this.session = null;
     this.keyHandle = null;
     this.pkcs11 = null;
+    this.graphene = null;
     this.providerInfo = null;
     this.detectedProvider = null;
     this.trngAvailable = false;
     this.remoteTrngAvailable = false;
     this.trngConfig = null;
+    this.entropyPool = null;
+    this.health = {
+      remote: new EntropyHealthMonitor('utimaco-remote'),
+      local: new EntropyHealthMonitor('hsm-trng')
+    };
   }
 
   /**
@@ -211,7 +248,7 @@ export class HsmClient {
 
   /**
    * Initialize remote TRNG connection
-   * Tests connectivity by generating a small random buffer
+   * Tests connectivity and runs the startup health test over a larger sample
    * @returns {Promise<boolean>} Whether remote TRNG is available
    */
   async initializeRemoteTrng() {
@@ -221,8 +258,13 @@ export class HsmClient {
     }
 
     try {
-      const testBytes = this._remoteRandomBytesSync(16);
-      if (testBytes && testBytes.length === 16) {
+      const testBytes = await this._remoteRandomBytes(STARTUP_SAMPLE_SIZE);
+      if (testBytes && testBytes.length === STARTUP_SAMPLE_SIZE) {
+        if (!this.health.remote.startup(testBytes)) {
+          console.warn('[HSM] Remote TRNG failed startup health test, not using it');
+          this.remoteTrngAvailable = false;
+          return false;
+        }
         this.remoteTrngAvailable = true;
         console.log('[HSM] Remote TRNG verified via Utimaco CryptoServer c3 (pkcs11-tool-remote)');
         console.log(`[HSM] TRNG slot: ${this.trngConfig.slot}, FIPS 140-2 Level 3`);
@@ -239,19 +281,160 @@ export class HsmClient {
 
   /**
    * Generate random bytes from remote Utimaco TRNG via SSH
+   * Runs asynchronously; the PIN is handed over in the child's environment
    * @param {number} length - Number of bytes
-   * @returns {Buffer} Random bytes from hardware TRNG
+   * @returns {Promise<Buffer>} Random bytes from hardware TRNG
    */
-  _remoteRandomBytesSync(length) {
-    return execFileSync(this.trngConfig.command, [
+  async _remoteRandomBytes(length) {
+    const { stdout } = await execFileAsync(this.trngConfig.command, [
       '--generate-random', String(length),
       '--slot', this.trngConfig.slot,
-      '--login', '--pin', this.trngConfig.pin
+      '--login', '--pin', `env:${REMOTE_TRNG_PIN_ENV}`
     ], {
+      encoding: 'buffer',
       maxBuffer: 1024 * 1024,
       timeout: this.trngConfig.timeout,
-      stdio: ['pipe', 'pipe', 'pipe']
+      env: { ...process.env, [REMOTE_TRNG_PIN_ENV]: this.trngConfig.pin }
     });
+    return stdout;
+  }
+
+  /**
+   * Read remote TRNG bytes through its health monitor
+   * @param {number} length - Number of bytes
+   * @returns {Promise<Buffer>} Health-checked random bytes
+   */
+  async _readRemoteTrng(length) {
+    if (!this.health.remote.healthy) {
+      throw entropyHealthError(this.health.remote);
+    }
+    return this._checkHealth(this.health.remote, await this._remoteRandomBytes(length));
+  }
+
+  /**
+   * Read local HSM TRNG bytes through its health monitor
+   * @param {number} length - Number of bytes
+   * @returns {Buffer} Health-checked random bytes
+   */
+  _readLocalTrng(length) {
+    if (!this.health.local.healthy) {
+      throw entropyHealthError(this.health.local);
+    }
+    return this._checkHealth(this.health.local, this.session.generateRandom(length));
+  }
+
+  /**
+   * Run continuous health tests; on failure quarantine the source and
+   * move the entropy pool to the next healthy source
+   * @param {EntropyHealthMonitor} monitor - Source monitor
+   * @param {Buffer} bytes - Source output
+   * @returns {Buffer} The same bytes if healthy
+   */
+  _checkHealth(monitor, bytes) {
+    if (monitor.check(bytes)) {
+      return bytes;
+    }
+
+    bytes.fill(0);
+    if (this.entropyPool && this.entropyPool.healthMonitor === monitor) {
+      const failedPool = this.entropyPool;
+      this.entropyPool = null;
+      failedPool.stop().catch(() => {});
+      this.startEntropyPool(this.config.entropyPool);
+    }
+    throw entropyHealthError(monitor);
+  }
+
+  /**
+   * Start the background entropy pool on the best available healthy hardware source
+   * Remote TRNG is preferred; when it stalls, requests fall back to the local
+   * HSM TRNG (if any) and then to software CSPRNG
+   * @param {object} options - EntropyPool options (capacity, chunkSize, stallTimeout, ...)
+   * @returns {EntropyPool|null} Running pool, or null without healthy hardware TRNG
+   */
+  startEntropyPool(options = {}) {
+    if (this.entropyPool) {
+      return this.entropyPool;
+    }
+
+    if (this.remoteTrngAvailable && this.health.remote.healthy) {
+      this.entropyPool = new EntropyPool({
+        ...options,
+        fill: (length) => this._readRemoteTrng(length),
+        source: REMOTE_TRNG_SOURCE,
+        fallback: (length) => this._directRandomBytesWithSource(length)
+      });
+      this.entropyPool.healthMonitor = this.health.remote;
+    } else if (this.session && this.trngAvailable && this.health.local.healthy) {
+      this.entropyPool = new EntropyPool({
+        ...options,
+        fill: async (length) => this._readLocalTrng(length),
+        source: this._localTrngSource(),
+        fallback: (length) => this._withFailover(softwareRandomBytesWithSource(length))
+      });
+      this.entropyPool.healthMonitor = this.health.local;
+    } else {
+      return null;
+    }
+
+    console.log(`[HSM] Entropy pool started (${this.entropyPool.source.source}, ${this.entropyPool.config.capacity} bytes)`);
+    return this.entropyPool.start();
+  }
+
+  /**
+   * Provenance of the local HSM TRNG
+   * @returns {object} Source information
+   */
+  _localTrngSource() {
+    return {
+      source: this.providerInfo?.name || 'Hardware HSM',
+      hardware: true,
+      fipsLevel: this.providerInfo?.fipsLevel || 0,
+      provider: this.config.provider || 'hsm'
+    };
+  }
+
+  /**
+   * Attach the failover record of the first quarantined hardware source
+   * @param {Promise<object>} pending - Bytes with source information from a lower-priority source
+   * @returns {Promise<object>} Bytes with source information and failover record
+   */
+  async _withFailover(pending) {
+    const result = await pending;
+    const failed = [this.health.remote, this.health.local].find(monitor => !monitor.healthy);
+    return failed && !result.failover ? { ...result, failover: failoverInfo(failed) } : result;
+  }
+
+  /**
+   * Read bytes without the pool: local HSM TRNG, then software CSPRNG
+   * @param {number} length - Number of bytes
+   * @returns {Promise<{bytes: Buffer, source: string, hardware: boolean, fipsLevel: number, provider: string}>}
+   */
+  async _directRandomBytesWithSource(length) {
+    if (this.session && this.trngAvailable && this.health.local.healthy) {
+      try {
+        return this._withFailover({ bytes: this._readLocalTrng(length), ...this._localTrngSource() });
+      } catch (error) {
+        console.warn('[HSM] Hardware TRNG failed:', error.message);
+      }
+    }
+
+    return this._withFailover(softwareRandomBytesWithSource(length));
+  }
+
+  /**
+   * Get health test state of the hardware entropy sources
+   * @returns {object} Health status keyed by source
+   */
+  getHealthStatus() {
+    const status = {};
+    if (this.trngConfig?.enabled) {
+      status[this.health.remote.name] = this.health.remote.getStatus();
+    }
+    if (this.trngAvailable) {
+      status[this.health.local.name] = this.health.local.getStatus();
+    }
+    return status;
   }
 
   /**
@@ -365,10 +548,14 @@ export class HsmClient {
         this.trngAvailable = this.providerInfo?.hasTrng === true && this.session !== null;
 
         if (this.trngAvailable) {
-          // Test TRNG by generating a few bytes
+          // Test TRNG and run the startup health test
           try {
-            this.session.generateRandom(16);
-            console.log(`[HSM] Hardware TRNG verified via ${this.providerInfo.name}`);
+            if (this.health.local.startup(this.session.generateRandom(STARTUP_SAMPLE_SIZE))) {
+              console.log(`[HSM] Hardware TRNG verified via ${this.providerInfo.name}`);
+            } else {
+              console.warn('[HSM] Hardware TRNG failed startup health test, not using it');
+              this.trngAvailable = false;
+            }
           } catch (trngError) {
             console.warn('[HSM] Hardware TRNG test failed:', trngError.message);
             this.trngAvailable = false;
@@ -387,6 +574,8 @@ export class HsmClient {
         await this.initializeRemoteTrng();
       }
 
+      this.startEntropyPool(this.config.entropyPool);
+
       this.initialized = true;
       return true;
     } catch (error) {
@@ -434,6 +623,7 @@ export class HsmClient {
     console.log(`[HSM] Loading PKCS#11 library: ${libraryPath}`);
 
     // Initialize PKCS#11 using static Module.load() method
+    this.graphene = graphene;
     this.pkcs11 = graphene.Module.load(libraryPath);
     this.pkcs11.initialize();
 
@@ -552,85 +742,35 @@ export class HsmClient {
    * @returns {Promise<Buffer>} Random bytes
    */
   async randomBytes(length) {
-    // Priority 1: Remote hardware TRNG (Utimaco c3)
-    if (this.remoteTrngAvailable) {
-      try {
-        const bytes = this._remoteRandomBytesSync(length);
-        if (bytes && bytes.length === length) {
-          if (!this._loggedRemoteTrngUse) {
-            console.log('[HSM] Using remote hardware TRNG (Utimaco CryptoServer c3)');
-            this._loggedRemoteTrngUse = true;
-          }
-          return bytes;
-        }
-      } catch (error) {
-        console.warn('[HSM] Remote TRNG failed, trying local HSM:', error.message);
-      }
-    }
-
-    // Priority 2: Local HSM TRNG
-    if (this.session && this.trngAvailable) {
-      try {
-        const randomData = this.session.generateRandom(length);
-        if (!this._loggedTrngUse) {
-          console.log(`[HSM] Using hardware TRNG from ${this.providerInfo?.name}`);
-          this._loggedTrngUse = true;
-        }
-        return randomData;
-      } catch (error) {
-        console.warn('[HSM] Hardware TRNG failed, falling back to software CSPRNG:', error.message);
-      }
-    }
-
-    // Priority 3: Software CSPRNG (Node.js crypto.randomBytes)
-    return crypto.randomBytes(length);
+    const { bytes } = await this.randomBytesWithSource(length);
+    return bytes;
   }
 
   /**
    * Generate random bytes with source information
-   * Returns source metadata along with random bytes
+   * Returns source metadata along with random bytes. Hardware bytes come from the
+   * entropy pool; the source fields name whichever source actually served the request
    * @param {number} length - Number of bytes
-   * @returns {Promise<{bytes: Buffer, source: string, hardware: boolean, fipsLevel: number}>}
+   * @returns {Promise<{bytes: Buffer, source: string, hardware: boolean, fipsLevel: number, provider: string}>}
    */
   async randomBytesWithSource(length) {
-    // Priority 1: Remote TRNG (Utimaco c3)
-    if (this.remoteTrngAvailable) {
+    if (this.entropyPool) {
+      return this.entropyPool.take(length);
+    }
+
+    // No pool (e.g. before initialize): query the remote TRNG directly
+    if (this.remoteTrngAvailable && this.health.remote.healthy) {
       try {
-        const bytes = this._remoteRandomBytesSync(length);
+        const bytes = await this._readRemoteTrng(length);
         if (bytes && bytes.length === length) {
-          return {
-            bytes,
-            source: 'Utimaco CryptoServer Hardware TRNG (c3)',
-            hardware: true,
-            fipsLevel: 3
-          };
+          return { bytes, ...REMOTE_TRNG_SOURCE };
         }
       } catch (error) {
         console.warn('[HSM] Remote TRNG failed:', error.message);
       }
     }
 
-    // Priority 2: Local HSM TRNG
-    if (this.session && this.trngAvailable) {
-      try {
-        const bytes = this.session.generateRandom(length);
-        return {
-          bytes,
-          source: this.providerInfo?.name || 'Hardware HSM',
-          hardware: true,
-          fipsLevel: this.providerInfo?.fipsLevel || 0
-        };
-      } catch (error) {
-        console.warn('[HSM] Hardware TRNG failed:', error.message);
-      }
-    }
-
-    return {
-      bytes: crypto.randomBytes(length),
-      source: 'Node.js CSPRNG',
-      hardware: false,
-      fipsLevel: 0
-    };
+    return this._directRandomBytesWithSource(length);
   }
 
   /**
@@ -658,6 +798,43 @@ export class HsmClient {
     }
   }
 
+  /**
+   * Find the HMAC keys stored under a label, one per secret version
+   * The key labelled '<label>' is version 1 and '<label>_v<n>' version n, as with
+   * SECTOR_SECRET_<CODE>_V<n>. Keys never leave the HSM: each result signs with
+   * its handle, synchronously, so sector token derivation can use it in place of a secret.
+   * @param {string} label - Label of the version 1 key
+   * @returns {Array<{version: number, key: {label: string, hmac: Function}}>} Keys, by version
+   * @throws {Error} If no PKCS#11 session is open
+   */
+  findHmacKeys(label) {
+    if (!this.session || !this.graphene) {
+      throw new Error(`No HSM session to find key ${label}`);
+    }
+
+    const graphene = this.graphene;
+    const objects = this.session.find({ class: graphene.ObjectClass.SECRET_KEY });
+    const keys = [];
+
+    for (let i = 0; i < objects.length; i++) {
+      const handle = objects.items(i).toType();
+      const versioned = typeof handle.label === 'string' && handle.label.startsWith(`${label}_v`) ? handle.label.slice(label.length + 2) : null;
+      const version = handle.label === label ? 1 : (versioned && /^[1-9][0-9]*$/.test(versioned) ? parseInt(versioned) : null);
+
+      if (version !== null) {
+        keys.push({
+          version,
+          key: {
+            label: handle.label,
+            hmac: (algorithm, data) => this.session.createSign(this.getMechanism(algorithm, graphene), handle).once(Buffer.from(data))
+          }
+        });
+      }
+    }
+
+    return keys.sort((a, b) => a.version - b.version);
+  }
+
   /**
    * Get PKCS#11 mechanism for algorithm
    * @param {string} algorithm - Algorithm name
@@ -717,6 +894,10 @@ export class HsmClient {
    * @returns {object} Status information
    */
   getStatus() {
+    // A TRNG quarantined by the continuous tests no longer serves requests
+    const localTrng = this.trngAvailable && this.health.local.healthy;
+    const remoteTrng = this.remoteTrngAvailable && this.health.remote.healthy;
+
     return {
       enabled: this.config.enabled,
       initialized: this.initialized,
@@ -724,23 +905,24 @@ export class HsmClient {
       providerName: this.providerInfo?.name || 'Unknown',
       providerType: this.providerInfo?.type || 'unknown',
       hasHardware: !!this.pkcs11,
-      hasTrng: this.trngAvailable || this.remoteTrngAvailable,
+      hasTrng: localTrng || remoteTrng,
       remoteTrng: {
         enabled: this.trngConfig?.enabled || false,
-        available: this.remoteTrngAvailable,
+        available: remoteTrng,
         provider: 'Utimaco CryptoServer (c3)',
         interface: 'pkcs11-tool-remote (SSH)',
         fipsLevel: 3
       },
-      fipsLevel: this.remoteTrngAvailable ? 3 : (this.providerInfo?.fipsLevel || 0),
+      fipsLevel: remoteTrng ? 3 : (this.providerInfo?.fipsLevel || 0),
       slot: this.config.slot,
       keyLabel: this.config.keyLabel,
       mode: this.pkcs11 ? 'hardware' : 'software',
-      randomSource: this.remoteTrngAvailable
+      randomSource: remoteTrng
         ? 'Utimaco CryptoServer Hardware TRNG (c3)'
-        : this.trngAvailable
+        : localTrng
           ? `${this.providerInfo?.name} Hardware TRNG`
-          : 'Node.js CSPRNG'
+          : 'Node.js CSPRNG',
+      entropyPool: this.entropyPool ? this.entropyPool.getMetrics() : null
     };
   }
 
@@ -748,6 +930,11 @@ export class HsmClient {
    * Close HSM session
    */
   async close() {
+    if (this.entropyPool) {
+      await this.entropyPool.stop();
+      this.entropyPool = null;
+    }
+
     if (this.session) {
       try {
         this.session.logout();
@@ -769,6 +956,7 @@ export class HsmClient {
 
     this.initialized = false;
     this.keyHandle = null;
+    this.graphene = null;
     this.trngAvailable = false;
     this.remoteTrngAvailable = false;
   }
@@ -0,0 +1,61 @@
+/**
+ * HTTP Utilities
+ * Express helpers shared by the server: log sanitizing and API key
+ * authentication of privileged endpoints. Kept out of server.mjs so they can be
+ * tested without starting the server.
+ */
+
+import crypto from 'crypto';
+
+/**
+ * Sanitize a string for safe log output.
+ * Strips control characters and newlines to prevent log injection (CWE-117).
+ */
+export function sanitizeForLog(str) {
+  if (typeof str !== 'string') return '';
+  // eslint-disable-next-line no-control-regex
+  return str.replace(/[\x00-\x1f\x7f]/g, '');
+}
+
+/**
+ * Build middleware that authenticates callers of a protected endpoint by API key
+ * Accepts "Authorization: Bearer <key>" or "X-API-Key: <key>" and sets req.apiClient.
+ * The endpoint is disabled while no keys are configured.
+ * @param {Function} getKeys - Returns the map of client to key
+ * @param {object} endpoint - Endpoint description for responses and logs
+ * @param {string} endpoint.feature - Feature name, e.g. 'Typo recovery'
+ * @param {string} endpoint.path - Endpoint path
+ * @param {string} endpoint.envPrefix - Environment variable prefix of its keys
+ * @returns {Function} Express middleware
+ */
+export function requireApiKey(getKeys, { feature, path, envPrefix }) {
+  return (req, res, next) => {
+    const apiKeys = getKeys();
+
+    if (Object.keys(apiKeys).length === 0) {
+      return res.status(503).json({ success: false, error: `${feature} is disabled`, message: `Configure ${envPrefix}<CLIENT> to enable ${path}` });
+    }
+
+    const authorization = req.get('authorization') || '';
+    const presented = authorization.startsWith('Bearer ') ? authorization.slice(7) : req.get('x-api-key');
+
+    // Compare digests so the comparison is constant-time regardless of key length
+    const digest = (value) => crypto.createHash('sha256').update(value).digest();
+    const client = presented && Object.keys(apiKeys).find(name =>
+      crypto.timingSafeEqual(digest(apiKeys[name]), digest(presented))
+    );
+
+    if (!client) {
+      console.warn(`Rejected ${path} request without a valid API key from ${sanitizeForLog(req.ip)}`);
+      return res.status(401).json({ success: false, error: 'Unauthorized', message: `A valid ${feature.toLowerCase()} API key is required` });
+    }
+
+    req.apiClient = client;
+    next();
+  };
+}
+
+export default {
+  sanitizeForLog,
+  requireApiKey
+};
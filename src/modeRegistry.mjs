@@ -0,0 +1,322 @@
+/**
+ * Generation Mode Registry
+ * Every generation mode (random, foundational, structured, ...) is a registered
+ * definition. generateUin dispatches through the registry, and the server's mode
+ * checks, GET /modes and the CLI's options and help are built from it, so a mode
+ * added here needs no changes elsewhere.
+ *
+ * The built-in modes are registered by uinGenerator.mjs. Plugins are ES modules
+ * in the directory named by UIN_MODE_PLUGIN_DIR whose default export is a mode
+ * definition (or an array of them); they are loaded at startup.
+ *
+ * A definition:
+ *   name         Canonical mode name (lower case letters, digits, '_')
+ *   aliases      Other names accepted for the mode
+ *   options      Option schema: { optionName: { type, description, required, enum, min, max } },
+ *                type being 'string', 'integer', 'number', 'boolean', 'object', 'array' or a list of them
+ *   generate     (options, context) => result with at least `value`. context holds the entropy reader
+ *                (`entropy`, `randomString(length, charset)`), its `provenance` and the requested `mode` name
+ *   validate     Optional (uin, options) => { valid, error?, ... }, used by validateUin for this mode;
+ *                returning null falls back to the generic length and checksum checks
+ *   ui           Presentation metadata: { label, description, category, order, ... }
+ *   usesEntropy  false for modes that draw no random bytes (no provenance is attached)
+ *   poolOnly     true for modes issued through pre-generation only (refused by /generate and /batch)
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { pathToFileURL } from 'url';
+import { getConfig } from './config.mjs';
+
+const NAME_PATTERN = /^[a-z][a-z0-9_]*$/;
+const OPTION_TYPES = ['string', 'integer', 'number', 'boolean', 'object', 'array'];
+
+/**
+ * Whether a value has a schema type
+ * @param {*} value - Option value
+ * @param {string} type - Schema type
+ * @returns {boolean} True if the value matches
+ */
+function hasType(value, type) {
+  switch (type) {
+    case 'integer':
+      return Number.isInteger(value) || typeof value === 'bigint';
+    case 'number':
+      return typeof value === 'number' && Number.isFinite(value);
+    case 'array':
+      return Array.isArray(value);
+    case 'object':
+      return typeof value === 'object' && value !== null && !Array.isArray(value);
+    default:
+      return typeof value === type;
+  }
+}
+
+/**
+ * Mode registry class
+ */
+export class ModeRegistry {
+  constructor() {
+    this.modes = new Map();
+    this.names = new Map();
+  }
+
+  /**
+   * Register a generation mode
+   * @param {object} definition - Mode definition (see module header)
+   * @returns {object} The registered definition
+   * @throws {Error} If the definition is invalid or a name is already taken
+   */
+  register(definition) {
+    const { name, aliases = [], options = {}, generate, validate, ui = {} } = definition || {};
+
+    if (typeof name !== 'string' || !NAME_PATTERN.test(name)) {
+      throw new Error(`Mode name '${name}' must be lower case letters, digits and '_'`);
+    }
+    if (typeof generate !== 'function') {
+      throw new Error(`Mode '${name}' must have a generate function`);
+    }
+    if (validate !== undefined && typeof validate !== 'function') {
+      throw new Error(`Mode '${name}' validate must be a function`);
+    }
+    for (const alias of aliases) {
+      if (typeof alias !== 'string' || !NAME_PATTERN.test(alias)) {
+        throw new Error(`Alias '${alias}' of mode '${name}' must be lower case letters, digits and '_'`);
+      }
+    }
+    for (const [option, spec] of Object.entries(options)) {
+      const types = [].concat(spec.type);
+      if (!types.every(type => OPTION_TYPES.includes(type))) {
+        throw new Error(`Option '${option}' of mode '${name}' has an unknown type '${spec.type}' (use ${OPTION_TYPES.join(', ')})`);
+      }
+    }
+    for (const taken of [name, ...aliases]) {
+      if (this.names.has(taken)) {
+        throw new Error(`Mode name '${taken}' is already registered by mode '${this.names.get(taken)}'`);
+      }
+    }
+
+    const registered = Object.freeze({
+      usesEntropy: true,
+      poolOnly: false,
+      ...definition,
+      aliases: [...aliases],
+      options,
+      ui: { label: name, description: '', category: 'other', order: 100, ...ui }
+    });
+
+    this.modes.set(name, registered);
+    for (const taken of [name, ...aliases]) {
+      this.names.set(taken, name);
+    }
+    return registered;
+  }
+
+  /**
+   * Remove a mode and its aliases
+   * @param {string} name - Canonical mode name
+   * @returns {boolean} True if the mode was registered
+   */
+  unregister(name) {
+    const definition = this.modes.get(name);
+    if (!definition) {
+      return false;
+    }
+    this.modes.delete(name);
+    for (const taken of [name, ...definition.aliases]) {
+      this.names.delete(taken);
+    }
+    return true;
+  }
+
+  /**
+   * Find a mode by name or alias (case-insensitive)
+   * @param {string} name - Mode name or alias
+   * @returns {object|null} Definition, or null if unknown
+   */
+  resolve(name) {
+    const canonical = this.names.get(String(name).toLowerCase());
+    return canonical ? this.modes.get(canonical) : null;
+  }
+
+  /**
+   * Find a mode by name or alias, throwing if it is unknown
+   * @param {string} name - Mode name or alias
+   * @returns {object} Definition
+   */
+  get(name) {
+    const definition = this.resolve(name);
+    if (!definition) {
+      throw new Error(`Unsupported mode: ${String(name).toLowerCase()}. Supported modes: ${this.list().map(mode => mode.name).join(', ')}`);
+    }
+    return definition;
+  }
+
+  /**
+   * All mode names and aliases
+   * @returns {string[]} Accepted names
+   */
+  acceptedNames() {
+    return [...this.names.keys()];
+  }
+
+  /**
+   * Registered modes in UI order
+   * @returns {Array<object>} Definitions
+   */
+  list() {
+    return [...this.modes.values()].sort((a, b) => a.ui.order - b.ui.order || a.name.localeCompare(b.name));
+  }
+
+  /**
+   * Check options against a mode's schema
+   * Options not in the schema (mode, seed, ...) are ignored.
+   * @param {string} name - Mode name or alias
+   * @param {object} options - Generation options
+   * @returns {string[]} Problems (empty if the options are valid)
+   */
+  checkOptions(name, options) {
+    const definition = this.get(name);
+    const problems = [];
+
+    for (const [option, spec] of Object.entries(definition.options)) {
+      const value = options[option];
+      if (value === undefined || value === null) {
+        if (spec.required) {
+          problems.push(`'${option}' is required for ${definition.name} mode`);
+        }
+        continue;
+      }
+
+      const types = [].concat(spec.type);
+      if (!types.some(type => hasType(value, type))) {
+        problems.push(`'${option}' must be ${types.join(' or ')}`);
+      } else if (spec.enum && !spec.enum.includes(value)) {
+        problems.push(`'${option}' must be one of: ${spec.enum.join(', ')}`);
+      } else if ((spec.min !== undefined && value < spec.min) || (spec.max !== undefined && value > spec.max)) {
+        problems.push(`'${option}' must be between ${spec.min ?? '-∞'} and ${spec.max ?? '∞'}`);
+      }
+    }
+
+    return problems;
+  }
+
+  /**
+   * Describe the registered modes for GET /modes and UIs
+   * @returns {Array<object>} {name, aliases, description, parameters, options, ui, poolOnly}
+   */
+  describe() {
+    return this.list().map(definition => ({
+      name: definition.name,
+      aliases: definition.aliases,
+      description: definition.ui.description,
+      parameters: Object.keys(definition.options),
+      options: definition.options,
+      ui: definition.ui,
+      poolOnly: definition.poolOnly
+    }));
+  }
+}
+
+// Singleton instance
+const registry = new ModeRegistry();
+
+/**
+ * Get the mode registry
+ * @returns {ModeRegistry} Registry
+ */
+export function getModeRegistry() {
+  return registry;
+}
+
+/**
+ * Register a generation mode with the shared registry
+ * @param {object} definition - Mode definition (see module header)
+ * @returns {object} The registered definition
+ */
+export function registerMode(definition) {
+  return registry.register(definition);
+}
+
+/**
+ * Find a mode by name or alias in the shared registry
+ * @param {string} name - Mode name or alias
+ * @returns {object|null} Definition, or null if unknown
+ */
+export function resolveMode(name) {
+  return registry.resolve(name);
+}
+
+// Plugin directories already loaded, so the server, CLI and each worker load them once
+const loadedDirectories = new Set();
+
+/**
+ * Load mode plugins from a directory
+ * Each .mjs/.js file is imported in name order; its default export is a mode definition
+ * or an array of them. A failing plugin is reported and skipped, so one broken file
+ * does not take the built-in modes down with it; modes it registered before failing are
+ * removed again, so a plugin is loaded whole or not at all.
+ * @param {string} directory - Plugin directory
+ * @returns {Promise<{loaded: Array<object>, errors: Array<object>}>} Registered modes and failures per file
+ */
+export async function loadModePlugins(directory) {
+  const loaded = [];
+  const errors = [];
+  const resolved = path.resolve(directory);
+
+  if (loadedDirectories.has(resolved)) {
+    return { loaded, errors };
+  }
+  loadedDirectories.add(resolved);
+
+  const files = fs.readdirSync(resolved).filter(file => /\.m?js$/.test(file)).sort();
+  for (const file of files) {
+    const registered = [];
+    try {
+      const module = await import(pathToFileURL(path.join(resolved, file)).href);
+      const definitions = [].concat(module.default || []);
+      if (definitions.length === 0) {
+        throw new Error('no default export');
+      }
+      for (const definition of definitions) {
+        registered.push(registry.register(definition).name);
+      }
+      loaded.push(...registered.map(mode => ({ file, mode })));
+    } catch (error) {
+      for (const mode of registered) {
+        registry.unregister(mode);
+      }
+      errors.push({ file, error: error.message });
+    }
+  }
+
+  return { loaded, errors };
+}
+
+/**
+ * Load the plugins in the configured directory (UIN_MODE_PLUGIN_DIR), if any
+ * Plugins that fail are reported on stderr.
+ * @returns {Promise<{loaded: Array<object>, errors: Array<object>}>} Registered modes and failures per file
+ * @throws {Error} If the directory cannot be read
+ */
+export async function loadConfiguredModePlugins() {
+  const directory = getConfig().modePluginDir;
+  if (!directory) {
+    return { loaded: [], errors: [] };
+  }
+
+  const outcome = await loadModePlugins(directory);
+  for (const { file, error } of outcome.errors) {
+    console.warn(`[Modes] Plugin ${file} not loaded: ${error}`);
+  }
+  return outcome;
+}
+
+export default {
+  ModeRegistry,
+  getModeRegistry,
+  registerMode,
+  resolveMode,
+  loadModePlugins,
+  loadConfiguredModePlugins
+};
@@ -0,0 +1,1124 @@
+/**
+ * ICAO 9303 Machine Readable Zone (MRZ) Module
+ * Builds TD1 (3x30), TD2 (2x36) and TD3 (2x44) MRZ lines with
+ * 7-3-1 check digits, name transliteration and filler handling, and parses
+ * scanned MRZs with OCR error correction
+ */
+
+/**
+ * MRZ filler character
+ */
+const FILLER = '<';
+
+/**
+ * MRZ layouts (ICAO 9303 Parts 4, 5 and 6)
+ */
+export const MRZ_FORMATS = {
+  TD1: { lines: 3, lineLength: 30, nameLength: 30, optionalLength: 15, optional2Length: 11, description: 'ID Card - 3x30' },
+  TD2: { lines: 2, lineLength: 36, nameLength: 31, optionalLength: 7, description: 'Travel Doc - 2x36' },
+  TD3: { lines: 2, lineLength: 44, nameLength: 39, optionalLength: 14, description: 'Passport - 2x44' }
+};
+
+/**
+ * ICAO document type codes
+ * The first character identifies the document class; the second is at the
+ * discretion of the issuing state
+ */
+export const DOCUMENT_TYPES = {
+  P: 'Passport',
+  PD: 'Diplomatic passport',
+  PO: 'Official passport',
+  PS: 'Service passport',
+  PE: 'Emergency passport',
+  I: 'Identity card',
+  ID: 'National identity card',
+  IR: 'Residence permit card',
+  IP: 'Passport card',
+  A: 'Official travel document (type A)',
+  AC: 'Crew member certificate',
+  C: 'Official travel document (type C)',
+  V: 'Machine readable visa',
+  VA: 'Machine readable visa (type A)',
+  VB: 'Machine readable visa (type B)'
+};
+
+/**
+ * ICAO 9303 Part 3 three-letter codes for issuing states and nationalities
+ * ISO 3166-1 alpha-3 codes plus ICAO-specific codes
+ */
+export const COUNTRY_CODES = {
+  AFG: 'Afghanistan',
+  ALA: 'Åland Islands',
+  ALB: 'Albania',
+  DZA: 'Algeria',
+  ASM: 'American Samoa',
+  AND: 'Andorra',
+  AGO: 'Angola',
+  AIA: 'Anguilla',
+  ATA: 'Antarctica',
+  ATG: 'Antigua and Barbuda',
+  ARG: 'Argentina',
+  ARM: 'Armenia',
+  ABW: 'Aruba',
+  AUS: 'Australia',
+  AUT: 'Austria',
+  AZE: 'Azerbaijan',
+  BHS: 'Bahamas',
+  BHR: 'Bahrain',
+  BGD: 'Bangladesh',
+  BRB: 'Barbados',
+  BLR: 'Belarus',
+  BEL: 'Belgium',
+  BLZ: 'Belize',
+  BEN: 'Benin',
+  BMU: 'Bermuda',
+  BTN: 'Bhutan',
+  BOL: 'Bolivia',
+  BES: 'Bonaire, Sint Eustatius and Saba',
+  BIH: 'Bosnia and Herzegovina',
+  BWA: 'Botswana',
+  BVT: 'Bouvet Island',
+  BRA: 'Brazil',
+  IOT: 'British Indian Ocean Territory',
+  BRN: 'Brunei Darussalam',
+  BGR: 'Bulgaria',
+  BFA: 'Burkina Faso',
+  BDI: 'Burundi',
+  CPV: 'Cabo Verde',
+  KHM: 'Cambodia',
+  CMR: 'Cameroon',
+  CAN: 'Canada',
+  CYM: 'Cayman Islands',
+  CAF: 'Central African Republic',
+  TCD: 'Chad',
+  CHL: 'Chile',
+  CHN: 'China',
+  CXR: 'Christmas Island',
+  CCK: 'Cocos (Keeling) Islands',
+  COL: 'Colombia',
+  COM: 'Comoros',
+  COG: 'Congo',
+  COD: 'Congo, Democratic Republic of the',
+  COK: 'Cook Islands',
+  CRI: 'Costa Rica',
+  CIV: "Côte d'Ivoire",
+  HRV: 'Croatia',
+  CUB: 'Cuba',
+  CUW: 'Curaçao',
+  CYP: 'Cyprus',
+  CZE: 'Czechia',
+  DNK: 'Denmark',
+  DJI: 'Djibouti',
+  DMA: 'Dominica',
+  DOM: 'Dominican Republic',
+  ECU: 'Ecuador',
+  EGY: 'Egypt',
+  SLV: 'El Salvador',
+  GNQ: 'Equatorial Guinea',
+  ERI: 'Eritrea',
+  EST: 'Estonia',
+  SWZ: 'Eswatini',
+  ETH: 'Ethiopia',
+  FLK: 'Falkland Islands (Malvinas)',
+  FRO: 'Faroe Islands',
+  FJI: 'Fiji',
+  FIN: 'Finland',
+  FRA: 'France',
+  GUF: 'French Guiana',
+  PYF: 'French Polynesia',
+  ATF: 'French Southern Territories',
+  GAB: 'Gabon',
+  GMB: 'Gambia',
+  GEO: 'Georgia',
+  D: 'Germany',
+  GHA: 'Ghana',
+  GIB: 'Gibraltar',
+  GRC: 'Greece',
+  GRL: 'Greenland',
+  GRD: 'Grenada',
+  GLP: 'Guadeloupe',
+  GUM: 'Guam',
+  GTM: 'Guatemala',
+  GGY: 'Guernsey',
+  GIN: 'Guinea',
+  GNB: 'Guinea-Bissau',
+  GUY: 'Guyana',
+  HTI: 'Haiti',
+  HMD: 'Heard Island and McDonald Islands',
+  VAT: 'Holy See',
+  HND: 'Honduras',
+  HKG: 'Hong Kong SAR of China',
+  HUN: 'Hungary',
+  ISL: 'Iceland',
+  IND: 'India',
+  IDN: 'Indonesia',
+  IRN: 'Iran',
+  IRQ: 'Iraq',
+  IRL: 'Ireland',
+  IMN: 'Isle of Man',
+  ISR: 'Israel',
+  ITA: 'Italy',
+  JAM: 'Jamaica',
+  JPN: 'Japan',
+  JEY: 'Jersey',
+  JOR: 'Jordan',
+  KAZ: 'Kazakhstan',
+  KEN: 'Kenya',
+  KIR: 'Kiribati',
+  PRK: "Korea, Democratic People's Republic of",
+  KOR: 'Korea, Republic of',
+  RKS: 'Kosovo',
+  KWT: 'Kuwait',
+  KGZ: 'Kyrgyzstan',
+  LAO: "Lao People's Democratic Republic",
+  LVA: 'Latvia',
+  LBN: 'Lebanon',
+  LSO: 'Lesotho',
+  LBR: 'Liberia',
+  LBY: 'Libya',
+  LIE: 'Liechtenstein',
+  LTU: 'Lithuania',
+  LUX: 'Luxembourg',
+  MAC: 'Macao SAR of China',
+  MDG: 'Madagascar',
+  MWI: 'Malawi',
+  MYS: 'Malaysia',
+  MDV: 'Maldives',
+  MLI: 'Mali',
+  MLT: 'Malta',
+  MHL: 'Marshall Islands',
+  MTQ: 'Martinique',
+  MRT: 'Mauritania',
+  MUS: 'Mauritius',
+  MYT: 'Mayotte',
+  MEX: 'Mexico',
+  FSM: 'Micronesia, Federated States of',
+  MDA: 'Moldova, Republic of',
+  MCO: 'Monaco',
+  MNG: 'Mongolia',
+  MNE: 'Montenegro',
+  MSR: 'Montserrat',
+  MAR: 'Morocco',
+  MOZ: 'Mozambique',
+  MMR: 'Myanmar',
+  NAM: 'Namibia',
+  NRU: 'Nauru',
+  NPL: 'Nepal',
+  NLD: 'Netherlands',
+  NCL: 'New Caledonia',
+  NZL: 'New Zealand',
+  NIC: 'Nicaragua',
+  NER: 'Niger',
+  NGA: 'Nigeria',
+  NIU: 'Niue',
+  NFK: 'Norfolk Island',
+  MKD: 'North Macedonia',
+  MNP: 'Northern Mariana Islands',
+  NOR: 'Norway',
+  OMN: 'Oman',
+  PAK: 'Pakistan',
+  PLW: 'Palau',
+  PSE: 'Palestine, State of',
+  PAN: 'Panama',
+  PNG: 'Papua New Guinea',
+  PRY: 'Paraguay',
+  PER: 'Peru',
+  PHL: 'Philippines',
+  PCN: 'Pitcairn',
+  POL: 'Poland',
+  PRT: 'Portugal',
+  PRI: 'Puerto Rico',
+  QAT: 'Qatar',
+  REU: 'Réunion',
+  ROU: 'Romania',
+  RUS: 'Russian Federation',
+  RWA: 'Rwanda',
+  BLM: 'Saint Barthélemy',
+  SHN: 'Saint Helena, Ascension and Tristan da Cunha',
+  KNA: 'Saint Kitts and Nevis',
+  LCA: 'Saint Lucia',
+  MAF: 'Saint Martin (French part)',
+  SPM: 'Saint Pierre and Miquelon',
+  VCT: 'Saint Vincent and the Grenadines',
+  WSM: 'Samoa',
+  SMR: 'San Marino',
+  STP: 'Sao Tome and Principe',
+  SAU: 'Saudi Arabia',
+  SEN: 'Senegal',
+  SRB: 'Serbia',
+  SYC: 'Seychelles',
+  SLE: 'Sierra Leone',
+  SGP: 'Singapore',
+  SXM: 'Sint Maarten (Dutch part)',
+  SVK: 'Slovakia',
+  SVN: 'Slovenia',
+  SLB: 'Solomon Islands',
+  SOM: 'Somalia',
+  ZAF: 'South Africa',
+  SGS: 'South Georgia and the South Sandwich Islands',
+  SSD: 'South Sudan',
+  ESP: 'Spain',
+  LKA: 'Sri Lanka',
+  SDN: 'Sudan',
+  SUR: 'Suriname',
+  SJM: 'Svalbard and Jan Mayen',
+  SWE: 'Sweden',
+  CHE: 'Switzerland',
+  SYR: 'Syrian Arab Republic',
+  TWN: 'Taiwan Province of China',
+  TJK: 'Tajikistan',
+  TZA: 'Tanzania, United Republic of',
+  THA: 'Thailand',
+  TLS: 'Timor-Leste',
+  TGO: 'Togo',
+  TKL: 'Tokelau',
+  TON: 'Tonga',
+  TTO: 'Trinidad and Tobago',
+  TUN: 'Tunisia',
+  TUR: 'Türkiye',
+  TKM: 'Turkmenistan',
+  TCA: 'Turks and Caicos Islands',
+  TUV: 'Tuvalu',
+  UGA: 'Uganda',
+  UKR: 'Ukraine',
+  ARE: 'United Arab Emirates',
+  GBR: 'United Kingdom of Great Britain and Northern Ireland',
+  USA: 'United States of America',
+  UMI: 'United States Minor Outlying Islands',
+  URY: 'Uruguay',
+  UZB: 'Uzbekistan',
+  VUT: 'Vanuatu',
+  VEN: 'Venezuela',
+  VNM: 'Viet Nam',
+  VGB: 'Virgin Islands (British)',
+  VIR: 'Virgin Islands (U.S.)',
+  WLF: 'Wallis and Futuna',
+  ESH: 'Western Sahara',
+  YEM: 'Yemen',
+  ZMB: 'Zambia',
+  ZWE: 'Zimbabwe',
+
+  // ICAO-specific codes (ICAO 9303 Part 3, section 5)
+  GBD: 'British Overseas Territories Citizen',
+  GBN: 'British National (Overseas)',
+  GBO: 'British Overseas Citizen',
+  GBP: 'British Protected Person',
+  GBS: 'British Subject',
+  EUE: 'European Union',
+  UNO: 'United Nations Organization or one of its officials',
+  UNA: 'United Nations specialized agency or one of its officials',
+  UNK: 'Resident of Kosovo (UNMIK travel document)',
+  XBA: 'African Development Bank',
+  XIM: 'African Export-Import Bank',
+  XCC: 'Caribbean Community (CARICOM)',
+  XCE: 'Council of Europe',
+  XCO: 'Common Market for Eastern and Southern Africa (COMESA)',
+  XEC: 'Economic Community of West African States (ECOWAS)',
+  XPO: 'International Criminal Police Organization (INTERPOL)',
+  XES: 'Organisation of Eastern Caribbean States (OECS)',
+  XMP: 'Parliamentary Assembly of the Mediterranean',
+  XOM: 'Sovereign Military Order of Malta',
+  XDC: 'Southern African Development Community (SADC)',
+  XXA: 'Stateless person (1954 Convention)',
+  XXB: 'Refugee (1951 Convention)',
+  XXC: 'Refugee (other than 1951 Convention)',
+  XXX: 'Unspecified nationality',
+  UTO: 'Utopia (ICAO specimen documents)'
+};
+
+/**
+ * Characters transliterated to more than one Latin letter, or not
+ * decomposable by Unicode normalization (ICAO 9303 Part 3, section 6)
+ */
+const TRANSLITERATIONS = {
+  'Ä': 'AE',
+  'Ö': 'OE',
+  'Ü': 'UE',
+  'Æ': 'AE',
+  'Œ': 'OE',
+  'Ø': 'OE',
+  'Å': 'AA',
+  'Þ': 'TH',
+  'Ð': 'D',
+  'Đ': 'D',
+  'Ħ': 'H',
+  'Ł': 'L',
+  'Ŋ': 'N',
+  'Ŧ': 'T',
+  'Ĳ': 'IJ',
+  'ẞ': 'SS'
+};
+
+/**
+ * Compute an ICAO 9303 check digit (weights 7, 3, 1 repeating, modulus 10)
+ * Digits keep their value, A-Z map to 10-35 and the filler '<' counts as 0
+ * @param {string} input - MRZ field including fillers
+ * @returns {string} Single check digit
+ */
+export function computeMrzCheckDigit(input) {
+  if (typeof input !== 'string') {
+    throw new Error('Input must be a string');
+  }
+
+  const weights = [7, 3, 1];
+  let sum = 0;
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+    let value;
+
+    if (char >= '0' && char <= '9') {
+      value = char.charCodeAt(0) - '0'.charCodeAt(0);
+    } else if (char >= 'A' && char <= 'Z') {
+      value = char.charCodeAt(0) - 'A'.charCodeAt(0) + 10;
+    } else if (char === FILLER) {
+      value = 0;
+    } else {
+      throw new Error(`Invalid MRZ character: ${char}`);
+    }
+
+    sum += value * weights[i % 3];
+  }
+
+  return String(sum % 10);
+}
+
+/**
+ * Transliterate a name component to the MRZ character set (A-Z and '<')
+ * Diacritics are removed, apostrophes are omitted and spaces, hyphens and
+ * other punctuation become fillers
+ * @param {string} value - Name component as printed in the VIZ
+ * @returns {string} Transliterated name component
+ */
+export function transliterateName(value) {
+  if (!value) {
+    return '';
+  }
+
+  let result = String(value).toUpperCase();
+
+  result = result.replace(/./gu, char => TRANSLITERATIONS[char] || char);
+
+  // Strip combining diacritical marks (É -> E, Ñ -> N, Ç -> C, ...)
+  result = result.normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+
+  result = result
+    .replace(/['\u2018\u2019`]/g, '')
+    .replace(/[\s\-,.]+/g, FILLER)
+    .replace(/[^A-Z<]/g, '')
+    .replace(/^<+|<+$/g, '');
+
+  return result;
+}
+
+/**
+ * Build the MRZ name field (PRIMARY<<SECONDARY) for a given width
+ * Secondary identifiers are truncated first; a truncated field never ends
+ * with a filler
+ * @param {string} surname - Primary identifier
+ * @param {string} [givenNames] - Secondary identifier
+ * @param {number} width - Field width
+ * @returns {{value: string, truncated: boolean}} Name field and truncation flag
+ */
+export function formatMrzName(surname, givenNames, width) {
+  const primary = transliterateName(surname);
+  const secondary = transliterateName(givenNames);
+
+  if (!primary) {
+    throw new Error('Surname must contain at least one transliterable character');
+  }
+
+  let name = secondary ? `${primary}${FILLER}${FILLER}${secondary}` : primary;
+  let truncated = false;
+
+  if (name.length > width) {
+    truncated = true;
+    name = name.substring(0, width).replace(/<+$/, '');
+  }
+
+  return { value: padField(name, width), truncated };
+}
+
+/**
+ * Pad a field to its width with fillers
+ * @param {string} value - Field value
+ * @param {number} width - Field width
+ * @returns {string} Padded field
+ */
+function padField(value, width) {
+  return (value || '').padEnd(width, FILLER);
+}
+
+/**
+ * Normalize free-form MRZ data (document numbers, optional data)
+ * @param {string} value - Raw value
+ * @returns {string} Value restricted to A-Z, 0-9 and fillers
+ */
+function normalizeData(value) {
+  if (value === undefined || value === null) {
+    return '';
+  }
+  return String(value).toUpperCase().replace(/[\s\-]/g, FILLER).replace(/[^A-Z0-9<]/g, '');
+}
+
+/**
+ * Normalize a date to YYMMDD
+ * Accepts Date objects, YYYY-MM-DD strings or YYMMDD (with '<' for unknown parts)
+ * @param {Date|string} value - Date value
+ * @param {string} label - Field name for error messages
+ * @returns {string} Six-character MRZ date
+ */
+export function toMrzDate(value, label) {
+  if (!value) {
+    throw new Error(`${label} is required for mrz mode`);
+  }
+
+  if (value instanceof Date) {
+    if (isNaN(value.getTime())) {
+      throw new Error(`Invalid ${label}`);
+    }
+    return value.toISOString().substring(2, 10).replace(/-/g, '');
+  }
+
+  const str = String(value).trim();
+
+  if (/^[0-9<]{6}$/.test(str)) {
+    return str;
+  }
+
+  const match = str.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  if (match) {
+    const date = new Date(`${str}T00:00:00Z`);
+    if (isNaN(date.getTime()) || date.getUTCDate() !== parseInt(match[3])) {
+      throw new Error(`Invalid ${label}: ${str}`);
+    }
+    return match[1].substring(2) + match[2] + match[3];
+  }
+
+  throw new Error(`Invalid ${label}: expected YYYY-MM-DD or YYMMDD`);
+}
+
+/**
+ * Normalize the sex field (F, M or '<' for unspecified)
+ * @param {string} value - Sex value
+ * @returns {string} MRZ sex character
+ */
+function toMrzSex(value) {
+  const normalized = String(value || FILLER).trim().toUpperCase();
+
+  if (normalized === 'M' || normalized === 'MALE') return 'M';
+  if (normalized === 'F' || normalized === 'FEMALE') return 'F';
+  if (['X', 'U', '<', 'UNSPECIFIED'].includes(normalized)) return FILLER;
+
+  throw new Error(`Invalid sex: ${value}. Use M, F or X`);
+}
+
+/**
+ * Normalize and validate a country code against COUNTRY_CODES
+ * @param {string} value - Three-letter code
+ * @param {string} label - Field name for error messages
+ * @returns {string} Code padded to three characters
+ */
+function toMrzCountry(value, label) {
+  if (!value) {
+    throw new Error(`${label} is required for mrz mode`);
+  }
+
+  const code = String(value).trim().toUpperCase().replace(/<+$/, '');
+  if (!COUNTRY_CODES[code]) {
+    throw new Error(`Unknown ${label} code: ${code}`);
+  }
+
+  return padField(code, 3);
+}
+
+/**
+ * Normalize and validate the document type code
+ * @param {string} value - Document type (e.g. 'P', 'ID')
+ * @returns {string} Two-character document code
+ */
+function toMrzDocumentType(value) {
+  const code = String(value).trim().toUpperCase().replace(/<+$/, '');
+
+  if (!/^[ACIPV][A-Z]?$/.test(code)) {
+    throw new Error(`Invalid document type: ${value}`);
+  }
+
+  return padField(code, 2);
+}
+
+/**
+ * Lay out the document number and optional data fields
+ * Document numbers longer than nine characters overflow into the optional
+ * data field, with a filler in the document number check digit position
+ * @param {string} documentNumber - Normalized document number
+ * @param {string} optionalData - Normalized optional data
+ * @param {number} optionalWidth - Width of the optional data field
+ * @param {boolean} allowOverflow - Whether the layout permits overflow
+ * @returns {{numberField: string, numberCheck: string, optionalField: string}}
+ */
+function layoutDocumentNumber(documentNumber, optionalData, optionalWidth, allowOverflow) {
+  if (documentNumber.length <= 9) {
+    if (optionalData.length > optionalWidth) {
+      throw new Error(`Optional data exceeds ${optionalWidth} characters`);
+    }
+    const numberField = padField(documentNumber, 9);
+    return {
+      numberField,
+      numberCheck: computeMrzCheckDigit(numberField),
+      optionalField: padField(optionalData, optionalWidth)
+    };
+  }
+
+  if (!allowOverflow) {
+    throw new Error('Document number exceeds 9 characters');
+  }
+
+  const overflow = documentNumber.substring(9) + computeMrzCheckDigit(documentNumber) + FILLER + optionalData;
+  if (overflow.length > optionalWidth) {
+    throw new Error(`Document number and optional data exceed ${optionalWidth + 9} characters`);
+  }
+
+  return {
+    numberField: documentNumber.substring(0, 9),
+    numberCheck: FILLER,
+    optionalField: padField(overflow, optionalWidth)
+  };
+}
+
+/**
+ * Build an MRZ from document fields
+ * @param {object} fields - Document fields
+ * @param {string} fields.format - 'TD1', 'TD2' or 'TD3'
+ * @param {string} [fields.documentType] - Document type (default: 'P' for TD3, 'I' otherwise)
+ * @param {string} fields.issuingCountry - Issuing state or organization code
+ * @param {string} fields.documentNumber - Document number
+ * @param {Date|string} fields.birthDate - Date of birth
+ * @param {string} [fields.sex] - M, F or X
+ * @param {Date|string} fields.expiryDate - Date of expiry
+ * @param {string} [fields.nationality] - Nationality code (default: issuing country)
+ * @param {string} fields.surname - Primary identifier
+ * @param {string} [fields.givenNames] - Secondary identifier
+ * @param {string} [fields.optionalData] - Personal number / optional data
+ * @param {string} [fields.optionalData2] - Second optional data element (TD1 only)
+ * @returns {{format: string, lines: string[], fields: object, checkDigits: object, nameTruncated: boolean}}
+ */
+export function buildMrz(fields) {
+  const format = String(fields.format || 'TD3').toUpperCase();
+  const layout = MRZ_FORMATS[format];
+
+  if (!layout) {
+    throw new Error(`Unsupported MRZ format: ${fields.format}. Supported formats: ${Object.keys(MRZ_FORMATS).join(', ')}`);
+  }
+
+  const documentType = toMrzDocumentType(fields.documentType || (format === 'TD3' ? 'P' : 'I'));
+  const issuingCountry = toMrzCountry(fields.issuingCountry, 'issuingCountry');
+  const nationality = toMrzCountry(fields.nationality || fields.issuingCountry, 'nationality');
+  const birthDate = toMrzDate(fields.birthDate, 'birthDate');
+  const expiryDate = toMrzDate(fields.expiryDate, 'expiryDate');
+  const sex = toMrzSex(fields.sex);
+  const documentNumber = normalizeData(fields.documentNumber).replace(/</g, '');
+  const optionalData = normalizeData(fields.optionalData);
+  const name = formatMrzName(fields.surname, fields.givenNames, layout.nameLength);
+
+  if (!documentNumber) {
+    throw new Error('documentNumber is required for mrz mode');
+  }
+
+  const birthCheck = computeMrzCheckDigit(birthDate);
+  const expiryCheck = computeMrzCheckDigit(expiryDate);
+  const { numberField, numberCheck, optionalField } = layoutDocumentNumber(
+    documentNumber,
+    optionalData,
+    layout.optionalLength,
+    format !== 'TD3'
+  );
+
+  let lines;
+  let composite;
+  const checkDigits = {
+    documentNumber: numberCheck === FILLER ? computeMrzCheckDigit(documentNumber) : numberCheck,
+    birthDate: birthCheck,
+    expiryDate: expiryCheck
+  };
+
+  if (format === 'TD1') {
+    const optionalData2 = normalizeData(fields.optionalData2);
+    if (optionalData2.length > layout.optional2Length) {
+      throw new Error(`optionalData2 exceeds ${layout.optional2Length} characters`);
+    }
+
+    const line1 = documentType + issuingCountry + numberField + numberCheck + optionalField;
+    const line2Body = birthDate + birthCheck + sex + expiryDate + expiryCheck + nationality + padField(optionalData2, layout.optional2Length);
+    composite = computeMrzCheckDigit(
+      line1.substring(5, 30) + line2Body.substring(0, 7) + line2Body.substring(8, 15) + line2Body.substring(18, 29)
+    );
+    lines = [line1, line2Body + composite, name.value];
+  } else if (format === 'TD2') {
+    const line2Body = numberField + numberCheck + nationality + birthDate + birthCheck + sex + expiryDate + expiryCheck + optionalField;
+    composite = computeMrzCheckDigit(
+      line2Body.substring(0, 10) + line2Body.substring(13, 20) + line2Body.substring(21, 35)
+    );
+    lines = [documentType + issuingCountry + name.value, line2Body + composite];
+  } else {
+    // TD3: personal number check digit may be a filler when the field is unused
+    const optionalCheck = /^<+$/.test(optionalField) ? FILLER : computeMrzCheckDigit(optionalField);
+    const line2Body = numberField + numberCheck + nationality + birthDate + birthCheck + sex + expiryDate + expiryCheck + optionalField + optionalCheck;
+    composite = computeMrzCheckDigit(
+      line2Body.substring(0, 10) + line2Body.substring(13, 20) + line2Body.substring(21, 43)
+    );
+    checkDigits.optionalData = optionalCheck;
+    lines = [documentType + issuingCountry + name.value, line2Body + composite];
+  }
+
+  checkDigits.composite = composite;
+
+  return {
+    format,
+    lines,
+    fields: {
+      documentType: documentType.replace(/<+$/, ''),
+      issuingCountry: issuingCountry.replace(/<+$/, ''),
+      documentNumber,
+      birthDate,
+      sex,
+      expiryDate,
+      nationality: nationality.replace(/<+$/, ''),
+      surname: transliterateName(fields.surname),
+      givenNames: transliterateName(fields.givenNames),
+      optionalData: optionalData.replace(/<+$/, '')
+    },
+    checkDigits,
+    nameTruncated: name.truncated
+  };
+}
+
+/**
+ * Common OCR confusions between letters and digits
+ */
+const OCR_LETTER_TO_DIGIT = { O: '0', I: '1', B: '8', S: '5' };
+const OCR_DIGIT_TO_LETTER = { 0: 'O', 1: 'I', 8: 'B', 5: 'S' };
+
+/**
+ * Field layouts per format: [name, line, start, end, type]
+ * Types: 'alpha' (letters and fillers), 'numeric' (digits and fillers),
+ * 'alnum' (document numbers and optional data)
+ */
+const MRZ_FIELD_LAYOUTS = {
+  TD1: [
+    ['documentType', 0, 0, 2, 'alpha'],
+    ['issuingCountry', 0, 2, 5, 'alpha'],
+    ['documentNumber', 0, 5, 14, 'alnum'],
+    ['documentNumberCheck', 0, 14, 15, 'numeric'],
+    ['optionalData', 0, 15, 30, 'alnum'],
+    ['birthDate', 1, 0, 6, 'numeric'],
+    ['birthDateCheck', 1, 6, 7, 'numeric'],
+    ['sex', 1, 7, 8, 'alpha'],
+    ['expiryDate', 1, 8, 14, 'numeric'],
+    ['expiryDateCheck', 1, 14, 15, 'numeric'],
+    ['nationality', 1, 15, 18, 'alpha'],
+    ['optionalData2', 1, 18, 29, 'alnum'],
+    ['compositeCheck', 1, 29, 30, 'numeric'],
+    ['name', 2, 0, 30, 'alpha']
+  ],
+  TD2: [
+    ['documentType', 0, 0, 2, 'alpha'],
+    ['issuingCountry', 0, 2, 5, 'alpha'],
+    ['name', 0, 5, 36, 'alpha'],
+    ['documentNumber', 1, 0, 9, 'alnum'],
+    ['documentNumberCheck', 1, 9, 10, 'numeric'],
+    ['nationality', 1, 10, 13, 'alpha'],
+    ['birthDate', 1, 13, 19, 'numeric'],
+    ['birthDateCheck', 1, 19, 20, 'numeric'],
+    ['sex', 1, 20, 21, 'alpha'],
+    ['expiryDate', 1, 21, 27, 'numeric'],
+    ['expiryDateCheck', 1, 27, 28, 'numeric'],
+    ['optionalData', 1, 28, 35, 'alnum'],
+    ['compositeCheck', 1, 35, 36, 'numeric']
+  ],
+  TD3: [
+    ['documentType', 0, 0, 2, 'alpha'],
+    ['issuingCountry', 0, 2, 5, 'alpha'],
+    ['name', 0, 5, 44, 'alpha'],
+    ['documentNumber', 1, 0, 9, 'alnum'],
+    ['documentNumberCheck', 1, 9, 10, 'numeric'],
+    ['nationality', 1, 10, 13, 'alpha'],
+    ['birthDate', 1, 13, 19, 'numeric'],
+    ['birthDateCheck', 1, 19, 20, 'numeric'],
+    ['sex', 1, 20, 21, 'alpha'],
+    ['expiryDate', 1, 21, 27, 'numeric'],
+    ['expiryDateCheck', 1, 27, 28, 'numeric'],
+    ['optionalData', 1, 28, 42, 'alnum'],
+    ['optionalDataCheck', 1, 42, 43, 'numeric'],
+    ['compositeCheck', 1, 43, 44, 'numeric']
+  ]
+};
+
+/**
+ * Split raw MRZ text into lines and detect its format
+ * Whitespace inside lines is removed; a single unbroken string is split by
+ * its total length
+ * @param {string|string[]} input - Raw MRZ text or array of lines
+ * @returns {{format: string, lines: string[]}} Detected format and lines
+ */
+function splitMrzLines(input) {
+  if (!input || (typeof input !== 'string' && !Array.isArray(input))) {
+    throw new Error('MRZ must be a non-empty string or array of lines');
+  }
+
+  let lines = (Array.isArray(input) ? input : String(input).split(/\r?\n/))
+    .map(line => String(line).toUpperCase().replace(/\s+/g, ''))
+    .filter(line => line.length > 0);
+
+  if (lines.length === 1) {
+    const single = lines[0];
+    const match = Object.entries(MRZ_FORMATS).find(([, layout]) => single.length === layout.lines * layout.lineLength);
+    if (match) {
+      const lineLength = match[1].lineLength;
+      lines = single.match(new RegExp(`.{${lineLength}}`, 'g'));
+    }
+  }
+
+  const format = Object.keys(MRZ_FORMATS).find(name => {
+    const layout = MRZ_FORMATS[name];
+    return lines.length === layout.lines && lines.every(line => line.length === layout.lineLength);
+  });
+
+  if (!format) {
+    throw new Error(`Unrecognized MRZ layout: ${lines.length} line(s) of length ${lines.map(l => l.length).join('/')}. Expected TD1 (3x30), TD2 (2x36) or TD3 (2x44)`);
+  }
+
+  return { format, lines };
+}
+
+/**
+ * Describe each check digit as data ranges and a check position
+ * Ranges are [line, start, end]; TD1/TD2 document numbers longer than nine
+ * characters continue into the optional data field
+ * @param {string} format - MRZ format
+ * @param {string[]} lines - MRZ lines
+ * @returns {Array<{field: string, ranges: Array, check: Array, optionalFiller: boolean}>}
+ */
+function getCheckSpecs(format, lines) {
+  const specs = [];
+
+  const documentNumberSpec = (line, start, optionalStart, optionalEnd) => {
+    const checkPos = start + 9;
+    if (lines[line][checkPos] === FILLER && format !== 'TD3') {
+      const optional = lines[line].substring(optionalStart, optionalEnd);
+      const end = optional.indexOf(FILLER);
+      if (end > 0) {
+        return {
+          field: 'documentNumber',
+          ranges: [[line, start, start + 9], [line, optionalStart, optionalStart + end - 1]],
+          check: [line, optionalStart + end - 1]
+        };
+      }
+    }
+    return { field: 'documentNumber', ranges: [[line, start, start + 9]], check: [line, checkPos] };
+  };
+
+  if (format === 'TD1') {
+    specs.push(documentNumberSpec(0, 5, 15, 30));
+    specs.push({ field: 'birthDate', ranges: [[1, 0, 6]], check: [1, 6] });
+    specs.push({ field: 'expiryDate', ranges: [[1, 8, 14]], check: [1, 14] });
+    specs.push({ field: 'composite', ranges: [[0, 5, 30], [1, 0, 7], [1, 8, 15], [1, 18, 29]], check: [1, 29] });
+  } else if (format === 'TD2') {
+    specs.push(documentNumberSpec(1, 0, 28, 35));
+    specs.push({ field: 'birthDate', ranges: [[1, 13, 19]], check: [1, 19] });
+    specs.push({ field: 'expiryDate', ranges: [[1, 21, 27]], check: [1, 27] });
+    specs.push({ field: 'composite', ranges: [[1, 0, 10], [1, 13, 20], [1, 21, 35]], check: [1, 35] });
+  } else {
+    specs.push(documentNumberSpec(1, 0, 28, 42));
+    specs.push({ field: 'birthDate', ranges: [[1, 13, 19]], check: [1, 19] });
+    specs.push({ field: 'expiryDate', ranges: [[1, 21, 27]], check: [1, 27] });
+    specs.push({ field: 'optionalData', ranges: [[1, 28, 42]], check: [1, 42], optionalFiller: true });
+    specs.push({ field: 'composite', ranges: [[1, 0, 10], [1, 13, 20], [1, 21, 43]], check: [1, 43] });
+  }
+
+  return specs;
+}
+
+/**
+ * Evaluate one check digit
+ * @param {object} spec - Check specification
+ * @param {string[]} lines - MRZ lines
+ * @returns {{value: string, checkDigit: string, expected: string|null, valid: boolean}}
+ */
+function evaluateCheck(spec, lines) {
+  const value = spec.ranges.map(([line, start, end]) => lines[line].substring(start, end)).join('');
+  const checkDigit = lines[spec.check[0]][spec.check[1]];
+
+  // An unused TD3 personal number may carry a filler instead of a check digit
+  if (spec.optionalFiller && /^<*$/.test(value) && checkDigit === FILLER) {
+    return { value, checkDigit, expected: FILLER, valid: true };
+  }
+
+  let expected = null;
+  try {
+    expected = computeMrzCheckDigit(value);
+  } catch (error) {
+    // Characters outside the MRZ alphabet cannot be checked
+  }
+
+  return { value, checkDigit, expected, valid: expected !== null && checkDigit === expected };
+}
+
+/**
+ * Evaluate all check digits of an MRZ
+ * @param {string} format - MRZ format
+ * @param {string[]} lines - MRZ lines
+ * @returns {object} Map of field to check result
+ */
+function evaluateChecks(format, lines) {
+  const results = {};
+  for (const spec of getCheckSpecs(format, lines)) {
+    results[spec.field] = evaluateCheck(spec, lines);
+  }
+  return results;
+}
+
+/**
+ * Extract structured fields from MRZ lines
+ * @param {string} format - MRZ format
+ * @param {string[]} lines - MRZ lines
+ * @returns {object} Parsed fields with fillers removed
+ */
+function extractFields(format, lines) {
+  const raw = {};
+  for (const [name, line, start, end] of MRZ_FIELD_LAYOUTS[format]) {
+    raw[name] = lines[line].substring(start, end);
+  }
+
+  const strip = value => (value || '').replace(/<+$/, '');
+  const [surname = '', givenNames = ''] = raw.name.replace(/<+$/, '').split('<<');
+  const docSpec = getCheckSpecs(format, lines).find(spec => spec.field === 'documentNumber');
+  const documentNumber = docSpec.ranges.map(([line, start, end]) => lines[line].substring(start, end)).join('');
+  const issuingCountry = strip(raw.issuingCountry);
+  const nationality = strip(raw.nationality);
+
+  let optionalData = strip(raw.optionalData);
+  if (docSpec.ranges.length > 1) {
+    // Skip the overflowed document number, its check digit and the filler
+    const [, optionalStart, optionalEnd] = docSpec.ranges[1];
+    optionalData = strip(raw.optionalData.substring(optionalEnd - optionalStart + 2));
+  }
+
+  const fields = {
+    documentType: strip(raw.documentType),
+    issuingCountry,
+    issuingCountryName: COUNTRY_CODES[issuingCountry] || null,
+    documentNumber: strip(documentNumber),
+    birthDate: raw.birthDate,
+    sex: raw.sex === FILLER ? 'X' : raw.sex,
+    expiryDate: raw.expiryDate,
+    nationality,
+    nationalityName: COUNTRY_CODES[nationality] || null,
+    surname: surname.replace(/</g, ' ').trim(),
+    givenNames: givenNames.replace(/</g, ' ').trim(),
+    optionalData: optionalData.replace(/</g, ' ').trim()
+  };
+
+  if (format === 'TD1') {
+    fields.optionalData2 = strip(raw.optionalData2).replace(/</g, ' ').trim();
+  }
+
+  return fields;
+}
+
+/**
+ * Replace one character in an array of lines
+ * @param {string[]} lines - MRZ lines
+ * @param {number} line - Line index
+ * @param {number} position - Character position
+ * @param {string} char - Replacement character
+ * @returns {string[]} New array of lines
+ */
+function replaceChar(lines, line, position, char) {
+  const next = [...lines];
+  next[line] = next[line].substring(0, position) + char + next[line].substring(position + 1);
+  return next;
+}
+
+/**
+ * Fix characters whose field type makes the intended character unambiguous
+ * (letters in dates and check digits, digits in names and country codes)
+ * @param {string} format - MRZ format
+ * @param {string[]} lines - MRZ lines
+ * @returns {{lines: string[], changes: Array}} Fixed lines and applied changes
+ */
+function applyTypeCorrections(format, lines) {
+  let fixed = [...lines];
+  const changes = [];
+
+  for (const [name, line, start, end, type] of MRZ_FIELD_LAYOUTS[format]) {
+    if (type === 'alnum') continue;
+
+    const map = type === 'numeric' ? OCR_LETTER_TO_DIGIT : OCR_DIGIT_TO_LETTER;
+    for (let pos = start; pos < end; pos++) {
+      const from = fixed[line][pos];
+      if (map[from]) {
+        fixed = replaceChar(fixed, line, pos, map[from]);
+        changes.push({ field: name, line, position: pos, from, to: map[from] });
+      }
+    }
+  }
+
+  return { lines: fixed, changes };
+}
+
+/**
+ * Find OCR substitutions that make a failing check digit pass
+ * Only alphanumeric positions holding a confusable character are flipped;
+ * for the composite check, positions already protected by a passing field
+ * check are left alone
+ * @param {string} format - MRZ format
+ * @param {string[]} lines - MRZ lines
+ * @param {object} spec - Failing check specification
+ * @param {object} checks - Current check results
+ * @param {number} maxChanges - Maximum number of simultaneous substitutions
+ * @returns {Array<{lines: string[], changes: Array}>} Candidate corrections
+ */
+function findCheckCorrections(format, lines, spec, checks, maxChanges) {
+  const alnumPositions = new Set();
+  for (const [, line, start, end, type] of MRZ_FIELD_LAYOUTS[format]) {
+    if (type !== 'alnum') continue;
+    for (let pos = start; pos < end; pos++) alnumPositions.add(`${line}:${pos}`);
+  }
+
+  const protectedPositions = new Set();
+  if (spec.field === 'composite') {
+    for (const other of getCheckSpecs(format, lines)) {
+      if (other.field === 'composite' || !checks[other.field]?.valid) continue;
+      for (const [line, start, end] of other.ranges) {
+        for (let pos = start; pos < end; pos++) protectedPositions.add(`${line}:${pos}`);
+      }
+    }
+  }
+
+  const candidates = [];
+  for (const [line, start, end] of spec.ranges) {
+    for (let pos = start; pos < end; pos++) {
+      const key = `${line}:${pos}`;
+      const from = lines[line][pos];
+      const to = OCR_LETTER_TO_DIGIT[from] || OCR_DIGIT_TO_LETTER[from];
+      if (to && alnumPositions.has(key) && !protectedPositions.has(key)) {
+        candidates.push({ line, position: pos, from, to });
+      }
+    }
+  }
+
+  const results = [];
+  const search = (startIndex, current, changes) => {
+    if (changes.length > 0 && evaluateCheck(spec, current).valid) {
+      results.push({ lines: current, changes });
+      return;
+    }
+    if (changes.length >= maxChanges) return;
+
+    for (let i = startIndex; i < candidates.length; i++) {
+      const change = candidates[i];
+      search(i + 1, replaceChar(current, change.line, change.position, change.to), [...changes, change]);
+    }
+  };
+  search(0, lines, []);
+
+  return results;
+}
+
+/**
+ * Parse and validate a scanned MRZ
+ * Returns the structured fields, every check digit with its pass/fail result,
+ * and suggested corrections for common OCR confusions (0/O, 1/I, 8/B, 5/S)
+ * @param {string|string[]} input - Raw TD1/TD2/TD3 text or array of lines
+ * @param {object} [options] - Parse options
+ * @param {number} [options.maxChanges=2] - Maximum substitutions tried per failing check
+ * @returns {object} Parse result
+ */
+export function parseMrz(input, options = {}) {
+  const maxChanges = options.maxChanges ?? 2;
+  const { format, lines } = splitMrzLines(input);
+
+  const invalidChars = lines.join('').match(/[^A-Z0-9<]/g);
+  const checkDigits = evaluateChecks(format, lines);
+  const valid = !invalidChars && Object.values(checkDigits).every(check => check.valid);
+
+  const result = {
+    format,
+    valid,
+    lines,
+    fields: extractFields(format, lines),
+    checkDigits,
+    warnings: [],
+    suggestions: [],
+    corrected: null
+  };
+
+  if (invalidChars) {
+    result.warnings.push(`Characters outside the MRZ alphabet: ${[...new Set(invalidChars)].join(' ')}`);
+  }
+  if (!result.fields.issuingCountryName) {
+    result.warnings.push(`Unknown issuing country code: ${result.fields.issuingCountry}`);
+  }
+  if (!result.fields.nationalityName) {
+    result.warnings.push(`Unknown nationality code: ${result.fields.nationality}`);
+  }
+
+  if (valid) {
+    return result;
+  }
+
+  // Step 1: unambiguous fixes driven by field type
+  const typeFixed = applyTypeCorrections(format, lines);
+  let currentLines = typeFixed.lines;
+  let changes = [...typeFixed.changes];
+  let checks = evaluateChecks(format, currentLines);
+
+  // Step 2: check-digit driven search over alphanumeric fields
+  let unique = true;
+  for (const spec of getCheckSpecs(format, currentLines)) {
+    if (checks[spec.field].valid) continue;
+
+    const candidates = findCheckCorrections(format, currentLines, spec, checks, maxChanges);
+    result.suggestions.push({
+      field: spec.field,
+      candidates: candidates.map(candidate => ({
+        value: evaluateCheck(spec, candidate.lines).value,
+        changes: candidate.changes
+      }))
+    });
+
+    if (candidates.length === 1) {
+      currentLines = candidates[0].lines;
+      changes = [...changes, ...candidates[0].changes];
+      checks = evaluateChecks(format, currentLines);
+    } else {
+      unique = false;
+    }
+  }
+
+  const correctedValid = Object.values(checks).every(check => check.valid);
+  if (changes.length > 0 && (correctedValid || unique)) {
+    result.corrected = {
+      valid: correctedValid,
+      lines: currentLines,
+      changes,
+      fields: extractFields(format, currentLines),
+      checkDigits: checks
+    };
+  }
+
+  return result;
+}
+
+export default {
+  buildMrz,
+  parseMrz,
+  computeMrzCheckDigit,
+  transliterateName,
+  formatMrzName,
+  toMrzDate,
+  MRZ_FORMATS,
+  COUNTRY_CODES,
+  DOCUMENT_TYPES
+};
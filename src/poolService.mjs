@@ -4,10 +4,19 @@
  */
 
 import { getDb } from './db.mjs';
-import { generateUin } from './uinGenerator.mjs';
+import { generateUin, reverseFpeUin, resolveSequenceFields } from './uinGenerator.mjs';
+import { generateEach } from './workerPool.mjs';
+import { resolveMode } from './modeRegistry.mjs';
+import { generateTypoCandidatesAsync } from './typoRecovery.mjs';
 import { getFormat, getFormatByScope, getFormatByMode, getDefaultFormat, applyFormat } from './formatService.mjs';
 import crypto from 'crypto';
 
+// Candidates generated per round before they are inserted
+const PRE_GENERATE_CHUNK = 1000;
+
+// fpe serials skipped in a row before giving up; each skip needs another scope to hold the UIN
+const MAX_FPE_REDRAWS = 100;
+
 /**
  * Insert audit log entry
  * @param {object} params - Audit parameters
@@ -47,6 +56,10 @@ export async function preGenerateUins({ count, mode, scope, options = {}, format
     throw new Error('Count must be between 1 and 100,000');
   }
 
+  if (options.seed !== undefined) {
+    throw new Error('Seeded UINs are reproducible test fixtures and are never written to the pool');
+  }
+
   const db = getDb();
   const generated = [];
   const errors = [];
@@ -76,74 +89,87 @@ export async function preGenerateUins({ count, mode, scope, options = {}, format
 
   console.log(`Pre-generating ${count} UINs (mode: ${mode}, scope: ${scope}, format: ${resolvedFormatId || 'default'})...`);
 
-  for (let i = 0; i < count; i++) {
-    try {
-      // Generate UIN
-      const result = generateUin({ mode, ...options });
+  for (let offset = 0; offset < count; offset += PRE_GENERATE_CHUNK) {
+    const { outcomes, exhausted } = await generateCandidates(mode, scope, options, Math.min(PRE_GENERATE_CHUNK, count - offset));
 
-      // Check if UIN already exists
-      const existing = await db('uin_pool')
-        .where({ uin: result.value })
-        .first();
+    for (let k = 0; k < outcomes.length; k++) {
+      const i = offset + k;
+      try {
+        if (outcomes[k].error) {
+          throw outcomes[k].error;
+        }
+        const { result } = outcomes[k];
 
-      if (existing) {
-        errors.push({ uin: result.value, error: 'UIN already exists' });
-        continue;
-      }
+        // Check if UIN already exists (wrapped counters can repeat; fpe scopes share one output space)
+        const existing = await db('uin_pool')
+          .where({ uin: result.value })
+          .first();
 
-      // Insert into pool
-      const [inserted] = await db('uin_pool')
-        .insert({
-          uin: result.value,
-          mode: result.mode,
-          scope: scope || mode,
-          iat: db.fn.now(),
-          status: 'AVAILABLE',
-          ts: db.fn.now(),
-          hash_rmd160: crypto.createHash("ripemd160").update(result.value).digest("hex"),
-          meta: {
-            checksum: result.checksum || null,
-            rawComponents: result.rawComponents || null,
-            provenance: result.provenance || null
-          }
-        })
-        .returning('*');
+        if (existing) {
+          errors.push({ uin: result.value, error: 'UIN already exists' });
+          continue;
+        }
 
-      // If format specified, create format override association
-      if (resolvedFormatId) {
-        await db('uin_format_overrides')
+        // Insert into pool
+        const [inserted] = await db('uin_pool')
           .insert({
             uin: result.value,
-            format_id: resolvedFormatId
+            mode: result.mode,
+            scope: scope || mode,
+            iat: db.fn.now(),
+            status: 'AVAILABLE',
+            ts: db.fn.now(),
+            hash_rmd160: crypto.createHash("ripemd160").update(result.value).digest("hex"),
+            meta: {
+              checksum: result.checksum || null,
+              rawComponents: result.rawComponents || null,
+              provenance: result.provenance || null,
+              fpe: result.fpe || null
+            }
           })
-          .onConflict('uin')
-          .merge();
-      }
-
-      // Insert audit log
-      await insertAudit({
-        uin: result.value,
-        eventType: 'GENERATED',
-        oldStatus: null,
-        newStatus: 'AVAILABLE',
-        actorSystem: 'POOL_SERVICE',
-        actorRef: null,
-        details: {
-          mode,
-          scope,
-          format_id: resolvedFormatId || null,
-          generated_at: new Date().toISOString()
+          .returning('*');
+
+        // If format specified, create format override association
+        if (resolvedFormatId) {
+          await db('uin_format_overrides')
+            .insert({
+              uin: result.value,
+              format_id: resolvedFormatId
+            })
+            .onConflict('uin')
+            .merge();
         }
-      });
 
-      generated.push(inserted);
+        // Insert audit log
+        await insertAudit({
+          uin: result.value,
+          eventType: 'GENERATED',
+          oldStatus: null,
+          newStatus: 'AVAILABLE',
+          actorSystem: 'POOL_SERVICE',
+          actorRef: null,
+          details: {
+            mode,
+            scope,
+            format_id: resolvedFormatId || null,
+            generated_at: new Date().toISOString()
+          }
+        });
+
+        generated.push(inserted);
 
-      // Log progress every 1000 UINs
-      if ((i + 1) % 1000 === 0) {
-        console.log(`  Generated ${i + 1}/${count} UINs...`);
+        // Log progress every 1000 UINs
+        if ((i + 1) % 1000 === 0) {
+          console.log(`  Generated ${i + 1}/${count} UINs...`);
+        }
+      } catch (error) {
+        errors.push({ index: i, error: error.message });
       }
-    } catch (error) {
-      errors.push({ index: i, error: error.message });
+    }
+
+    // Every further UIN would need the same exhausted counter
+    if (exhausted) {
+      break;
     }
   }
 
@@ -467,6 +493,295 @@ export async function getUinAudit(uin) {
     .orderBy('created_at', 'desc');
 }
 
+/**
+ * Draw the next serial for fpe mode from the scope's Postgres sequence
+ * @param {string} scope - Scope/sector
+ * @returns {Promise<bigint>} Serial
+ */
+export async function nextFpeSerial(scope) {
+  const db = getDb();
+  const { rows } = await db.raw('SELECT uin_fpe_next_serial(?) AS serial', [scope]);
+  return BigInt(rows[0].serial);
+}
+
+/**
+ * Advance the counter of one sequence() field
+ * @param {string} scope - Scope/sector
+ * @param {string} template - Structured template
+ * @param {object} sequence - Sequence field as returned by resolveSequenceFields
+ * @returns {Promise<number|null>} Next value, or null if the counter is exhausted
+ */
+export async function nextSequenceValue(scope, template, sequence) {
+  const db = getDb();
+  const key = crypto.createHash('sha256')
+    .update(JSON.stringify([scope, template, sequence.name, sequence.key]))
+    .digest('hex');
+
+  const { rows } = await db.raw(
+    'SELECT uin_sequence_next(?, ?, ?, ?, ?::jsonb, ?, ?, ?, ?) AS value',
+    [key, scope, template, sequence.name, JSON.stringify(sequence.key), sequence.start, sequence.step, sequence.max, sequence.overflow]
+  );
+
+  return rows[0].value === null ? null : Number(rows[0].value);
+}
+
+/**
+ * Fill the sequence() fields of a structured template from their counters
+ * @param {string} scope - Scope/sector
+ * @param {object} options - Structured generation options
+ * @returns {Promise<object>} Options with the counter values in `values` and the date pinned
+ */
+async function drawSequenceValues(scope, options) {
+  // Pin the date so date key fields match the UIN even across midnight
+  const pinned = { ...options, date: options.date || new Date().toISOString() };
+  const sequences = resolveSequenceFields(pinned);
+  if (sequences.length === 0) {
+    return options;
+  }
+
+  const values = { ...options.values };
+  for (const sequence of sequences) {
+    const value = await nextSequenceValue(scope, options.template, sequence);
+    if (value === null) {
+      const key = Object.entries(sequence.key).map(([name, keyValue]) => `${name}=${keyValue}`).join(', ');
+      const error = new Error(`Sequence '${sequence.name}'${key ? ` for ${key}` : ''} is exhausted (maximum ${sequence.max})`);
+      error.code = 'SEQUENCE_EXHAUSTED';
+      throw error;
+    }
+    values[sequence.name] = value;
+  }
+
+  return { ...pinned, values };
+}
+
+/**
+ * Generate an fpe UIN that is not in the pool yet
+ * Serials are unique within a scope, but each scope's tweak is a different permutation
+ * of the same output space: another scope's serial can encrypt to the same UIN. Serials
+ * whose UIN is taken are skipped, and the next one is drawn.
+ * @param {string} scope - fpe scope (the FF1 tweak)
+ * @param {object} options - Generation options
+ * @returns {Promise<object>} Generation result
+ * @throws {Error} If MAX_FPE_REDRAWS serials in a row encrypt to UINs in the pool
+ */
+async function generateFpeCandidate(scope, options) {
+  const db = getDb();
+
+  for (let attempt = 0; attempt < MAX_FPE_REDRAWS; attempt++) {
+    const result = generateUin({ mode: 'fpe', ...options, scope, serial: await nextFpeSerial(scope) });
+    const existing = await db('uin_pool').where({ uin: result.value }).first();
+    if (!existing) {
+      return result;
+    }
+    console.warn(`[PoolService] fpe serial in scope ${scope} encrypts to a UIN issued in scope ${existing.scope}; drawing the next serial`);
+  }
+
+  throw new Error(`No unused fpe UIN after ${MAX_FPE_REDRAWS} serials in scope ${scope}`);
+}
+
+/**
+ * Generate a chunk of pre-generation candidates
+ * fpe serials and sequence() counter values are drawn here, on the main thread, in
+ * order; the UINs themselves are generated in the worker pool when it is enabled.
+ * @param {string} mode - Generation mode
+ * @param {string} scope - Scope/sector
+ * @param {object} options - Generation options
+ * @param {number} size - Number of candidates
+ * @returns {Promise<{outcomes: Array<object>, exhausted: boolean}>} Outcomes ({ result } or { error }) in order,
+ *   and whether a sequence counter ran out (its error is the last outcome)
+ */
+async function generateCandidates(mode, scope, options, size) {
+  const outcomes = [];
+  // Aliases and case variants share the canonical mode's serials and counters
+  const name = resolveMode(mode)?.name;
+
+  if (name === 'fpe') {
+    const fpeScope = scope || name;
+    for (let k = 0; k < size; k++) {
+      try {
+        outcomes.push({ result: await generateFpeCandidate(fpeScope, options) });
+      } catch (error) {
+        outcomes.push({ error });
+      }
+    }
+    return { outcomes, exhausted: false };
+  }
+
+  // Draw sequence() fields from their counters; slots whose draw failed keep their error
+  const slots = [];
+  let exhausted = null;
+  for (let k = 0; k < size; k++) {
+    try {
+      slots.push({ options: { mode, ...(name === 'structured' ? await drawSequenceValues(scope || name, options) : options) } });
+    } catch (error) {
+      if (error.code === 'SEQUENCE_EXHAUSTED') {
+        exhausted = error;
+        break;
+      }
+      slots.push({ error });
+    }
+  }
+
+  const generated = await generateEach(slots.filter(slot => slot.options).map(slot => slot.options));
+  for (const slot of slots) {
+    outcomes.push(slot.options ? generated.shift() : slot);
+  }
+  if (exhausted) {
+    outcomes.push({ error: exhausted });
+  }
+
+  return { outcomes, exhausted: !!exhausted };
+}
+
+/**
+ * Recover the serial of an fpe-mode UIN in the pool
+ * The FF1 parameters are read from the pool record, and every reversal is audited.
+ * @param {object} params - Reversal parameters
+ * @param {string} params.uin - UIN to reverse
+ * @param {string} params.actorSystem - Authenticated client
+ * @param {string} params.actorRef - Case or request reference
+ * @param {object} [params.details] - Additional audit context (IP, ...)
+ * @returns {Promise<object|null>} Serial and scope, or null if the UIN is not in the pool
+ */
+export async function reverseFpeSerial({ uin, actorSystem, actorRef, details = {} }) {
+  const record = await getUin(uin);
+
+  if (!record) {
+    return null;
+  }
+  if (record.mode !== 'fpe' || !record.meta || !record.meta.fpe) {
+    throw new Error(`UIN was generated in ${record.mode} mode, not fpe`);
+  }
+
+  const { scope, charset, length } = record.meta.fpe;
+  // The pool record is authoritative, so the check characters are simply dropped
+  const { serial } = reverseFpeUin(uin.slice(0, length), { scope, charset, length });
+
+  await insertAudit({
+    uin,
+    eventType: 'FPE_REVERSED',
+    oldStatus: record.status,
+    newStatus: record.status,
+    actorSystem,
+    actorRef,
+    details
+  });
+
+  return { uin, scope, serial, status: record.status };
+}
+
+/**
+ * Suggest UINs for a mistyped or misheard input
+ * Only the best-ranked candidates are looked up, unissued (AVAILABLE) entries are
+ * reported as not existing, and every disclosed UIN is audited, so the endpoint
+ * cannot be used to enumerate the pool
+ * @param {object} params - Suggestion parameters
+ * @param {string} params.input - UIN as received
+ * @param {object} params.candidateOptions - Options for generateTypoCandidatesAsync (charset, length, algorithm, ...)
+ * @param {number} params.maxLookups - Maximum number of candidates looked up in uin_pool
+ * @param {string} params.actorSystem - Authenticated client
+ * @param {string} params.actorRef - Call or case reference
+ * @param {object} [params.details] - Additional audit context (IP, ...)
+ * @returns {Promise<object>} Looked-up candidates, issued UINs first
+ */
+export async function suggestUins({ input, candidateOptions, maxLookups, actorSystem, actorRef, details = {} }) {
+  const { input: normalized, candidates } = await generateTypoCandidatesAsync(input, candidateOptions);
+  const checked = candidates.slice(0, maxLookups);
+  const records = await Promise.all(checked.map(candidate => getUin(candidate.uin)));
+
+  const suggestions = checked.map((candidate, i) => {
+    const issued = !!records[i] && records[i].status !== 'AVAILABLE';
+    return { ...candidate, exists: issued, status: issued ? records[i].status : null };
+  });
+
+  for (const suggestion of suggestions.filter(s => s.exists)) {
+    await insertAudit({
+      uin: suggestion.uin,
+      eventType: 'SUGGESTED',
+      oldStatus: suggestion.status,
+      newStatus: suggestion.status,
+      actorSystem,
+      actorRef,
+      details: { ...details, distance: suggestion.distance, edits: suggestion.edits.map(edit => edit.type) }
+    });
+  }
+
+  return {
+    input: normalized,
+    candidatesFound: candidates.length,
+    candidatesChecked: checked.length,
+    truncated: candidates.length > checked.length,
+    matches: suggestions.filter(s => s.exists).length,
+    suggestions: [...suggestions.filter(s => s.exists), ...suggestions.filter(s => !s.exists)]
+  };
+}
+
+/**
+ * Count UINs generated into the pool, in total and over a recent window
+ * Used to estimate the issuance rate for capacity planning.
+ * @param {object} [params] - Query parameters
+ * @param {string} [params.scope] - Scope filter
+ * @param {number} [params.windowDays=365] - Length of the recent window in days
+ * @returns {Promise<object>} {issued, issuedInWindow, windowDays}
+ */
+export async function getIssuanceStats({ scope = null, windowDays = 365 } = {}) {
+  const db = getDb();
+
+  const query = db('uin_pool').select(
+    db.raw('count(*) AS issued'),
+    db.raw('count(*) FILTER (WHERE iat >= now() - make_interval(days => ?)) AS issued_in_window', [windowDays])
+  );
+
+  if (scope) {
+    query.where({ scope });
+  }
+
+  const [row] = await query;
+
+  return {
+    issued: parseInt(row.issued),
+    issuedInWindow: parseInt(row.issued_in_window),
+    windowDays
+  };
+}
+
+/**
+ * Summarise the sequence() counters of a scope
+ * @param {string|null} scope - Scope filter
+ * @returns {Promise<object>} {counters, exhausted, wrapped, exhaustedCounters}
+ */
+async function getSequenceStats(scope = null) {
+  const db = getDb();
+
+  const scoped = (query) => (scope ? query.where({ scope }) : query);
+
+  const [totals] = await scoped(db('uin_sequences'))
+    .select(
+      db.raw('count(*) AS counters'),
+      db.raw('count(*) FILTER (WHERE exhausted) AS exhausted'),
+      db.raw('count(*) FILTER (WHERE wraps > 0) AS wrapped')
+    );
+
+  const exhaustedCounters = await scoped(db('uin_sequences'))
+    .where({ exhausted: true })
+    .select('scope', 'field', 'key_values', 'max_value', 'exhausted_at')
+    .orderBy('exhausted_at', 'desc')
+    .limit(20);
+
+  return {
+    counters: parseInt(totals.counters),
+    exhausted: parseInt(totals.exhausted),
+    wrapped: parseInt(totals.wrapped),
+    exhaustedCounters: exhaustedCounters.map(row => ({
+      scope: row.scope,
+      field: row.field,
+      key: row.key_values,
+      maxValue: Number(row.max_value),
+      exhaustedAt: row.exhausted_at
+    }))
+  };
+}
+
 /**
  * Get pool statistics
  * @param {string} scope - Optional scope filter
@@ -502,6 +817,8 @@ export async function getPoolStats(scope = null) {
     stats.total += count;
   });
 
+  stats.sequences = await getSequenceStats(scope);
+
   return stats;
 }
 
@@ -514,5 +831,10 @@ export default {
   releaseStalePreassigned,
   getUin,
   getUinAudit,
+  nextFpeSerial,
+  nextSequenceValue,
+  reverseFpeSerial,
+  suggestUins,
+  getIssuanceStats,
   getPoolStats
 };
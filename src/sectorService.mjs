@@ -0,0 +1,402 @@
+/**
+ * Sector Service - Sector registry
+ * Handles the sectors table (migration 009): each sector's token policy (length,
+ * charset, HMAC algorithm, check characters), display format and secret reference.
+ *
+ * Sector token generation is synchronous, so the registry is kept in memory like
+ * the format cache and refreshed from the database. Once the table has rows it is
+ * authoritative: generation and the token registry refuse unknown and disabled
+ * sectors. While it is empty (or not migrated), the configured sectors and
+ * defaults apply as before.
+ *
+ * Without a secret_ref, a sector's secret is SECTOR_SECRET_<CODE> or its entry
+ * in the Vault sector-secrets map. A secret_ref names another environment
+ * variable, a Vault path or an HSM key label; cryptoService loads those secrets
+ * whenever the registry is refreshed, and the sector then uses only them.
+ */
+
+import { getDb } from './db.mjs';
+import { getConfig, parseCharset } from './config.mjs';
+import { getChecksumAlgorithm } from './checksum.mjs';
+import { getFormat } from './formatService.mjs';
+import { getSectorSecretVersions } from './sectorToken.mjs';
+import { getEffectiveSectorSecrets, loadSectorSecretRefs } from './cryptoService.mjs';
+
+export const SECTOR_ALGORITHMS = ['sha256', 'sha384', 'sha512'];
+export const SECRET_SOURCES = ['env', 'vault', 'hsm'];
+
+const CODE_PATTERN = /^[a-z][a-z0-9_]*$/;
+const ENV_REF_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*$/;
+const VAULT_REF_PATTERN = /^[A-Za-z0-9_.-]+(\/[A-Za-z0-9_.-]+)*$/;
+const FIELDS = [
+  'name', 'description', 'token_length', 'charset', 'algorithm', 'checksum_algorithm',
+  'format_code', 'secret_source', 'secret_ref', 'enabled'
+];
+
+// Cache of sector entities (with their format), refreshed periodically
+let sectorCache = new Map();
+let cacheTimestamp = 0;
+// Secret references that could not be loaded at the last refresh
+let secretRefProblems = [];
+const CACHE_TTL = 60000; // 1 minute
+
+/**
+ * Refresh the sector cache from the database
+ * A database without the sectors table (migration 009 not applied) gives an empty registry.
+ * @param {boolean} [force=false] - Refresh even if the cache is fresh
+ */
+async function refreshCache(force = false) {
+  const now = Date.now();
+  if (!force && now - cacheTimestamp < CACHE_TTL) {
+    return;
+  }
+
+  const db = getDb();
+  let rows;
+  try {
+    rows = await db('sectors').select('*');
+  } catch (error) {
+    if (error.code !== '42P01') {
+      throw error;
+    }
+    rows = [];
+  }
+
+  const codes = rows.map(row => row.format_code).filter(Boolean);
+  const formats = codes.length > 0 ? await db('uin_formats').whereIn('format_code', codes).select('*') : [];
+
+  sectorCache = new Map(rows.map(row => [row.code, {
+    ...row,
+    format: formats.find(format => format.format_code === row.format_code) || null
+  }]));
+  cacheTimestamp = now;
+  secretRefProblems = await loadSectorSecretRefs(rows);
+}
+
+/**
+ * Load the sector registry into memory
+ * @returns {Promise<number>} Number of sectors
+ */
+export async function loadSectors() {
+  await refreshCache(true);
+  return sectorCache.size;
+}
+
+/**
+ * Refresh the sector registry if it is older than the cache TTL
+ * @returns {Promise<void>}
+ */
+export async function refreshSectors() {
+  await refreshCache();
+}
+
+/**
+ * Loaded sector entities, e.g. to hand to generation workers
+ * @returns {Array<object>} Sectors with their format
+ */
+export function getLoadedSectors() {
+  return [...sectorCache.values()];
+}
+
+/**
+ * Replace the loaded registry with entities loaded elsewhere (generation workers)
+ * @param {Array<object>} sectors - Sectors from getLoadedSectors
+ */
+export function setLoadedSectors(sectors) {
+  sectorCache = new Map(sectors.map(sector => [sector.code, sector]));
+  cacheTimestamp = Date.now();
+}
+
+/**
+ * Where a sector's secret is loaded from
+ * @param {object} sector - Sector fields (code, secret_source, secret_ref)
+ * @returns {string} Environment variable, Vault path (under the mount) or HSM key label
+ */
+export function secretLocation({ code, secret_source: source, secret_ref: ref }) {
+  if (source === 'hsm') {
+    return `HSM key ${ref}`;
+  }
+  if (source === 'vault') {
+    return ref ? `Vault ${ref}` : `Vault sector-secrets/${code}`;
+  }
+  return ref || `SECTOR_SECRET_${code.toUpperCase()}`;
+}
+
+/**
+ * Token policy of a sector, from the loaded registry
+ * @param {string} code - Sector code (normalized)
+ * @returns {object|null} Sector with its format, or null while the registry is empty
+ * @throws {Error} If the registry has sectors but not this one, or the sector is disabled
+ */
+export function getSectorPolicy(code) {
+  if (sectorCache.size === 0) {
+    return null;
+  }
+
+  const sector = sectorCache.get(code);
+  if (!sector) {
+    throw new Error(`Unknown sector: ${code}. Registered sectors: ${[...sectorCache.keys()].sort().join(', ')}`);
+  }
+  if (!sector.enabled) {
+    throw new Error(`Sector ${code} is disabled`);
+  }
+  return sector;
+}
+
+/**
+ * Validate a sector definition
+ * @param {object} sector - Sector fields (snake_case, as stored)
+ * @throws {Error} If a field is invalid
+ */
+export function validateSector(sector) {
+  if (typeof sector.code !== 'string' || !CODE_PATTERN.test(sector.code)) {
+    throw new Error(`Sector code '${sector.code}' must be lower case letters, digits and '_'`);
+  }
+  if (typeof sector.name !== 'string' || sector.name.trim() === '') {
+    throw new Error('Sector name is required');
+  }
+  if (!Number.isInteger(sector.token_length) || sector.token_length < 4 || sector.token_length > 64) {
+    throw new Error('Sector token_length must be an integer between 4 and 64');
+  }
+  if (!SECTOR_ALGORITHMS.includes(sector.algorithm)) {
+    throw new Error(`Sector algorithm must be one of: ${SECTOR_ALGORITHMS.join(', ')}`);
+  }
+  if (!SECRET_SOURCES.includes(sector.secret_source)) {
+    throw new Error(`Sector secret_source must be one of: ${SECRET_SOURCES.join(', ')}`);
+  }
+  if (sector.secret_source === 'hsm' && !sector.secret_ref) {
+    throw new Error('Sector secret_ref (HSM key label) is required when secret_source is hsm');
+  }
+  if (sector.secret_ref) {
+    if (sector.secret_source === 'env' && !ENV_REF_PATTERN.test(sector.secret_ref)) {
+      throw new Error(`Sector secret_ref '${sector.secret_ref}' is not an environment variable name`);
+    }
+    if (sector.secret_source === 'vault' && !VAULT_REF_PATTERN.test(sector.secret_ref)) {
+      throw new Error(`Sector secret_ref '${sector.secret_ref}' is not a Vault path`);
+    }
+  }
+
+  const charset = parseCharset(sector.charset || getConfig().defaultCharset);
+  if (!charset || charset.length < 2) {
+    throw new Error('Sector charset must contain at least 2 characters');
+  }
+
+  if (sector.checksum_algorithm) {
+    // Throws on unknown algorithms
+    const { alphabet, label } = getChecksumAlgorithm(sector.checksum_algorithm);
+    const unsupported = [...charset].filter(char => !alphabet.includes(char.toUpperCase()));
+    if (unsupported.length > 0) {
+      throw new Error(`${label} check characters cannot be computed over '${unsupported.join('')}' in the sector charset`);
+    }
+  }
+}
+
+/**
+ * Check that a sector's display format fits its tokens
+ * @param {object} sector - Sector fields
+ * @returns {Promise<void>}
+ * @throws {Error} If the format is unknown or expects another length
+ */
+async function checkFormat(sector) {
+  if (!sector.format_code) {
+    return;
+  }
+
+  const format = await getFormat(sector.format_code);
+  if (!format) {
+    throw new Error(`Format not found: ${sector.format_code}`);
+  }
+
+  const length = sector.token_length + (sector.checksum_algorithm ? getChecksumAlgorithm(sector.checksum_algorithm).checkLength : 0);
+  if (format.total_length !== length) {
+    throw new Error(`Format ${format.format_code} is for ${format.total_length}-character values, but ${sector.code} tokens have ${length}`);
+  }
+}
+
+/**
+ * Get all sectors
+ * @returns {Promise<Array>} Sectors with their format, by code
+ */
+export async function getSectors() {
+  await refreshCache();
+  return getLoadedSectors().sort((a, b) => a.code.localeCompare(b.code));
+}
+
+/**
+ * Get a sector
+ * @param {string} code - Sector code
+ * @returns {Promise<object|null>} Sector with its format
+ */
+export async function getSector(code) {
+  await refreshCache();
+  return sectorCache.get(String(code).toLowerCase().trim()) || null;
+}
+
+/**
+ * Create a sector
+ * @param {object} config - Sector fields; token_length, algorithm, secret_source and enabled have defaults
+ * @returns {Promise<object>} Created sector
+ */
+export async function createSector(config) {
+  const sector = {
+    code: typeof config.code === 'string' ? config.code.toLowerCase().trim() : config.code,
+    name: config.name,
+    description: config.description || null,
+    token_length: config.token_length === undefined ? 20 : config.token_length,
+    charset: config.charset || null,
+    algorithm: config.algorithm || 'sha256',
+    checksum_algorithm: config.checksum_algorithm || null,
+    format_code: config.format_code || null,
+    secret_source: config.secret_source || 'env',
+    secret_ref: config.secret_ref || null,
+    enabled: config.enabled !== false
+  };
+
+  validateSector(sector);
+  await checkFormat(sector);
+
+  const [created] = await getDb()('sectors')
+    .insert({ ...sector, created_by: config.created_by || 'API' })
+    .returning('*');
+
+  await refreshCache(true);
+  return sectorCache.get(created.code);
+}
+
+/**
+ * Update a sector
+ * @param {string} code - Sector code
+ * @param {object} updates - Fields to change (the code cannot change)
+ * @returns {Promise<object|null>} Updated sector, or null if unknown
+ */
+export async function updateSector(code, updates) {
+  const db = getDb();
+  const current = await db('sectors').where({ code: String(code).toLowerCase().trim() }).first();
+
+  if (!current) {
+    return null;
+  }
+  if (updates.code !== undefined && updates.code !== current.code) {
+    throw new Error('Sector code cannot be changed');
+  }
+
+  const changes = Object.fromEntries(FIELDS.filter(field => updates[field] !== undefined).map(field => [field, updates[field]]));
+  const sector = { ...current, ...changes };
+
+  validateSector(sector);
+  await checkFormat(sector);
+
+  await db('sectors')
+    .where({ code: current.code })
+    .update({ ...changes, updated_at: db.fn.now() });
+
+  await refreshCache(true);
+  return sectorCache.get(current.code);
+}
+
+/**
+ * Delete a sector
+ * Sectors with registered tokens cannot be deleted: disable them instead.
+ * @param {string} code - Sector code
+ * @returns {Promise<boolean>} True if deleted
+ */
+export async function deleteSector(code) {
+  const db = getDb();
+  const normalized = String(code).toLowerCase().trim();
+
+  const token = await db('sector_tokens').where({ sector: normalized }).first('id');
+  if (token) {
+    throw new Error(`Sector ${normalized} has registered tokens; disable it instead`);
+  }
+
+  const deleted = await db('sectors').where({ code: normalized }).delete();
+
+  await refreshCache(true);
+  return deleted > 0;
+}
+
+/**
+ * Register the configured sectors (UIN_SUPPORTED_SECTORS) that are not in the registry yet
+ * Each gets the default policy; used once to move a deployment to the registry.
+ * @param {string} [createdBy] - Creator recorded on the new rows
+ * @returns {Promise<string[]>} Codes of the sectors created
+ */
+export async function importConfiguredSectors(createdBy = 'IMPORT') {
+  await refreshCache(true);
+
+  const created = [];
+  for (const code of getConfig().supportedSectors.map(sector => sector.toLowerCase().trim())) {
+    if (!sectorCache.has(code)) {
+      await createSector({ code, name: code.charAt(0).toUpperCase() + code.slice(1), created_by: createdBy });
+      created.push(code);
+    }
+  }
+  return created;
+}
+
+/**
+ * Check that the registry, the configured sector list and the sector secrets agree
+ * @returns {Promise<{sectors: number, problems: Array<{sector: string, problem: string}>}>} Findings
+ */
+export async function checkSectorRegistry() {
+  await refreshCache(true);
+
+  const problems = [];
+  const secrets = getEffectiveSectorSecrets();
+  const secretSectors = new Set(Object.keys(secrets).map(name => name.split('@')[0]));
+
+  if (sectorCache.size === 0) {
+    return { sectors: 0, problems };
+  }
+
+  for (const sector of getLoadedSectors()) {
+    const refProblem = secretRefProblems.find(problem => problem.sector === sector.code);
+    if (refProblem) {
+      problems.push(refProblem);
+    } else if (sector.enabled && getSectorSecretVersions(secrets, sector.code).length === 0) {
+      problems.push({ sector: sector.code, problem: `No secret loaded (expected in ${secretLocation(sector)})` });
+    }
+    if (sector.format) {
+      const length = sector.token_length + (sector.checksum_algorithm ? getChecksumAlgorithm(sector.checksum_algorithm).checkLength : 0);
+      if (sector.format.total_length !== length) {
+        problems.push({ sector: sector.code, problem: `Format ${sector.format_code} is for ${sector.format.total_length}-character values, tokens have ${length}` });
+      }
+    }
+  }
+
+  for (const code of [...secretSectors].sort()) {
+    if (!sectorCache.has(code)) {
+      problems.push({ sector: code, problem: 'Secret configured, but the sector is not registered' });
+    }
+  }
+
+  // Only an explicit list is compared: the built-in default list is superseded by the registry
+  if (process.env.UIN_SUPPORTED_SECTORS) {
+    for (const code of getConfig().supportedSectors.map(sector => sector.toLowerCase().trim())) {
+      if (!sectorCache.has(code)) {
+        problems.push({ sector: code, problem: 'Listed in UIN_SUPPORTED_SECTORS, but not registered' });
+      }
+    }
+  }
+
+  return { sectors: sectorCache.size, problems };
+}
+
+export default {
+  SECTOR_ALGORITHMS,
+  SECRET_SOURCES,
+  secretLocation,
+  loadSectors,
+  refreshSectors,
+  getLoadedSectors,
+  setLoadedSectors,
+  getSectorPolicy,
+  validateSector,
+  getSectors,
+  getSector,
+  createSector,
+  updateSector,
+  deleteSector,
+  importConfiguredSectors,
+  checkSectorRegistry
+};
@@ -2,9 +2,24 @@
  * Sector Token Derivation Module
  * Generates unlinkable sector-specific tokens from foundational UINs
  * Uses HMAC-based key derivation for security
+ *
+ * Sector secrets are versioned so they can be rotated: the secrets map holds
+ * 'health@v2', 'health@v3', ... next to 'health', which is version 1. New tokens
+ * are derived with the sector's highest version and carry it as keyVersion;
+ * verification uses the version the token was derived with. A secret is a
+ * string, or a key kept in the HSM ({ label, hmac(algorithm, data) }).
+ *
+ * Token (derivation) versions:
+ *   v1 - HMAC over 'v1|uin|sector|salt', each byte taken modulo the charset
+ *        length (biased for most charsets). Kept so existing tokens verify.
+ *   v2 - The same HMAC over 'v2|uin|sector|salt' is the HKDF pseudorandom key
+ *        (RFC 5869 Extract, the sector secret as salt). HKDF-Expand with the
+ *        info label 'osia-sector-token/v2/<sector>' yields bytes that are
+ *        rejection-sampled into the charset, so every character is uniform.
  */
 
 import crypto from 'crypto';
+import { appendChecksum } from './checksum.mjs';
 
 /**
  * Default configuration for sector token generation
@@ -16,6 +31,16 @@ const DEFAULT_CONFIG = {
   saltLength: 16
 };
 
+/**
+ * Derivation version of new tokens
+ */
+export const SECTOR_TOKEN_VERSION = 2;
+
+/**
+ * Derivation versions that can be derived and verified
+ */
+export const SECTOR_TOKEN_VERSIONS = [1, 2];
+
 /**
  * Generate a random salt for token derivation
  * @param {number} length - Salt length in bytes
@@ -26,7 +51,66 @@ function generateSalt(length = 16) {
 }
 
 /**
- * Convert a buffer to a string using specified charset
+ * Secret versions configured for a sector
+ * @param {object} secrets - Secret configuration per sector ('health', 'health@v2', ...)
+ * @param {string} sector - Normalized sector
+ * @returns {number[]} Versions, ascending
+ */
+export function getSectorSecretVersions(secrets, sector) {
+  const versions = new Set();
+
+  for (const name of Object.keys(secrets || {})) {
+    if (name === sector) {
+      versions.add(1);
+    } else if (name.startsWith(`${sector}@v`) && /^[1-9][0-9]*$/.test(name.slice(sector.length + 2))) {
+      versions.add(parseInt(name.slice(sector.length + 2)));
+    }
+  }
+
+  return [...versions].sort((a, b) => a - b);
+}
+
+/**
+ * Find the secret of a sector for one key version
+ * @param {object} secrets - Secret configuration per sector
+ * @param {string} sector - Normalized sector
+ * @param {number} [keyVersion] - Key version (default: the sector's highest)
+ * @returns {{secret: string, keyVersion: number}} Secret and its version
+ * @throws {Error} If the sector or version has no secret
+ */
+export function resolveSectorSecret(secrets, sector, keyVersion) {
+  const versions = getSectorSecretVersions(secrets, sector);
+  if (versions.length === 0) {
+    throw new Error(`No secret configured for sector: ${sector}`);
+  }
+
+  const version = keyVersion || versions[versions.length - 1];
+  const secret = secrets[`${sector}@v${version}`] || (version === 1 ? secrets[sector] : undefined);
+  if (!secret) {
+    throw new Error(`No secret configured for sector: ${sector} (key version ${version})`);
+  }
+
+  return { secret, keyVersion: version };
+}
+
+/**
+ * HMAC keyed with a sector secret
+ * @param {string|object} secret - Secret, or an HSM key ({ hmac(algorithm, data) })
+ * @param {string} algorithm - HMAC algorithm
+ * @param {string} data - Derivation input
+ * @returns {Buffer} HMAC
+ */
+export function sectorHmac(secret, algorithm, data) {
+  if (secret && typeof secret.hmac === 'function') {
+    return secret.hmac(algorithm, data);
+  }
+  return crypto.createHmac(algorithm, secret).update(data).digest();
+}
+
+/**
+ * Convert a buffer to a string using specified charset (v1 tokens)
+ * Takes each byte modulo the charset length, so characters below 256 % length
+ * are more likely; only used to derive and verify v1 tokens.
  * @param {Buffer} buffer - Input buffer
  * @param {string} charset - Target character set
  * @param {number} targetLength - Desired output length
@@ -60,6 +144,106 @@ function bufferToCharset(buffer, charset, targetLength) {
   return result.substring(0, targetLength);
 }
 
+/**
+ * HKDF-Expand (RFC 5869, section 2.3), one block at a time
+ * @param {string} algorithm - HMAC hash algorithm
+ * @param {Buffer} prk - Pseudorandom key
+ * @param {string|Buffer} info - Context and application specific information
+ * @yields {number} Output key material bytes (at most 255 blocks)
+ */
+function* hkdfExpandBytes(algorithm, prk, info) {
+  let block = Buffer.alloc(0);
+
+  for (let counter = 1; counter <= 255; counter++) {
+    block = crypto.createHmac(algorithm, prk)
+      .update(block)
+      .update(info)
+      .update(Buffer.from([counter]))
+      .digest();
+    yield* block;
+  }
+}
+
+/**
+ * HKDF-Expand (RFC 5869, section 2.3)
+ * @param {string} algorithm - HMAC hash algorithm
+ * @param {Buffer} prk - Pseudorandom key
+ * @param {string|Buffer} info - Context and application specific information
+ * @param {number} length - Output length in bytes
+ * @returns {Buffer} Output key material
+ */
+export function hkdfExpand(algorithm, prk, info, length) {
+  const output = [];
+
+  for (const byte of hkdfExpandBytes(algorithm, prk, info)) {
+    if (output.length === length) {
+      break;
+    }
+    output.push(byte);
+  }
+
+  if (output.length < length) {
+    throw new Error('HKDF-Expand output is limited to 255 hash blocks');
+  }
+  return Buffer.from(output);
+}
+
+/**
+ * Map bytes to charset characters by rejection sampling
+ * Bytes at or above the largest multiple of the charset length are skipped, so
+ * the remaining ones map to each character equally often.
+ * @param {Iterable<number>} bytes - Uniform random bytes
+ * @param {string} charset - Target character set (2 to 256 characters)
+ * @param {number} targetLength - Desired output length
+ * @returns {string} Encoded string
+ * @throws {Error} If the bytes run out first
+ */
+export function sampleCharset(bytes, charset, targetLength) {
+  const charsetArray = charset.split('');
+  const charsetLength = charsetArray.length;
+
+  if (charsetLength < 2 || charsetLength > 256) {
+    throw new Error('Charset must contain between 2 and 256 characters');
+  }
+
+  const limit = 256 - (256 % charsetLength);
+  let result = '';
+
+  for (const byte of bytes) {
+    if (result.length === targetLength) {
+      break;
+    }
+    if (byte < limit) {
+      result += charsetArray[byte % charsetLength];
+    }
+  }
+
+  if (result.length < targetLength) {
+    throw new Error('Not enough key material to encode the token');
+  }
+  return result;
+}
+
+/**
+ * Encode HMAC output as a token of the given derivation version
+ * @param {Buffer} derivedBytes - HMAC of the derivation input (v2: the HKDF pseudorandom key)
+ * @param {object} params - Encoding parameters
+ * @param {number} params.version - Derivation version
+ * @param {string} params.algorithm - HMAC algorithm
+ * @param {string} params.sector - Normalized sector
+ * @param {string} params.charset - Target character set
+ * @param {number} params.tokenLength - Token length
+ * @returns {string} Token
+ */
+export function encodeSectorToken(derivedBytes, { version, algorithm, sector, charset, tokenLength }) {
+  if (version === 1) {
+    return bufferToCharset(derivedBytes, charset, tokenLength);
+  }
+
+  const info = `osia-sector-token/v${version}/${sector}`;
+  return sampleCharset(hkdfExpandBytes(algorithm, derivedBytes, info), charset, tokenLength);
+}
+
 /**
  * Derive a sector-specific token from a foundational UIN
  * @param {string} foundationalUin - The foundational UIN
@@ -71,7 +255,9 @@ function bufferToCharset(buffer, charset, targetLength) {
  * @param {string} [options.salt] - Optional salt (auto-generated if not provided)
  * @param {number} [options.saltLength=16] - Salt length in bytes
  * @param {boolean} [options.includeSalt=true] - Include salt in derivation
- * @param {number} [options.version=1] - Token version for future compatibility
+ * @param {number} [options.version=2] - Derivation version (see SECTOR_TOKEN_VERSIONS); 1 only to verify or reproduce v1 tokens
+ * @param {number} [options.keyVersion] - Sector secret version (default: the sector's highest)
+ * @param {string} [options.checksum] - Checksum algorithm whose check characters are appended (after tokenLength)
  * @param {object} secrets - Secret configuration per sector
  * @returns {{token: string, metadata: object}} Derived token and metadata
  */
@@ -89,10 +275,7 @@ export function deriveSectorToken(foundationalUin, sector, options = {}, secrets
   const normalizedSector = sector.toLowerCase().trim();
 
   // Get sector-specific secret
-  const sectorSecret = secrets[normalizedSector];
-  if (!sectorSecret) {
-    throw new Error(`No secret configured for sector: ${normalizedSector}`);
-  }
+  const { secret: sectorSecret, keyVersion } = resolveSectorSecret(secrets, normalizedSector, options.keyVersion);
 
   // Apply defaults
   const config = {
@@ -101,9 +284,13 @@ export function deriveSectorToken(foundationalUin, sector, options = {}, secrets
     algorithm: options.algorithm || DEFAULT_CONFIG.algorithm,
     salt: options.salt || (options.includeSalt !== false ? generateSalt(options.saltLength || DEFAULT_CONFIG.saltLength) : ''),
     includeSalt: options.includeSalt !== false,
-    version: options.version || 1
+    version: options.version || SECTOR_TOKEN_VERSION
   };
 
+  if (!SECTOR_TOKEN_VERSIONS.includes(config.version)) {
+    throw new Error(`Unsupported sector token version: ${config.version}`);
+  }
+
   // Construct derivation input
   // Format: version|foundationalUin|sector|salt
   const derivationInput = [
@@ -114,12 +301,13 @@ export function deriveSectorToken(foundationalUin, sector, options = {}, secrets
   ].join('|');
 
   // Perform HMAC-based derivation
-  const hmac = crypto.createHmac(config.algorithm, sectorSecret);
-  hmac.update(derivationInput);
-  const derivedBytes = hmac.digest();
+  const derivedBytes = sectorHmac(sectorSecret, config.algorithm, derivationInput);
 
   // Convert to target charset
-  const token = bufferToCharset(derivedBytes, config.charset, config.tokenLength);
+  let token = encodeSectorToken(derivedBytes, { ...config, sector: normalizedSector });
+  if (options.checksum) {
+    token = appendChecksum(token, { algorithm: options.checksum }).value;
+  }
 
   // Return token with metadata
   return {
@@ -127,9 +315,11 @@ export function deriveSectorToken(foundationalUin, sector, options = {}, secrets
     metadata: {
       sector: normalizedSector,
       version: config.version,
+      keyVersion,
       algorithm: config.algorithm,
       salt: config.salt,
       tokenLength: config.tokenLength,
+      checksum: options.checksum || null,
       derivedAt: new Date().toISOString()
     }
   };
@@ -154,7 +344,11 @@ export function verifySectorToken(token, foundationalUin, sector, metadata, secr
         tokenLength: metadata.tokenLength || token.length,
         algorithm: metadata.algorithm,
         salt: metadata.salt,
-        version: metadata.version,
+        // Metadata always had a version, but v1 was the only one before v2 existed
+        version: metadata.version || 1,
+        // Tokens from before secret rotation carry no keyVersion: they were derived with version 1
+        keyVersion: metadata.keyVersion || 1,
+        checksum: metadata.checksum || undefined,
         charset: metadata.charset || '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ',
         includeSalt: true
       },
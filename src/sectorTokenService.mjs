@@ -0,0 +1,788 @@
+/**
+ * Sector Token Service - Registry of issued sector tokens
+ * Handles the sector_tokens and sector_token_audit tables (migration 007)
+ *
+ * A sector token is derived from a foundational UIN with a random salt (see
+ * sectorToken.mjs). The registry keeps the salt and derivation parameters, so a
+ * token can be looked up, verified and revoked after issuance. The foundational
+ * UIN is stored only as an HMAC (to find a UIN's active token) and as AES-256-GCM
+ * ciphertext bound to the sector and token, which only resolveSectorToken and
+ * translateSectorToken decrypt, writing a RESOLVED or TRANSLATED audit event
+ * each time.
+ *
+ * Sector secrets are versioned (see sectorToken.mjs). Tokens are issued with the
+ * sector's newest version, recorded as key_version. After a new version is added,
+ * a rekey job (migration 008) re-derives every active token under it, marking the
+ * old rows SUPERSEDED, and then retires the older versions.
+ */
+
+import crypto from 'crypto';
+import { getDb } from './db.mjs';
+import { getConfig, parseCharset } from './config.mjs';
+import { deriveSectorToken, verifySectorToken, getSectorSecretVersions } from './sectorToken.mjs';
+import { getSectorTokenKey, getEffectiveSectorSecrets } from './cryptoService.mjs';
+import { refreshSectors, getSectorPolicy } from './sectorService.mjs';
+
+const CIPHERTEXT_PREFIX = 'v1:';
+const IV_LENGTH = 12;
+const TAG_LENGTH = 16;
+
+/**
+ * Subkey of the sector token key for one purpose
+ * @param {string} purpose - HKDF info label
+ * @returns {Buffer} 32-byte key
+ */
+function referenceKey(purpose) {
+  return Buffer.from(crypto.hkdfSync('sha256', getSectorTokenKey(), Buffer.alloc(0), `osia/sector-token/${purpose}`, 32));
+}
+
+/**
+ * Keyed hash of a foundational UIN, used to find its tokens without storing it
+ * @param {string} foundationalUin - Foundational UIN
+ * @returns {string} HMAC-SHA256 (hex)
+ */
+export function hashUinReference(foundationalUin) {
+  return crypto.createHmac('sha256', referenceKey('uin-lookup')).update(foundationalUin).digest('hex');
+}
+
+/**
+ * Encrypt a foundational UIN for storage with a token
+ * The sector and token are authenticated with it, so a ciphertext copied to
+ * another row does not decrypt.
+ * @param {string} foundationalUin - Foundational UIN
+ * @param {string} sector - Normalized sector
+ * @param {string} token - Sector token
+ * @returns {string} 'v1:' + base64(iv | tag | ciphertext)
+ */
+export function encryptUinReference(foundationalUin, sector, token) {
+  const iv = crypto.randomBytes(IV_LENGTH);
+  const cipher = crypto.createCipheriv('aes-256-gcm', referenceKey('uin-encryption'), iv);
+  cipher.setAAD(Buffer.from(`${sector}|${token}`, 'utf8'));
+  const ciphertext = Buffer.concat([cipher.update(foundationalUin, 'utf8'), cipher.final()]);
+  return CIPHERTEXT_PREFIX + Buffer.concat([iv, cipher.getAuthTag(), ciphertext]).toString('base64');
+}
+
+/**
+ * Decrypt a foundational UIN stored with a token
+ * @param {string} stored - Value from encryptUinReference
+ * @param {string} sector - Normalized sector
+ * @param {string} token - Sector token
+ * @returns {string} Foundational UIN
+ * @throws {Error} If the value was altered, belongs to another token or the key is wrong
+ */
+export function decryptUinReference(stored, sector, token) {
+  if (!stored.startsWith(CIPHERTEXT_PREFIX)) {
+    throw new Error('Unsupported foundational UIN reference format');
+  }
+
+  const bytes = Buffer.from(stored.slice(CIPHERTEXT_PREFIX.length), 'base64');
+  const decipher = crypto.createDecipheriv('aes-256-gcm', referenceKey('uin-encryption'), bytes.subarray(0, IV_LENGTH));
+  decipher.setAAD(Buffer.from(`${sector}|${token}`, 'utf8'));
+  decipher.setAuthTag(bytes.subarray(IV_LENGTH, IV_LENGTH + TAG_LENGTH));
+
+  try {
+    return Buffer.concat([decipher.update(bytes.subarray(IV_LENGTH + TAG_LENGTH)), decipher.final()]).toString('utf8');
+  } catch (error) {
+    throw new Error('Foundational UIN reference could not be decrypted (wrong key or altered record)');
+  }
+}
+
+/**
+ * Normalize a sector name as deriveSectorToken does
+ * @param {string} sector - Sector
+ * @returns {string} Normalized sector
+ */
+function normalizeSector(sector) {
+  if (!sector || typeof sector !== 'string') {
+    throw new Error('Sector must be a non-empty string');
+  }
+  return sector.toLowerCase().trim();
+}
+
+/**
+ * Public view of a registry row: no salt and no foundational UIN reference
+ * @param {object} row - sector_tokens row
+ * @returns {object} Token record
+ */
+function toRecord(row) {
+  return {
+    token: row.token,
+    sector: row.sector,
+    status: row.status,
+    keyVersion: row.key_version,
+    derivationVersion: row.derivation_version,
+    algorithm: row.algorithm,
+    tokenLength: row.token_length,
+    checksumAlgorithm: row.checksum_algorithm || null,
+    issuedAt: row.issued_at,
+    issuedBy: row.issued_by,
+    revokedAt: row.revoked_at,
+    revokedReason: row.revoked_reason
+  };
+}
+
+/**
+ * Public view of a rekey job row
+ * @param {object} row - sector_token_rekey_jobs row
+ * @returns {object} Job record
+ */
+function toJobRecord(row) {
+  return {
+    id: Number(row.id),
+    sector: row.sector,
+    targetVersion: row.target_version,
+    status: row.status,
+    total: row.total,
+    processed: row.processed,
+    failed: row.failed,
+    retiredVersions: row.retired_versions,
+    error: row.error,
+    requestedBy: row.requested_by,
+    createdAt: row.created_at,
+    startedAt: row.started_at,
+    finishedAt: row.finished_at
+  };
+}
+
+/**
+ * Insert sector token audit entry
+ * @param {object} db - Knex instance or transaction
+ * @param {object} params - Audit parameters
+ * @returns {Promise<object>} Inserted audit record
+ */
+async function insertTokenAudit(db, { tokenId, eventType, actorSystem, actorRef, details }) {
+  const [audit] = await db('sector_token_audit')
+    .insert({
+      token_id: tokenId,
+      event_type: eventType,
+      actor_system: actorSystem || 'SYSTEM',
+      actor_ref: actorRef || null,
+      details: details || {}
+    })
+    .returning('*');
+
+  return audit;
+}
+
+/**
+ * Find a registry row
+ * @param {object} db - Knex instance or transaction
+ * @param {string} sector - Sector
+ * @param {string} token - Sector token
+ * @returns {Promise<object|undefined>} Row
+ */
+function findToken(db, sector, token) {
+  return db('sector_tokens').where({ sector: normalizeSector(sector), token: String(token) }).first();
+}
+
+/**
+ * Issue a sector token and register it
+ * A foundational UIN has at most one active token per sector: issuing again returns
+ * it (existing = true). Revoke it first to issue a new one. The token length,
+ * charset, algorithm and check characters follow the sector's registry policy.
+ * @param {object} params - Issuance parameters
+ * @param {string} params.foundationalUin - Foundational UIN
+ * @param {string} params.sector - Sector
+ * @param {number} [params.tokenLength] - Token length (default: the sector's, or 20)
+ * @param {string} [params.charset] - Token charset (default: the sector's, or the configured charset)
+ * @param {string} [params.actorSystem] - System requesting the token
+ * @param {string} [params.actorRef] - Transaction/case reference
+ * @param {object} [params.details] - Additional audit context (IP, ...)
+ * @returns {Promise<object>} Token record with existing
+ */
+export async function issueSectorToken({ foundationalUin, sector, tokenLength, charset, actorSystem, actorRef, details = {} }) {
+  if (!foundationalUin || typeof foundationalUin !== 'string') {
+    throw new Error('Foundational UIN must be a non-empty string');
+  }
+
+  const config = getConfig();
+  const normalizedSector = normalizeSector(sector);
+  await refreshSectors();
+  const policy = getSectorPolicy(normalizedSector);
+  const uinHash = hashUinReference(foundationalUin);
+  const db = getDb();
+
+  const findActive = executor => executor('sector_tokens')
+    .where({ uin_hash: uinHash, sector: normalizedSector, status: 'ACTIVE' })
+    .first();
+
+  try {
+    return await db.transaction(async (trx) => {
+      const existing = await findActive(trx);
+      if (existing) {
+        return { ...toRecord(existing), existing: true };
+      }
+
+      const resolvedCharset = parseCharset(charset || (policy && policy.charset) || config.defaultCharset);
+      const { token, metadata } = deriveSectorToken(
+        foundationalUin,
+        normalizedSector,
+        {
+          tokenLength: tokenLength || (policy && policy.token_length) || 20,
+          charset: resolvedCharset,
+          algorithm: policy ? policy.algorithm : undefined,
+          checksum: policy && policy.checksum_algorithm ? policy.checksum_algorithm : undefined
+        },
+        getEffectiveSectorSecrets()
+      );
+
+      const [row] = await trx('sector_tokens')
+        .insert({
+          token,
+          sector: normalizedSector,
+          key_version: metadata.keyVersion,
+          derivation_version: metadata.version,
+          algorithm: metadata.algorithm,
+          salt: metadata.salt,
+          token_length: metadata.tokenLength,
+          charset: resolvedCharset,
+          uin_hash: uinHash,
+          uin_ciphertext: encryptUinReference(foundationalUin, normalizedSector, token),
+          issued_by: actorSystem || null,
+          // Column added by migration 009; omitted when unused so older schemas keep working
+          ...(metadata.checksum ? { checksum_algorithm: metadata.checksum } : {})
+        })
+        .returning('*');
+
+      await insertTokenAudit(trx, { tokenId: row.id, eventType: 'ISSUED', actorSystem, actorRef, details });
+
+      return { ...toRecord(row), existing: false };
+    });
+  } catch (error) {
+    // A concurrent request issued the active token first
+    if (error.code === '23505') {
+      const existing = await findActive(db);
+      if (existing) {
+        return { ...toRecord(existing), existing: true };
+      }
+    }
+    throw error;
+  }
+}
+
+/**
+ * Look up a registered token
+ * A token superseded by a rekey job names its replacement in supersededBy.
+ * @param {string} sector - Sector
+ * @param {string} token - Sector token
+ * @returns {Promise<object|null>} Token record, or null if not registered
+ */
+export async function getSectorToken(sector, token) {
+  const db = getDb();
+  const row = await findToken(db, sector, token);
+
+  if (!row) {
+    return null;
+  }
+  if (!row.superseded_by) {
+    return toRecord(row);
+  }
+
+  const replacement = await db('sector_tokens').where({ id: row.superseded_by }).first('token');
+  return { ...toRecord(row), supersededBy: replacement.token };
+}
+
+/**
+ * Check that a registered token belongs to a foundational UIN
+ * Only active tokens are valid; `matches` reports the derivation check on its own.
+ * Tokens derived with a retired secret version never match.
+ * @param {object} params - Verification parameters
+ * @param {string} params.sector - Sector
+ * @param {string} params.token - Sector token
+ * @param {string} params.foundationalUin - Foundational UIN
+ * @param {string} [params.actorSystem] - Verifying system
+ * @param {string} [params.actorRef] - Transaction/case reference
+ * @param {object} [params.details] - Additional audit context (IP, ...)
+ * @returns {Promise<object|null>} Token record with valid and matches, or null if not registered
+ */
+export async function verifyRegisteredSectorToken({ sector, token, foundationalUin, actorSystem, actorRef, details = {} }) {
+  const db = getDb();
+  const row = await findToken(db, sector, token);
+
+  if (!row) {
+    return null;
+  }
+
+  const retired = await db('sector_secret_retirements').where({ sector: row.sector, key_version: row.key_version }).first();
+  const matches = !retired && typeof foundationalUin === 'string' && verifySectorToken(
+    row.token,
+    foundationalUin,
+    row.sector,
+    {
+      tokenLength: row.token_length,
+      algorithm: row.algorithm,
+      salt: row.salt,
+      version: row.derivation_version,
+      keyVersion: row.key_version,
+      checksum: row.checksum_algorithm,
+      charset: row.charset
+    },
+    getEffectiveSectorSecrets()
+  );
+
+  await insertTokenAudit(db, {
+    tokenId: row.id,
+    eventType: 'VERIFIED',
+    actorSystem,
+    actorRef,
+    details: retired ? { ...details, matches, retiredKeyVersion: row.key_version } : { ...details, matches }
+  });
+
+  return { ...toRecord(row), valid: matches && row.status === 'ACTIVE', matches };
+}
+
+/**
+ * Revoke a registered token
+ * @param {object} params - Revocation parameters
+ * @param {string} params.sector - Sector
+ * @param {string} params.token - Sector token
+ * @param {string} [params.reason] - Reason for revocation
+ * @param {string} [params.actorSystem] - System performing the revocation
+ * @param {string} [params.actorRef] - Transaction/case reference
+ * @param {object} [params.details] - Extra audit details
+ * @returns {Promise<object|null>} Updated token record, or null if not registered
+ */
+export async function revokeSectorToken({ sector, token, reason, actorSystem, actorRef, details = {} }) {
+  const db = getDb();
+
+  return db.transaction(async (trx) => {
+    const current = await findToken(trx, sector, token).forUpdate();
+
+    if (!current) {
+      return null;
+    }
+    if (current.status === 'REVOKED') {
+      throw new Error(`Sector token was already revoked at ${new Date(current.revoked_at).toISOString()}`);
+    }
+
+    const [updated] = await trx('sector_tokens')
+      .where({ id: current.id })
+      .update({
+        status: 'REVOKED',
+        revoked_at: trx.fn.now(),
+        revoked_reason: reason || 'No reason provided'
+      })
+      .returning('*');
+
+    await insertTokenAudit(trx, {
+      tokenId: current.id,
+      eventType: 'REVOKED',
+      actorSystem,
+      actorRef,
+      details: { ...details, reason: reason || 'No reason provided' }
+    });
+
+    return toRecord(updated);
+  });
+}
+
+/**
+ * Map a registered token back to its foundational UIN
+ * Expose to privileged callers only: this links the sector's records to the
+ * foundational identity. Every resolution is audited.
+ * @param {object} params - Resolution parameters
+ * @param {string} params.sector - Sector
+ * @param {string} params.token - Sector token
+ * @param {string} params.actorSystem - Authenticated privileged client
+ * @param {string} params.actorRef - Case reference
+ * @param {object} [params.details] - Additional audit context (IP, ...)
+ * @returns {Promise<object|null>} Token record with foundationalUin, or null if not registered
+ */
+export async function resolveSectorToken({ sector, token, actorSystem, actorRef, details = {} }) {
+  const db = getDb();
+  const row = await findToken(db, sector, token);
+
+  if (!row) {
+    return null;
+  }
+
+  const foundationalUin = decryptUinReference(row.uin_ciphertext, row.sector, row.token);
+
+  await insertTokenAudit(db, { tokenId: row.id, eventType: 'RESOLVED', actorSystem, actorRef, details });
+
+  return { ...toRecord(row), foundationalUin };
+}
+
+/**
+ * Whether the translation policy lets one sector's tokens be translated to another's
+ * @param {string} sourceSector - Sector of the token presented
+ * @param {string} targetSector - Sector of the token requested
+ * @param {object} [policy] - Policy from parseTranslationPolicy (default: UIN_SECTOR_TOKEN_TRANSLATE_POLICY)
+ * @returns {boolean} True if allowed
+ */
+export function isTranslationAllowed(sourceSector, targetSector, policy = getConfig().sectorTokens.translationPolicy) {
+  const source = normalizeSector(sourceSector);
+  const target = normalizeSector(targetSector);
+  const allowed = policy[source] || [];
+
+  return source !== target && (allowed.includes(target) || allowed.includes('*'));
+}
+
+/**
+ * Translate a registered token to the token of the same person in another sector
+ * The foundational UIN is decrypted internally and never returned. The target token
+ * is issued like issueSectorToken does (the active one is reused), and a TRANSLATED
+ * audit event naming it is written on the source token.
+ * @param {object} params - Translation parameters
+ * @param {string} params.sector - Sector of the token presented
+ * @param {string} params.token - Sector token
+ * @param {string} params.targetSector - Sector of the token requested
+ * @param {number} [params.tokenLength] - Target token length, if one is issued
+ * @param {string} [params.charset] - Target token charset, if one is issued
+ * @param {string} params.actorSystem - Authenticated client
+ * @param {string} params.actorRef - Case reference
+ * @param {object} [params.details] - Additional audit context (IP, ...)
+ * @returns {Promise<object|null>} Target token record with existing, or null if the source token is not registered
+ * @throws {Error} code TRANSLATION_DENIED if the policy forbids the sector pair
+ */
+export async function translateSectorToken({ sector, token, targetSector, tokenLength, charset, actorSystem, actorRef, details = {} }) {
+  if (!isTranslationAllowed(sector, targetSector)) {
+    const error = new Error(`Translation from sector '${normalizeSector(sector)}' to '${normalizeSector(targetSector)}' is not allowed by policy`);
+    error.code = 'TRANSLATION_DENIED';
+    throw error;
+  }
+
+  const db = getDb();
+  const row = await findToken(db, sector, token);
+
+  if (!row) {
+    return null;
+  }
+  if (row.status !== 'ACTIVE') {
+    throw new Error('Revoked sector tokens cannot be translated');
+  }
+
+  const target = await issueSectorToken({
+    foundationalUin: decryptUinReference(row.uin_ciphertext, row.sector, row.token),
+    sector: targetSector,
+    tokenLength,
+    charset,
+    actorSystem,
+    actorRef,
+    details: { ...details, translatedFrom: row.sector }
+  });
+
+  await insertTokenAudit(db, {
+    tokenId: row.id,
+    eventType: 'TRANSLATED',
+    actorSystem,
+    actorRef,
+    details: { ...details, targetSector: target.sector, targetToken: target.token }
+  });
+
+  return target;
+}
+
+/**
+ * Secret versions of each sector, with their retirement and active token counts
+ * Secret values are never returned.
+ * @returns {Promise<Array<object>>} {sector, currentVersion, versions: [{version, configured, retiredAt, activeTokens}]}
+ */
+export async function getSectorSecretStatus() {
+  const db = getDb();
+  const secrets = getEffectiveSectorSecrets();
+  const sectors = [...new Set(Object.keys(secrets).map(name => name.split('@')[0]))].sort();
+  const retirements = await db('sector_secret_retirements').select('*');
+  const counts = await db('sector_tokens')
+    .where({ status: 'ACTIVE' })
+    .groupBy('sector', 'key_version')
+    .select('sector', 'key_version')
+    .count('* as count');
+
+  return sectors.map(sector => {
+    const configured = getSectorSecretVersions(secrets, sector);
+    const known = new Set([
+      ...configured,
+      ...retirements.filter(entry => entry.sector === sector).map(entry => entry.key_version),
+      ...counts.filter(entry => entry.sector === sector).map(entry => entry.key_version)
+    ]);
+
+    return {
+      sector,
+      currentVersion: configured[configured.length - 1],
+      versions: [...known].sort((a, b) => a - b).map(version => {
+        const retirement = retirements.find(entry => entry.sector === sector && entry.key_version === version);
+        const count = counts.find(entry => entry.sector === sector && entry.key_version === version);
+        return {
+          version,
+          configured: configured.includes(version),
+          retiredAt: retirement ? retirement.retired_at : null,
+          activeTokens: count ? parseInt(count.count) : 0
+        };
+      })
+    };
+  });
+}
+
+/**
+ * Create a rekey job for a sector
+ * The job re-derives the sector's active tokens under its newest secret version;
+ * run it with runSectorRekeyJob.
+ * @param {object} params - Job parameters
+ * @param {string} params.sector - Sector
+ * @param {number} [params.targetVersion] - Expected newest version (guards against a stale secret configuration)
+ * @param {string} [params.requestedBy] - Client or operator starting the job
+ * @returns {Promise<object>} Job record
+ * @throws {Error} code REKEY_IN_PROGRESS if the sector already has an unfinished job
+ */
+export async function startSectorRekey({ sector, targetVersion, requestedBy }) {
+  const db = getDb();
+  const normalizedSector = normalizeSector(sector);
+  const versions = getSectorSecretVersions(getEffectiveSectorSecrets(), normalizedSector);
+
+  if (versions.length === 0) {
+    throw new Error(`No secret configured for sector: ${normalizedSector}`);
+  }
+
+  const newest = versions[versions.length - 1];
+  if (targetVersion !== undefined && targetVersion !== newest) {
+    throw new Error(`Rekey target must be the newest configured secret version of sector ${normalizedSector} (v${newest})`);
+  }
+
+  const [{ count }] = await db('sector_tokens')
+    .where({ sector: normalizedSector, status: 'ACTIVE' })
+    .where('key_version', '<', newest)
+    .count('* as count');
+
+  try {
+    const [row] = await db('sector_token_rekey_jobs')
+      .insert({ sector: normalizedSector, target_version: newest, total: parseInt(count), requested_by: requestedBy || null })
+      .returning('*');
+    return toJobRecord(row);
+  } catch (error) {
+    if (error.code === '23505') {
+      const open = new Error(`A rekey job is already open for sector ${normalizedSector}`);
+      open.code = 'REKEY_IN_PROGRESS';
+      throw open;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Re-derive one token under a job's target version
+ * The row becomes SUPERSEDED and points at a new ACTIVE row with the same salt,
+ * length and charset, derived with the current derivation version (v1 tokens
+ * move to v2). Tokens revoked or re-derived meanwhile are left alone.
+ * @param {object} job - sector_token_rekey_jobs row
+ * @param {number} id - sector_tokens id
+ * @returns {Promise<boolean>} True if the token was re-derived
+ */
+async function rekeyToken(job, id) {
+  return getDb().transaction(async (trx) => {
+    const row = await trx('sector_tokens').where({ id }).first().forUpdate();
+
+    if (!row || row.status !== 'ACTIVE' || row.key_version >= job.target_version) {
+      return false;
+    }
+
+    const foundationalUin = decryptUinReference(row.uin_ciphertext, row.sector, row.token);
+    const { token, metadata } = deriveSectorToken(
+      foundationalUin,
+      row.sector,
+      {
+        tokenLength: row.token_length,
+        charset: row.charset,
+        algorithm: row.algorithm,
+        salt: row.salt,
+        keyVersion: job.target_version,
+        checksum: row.checksum_algorithm || undefined
+      },
+      getEffectiveSectorSecrets()
+    );
+
+    // Supersede first: only one active token per UIN and sector
+    await trx('sector_tokens').where({ id }).update({ status: 'SUPERSEDED' });
+
+    const [replacement] = await trx('sector_tokens')
+      .insert({
+        token,
+        sector: row.sector,
+        key_version: metadata.keyVersion,
+        derivation_version: metadata.version,
+        algorithm: metadata.algorithm,
+        salt: metadata.salt,
+        token_length: metadata.tokenLength,
+        charset: row.charset,
+        uin_hash: row.uin_hash,
+        uin_ciphertext: encryptUinReference(foundationalUin, row.sector, token),
+        issued_by: row.issued_by,
+        ...(metadata.checksum ? { checksum_algorithm: metadata.checksum } : {}),
+        meta: { rekeyedFrom: Number(row.id), jobId: Number(job.id) }
+      })
+      .returning('*');
+
+    await trx('sector_tokens').where({ id }).update({ superseded_by: replacement.id });
+
+    const fromTo = { fromVersion: row.key_version, toVersion: metadata.keyVersion, jobId: Number(job.id) };
+    await insertTokenAudit(trx, { tokenId: row.id, eventType: 'SUPERSEDED', actorSystem: 'SECTOR_REKEY', details: { ...fromTo, supersededBy: token } });
+    await insertTokenAudit(trx, { tokenId: replacement.id, eventType: 'ISSUED', actorSystem: 'SECTOR_REKEY', details: { ...fromTo, rekeyedFrom: row.token } });
+
+    return true;
+  });
+}
+
+/**
+ * Run a rekey job to completion
+ * Tokens are re-derived in id order and progress is saved after each batch, so a
+ * job interrupted by a restart resumes from its cursor. If every token was
+ * re-derived, the sector's older secret versions are retired and the job is
+ * COMPLETED; otherwise it is FAILED, nothing is retired, and a new job retries
+ * the remaining tokens.
+ * @param {number} jobId - Job id
+ * @param {object} [options] - Run options
+ * @param {number} [options.batchSize=100] - Tokens per progress update
+ * @param {function} [options.onProgress] - Called with the job record after each batch
+ * @returns {Promise<object>} Finished job record
+ */
+export async function runSectorRekeyJob(jobId, { batchSize = 100, onProgress } = {}) {
+  const db = getDb();
+  const jobs = () => db('sector_token_rekey_jobs').where({ id: jobId });
+  let job = await jobs().first();
+
+  if (!job) {
+    throw new Error(`Rekey job ${jobId} not found`);
+  }
+  if (job.status === 'COMPLETED' || job.status === 'FAILED') {
+    return toJobRecord(job);
+  }
+
+  [job] = await jobs().update({ status: 'RUNNING', started_at: job.started_at || db.fn.now() }).returning('*');
+
+  let cursor = Number(job.last_token_id);
+  let { processed, failed } = job;
+  let lastError = job.error;
+
+  try {
+    for (;;) {
+      const batch = await db('sector_tokens')
+        .where({ sector: job.sector, status: 'ACTIVE' })
+        .where('key_version', '<', job.target_version)
+        .where('id', '>', cursor)
+        .orderBy('id')
+        .limit(batchSize)
+        .pluck('id');
+
+      if (batch.length === 0) {
+        break;
+      }
+
+      for (const id of batch) {
+        try {
+          if (await rekeyToken(job, id)) {
+            processed++;
+          }
+        } catch (error) {
+          failed++;
+          lastError = `Token ${id}: ${error.message}`;
+        }
+        cursor = Number(id);
+      }
+
+      [job] = await jobs().update({ processed, failed, last_token_id: cursor, error: lastError }).returning('*');
+      if (onProgress) {
+        onProgress(toJobRecord(job));
+      }
+    }
+
+    if (failed > 0) {
+      [job] = await jobs()
+        .update({
+          status: 'FAILED',
+          error: `${failed} token(s) could not be re-derived, no version retired (last error: ${lastError})`,
+          finished_at: db.fn.now()
+        })
+        .returning('*');
+      return toJobRecord(job);
+    }
+
+    return await db.transaction(async (trx) => {
+      const used = await trx('sector_tokens')
+        .where({ sector: job.sector })
+        .where('key_version', '<', job.target_version)
+        .distinct('key_version')
+        .pluck('key_version');
+      const configured = getSectorSecretVersions(getEffectiveSectorSecrets(), job.sector).filter(version => version < job.target_version);
+      const retired = [...new Set([...used, ...configured])].sort((a, b) => a - b);
+
+      if (retired.length > 0) {
+        await trx('sector_secret_retirements')
+          .insert(retired.map(version => ({ sector: job.sector, key_version: version, job_id: job.id })))
+          .onConflict(['sector', 'key_version'])
+          .ignore();
+      }
+
+      const [finished] = await trx('sector_token_rekey_jobs')
+        .where({ id: jobId })
+        .update({ status: 'COMPLETED', retired_versions: retired, finished_at: trx.fn.now() })
+        .returning('*');
+      return toJobRecord(finished);
+    });
+  } catch (error) {
+    await jobs().update({ status: 'FAILED', error: error.message, last_token_id: cursor, processed, failed, finished_at: db.fn.now() });
+    throw error;
+  }
+}
+
+/**
+ * Get a rekey job
+ * @param {number} jobId - Job id
+ * @returns {Promise<object|null>} Job record, or null if unknown
+ */
+export async function getSectorRekeyJob(jobId) {
+  const row = await getDb()('sector_token_rekey_jobs').where({ id: jobId }).first();
+  return row ? toJobRecord(row) : null;
+}
+
+/**
+ * Resume rekey jobs left unfinished by a restart, in the background
+ * @returns {Promise<number[]>} Ids of the resumed jobs
+ */
+export async function resumeSectorRekeyJobs() {
+  const ids = await getDb()('sector_token_rekey_jobs').whereIn('status', ['PENDING', 'RUNNING']).orderBy('id').pluck('id');
+
+  for (const id of ids) {
+    runSectorRekeyJob(id).catch(error => console.error(`[SectorTokens] Rekey job ${id} failed:`, error.message));
+  }
+
+  return ids.map(Number);
+}
+
+/**
+ * Get the audit trail of a registered token
+ * @param {string} sector - Sector
+ * @param {string} token - Sector token
+ * @returns {Promise<Array|null>} Audit entries, oldest first, or null if not registered
+ */
+export async function getSectorTokenAudit(sector, token) {
+  const db = getDb();
+  const row = await findToken(db, sector, token);
+
+  if (!row) {
+    return null;
+  }
+
+  return db('sector_token_audit')
+    .where({ token_id: row.id })
+    .orderBy('created_at', 'asc')
+    .orderBy('id', 'asc');
+}
+
+export default {
+  hashUinReference,
+  encryptUinReference,
+  decryptUinReference,
+  issueSectorToken,
+  getSectorToken,
+  verifyRegisteredSectorToken,
+  revokeSectorToken,
+  resolveSectorToken,
+  isTranslationAllowed,
+  translateSectorToken,
+  getSectorSecretStatus,
+  startSectorRekey,
+  runSectorRekeyJob,
+  getSectorRekeyJob,
+  resumeSectorRekeyJobs,
+  getSectorTokenAudit
+};
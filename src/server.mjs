@@ -8,27 +8,31 @@
 import express from 'express';
 import helmet from 'helmet';
 import rateLimit from 'express-rate-limit';
-import { generateUin, validateUin, COUNTRY_CODES, DOCUMENT_TYPES } from './uinGenerator.mjs';
-import { getConfig } from './config.mjs';
-import { computeHash, computeKeyedHash, verifyHash, hashMultiple } from './hash.mjs';
-import { preGenerateUins, claimUin, assignUin, updateUinStatus, getUin, getUinAudit, getPoolStats } from './poolService.mjs';
-import { getFormats, getFormat, createFormat, updateFormat, deleteFormat, applyFormat, previewFormat } from './formatService.mjs';
+import { generateUinAsync, validateUin, createDeterministicSource, COUNTRY_CODES, DOCUMENT_TYPES } from './uinGenerator.mjs';
+import { getConfig, parseCharset } from './config.mjs';
+import { getChecksumAlgorithm } from './checksum.mjs';
+import { decomposeUin } from './template.mjs';
+import { parseMrz } from './mrz.mjs';
+import { analyzeChecksumAsync, compareChecksumsAsync, estimateAnalysisCost, MAX_REQUEST_ANALYSIS_COST } from './checksumAnalyzer.mjs';
+import { MAX_SUGGEST_DISTANCE } from './typoRecovery.mjs';
+import { getBlocklist } from './blocklist.mjs';
+import { analyzeCapacity, optionsFromFormat } from './capacity.mjs';
+import { streamUins, STREAM_FORMATS } from './uinStream.mjs';
+import { MIN_FALSE_POSITIVE_RATE, MAX_FALSE_POSITIVE_RATE } from './bloomFilter.mjs';
+import { generateBatch, getGenerationPool } from './workerPool.mjs';
+import { getModeRegistry, resolveMode, loadConfiguredModePlugins } from './modeRegistry.mjs';
+import { computeHash, computeKeyedHash, deriveKey, verifyHash, checkHashTag, hashMultiple } from './hash.mjs';
+import { preGenerateUins, claimUin, assignUin, updateUinStatus, getUin, getUinAudit, getPoolStats, getIssuanceStats, suggestUins, reverseFpeSerial } from './poolService.mjs';
+import { issueSectorToken, getSectorToken, verifyRegisteredSectorToken, revokeSectorToken, resolveSectorToken, translateSectorToken, getSectorTokenAudit, getSectorSecretStatus, startSectorRekey, runSectorRekeyJob, getSectorRekeyJob, resumeSectorRekeyJobs } from './sectorTokenService.mjs';
+import { getFormats, getFormat, createFormat, updateFormat, deleteFormat, applyFormat, previewFormat, decomposeUinWithFormat } from './formatService.mjs';
 import { initializeCryptoService, getStatus as getCryptoStatus, loadSecretsFromEnv } from './cryptoService.mjs';
 import { testConnection } from './db.mjs';
+import { loadSectors, refreshSectors, getLoadedSectors, getSectors, getSector, createSector, updateSector, deleteSector, checkSectorRegistry } from './sectorService.mjs';
+import { sanitizeForLog, requireApiKey } from './httpUtils.mjs';
 import crypto from 'crypto';
 
 const app = express();
 
-/**
- * Sanitize a string for safe log output.
- * Strips control characters and newlines to prevent log injection (CWE-117).
- */
-function sanitizeForLog(str) {
-  if (typeof str !== 'string') return '';
-  // eslint-disable-next-line no-control-regex
-  return str.replace(/[\x00-\x1f\x7f]/g, '');
-}
-
 // Security headers (helmet)
 app.use(helmet());
 
@@ -115,11 +119,20 @@ app.get('/', (req, res) => {
       validate: 'POST /validate',
       modes: 'GET /modes',
       sectors: 'GET /sectors',
+      sectorCheck: 'GET /sectors/check',
+      sectorGet: 'GET /sectors/:code',
+      sectorCreate: 'POST /sectors',
+      sectorUpdate: 'PUT /sectors/:code',
+      sectorDelete: 'DELETE /sectors/:code',
       countries: 'GET /countries',
       documentTypes: 'GET /document-types',
+      mrzParse: 'POST /mrz/parse',
+      checksumAnalyze: 'POST /checksum/analyze',
+      capacity: 'GET /capacity',
       hash: 'POST /hash',
       hashVerify: 'POST /hash/verify',
       batch: 'POST /batch',
+      batchStream: 'POST /batch/stream',
       poolStats: 'GET /pool/stats',
       poolPeek: 'GET /pool/peek',
       poolPreassign: 'POST /pool/preassign',
@@ -129,9 +142,24 @@ app.get('/', (req, res) => {
       formats: 'GET /formats',
       formatsPreview: 'POST /formats/preview',
       cryptoStatus: 'GET /crypto/status',
+      blocklistMetrics: 'GET /blocklist/metrics',
+      workerStats: 'GET /workers/stats',
       uinLookup: 'GET /uin/:uin',
       uinAudit: 'GET /uin/:uin/audit',
-      uinPreGenerate: 'POST /uin/pre-generate'
+      uinSuggest: 'POST /uin/suggest',
+      uinFpeReverse: 'POST /uin/fpe/reverse',
+      uinParse: 'POST /uin/parse',
+      uinPreGenerate: 'POST /uin/pre-generate',
+      sectorTokenIssue: 'POST /sector-tokens',
+      sectorTokenLookup: 'GET /sector-tokens/:sector/:token',
+      sectorTokenAudit: 'GET /sector-tokens/:sector/:token/audit',
+      sectorTokenVerify: 'POST /sector-tokens/verify',
+      sectorTokenRevoke: 'POST /sector-tokens/revoke',
+      sectorTokenResolve: 'POST /sector-tokens/resolve',
+      sectorTokenTranslate: 'POST /sector-tokens/translate',
+      sectorSecrets: 'GET /sector-secrets',
+      sectorSecretRekey: 'POST /sector-secrets/rekey',
+      sectorSecretRekeyJob: 'GET /sector-secrets/rekey/:jobId'
     },
     documentation: 'See README.md for full API documentation'
   });
@@ -142,46 +170,99 @@ app.get('/', (req, res) => {
 // ═══════════════════════════════════════════════
 
 app.get('/modes', (req, res) => {
-  res.json({
-    modes: [
-      {
-        name: 'foundational',
-        description: 'High-entropy foundational UIN with no embedded PII',
-        parameters: ['length', 'charset', 'excludeAmbiguous', 'checksum']
-      },
-      {
-        name: 'random',
-        description: 'Fully random UIN with configurable length and charset',
-        parameters: ['length', 'charset', 'excludeAmbiguous', 'checksum']
-      },
-      {
-        name: 'structured',
-        description: 'Template-based UIN with placeholders and values',
-        parameters: ['template', 'values', 'randomSegments', 'checksum']
-      },
-      {
-        name: 'sector_token',
-        description: 'Sector-specific token derived from foundational UIN',
-        parameters: ['foundationalUin', 'sector', 'tokenLength', 'charset', 'algorithm']
-      },
-      {
-        name: 'mrz',
-        description: 'ICAO 9303 Machine Readable Zone for passports and ID cards',
-        parameters: ['format', 'documentType', 'issuingCountry', 'documentNumber', 'birthDate', 'sex', 'expiryDate', 'nationality', 'surname', 'givenNames'],
-        formats: ['TD1 (ID Card - 3x30)', 'TD2 (Travel Doc - 2x36)', 'TD3 (Passport - 2x44)']
-      }
-    ]
-  });
+  res.json({ modes: getModeRegistry().describe() });
 });
 
 app.get('/sectors', (req, res) => {
   const config = getConfig();
+  const registered = getLoadedSectors();
+
+  // The sector registry replaces UIN_SUPPORTED_SECTORS once it has sectors
+  if (registered.length > 0) {
+    return res.json({
+      sectors: registered.filter(sector => sector.enabled).map(sector => sector.code).sort(),
+      registry: registered.sort((a, b) => a.code.localeCompare(b.code)),
+      description: 'Enabled sectors from the sector registry'
+    });
+  }
+
   res.json({
     sectors: config.supportedSectors,
     description: 'Supported sectors for sector token generation'
   });
 });
 
+app.get('/sectors/check', async (req, res) => {
+  try {
+    const result = await checkSectorRegistry();
+    res.json({ success: true, ...result, consistent: result.problems.length === 0, timestamp: new Date().toISOString() });
+  } catch (error) {
+    console.error('Sector check error:', error);
+    res.status(500).json({ success: false, error: error.message, timestamp: new Date().toISOString() });
+  }
+});
+
+app.get('/sectors/:code', async (req, res) => {
+  try {
+    const sector = await getSector(req.params.code);
+
+    if (!sector) {
+      return res.status(404).json({ success: false, error: 'Sector not found' });
+    }
+
+    res.json({ success: true, sector, timestamp: new Date().toISOString() });
+  } catch (error) {
+    console.error('Sector get error:', error);
+    res.status(500).json({ success: false, error: error.message, timestamp: new Date().toISOString() });
+  }
+});
+
+const requireSectorAdminKey = requireApiKey(() => getConfig().sectors.adminApiKeys, {
+  feature: 'Sector administration',
+  path: '/sectors',
+  envPrefix: 'UIN_SECTOR_ADMIN_KEY_'
+});
+
+app.post('/sectors', requireSectorAdminKey, async (req, res) => {
+  try {
+    const sector = await createSector({ ...req.body, created_by: req.apiClient });
+    res.status(201).json({ success: true, sector, timestamp: new Date().toISOString() });
+  } catch (error) {
+    console.error('Sector create error:', error);
+    res.status(400).json({ success: false, error: error.message, timestamp: new Date().toISOString() });
+  }
+});
+
+app.put('/sectors/:code', requireSectorAdminKey, async (req, res) => {
+  try {
+    const sector = await updateSector(req.params.code, req.body);
+
+    if (!sector) {
+      return res.status(404).json({ success: false, error: 'Sector not found' });
+    }
+
+    res.json({ success: true, sector, timestamp: new Date().toISOString() });
+  } catch (error) {
+    console.error('Sector update error:', error);
+    res.status(400).json({ success: false, error: error.message, timestamp: new Date().toISOString() });
+  }
+});
+
+app.delete('/sectors/:code', requireSectorAdminKey, async (req, res) => {
+  try {
+    const deleted = await deleteSector(req.params.code);
+
+    if (!deleted) {
+      return res.status(404).json({ success: false, error: 'Sector not found' });
+    }
+
+    res.json({ success: true, deleted: true, timestamp: new Date().toISOString() });
+  } catch (error) {
+    console.error('Sector delete error:', error);
+    res.status(400).json({ success: false, error: error.message, timestamp: new Date().toISOString() });
+  }
+});
+
 app.get('/countries', (req, res) => {
   const { search, limit = 50 } = req.query;
 
@@ -206,13 +287,117 @@ app.get('/document-types', (req, res) => {
   res.json({ count: types.length, types });
 });
 
+// ═══════════════════════════════════════════════
+// MRZ Parsing
+// ═══════════════════════════════════════════════
+
+app.post('/mrz/parse', async (req, res) => {
+  try {
+    const { mrz, maxChanges } = req.body;
+
+    if (!mrz) return res.status(400).json({ error: 'Missing MRZ', message: 'Request body must include "mrz" field (text or array of lines)' });
+
+    const result = parseMrz(mrz, { maxChanges: Math.min(parseInt(maxChanges) || 2, 3) });
+    res.json({ success: true, result, timestamp: new Date().toISOString() });
+  } catch (error) {
+    console.error('MRZ parse error:', error);
+    res.status(400).json({ success: false, error: error.message, timestamp: new Date().toISOString() });
+  }
+});
+
+// ═══════════════════════════════════════════════
+// Checksum Analysis
+// ═══════════════════════════════════════════════
+
+app.post('/checksum/analyze', generateLimiter, async (req, res) => {
+  try {
+    const { algorithm, charset, length, modulus } = req.body;
+
+    if (!length) return res.status(400).json({ error: 'Missing length', message: 'Request body must include "length" field (payload length, excluding check characters)' });
+
+    const options = {
+      charset,
+      length: parseInt(length),
+      // Sampling is CPU-bound; keep API requests small
+      samples: Math.min(parseInt(req.body.samples) || 1000, 5000),
+      modulus: modulus ? parseInt(modulus) : undefined
+    };
+
+    // Without an algorithm every applicable one is analyzed, so the bound covers all of them
+    const cost = estimateAnalysisCost({ ...options, algorithm });
+    if (cost > MAX_REQUEST_ANALYSIS_COST) {
+      return res.status(400).json({ success: false, error: 'Analysis too large', message: `Estimated cost ${cost} exceeds ${MAX_REQUEST_ANALYSIS_COST} (codewords × length² × charset size, per algorithm): lower samples or length, or name an algorithm` });
+    }
+
+    const result = algorithm ? await analyzeChecksumAsync({ ...options, algorithm }) : await compareChecksumsAsync(options);
+    res.json({ success: true, result, timestamp: new Date().toISOString() });
+  } catch (error) {
+    console.error('Checksum analysis error:', error);
+    res.status(400).json({ success: false, error: error.message, timestamp: new Date().toISOString() });
+  }
+});
+
+// ═══════════════════════════════════════════════
+// Capacity Planning
+// ═══════════════════════════════════════════════
+
+app.get('/capacity', generateLimiter, async (req, res) => {
+  try {
+    const { mode, length, charset, excludeAmbiguous, checksum, template, format_code, scope } = req.query;
+    const population = Number(req.query.population);
+    const windowDays = parseInt(req.query.windowDays || '365');
+
+    if (!population) return res.status(400).json({ success: false, error: 'Missing population', message: 'Query must include the target "population"' });
+
+    let options = {
+      mode,
+      template,
+      charset,
+      length: length ? Number(length) : undefined,
+      excludeAmbiguous: excludeAmbiguous === undefined ? undefined : excludeAmbiguous === 'true',
+      checksum: checksum ? { enabled: true, algorithm: checksum } : undefined
+    };
+
+    if (format_code) {
+      const format = await getFormat(format_code);
+      if (!format) return res.status(404).json({ success: false, error: `Format '${format_code}' not found` });
+      options = optionsFromFormat(format, options);
+    }
+
+    // The issuance rate needs the pool; without a database the static figures are still useful
+    let issuance = null;
+    try {
+      issuance = await getIssuanceStats({ scope: scope || null, windowDays });
+    } catch (error) {
+      console.error('Capacity issuance lookup failed:', error.message);
+    }
+
+    const result = analyzeCapacity(options, { population, issuance });
+    res.json({ success: true, result, timestamp: new Date().toISOString() });
+  } catch (error) {
+    console.error('Capacity error:', error);
+    res.status(400).json({ success: false, error: error.message, timestamp: new Date().toISOString() });
+  }
+});
+
 // ═══════════════════════════════════════════════
 // Hash Endpoints
 // ═══════════════════════════════════════════════
 
+/**
+ * Normalize a UTF-8 key string to the 32 bytes BLAKE3 keyed mode requires
+ * (zero-padded or truncated)
+ */
+function normalizeHashKey(key) {
+  const keyBuffer = Buffer.from(key, 'utf-8');
+  const normalizedKey = Buffer.alloc(32);
+  keyBuffer.copy(normalizedKey, 0, 0, Math.min(32, keyBuffer.length));
+  return normalizedKey;
+}
+
 app.post('/hash', generateLimiter, async (req, res) => {
   try {
-    const { data, format = 'hex', length = 32, key, mode = 'simple', algorithm = 'blake3' } = req.body;
+    const { data, format = 'hex', length = 32, key, context, mode = 'simple', algorithm = 'blake3' } = req.body;
 
     if (!data) {
       return res.status(400).json({ error: 'Missing data', message: 'Request body must include "data" field' });
@@ -225,10 +410,12 @@ app.post('/hash', generateLimiter, async (req, res) => {
 
     if (algo === 'blake3') {
       if (mode === 'keyed' && key) {
-        const keyBuffer = Buffer.from(key, 'utf-8');
-        const normalizedKey = Buffer.alloc(32);
-        keyBuffer.copy(normalizedKey, 0, 0, Math.min(32, keyBuffer.length));
-        result = computeKeyedHash(data, normalizedKey, { format, length });
+        result = computeKeyedHash(data, normalizeHashKey(key), { format, length });
+      } else if (mode === 'derive') {
+        if (!context) {
+          return res.status(400).json({ error: 'Missing context', message: 'Derive mode requires a "context" field' });
+        }
+        result = deriveKey(context, data, { format, length });
       } else if (mode === 'multiple' && Array.isArray(data)) {
         result = hashMultiple(data, { format, length });
       } else {
@@ -291,12 +478,18 @@ app.post('/hash', generateLimiter, async (req, res) => {
 
 app.post('/hash/verify', async (req, res) => {
   try {
-    const { data, hash, length = 32 } = req.body;
+    const { data, hash, length, format = 'hex', key } = req.body;
 
     if (!data) return res.status(400).json({ error: 'Missing data', message: 'Request body must include "data" field' });
     if (!hash) return res.status(400).json({ error: 'Missing hash', message: 'Request body must include "hash" field' });
 
-    const valid = verifyHash(data, hash, { length });
+    try {
+      checkHashTag(hash, { length, format });
+    } catch (error) {
+      return res.status(400).json({ error: 'Invalid hash', message: error.message });
+    }
+
+    const valid = verifyHash(data, hash, { length, format, key: key ? normalizeHashKey(key) : undefined });
     res.json({ success: true, valid, timestamp: new Date().toISOString() });
   } catch (error) {
     console.error('Hash verification error:', error);
@@ -308,6 +501,26 @@ app.post('/hash/verify', async (req, res) => {
 // UIN Generation
 // ═══════════════════════════════════════════════
 
+/**
+ * Refuse seeded generation unless the server runs with UIN_ALLOW_DETERMINISTIC=true
+ * Seeded UINs are predictable by anyone who knows the seed, so they are for test fixtures only.
+ * @param {object} options - Generation options from the request
+ * @param {object} res - Express response
+ * @returns {boolean} True if the request was refused
+ */
+function refuseSeed(options, res) {
+  if (options.seed === undefined || getConfig().allowDeterministic) {
+    return false;
+  }
+  res.status(403).json({
+    success: false,
+    error: 'Seeded generation disabled',
+    message: 'Seeded UINs are reproducible test fixtures; start the server with UIN_ALLOW_DETERMINISTIC=true to enable them',
+    timestamp: new Date().toISOString()
+  });
+  return true;
+}
+
 app.post('/generate', generateLimiter, async (req, res) => {
   try {
     const options = req.body;
@@ -316,12 +529,20 @@ app.post('/generate', generateLimiter, async (req, res) => {
       return res.status(400).json({ error: 'Invalid request body', message: 'Request body must be a JSON object with generation options' });
     }
 
-    const validModes = ['random', 'structured', 'sector_token', 'foundational', 'pii_structured', 'sectoral', 'mrz', 'passport', 'td1', 'td2', 'td3'];
-    if (options.mode && !validModes.includes(options.mode.toLowerCase())) {
+    const definition = resolveMode(options.mode || getConfig().defaultMode);
+    if (!definition || definition.poolOnly) {
+      const validModes = getModeRegistry().list().filter(mode => !mode.poolOnly).flatMap(mode => [mode.name, ...mode.aliases]);
       return res.status(400).json({ error: 'Invalid mode', message: `Mode must be one of: ${validModes.join(', ')}` });
     }
 
-    const result = generateUin(options);
+    const problems = getModeRegistry().checkOptions(definition.name, options);
+    if (problems.length > 0) {
+      return res.status(400).json({ error: 'Invalid options', message: problems.join('; ') });
+    }
+
+    if (refuseSeed(options, res)) return;
+
+    const result = await generateUinAsync(options);
     res.json({ success: true, result, timestamp: new Date().toISOString() });
   } catch (error) {
     console.error('Generation error:', error);
@@ -351,9 +572,31 @@ app.post('/batch', generateLimiter, async (req, res) => {
       return res.status(400).json({ error: 'Invalid count', message: 'Count must be between 1 and 1000' });
     }
 
-    const results = [];
-    for (let i = 0; i < count; i++) {
-      results.push(generateUin(options));
+    // fpe serials must come from the scope sequence, never from the caller
+    const definition = resolveMode(options.mode || getConfig().defaultMode);
+    if (definition && definition.poolOnly) {
+      return res.status(400).json({ error: 'Invalid mode', message: `${definition.name} UINs are issued through POST /uin/pre-generate only` });
+    }
+
+    const problems = definition ? getModeRegistry().checkOptions(definition.name, options) : [];
+    if (problems.length > 0) {
+      return res.status(400).json({ error: 'Invalid options', message: problems.join('; ') });
+    }
+
+    if (refuseSeed(options, res)) return;
+
+    // A seeded batch draws every UIN from one DRBG stream, so the whole set is reproducible
+    const { seed, ...itemOptions } = options;
+    const source = seed !== undefined ? createDeterministicSource(seed) : undefined;
+
+    let results;
+    if (source) {
+      results = [];
+      for (let i = 0; i < count; i++) {
+        results.push(await generateUinAsync(itemOptions, source));
+      }
+    } else {
+      results = await generateBatch(itemOptions, count);
     }
 
     res.json({ success: true, count: results.length, results, timestamp: new Date().toISOString() });
@@ -363,6 +606,53 @@ app.post('/batch', generateLimiter, async (req, res) => {
   }
 });
 
+/**
+ * Stream large numbers of UINs as NDJSON or CSV
+ * Body: { count, options, format: 'ndjson'|'csv', dedup, falsePositiveRate }
+ * The response is chunked and ends with a summary line; the count and digest are also sent as HTTP trailers.
+ */
+app.post('/batch/stream', generateLimiter, async (req, res) => {
+  const { count, options = {}, format = 'ndjson', dedup = false, falsePositiveRate } = req.body;
+
+  if (!options || typeof options !== 'object' || Array.isArray(options)) {
+    return res.status(400).json({ success: false, error: 'Invalid options', message: 'options must be a JSON object with generation options' });
+  }
+  if (falsePositiveRate !== undefined && !(typeof falsePositiveRate === 'number' && falsePositiveRate >= MIN_FALSE_POSITIVE_RATE && falsePositiveRate <= MAX_FALSE_POSITIVE_RATE)) {
+    return res.status(400).json({ success: false, error: 'Invalid falsePositiveRate', message: `falsePositiveRate must be a number between ${MIN_FALSE_POSITIVE_RATE} and ${MAX_FALSE_POSITIVE_RATE}` });
+  }
+
+  try {
+    if (refuseSeed(options, res)) return;
+
+    const summary = await streamUins(res, {
+      count,
+      options,
+      format,
+      dedup: dedup === true,
+      falsePositiveRate,
+      onStart: () => {
+        res.status(200);
+        res.setHeader('Content-Type', STREAM_FORMATS[format].contentType);
+        res.setHeader('Cache-Control', 'no-store');
+        res.setHeader('Trailer', 'X-UIN-Count, X-UIN-Digest');
+      }
+    });
+
+    if (summary.aborted) {
+      console.warn(`Stream aborted by client after ${summary.generated} of ${summary.requested} UINs`);
+      return;
+    }
+    if (summary.error) {
+      console.error('Stream generation error:', summary.error);
+    }
+    res.addTrailers({ 'X-UIN-Count': String(summary.generated), 'X-UIN-Digest': `sha256=${summary.digest.value}` });
+    res.end();
+  } catch (error) {
+    // Thrown before any output: invalid count, format or generation options
+    res.status(400).json({ success: false, error: 'Stream generation failed', message: error.message, timestamp: new Date().toISOString() });
+  }
+});
+
 // ═══════════════════════════════════════════════
 // Pool Management
 // ═══════════════════════════════════════════════
@@ -495,6 +785,367 @@ app.post('/uin/pre-generate', generateLimiter, async (req, res) => {
   }
 });
 
+const requireSuggestKey = requireApiKey(() => getConfig().suggest.apiKeys, {
+  feature: 'Typo recovery',
+  path: '/uin/suggest',
+  envPrefix: 'UIN_SUGGEST_KEY_'
+});
+
+// Per-client limit for typo recovery: each request reveals whether a few UINs exist
+const suggestLimiter = rateLimit({
+  windowMs: 60 * 1000,
+  max: getConfig().suggest.rateLimit,
+  keyGenerator: (req) => req.apiClient,
+  standardHeaders: true,
+  legacyHeaders: false,
+  message: { error: 'Too many requests', message: 'Typo-recovery rate limit exceeded. Please try again later.' }
+});
+
+app.post('/uin/suggest', requireSuggestKey, suggestLimiter, async (req, res) => {
+  try {
+    const { uin, caseRef, maxDistance = 2 } = req.body;
+
+    if (!uin) return res.status(400).json({ success: false, error: 'Missing uin', message: 'Request body must include the "uin" as received' });
+    if (!caseRef) return res.status(400).json({ success: false, error: 'Missing caseRef', message: 'Request body must include the call or case reference ("caseRef") for the audit trail' });
+
+    const config = getConfig();
+    const algorithm = config.defaultChecksumAlgorithm;
+
+    // The search grows with the square of the length: stay within the configured UIN length
+    const maxLength = config.defaultLength + getChecksumAlgorithm(algorithm).checkLength;
+    const length = req.body.length === undefined ? maxLength : parseInt(req.body.length);
+    if (!Number.isInteger(length) || length < 1 || length > maxLength) {
+      return res.status(400).json({ success: false, error: `length must be an integer between 1 and ${maxLength}` });
+    }
+    const input = String(uin);
+    if (input.replace(/[\s-]/g, '').length > maxLength + MAX_SUGGEST_DISTANCE || input.length > 2 * maxLength) {
+      return res.status(400).json({ success: false, error: `uin must not be longer than the configured UIN length (${maxLength})` });
+    }
+
+    const result = await suggestUins({
+      input,
+      candidateOptions: {
+        charset: config.defaultCharset,
+        length,
+        algorithm,
+        maxDistance: parseInt(maxDistance)
+      },
+      maxLookups: config.suggest.maxLookups,
+      actorSystem: req.apiClient,
+      actorRef: String(caseRef),
+      details: { ip: req.ip }
+    });
+
+    console.log(`UIN suggest by ${req.apiClient} (case ${sanitizeForLog(String(caseRef))}): ${result.matches} match(es) among ${result.candidatesChecked} checked`);
+    res.json({ success: true, result, timestamp: new Date().toISOString() });
+  } catch (error) {
+    console.error('UIN suggest error:', error);
+    res.status(400).json({ success: false, error: error.message, timestamp: new Date().toISOString() });
+  }
+});
+
+app.post('/uin/parse', async (req, res) => {
+  try {
+    const { uin, template, format_code, format_id, lookups, checksum, expected, charset } = req.body;
+
+    if (!uin) return res.status(400).json({ success: false, error: 'Missing uin' });
+    if (!template && !format_code && !format_id) {
+      return res.status(400).json({ success: false, error: 'Missing template', message: 'Request body must include a "template" or a "format_code"/"format_id" from uin_formats' });
+    }
+
+    const defaultCharset = parseCharset(charset || getConfig().defaultCharset);
+    const result = template
+      ? decomposeUin(String(uin), template, { lookups: lookups || {}, checksum, expected, defaultCharset })
+      : await decomposeUinWithFormat(String(uin), format_id ? parseInt(format_id) : format_code, { lookups, expected, defaultCharset });
+
+    res.json({ success: true, result, timestamp: new Date().toISOString() });
+  } catch (error) {
+    console.error('UIN parse error:', error);
+    res.status(400).json({ success: false, error: error.message, timestamp: new Date().toISOString() });
+  }
+});
+
+const requireFpeReverseKey = requireApiKey(() => getConfig().fpe.reverseApiKeys, {
+  feature: 'FPE reversal',
+  path: '/uin/fpe/reverse',
+  envPrefix: 'UIN_FPE_REVERSE_KEY_'
+});
+
+app.post('/uin/fpe/reverse', requireFpeReverseKey, async (req, res) => {
+  try {
+    const { uin, caseRef } = req.body;
+
+    if (!uin) return res.status(400).json({ success: false, error: 'Missing uin' });
+    if (!caseRef) return res.status(400).json({ success: false, error: 'Missing caseRef', message: 'Request body must include the case reference ("caseRef") for the audit trail' });
+
+    const result = await reverseFpeSerial({
+      uin: String(uin),
+      actorSystem: req.apiClient,
+      actorRef: String(caseRef),
+      details: { ip: req.ip }
+    });
+
+    if (!result) {
+      return res.status(404).json({ success: false, error: 'UIN not found', timestamp: new Date().toISOString() });
+    }
+
+    console.log(`FPE reversal by ${req.apiClient} (case ${sanitizeForLog(String(caseRef))})`);
+    res.json({ success: true, result, timestamp: new Date().toISOString() });
+  } catch (error) {
+    console.error('FPE reverse error:', error);
+    res.status(400).json({ success: false, error: error.message, timestamp: new Date().toISOString() });
+  }
+});
+
+// ═══════════════════════════════════════════════
+// Sector Token Registry
+// ═══════════════════════════════════════════════
+
+app.post('/sector-tokens', generateLimiter, async (req, res) => {
+  try {
+    const { foundationalUin, sector, tokenLength, charset, actorSystem, actorRef } = req.body;
+
+    if (!foundationalUin) return res.status(400).json({ success: false, error: 'Missing foundationalUin' });
+    if (!sector) return res.status(400).json({ success: false, error: 'Missing sector' });
+
+    const result = await issueSectorToken({
+      foundationalUin: String(foundationalUin),
+      sector: String(sector),
+      tokenLength: tokenLength ? parseInt(tokenLength) : undefined,
+      charset,
+      actorSystem: actorSystem || 'API',
+      actorRef,
+      details: { ip: req.ip }
+    });
+
+    res.status(result.existing ? 200 : 201).json({ success: true, result, timestamp: new Date().toISOString() });
+  } catch (error) {
+    console.error('Sector token issue error:', error);
+    res.status(400).json({ success: false, error: error.message, timestamp: new Date().toISOString() });
+  }
+});
+
+app.post('/sector-tokens/verify', async (req, res) => {
+  try {
+    const { sector, token, foundationalUin, actorSystem, actorRef } = req.body;
+
+    if (!sector || !token) return res.status(400).json({ success: false, error: 'Missing sector or token' });
+    if (!foundationalUin) return res.status(400).json({ success: false, error: 'Missing foundationalUin' });
+
+    const result = await verifyRegisteredSectorToken({
+      sector: String(sector),
+      token: String(token),
+      foundationalUin: String(foundationalUin),
+      actorSystem: actorSystem || 'API',
+      actorRef,
+      details: { ip: req.ip }
+    });
+
+    if (!result) {
+      return res.status(404).json({ success: false, error: 'Sector token not found', timestamp: new Date().toISOString() });
+    }
+
+    res.json({ success: true, result, timestamp: new Date().toISOString() });
+  } catch (error) {
+    console.error('Sector token verify error:', error);
+    res.status(400).json({ success: false, error: error.message, timestamp: new Date().toISOString() });
+  }
+});
+
+const requireTokenRevokeKey = requireApiKey(() => getConfig().sectorTokens.revokeApiKeys, {
+  feature: 'Sector token revocation',
+  path: '/sector-tokens/revoke',
+  envPrefix: 'UIN_SECTOR_TOKEN_REVOKE_KEY_'
+});
+
+app.post('/sector-tokens/revoke', requireTokenRevokeKey, async (req, res) => {
+  try {
+    const { sector, token, reason, actorRef } = req.body;
+
+    if (!sector || !token) return res.status(400).json({ success: false, error: 'Missing sector or token' });
+
+    const result = await revokeSectorToken({
+      sector: String(sector),
+      token: String(token),
+      reason,
+      actorSystem: req.apiClient,
+      actorRef,
+      details: { ip: req.ip }
+    });
+
+    if (!result) {
+      return res.status(404).json({ success: false, error: 'Sector token not found', timestamp: new Date().toISOString() });
+    }
+
+    res.json({ success: true, result, timestamp: new Date().toISOString() });
+  } catch (error) {
+    console.error('Sector token revoke error:', error);
+    res.status(400).json({ success: false, error: error.message, timestamp: new Date().toISOString() });
+  }
+});
+
+const requireTokenResolveKey = requireApiKey(() => getConfig().sectorTokens.resolveApiKeys, {
+  feature: 'Sector token resolution',
+  path: '/sector-tokens/resolve',
+  envPrefix: 'UIN_SECTOR_TOKEN_RESOLVE_KEY_'
+});
+
+app.post('/sector-tokens/resolve', requireTokenResolveKey, async (req, res) => {
+  try {
+    const { sector, token, caseRef } = req.body;
+
+    if (!sector || !token) return res.status(400).json({ success: false, error: 'Missing sector or token' });
+    if (!caseRef) return res.status(400).json({ success: false, error: 'Missing caseRef', message: 'Request body must include the case reference ("caseRef") for the audit trail' });
+
+    const result = await resolveSectorToken({
+      sector: String(sector),
+      token: String(token),
+      actorSystem: req.apiClient,
+      actorRef: String(caseRef),
+      details: { ip: req.ip }
+    });
+
+    if (!result) {
+      return res.status(404).json({ success: false, error: 'Sector token not found', timestamp: new Date().toISOString() });
+    }
+
+    console.log(`Sector token resolved by ${req.apiClient} (case ${sanitizeForLog(String(caseRef))})`);
+    res.json({ success: true, result, timestamp: new Date().toISOString() });
+  } catch (error) {
+    console.error('Sector token resolve error:', error);
+    res.status(400).json({ success: false, error: error.message, timestamp: new Date().toISOString() });
+  }
+});
+
+const requireTokenTranslateKey = requireApiKey(() => getConfig().sectorTokens.translateApiKeys, {
+  feature: 'Sector token translation',
+  path: '/sector-tokens/translate',
+  envPrefix: 'UIN_SECTOR_TOKEN_TRANSLATE_KEY_'
+});
+
+app.post('/sector-tokens/translate', generateLimiter, requireTokenTranslateKey, async (req, res) => {
+  try {
+    const { sector, token, targetSector, tokenLength, charset, caseRef } = req.body;
+
+    if (!sector || !token) return res.status(400).json({ success: false, error: 'Missing sector or token' });
+    if (!targetSector) return res.status(400).json({ success: false, error: 'Missing targetSector' });
+    if (!caseRef) return res.status(400).json({ success: false, error: 'Missing caseRef', message: 'Request body must include the case reference ("caseRef") for the audit trail' });
+
+    const target = await translateSectorToken({
+      sector: String(sector),
+      token: String(token),
+      targetSector: String(targetSector),
+      tokenLength: tokenLength ? parseInt(tokenLength) : undefined,
+      charset,
+      actorSystem: req.apiClient,
+      actorRef: String(caseRef),
+      details: { ip: req.ip }
+    });
+
+    if (!target) {
+      return res.status(404).json({ success: false, error: 'Sector token not found', timestamp: new Date().toISOString() });
+    }
+
+    console.log(`Sector token translated to ${sanitizeForLog(target.sector)} by ${req.apiClient} (case ${sanitizeForLog(String(caseRef))})`);
+    res.json({
+      success: true,
+      result: { sector: target.sector, token: target.token, keyVersion: target.keyVersion, existing: target.existing },
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Sector token translate error:', error);
+    res.status(error.code === 'TRANSLATION_DENIED' ? 403 : 400).json({ success: false, error: error.message, timestamp: new Date().toISOString() });
+  }
+});
+
+// ═══════════════════════════════════════════════
+// Sector Secret Rotation
+// ═══════════════════════════════════════════════
+
+app.get('/sector-secrets', async (req, res) => {
+  try {
+    const sectors = await getSectorSecretStatus();
+    res.json({ success: true, sectors, timestamp: new Date().toISOString() });
+  } catch (error) {
+    console.error('Sector secret status error:', error);
+    res.status(500).json({ success: false, error: error.message, timestamp: new Date().toISOString() });
+  }
+});
+
+const requireRekeyKey = requireApiKey(() => getConfig().sectorTokens.rekeyApiKeys, {
+  feature: 'Sector secret rotation',
+  path: '/sector-secrets/rekey',
+  envPrefix: 'UIN_SECTOR_REKEY_KEY_'
+});
+
+app.post('/sector-secrets/rekey', requireRekeyKey, async (req, res) => {
+  try {
+    const { sector, targetVersion } = req.body;
+
+    if (!sector) return res.status(400).json({ success: false, error: 'Missing sector' });
+
+    const job = await startSectorRekey({
+      sector: String(sector),
+      targetVersion: targetVersion !== undefined ? parseInt(targetVersion) : undefined,
+      requestedBy: req.apiClient
+    });
+
+    // Runs in the background; progress is read from GET /sector-secrets/rekey/:jobId
+    runSectorRekeyJob(job.id).catch(error => console.error(`Sector rekey job ${job.id} failed:`, error));
+
+    console.log(`Sector rekey job ${job.id} (${job.sector} → v${job.targetVersion}) started by ${req.apiClient}`);
+    res.status(202).json({ success: true, job, timestamp: new Date().toISOString() });
+  } catch (error) {
+    console.error('Sector rekey error:', error);
+    res.status(error.code === 'REKEY_IN_PROGRESS' ? 409 : 400).json({ success: false, error: error.message, timestamp: new Date().toISOString() });
+  }
+});
+
+app.get('/sector-secrets/rekey/:jobId', async (req, res) => {
+  try {
+    const job = await getSectorRekeyJob(parseInt(req.params.jobId));
+
+    if (!job) {
+      return res.status(404).json({ success: false, error: 'Rekey job not found', timestamp: new Date().toISOString() });
+    }
+
+    res.json({ success: true, job, timestamp: new Date().toISOString() });
+  } catch (error) {
+    console.error('Sector rekey job error:', error);
+    res.status(500).json({ success: false, error: error.message, timestamp: new Date().toISOString() });
+  }
+});
+
+app.get('/sector-tokens/:sector/:token', async (req, res) => {
+  try {
+    const result = await getSectorToken(req.params.sector, req.params.token);
+
+    if (!result) {
+      return res.status(404).json({ success: false, error: 'Sector token not found', timestamp: new Date().toISOString() });
+    }
+
+    res.json({ success: true, result, timestamp: new Date().toISOString() });
+  } catch (error) {
+    console.error('Sector token lookup error:', error);
+    res.status(500).json({ success: false, error: error.message, timestamp: new Date().toISOString() });
+  }
+});
+
+app.get('/sector-tokens/:sector/:token/audit', async (req, res) => {
+  try {
+    const audit = await getSectorTokenAudit(req.params.sector, req.params.token);
+
+    if (!audit) {
+      return res.status(404).json({ success: false, error: 'Sector token not found', timestamp: new Date().toISOString() });
+    }
+
+    res.json({ success: true, audit, timestamp: new Date().toISOString() });
+  } catch (error) {
+    console.error('Sector token audit error:', error);
+    res.status(500).json({ success: false, error: error.message, timestamp: new Date().toISOString() });
+  }
+});
+
 app.get('/uin/:uin', async (req, res) => {
   try {
     const uinRecord = await getUin(req.params.uin);
@@ -617,6 +1268,15 @@ app.get('/crypto/status', async (req, res) => {
   }
 });
 
+app.get('/blocklist/metrics', (req, res) => {
+  res.json({ success: true, metrics: getBlocklist().getMetrics(), timestamp: new Date().toISOString() });
+});
+
+app.get('/workers/stats', (req, res) => {
+  const workers = getGenerationPool();
+  res.json({ success: true, enabled: !!workers, stats: workers ? workers.getStats() : null, timestamp: new Date().toISOString() });
+});
+
 // ═══════════════════════════════════════════════
 // Error Handlers
 // ═══════════════════════════════════════════════
@@ -640,6 +1300,10 @@ async function startServer() {
     const port = config.serverPort;
     const host = config.serverHost;
 
+    if (config.allowDeterministic) {
+      console.warn('WARNING: Seeded generation is enabled (UIN_ALLOW_DETERMINISTIC=true). Seeded UINs are predictable: never enable this in production.');
+    }
+
     // Test database connection
     let dbOk = false;
     try {
@@ -662,6 +1326,45 @@ async function startServer() {
       console.warn('[Crypto] Initialization failed (non-fatal):', err.message);
     }
 
+    // Load the sector registry and keep it in step with other instances (non-fatal)
+    if (dbOk) {
+      try {
+        const count = await loadSectors();
+        console.log(count > 0 ? `[Sectors] ${count} sector(s) loaded from the sector registry` : '[Sectors] Sector registry empty - using UIN_SUPPORTED_SECTORS');
+        const { problems } = await checkSectorRegistry();
+        for (const { sector, problem } of problems) {
+          console.warn(`[Sectors] ${sector}: ${problem}`);
+        }
+        setInterval(() => {
+          refreshSectors().catch(err => console.warn('[Sectors] Refresh failed:', err.message));
+        }, 60000).unref();
+      } catch (err) {
+        console.warn('[Sectors] Could not load the sector registry (non-fatal):', err.message);
+      }
+    }
+
+    // Resume sector rekey jobs interrupted by a restart (needs the sector token key)
+    if (dbOk) {
+      try {
+        const resumed = await resumeSectorRekeyJobs();
+        if (resumed.length > 0) {
+          console.log(`[SectorTokens] Resumed rekey job(s) ${resumed.join(', ')}`);
+        }
+      } catch (err) {
+        console.warn('[SectorTokens] Could not resume rekey jobs (non-fatal):', err.message);
+      }
+    }
+
+    // Load generation-mode plugins (non-fatal: the built-in modes keep working)
+    if (config.modePluginDir) {
+      try {
+        const { loaded } = await loadConfiguredModePlugins();
+        console.log(`[Modes] ${loaded.length} plugin mode(s) loaded from ${config.modePluginDir}`);
+      } catch (err) {
+        console.warn('[Modes] Plugin loading failed (non-fatal):', err.message);
+      }
+    }
+
     app.listen(port, host, () => {
       console.log(`
 ╔════════════════════════════════════════════════════════════╗
@@ -676,7 +1379,9 @@ Core endpoints:
   - POST /generate       Generate a UIN (incl. MRZ)
   - POST /validate       Validate a UIN
   - POST /batch          Batch generate UINs
+  - POST /batch/stream   Stream UINs as NDJSON or CSV
   - POST /hash           Compute hash
+  - POST /mrz/parse      Parse and validate a scanned MRZ
 
 Pool management:
   - GET  /pool/stats     Pool statistics
@@ -687,6 +1392,13 @@ Pool management:
   - POST /pool/retire    Retire a UIN
   - POST /uin/pre-generate Pre-generate UINs
 
+Sector tokens:
+  - GET  /sectors        Sector registry (POST, PUT, DELETE /sectors/:code to manage)
+  - POST /sector-tokens  Issue and register a sector token
+  - POST /sector-tokens/resolve Resolve a token (API key required)
+  - POST /sector-tokens/translate Translate a token to another sector (API key required)
+  - POST /sector-secrets/rekey Re-derive a sector's tokens under its newest secret (API key required)
+
 Formats & Lookup:
   - GET  /formats        List formats
   - GET  /uin/:uin       Lookup UIN
@@ -696,8 +1408,9 @@ Database: ${dbOk ? 'Connected' : 'Unavailable'}
 
 Configuration:
   - Default mode: ${config.defaultMode}
+  - Modes: ${getModeRegistry().list().map(mode => mode.name).join(', ')}
   - Default length: ${config.defaultLength}
-  - Supported sectors: ${config.supportedSectors.join(', ')}
+  - Supported sectors: ${(getLoadedSectors().length > 0 ? getLoadedSectors().map(sector => sector.code).sort() : config.supportedSectors).join(', ')}
       `);
     });
   } catch (error) {
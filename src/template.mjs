@@ -0,0 +1,592 @@
+/**
+ * Structured UIN Template Language
+ * Parses templates with named, typed fields such as
+ *   {region:2:lookup(regions)}-{year:4:date(YYYY)}-{facility:3}-{serial:5:random(0-9)}
+ *
+ * Field syntax is {name:length:type}. The type is one of:
+ *   (none)            value supplied by the caller, checked against the default charset
+ *   <charset name>    value supplied by the caller, checked against that charset (numeric, hex, ...)
+ *   charset(spec)     value supplied by the caller, checked against a literal charset ('0-9A-F')
+ *   random(spec)      random characters from spec (default charset when omitted)
+ *   date(format)      derived from a date with YYYY, YY, MM, DD and DDD (day of year); length optional
+ *   lookup(table)     value supplied by the caller that must be a key of the named lookup table
+ *   sequence(opts)    decimal counter drawn from Postgres when pre-generating, one counter per
+ *                     combination of the other fields' values; opts are comma-separated
+ *                     start=1, step=1, overflow=error|wrap, pad=zero|none and key=a+b
+ *                     (the fields that select the counter; default: all non-random fields)
+ *
+ * Everything outside braces is literal; \{, \} and \\ escape braces and backslashes.
+ * Templates without braces use the legacy syntax, where every run of the same
+ * letter or digit (e.g. RR-YYYY-FFF-NNNNN) is a field named after that character.
+ *
+ * decomposeUin() reverses generation: it splits a UIN back into its named
+ * components and checks each of them and the checksum.
+ */
+
+import { getConfig, parseCharset } from './config.mjs';
+import { verifyChecksum, getChecksumAlgorithm } from './checksum.mjs';
+
+const FIELD_NAME = /^[A-Za-z_][A-Za-z0-9_]*$/;
+const DATE_TOKENS = ['YYYY', 'DDD', 'YY', 'MM', 'DD'];
+// Counters are JavaScript numbers and Postgres BIGINTs: 15 digits keeps them exact in both
+const MAX_SEQUENCE_LENGTH = 15;
+const SEQUENCE_OVERFLOW = ['error', 'wrap'];
+const SEQUENCE_PAD = ['zero', 'none'];
+
+/**
+ * Resolve a charset specification, expanding ranges such as 'A-F'
+ * @param {string} spec - Charset name ('numeric', 'hex', ...) or literal characters with ranges
+ * @returns {string} Characters of the charset, without duplicates
+ */
+export function resolveCharset(spec) {
+  const named = parseCharset(spec);
+  if (named !== spec) {
+    return named;
+  }
+
+  const chars = [...spec];
+  let result = '';
+  for (let i = 0; i < chars.length; i++) {
+    if (chars[i + 1] === '-' && i + 2 < chars.length) {
+      const from = chars[i].codePointAt(0);
+      const to = chars[i + 2].codePointAt(0);
+      if (from > to) {
+        throw new Error(`Invalid charset range '${chars[i]}-${chars[i + 2]}'`);
+      }
+      for (let code = from; code <= to; code++) {
+        result += String.fromCodePoint(code);
+      }
+      i += 2;
+    } else {
+      result += chars[i];
+    }
+  }
+
+  return [...new Set(result)].join('');
+}
+
+/**
+ * Split a date format into tokens
+ * @param {string} format - Date format, e.g. 'YYYYMM'
+ * @returns {string[]} Tokens
+ */
+function tokenizeDateFormat(format) {
+  const tokens = [];
+  let rest = format;
+  while (rest.length > 0) {
+    const token = DATE_TOKENS.find(candidate => rest.startsWith(candidate));
+    if (!token) {
+      throw new Error(`Unsupported date format '${format}' (use YYYY, YY, MM, DD and DDD)`);
+    }
+    tokens.push(token);
+    rest = rest.slice(token.length);
+  }
+  return tokens;
+}
+
+/**
+ * Render a date field
+ * @param {Date} date - Date to render (UTC)
+ * @param {string} format - Date format
+ * @returns {string} Rendered date
+ */
+export function formatDate(date, format) {
+  const year = String(date.getUTCFullYear()).padStart(4, '0');
+  const dayOfYear = Math.floor((date - Date.UTC(date.getUTCFullYear(), 0, 1)) / 86400000) + 1;
+  const parts = {
+    YYYY: year,
+    YY: year.slice(-2),
+    MM: String(date.getUTCMonth() + 1).padStart(2, '0'),
+    DD: String(date.getUTCDate()).padStart(2, '0'),
+    DDD: String(dayOfYear).padStart(3, '0')
+  };
+
+  return tokenizeDateFormat(format).map(token => parts[token]).join('');
+}
+
+/**
+ * Read the date parts of a rendered date field
+ * @param {string} value - Rendered date, e.g. '202503'
+ * @param {string} format - Date format, e.g. 'YYYYMM'
+ * @returns {object|null} {year, month, day, dayOfYear} (where present), or null if it is not a valid date
+ */
+export function parseDateValue(value, format) {
+  const tokens = tokenizeDateFormat(format);
+  if (!/^\d+$/.test(value) || value.length !== tokens.join('').length) {
+    return null;
+  }
+
+  const parts = {};
+  let position = 0;
+  for (const token of tokens) {
+    const number = parseInt(value.slice(position, position + token.length), 10);
+    position += token.length;
+    switch (token) {
+      case 'YYYY': parts.year = number; break;
+      case 'YY': parts.year = parts.year ?? 2000 + number; break;
+      case 'MM': parts.month = number; break;
+      case 'DD': parts.day = number; break;
+      case 'DDD': parts.dayOfYear = number; break;
+    }
+  }
+
+  // Without a year, allow 29 February and 366 days
+  const leap = parts.year === undefined || new Date(Date.UTC(parts.year, 1, 29)).getUTCMonth() === 1;
+  if (parts.month !== undefined && (parts.month < 1 || parts.month > 12)) {
+    return null;
+  }
+  if (parts.day !== undefined) {
+    const daysInMonth = parts.month === undefined ? 31 : [31, leap ? 29 : 28, 31, 30, 31, 30, 31, 31, 30, 31, 30, 31][parts.month - 1];
+    if (parts.day < 1 || parts.day > daysInMonth) {
+      return null;
+    }
+  }
+  if (parts.dayOfYear !== undefined && (parts.dayOfYear < 1 || parts.dayOfYear > (leap ? 366 : 365))) {
+    return null;
+  }
+
+  return parts;
+}
+
+/**
+ * Check a field value against the field's length and type
+ * @param {object} field - Field segment (see parseTemplate)
+ * @param {string} value - Field value
+ * @param {object} [context] - Check context
+ * @param {string} [context.defaultCharset] - Charset for fields that do not name one
+ * @param {object} [context.lookups] - Lookup tables keyed by name: arrays of codes or objects keyed by code
+ * @returns {string|null} Why the value is invalid, or null if it is valid
+ */
+export function checkFieldValue(field, value, { defaultCharset = null, lookups = {} } = {}) {
+  if (value.length !== field.length) {
+    return `Field '${field.name}' must be exactly ${field.length} characters, got ${value.length}`;
+  }
+
+  switch (field.kind) {
+    case 'legacy':
+      return null;
+
+    case 'date':
+      return parseDateValue(value, field.format) ? null : `Field '${field.name}' is not a valid ${field.format} date`;
+
+    case 'sequence': {
+      if (!/^\d+$/.test(value)) {
+        return `Field '${field.name}' must be decimal digits`;
+      }
+      if (field.pad === 'none' && value.length > 1 && value[0] === '0') {
+        return `Field '${field.name}' is not zero-padded and cannot start with 0`;
+      }
+      const number = parseInt(value, 10);
+      if (number < field.start || (number - field.start) % field.step !== 0) {
+        return `Field '${field.name}' value ${number} is not in the sequence starting at ${field.start} with step ${field.step}`;
+      }
+      return null;
+    }
+
+    case 'lookup': {
+      const table = lookups[field.table];
+      if (!table) {
+        return `Lookup table '${field.table}' for field '${field.name}' was not provided`;
+      }
+      const codes = Array.isArray(table) ? table.map(String) : Object.keys(table);
+      return codes.includes(value) ? null : `Field '${field.name}' value '${value}' is not in lookup table '${field.table}'`;
+    }
+
+    default: {
+      const charset = field.charset || defaultCharset;
+      const invalid = charset ? [...value].filter(char => !charset.includes(char)) : [];
+      return invalid.length === 0
+        ? null
+        : `Field '${field.name}' contains characters outside its charset: ${[...new Set(invalid)].join('')}`;
+    }
+  }
+}
+
+/**
+ * Parse the options of a sequence() field
+ * @param {string} arg - Comma-separated options, e.g. 'start=1,step=1,overflow=wrap'
+ * @param {string} name - Field name (for error messages)
+ * @returns {object} Sequence field kind and options
+ */
+function parseSequenceOptions(arg, name) {
+  const field = { kind: 'sequence', start: 1, step: 1, overflow: 'error', pad: 'zero', key: null };
+
+  for (const option of arg ? arg.split(',') : []) {
+    const [setting, text = ''] = option.split('=').map(part => part.trim());
+    switch (setting) {
+      case 'start':
+      case 'step':
+        if (!/^\d+$/.test(text)) {
+          throw new Error(`Field '${name}': sequence ${setting} must be a non-negative integer`);
+        }
+        field[setting] = parseInt(text, 10);
+        break;
+      case 'overflow':
+        if (!SEQUENCE_OVERFLOW.includes(text)) {
+          throw new Error(`Field '${name}': sequence overflow must be one of ${SEQUENCE_OVERFLOW.join(', ')}`);
+        }
+        field.overflow = text;
+        break;
+      case 'pad':
+        if (!SEQUENCE_PAD.includes(text)) {
+          throw new Error(`Field '${name}': sequence pad must be one of ${SEQUENCE_PAD.join(', ')}`);
+        }
+        field.pad = text;
+        break;
+      case 'key':
+        field.key = text ? text.split('+') : [];
+        break;
+      default:
+        throw new Error(`Field '${name}': unknown sequence option '${setting}'`);
+    }
+  }
+
+  if (field.step < 1) {
+    throw new Error(`Field '${name}': sequence step must be at least 1`);
+  }
+
+  return field;
+}
+
+/**
+ * Check a sequence field's range against its length
+ * @param {object} field - Sequence field with its length set
+ */
+function checkSequenceRange(field) {
+  if (field.length > MAX_SEQUENCE_LENGTH) {
+    throw new Error(`Field '${field.name}': sequences are limited to ${MAX_SEQUENCE_LENGTH} digits`);
+  }
+
+  field.max = 10 ** field.length - 1;
+  const min = field.pad === 'none' && field.length > 1 ? 10 ** (field.length - 1) : 0;
+
+  if (field.start > field.max) {
+    throw new Error(`Field '${field.name}': sequence start ${field.start} does not fit in ${field.length} digits`);
+  }
+  if (field.start < min) {
+    throw new Error(`Field '${field.name}': without padding the sequence must start at ${min} or above`);
+  }
+}
+
+/**
+ * Render a sequence value at the field's width
+ * @param {object} field - Sequence field
+ * @param {number|bigint|string} value - Counter value
+ * @returns {string} Rendered value (zero-padded unless pad=none)
+ */
+export function formatSequenceValue(field, value) {
+  const digits = String(value);
+  if (!/^\d+$/.test(digits)) {
+    throw new Error(`Field '${field.name}' needs a non-negative integer counter value`);
+  }
+  return field.pad === 'none' ? digits : digits.padStart(field.length, '0');
+}
+
+/**
+ * Names of the fields whose values select a sequence field's counter
+ * @param {Array<object>} segments - Parsed template
+ * @param {object} field - Sequence field
+ * @returns {string[]} Field names
+ */
+export function sequenceKeyFields(segments, field) {
+  if (field.key) {
+    return field.key;
+  }
+  return segments
+    .filter(segment => segment.type === 'field' && segment.kind !== 'random' && segment.kind !== 'sequence')
+    .map(segment => segment.name);
+}
+
+/**
+ * Parse a field type
+ * @param {string} type - Type text, e.g. 'random(0-9)'
+ * @param {string} name - Field name (for error messages)
+ * @returns {object} Field kind and its parameter
+ */
+function parseFieldType(type, name) {
+  if (!type) {
+    return { kind: 'value', charset: null };
+  }
+
+  const call = type.match(/^([a-z]+)\((.*)\)$/);
+  if (call) {
+    const [, fn, arg] = call;
+    switch (fn) {
+      case 'random':
+        return { kind: 'random', charset: arg ? resolveCharset(arg) : null };
+      case 'charset':
+        if (!arg) {
+          throw new Error(`Field '${name}': charset() needs a charset`);
+        }
+        return { kind: 'value', charset: resolveCharset(arg) };
+      case 'date':
+        return { kind: 'date', format: arg, length: tokenizeDateFormat(arg).join('').length };
+      case 'lookup':
+        if (!FIELD_NAME.test(arg)) {
+          throw new Error(`Field '${name}': lookup() needs a table name`);
+        }
+        return { kind: 'lookup', table: arg };
+      case 'sequence':
+        return parseSequenceOptions(arg, name);
+      default:
+        throw new Error(`Field '${name}': unknown field type '${fn}()'`);
+    }
+  }
+
+  if (type === 'random') {
+    return { kind: 'random', charset: null };
+  }
+
+  if (type === 'sequence') {
+    return parseSequenceOptions('', name);
+  }
+
+  const charset = parseCharset(type);
+  if (charset === type) {
+    throw new Error(`Field '${name}': unknown field type '${type}'`);
+  }
+  return { kind: 'value', charset };
+}
+
+/**
+ * Parse one {name:length:type} field
+ * @param {string} body - Text between the braces
+ * @returns {object} Field segment
+ */
+function parseField(body) {
+  const [name, ...rest] = body.split(':');
+  if (!FIELD_NAME.test(name)) {
+    throw new Error(`Invalid field name '${name}' in {${body}}`);
+  }
+
+  let length = null;
+  if (rest.length > 0 && /^\d+$/.test(rest[0])) {
+    length = parseInt(rest.shift(), 10);
+    if (length < 1) {
+      throw new Error(`Field '${name}': length must be positive`);
+    }
+  }
+
+  const field = { type: 'field', name, ...parseFieldType(rest.join(':'), name) };
+
+  if (field.kind === 'date') {
+    if (length !== null && length !== field.length) {
+      throw new Error(`Field '${name}': date(${field.format}) is ${field.length} characters, not ${length}`);
+    }
+  } else if (length === null) {
+    throw new Error(`Field '${name}': a length is required, e.g. {${name}:4}`);
+  } else {
+    field.length = length;
+  }
+
+  if (field.kind === 'sequence') {
+    checkSequenceRange(field);
+  }
+
+  return field;
+}
+
+/**
+ * Parse a legacy template where each run of one character is a field
+ * @param {string} template - Template string (e.g., "RR-YYYY-FFF-NNNNN")
+ * @returns {Array} Segments
+ */
+function parseLegacyTemplate(template) {
+  const segments = [];
+
+  for (const char of template) {
+    const last = segments[segments.length - 1];
+
+    if (/[A-Za-z0-9]/.test(char)) {
+      if (last && last.type === 'field' && last.name === char) {
+        last.length++;
+      } else {
+        // Value if supplied, otherwise random (configured through randomSegments)
+        segments.push({ type: 'field', name: char, kind: 'legacy', length: 1 });
+      }
+    } else if (last && last.type === 'literal') {
+      last.value += char;
+    } else {
+      segments.push({ type: 'literal', value: char });
+    }
+  }
+
+  return segments;
+}
+
+/**
+ * Parse a template into literal and field segments
+ * @param {string} template - Template string
+ * @returns {Array<object>} Segments: {type: 'literal', value} or {type: 'field', name, length, kind, ...}
+ */
+export function parseTemplate(template) {
+  if (!template || typeof template !== 'string') {
+    throw new Error('Template must be a non-empty string');
+  }
+
+  if (!/[{}]/.test(template)) {
+    return parseLegacyTemplate(template);
+  }
+
+  const segments = [];
+  const names = new Set();
+  let literal = '';
+
+  for (let i = 0; i < template.length; i++) {
+    const char = template[i];
+
+    if (char === '\\') {
+      if (i + 1 >= template.length) {
+        throw new Error('Template ends with an unfinished escape');
+      }
+      literal += template[++i];
+    } else if (char === '{') {
+      const end = template.indexOf('}', i);
+      if (end === -1) {
+        throw new Error(`Unclosed field starting at position ${i}`);
+      }
+
+      const field = parseField(template.slice(i + 1, end));
+      if (names.has(field.name)) {
+        throw new Error(`Duplicate field name '${field.name}'`);
+      }
+      names.add(field.name);
+
+      if (literal) {
+        segments.push({ type: 'literal', value: literal });
+        literal = '';
+      }
+      segments.push(field);
+      i = end;
+    } else if (char === '}') {
+      throw new Error(`Unexpected '}' at position ${i} (escape it as \\})`);
+    } else {
+      literal += char;
+    }
+  }
+
+  if (literal) {
+    segments.push({ type: 'literal', value: literal });
+  }
+
+  // Sequence keys must name fields whose values are known before the counter is drawn
+  for (const field of segments.filter(segment => segment.kind === 'sequence' && segment.key)) {
+    for (const keyName of field.key) {
+      const keyField = segments.find(segment => segment.type === 'field' && segment.name === keyName);
+      if (!keyField) {
+        throw new Error(`Field '${field.name}': sequence key '${keyName}' is not a field of the template`);
+      }
+      if (keyField.kind === 'random' || keyField.kind === 'sequence') {
+        throw new Error(`Field '${field.name}': sequence key '${keyName}' must not be a ${keyField.kind} field`);
+      }
+    }
+  }
+
+  return segments;
+}
+
+/**
+ * Split a structured UIN into its named components and check each of them
+ * @param {string} uin - UIN built from the template, including any check characters
+ * @param {string} template - Template the UIN was built from
+ * @param {object} [options] - Decomposition options
+ * @param {object} [options.lookups] - Lookup tables for lookup() fields
+ * @param {string} [options.defaultCharset] - Charset for fields that do not name one
+ * @param {object} [options.checksum] - Checksum configuration ({enabled, algorithm, modulus}) used at generation
+ * @param {object} [options.expected] - Expected component values, e.g. {facility: '043'}
+ * @returns {object} {valid, uin, components, fields, checksum, errors}
+ */
+export function decomposeUin(uin, template, options = {}) {
+  if (!uin || typeof uin !== 'string') {
+    throw new Error('UIN must be a non-empty string');
+  }
+
+  const segments = parseTemplate(template);
+  const expected = options.expected || {};
+  const errors = [];
+  let payload = uin;
+  let checksum = null;
+
+  if (options.checksum && options.checksum.enabled) {
+    const algorithm = options.checksum.algorithm || getConfig().defaultChecksumAlgorithm;
+    const modulus = options.checksum.modulus || 10;
+    const { checkLength } = getChecksumAlgorithm(algorithm, { modulus });
+
+    let valid;
+    try {
+      valid = verifyChecksum(uin, { algorithm, modulus });
+    } catch (error) {
+      // e.g. letters in a UIN checked with a numeric-only algorithm
+      valid = false;
+    }
+
+    checksum = { algorithm, value: uin.slice(-checkLength), valid };
+    if (!valid) {
+      errors.push('Checksum validation failed');
+    }
+    payload = uin.slice(0, uin.length - checkLength);
+  }
+
+  const templateLength = segments.reduce((sum, segment) => sum + (segment.type === 'literal' ? segment.value.length : segment.length), 0);
+  if (payload.length !== templateLength) {
+    errors.push(`Expected ${templateLength} characters before any check characters, got ${payload.length}`);
+    return { valid: false, uin, components: {}, fields: [], checksum, errors };
+  }
+
+  const components = {};
+  const fields = [];
+  let position = 0;
+
+  for (const segment of segments) {
+    if (segment.type === 'literal') {
+      const found = payload.slice(position, position + segment.value.length);
+      if (found !== segment.value) {
+        errors.push(`Expected '${segment.value}' at position ${position}, found '${found}'`);
+      }
+      position += segment.value.length;
+      continue;
+    }
+
+    const value = payload.slice(position, position + segment.length);
+    position += segment.length;
+
+    const field = { name: segment.name, kind: segment.kind, value, valid: true };
+    const error = checkFieldValue(segment, value, options);
+
+    if (error) {
+      field.valid = false;
+      field.error = error;
+    } else if (expected[segment.name] !== undefined && String(expected[segment.name]) !== value) {
+      field.valid = false;
+      field.error = `Field '${segment.name}' is '${value}', expected '${expected[segment.name]}'`;
+    } else if (segment.kind === 'lookup') {
+      const table = options.lookups[segment.table];
+      if (!Array.isArray(table)) {
+        field.label = table[value];
+      }
+    } else if (segment.kind === 'date') {
+      field.date = parseDateValue(value, segment.format);
+    } else if (segment.kind === 'sequence') {
+      field.sequence = parseInt(value, 10);
+    }
+
+    if (field.error) {
+      errors.push(field.error);
+    }
+    components[segment.name] = value;
+    fields.push(field);
+  }
+
+  return { valid: errors.length === 0, uin, components, fields, checksum, errors };
+}
+
+export default {
+  parseTemplate,
+  decomposeUin,
+  checkFieldValue,
+  resolveCharset,
+  formatDate,
+  parseDateValue,
+  formatSequenceValue,
+  sequenceKeyFields
+};
@@ -3,10 +3,36 @@
  * Comprehensive tests for all modules and generation modes
  */
 
-import { generateUin, validateUin } from './uinGenerator.mjs';
-import { computeModN, computeIso7064, appendChecksum, verifyChecksum } from './checksum.mjs';
-import { deriveSectorToken, verifySectorToken, deriveDeterministicSectorToken } from './sectorToken.mjs';
-import { getConfig, parseCharset, excludeAmbiguous, CHARSETS } from './config.mjs';
+import { generateUin, generateUinAsync, validateUin, reverseFpeUin, resolveSequenceFields, createDeterministicSource } from './uinGenerator.mjs';
+import { HmacDrbg } from './hmacDrbg.mjs';
+import { computeModN, computeIso7064, computeIso7064Mod97, computeLuhn, computeVerhoeff, computeDamm, appendChecksum, verifyChecksum, getChecksumAlgorithm } from './checksum.mjs';
+import { deriveSectorToken, verifySectorToken, deriveDeterministicSectorToken, getSectorSecretVersions, resolveSectorSecret, hkdfExpand, sampleCharset } from './sectorToken.mjs';
+import { getConfig, parseCharset, parseTranslationPolicy, sectorSecretName, excludeAmbiguous, CHARSETS } from './config.mjs';
+import { analyzeChecksum, analyzeChecksumAsync, compareChecksums, compareChecksumsAsync, estimateAnalysisCost, MAX_REQUEST_ANALYSIS_COST } from './checksumAnalyzer.mjs';
+import { generateTypoCandidates, generateTypoCandidatesAsync } from './typoRecovery.mjs';
+import { computeMrzCheckDigit, transliterateName, parseMrz, COUNTRY_CODES } from './mrz.mjs';
+import { computeHash, computeKeyedHash, deriveKey, hashMultiple, verifyHash, checkHashTag, computeUinHash } from './hash.mjs';
+import { EntropyPool } from './entropyPool.mjs';
+import { EntropyHealthMonitor, getHealthMonitor, repetitionCountCutoff, adaptiveProportionCutoff } from './entropyHealth.mjs';
+import { HsmClient } from './hsm.mjs';
+import { decomposeUin, parseTemplate } from './template.mjs';
+import { ff1Encrypt, ff1Decrypt, encryptSerial, decryptSerial } from './ff1.mjs';
+import { setFpeKey, setSectorTokenKey, loadSectorSecretRefs } from './cryptoService.mjs';
+import { hashUinReference, encryptUinReference, decryptUinReference, isTranslationAllowed } from './sectorTokenService.mjs';
+import { resolveKeyspace, analyzeCapacity, collisionProbability, expectedRetries, optionsFromFormat } from './capacity.mjs';
+import { getBlocklist, createBlocklist, UinBlocklist, wordFilter, runFilter, sequenceFilter, reservedFilter } from './blocklist.mjs';
+import { BloomFilter } from './bloomFilter.mjs';
+import { streamUins } from './uinStream.mjs';
+import { GenerationPool, generateEach, generateBatch } from './workerPool.mjs';
+import { ModeRegistry, getModeRegistry, loadModePlugins } from './modeRegistry.mjs';
+import { validateSector, setLoadedSectors, getLoadedSectors, getSectorPolicy } from './sectorService.mjs';
+import { requireApiKey } from './httpUtils.mjs';
+import express from 'express';
+import crypto from 'crypto';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { Writable } from 'stream';
 
 /**
  * Test utilities
@@ -74,6 +100,49 @@ function testChecksumModule() {
   assertTrue(/[0-9A-Z]/.test(iso1), 'ISO 7064 checksum should be alphanumeric');
   assertThrows(() => computeIso7064(''), 'Empty string should throw');
 
+  // Test Luhn, Verhoeff and Damm with published vectors
+  console.log('\nTesting Luhn, Verhoeff and Damm:');
+  assertEqual(computeLuhn('7992739871'), '3', 'Luhn check digit of 7992739871');
+  assertEqual(computeLuhn('411111111111111'), '1', 'Luhn check digit of Visa test card');
+  assertEqual(computeLuhn('4111-1111-1111-111'), '1', 'Luhn skips separators');
+  assertEqual(computeVerhoeff('236'), '3', 'Verhoeff check digit of 236');
+  assertEqual(computeVerhoeff('12345'), '1', 'Verhoeff check digit of 12345');
+  assertEqual(computeVerhoeff('142857'), '0', 'Verhoeff check digit of 142857');
+  assertEqual(computeDamm('572'), '4', 'Damm check digit of 572');
+  assertThrows(() => computeLuhn('12A4'), 'Luhn should reject letters');
+  assertThrows(() => computeDamm('ABC'), 'Damm should reject letters');
+  assertTrue(verifyChecksum('79927398713', { algorithm: 'luhn' }), 'Luhn number should verify');
+  assertTrue(verifyChecksum('2363', { algorithm: 'verhoeff' }), 'Verhoeff number should verify');
+  assertFalse(verifyChecksum('3263', { algorithm: 'verhoeff' }), 'Verhoeff catches adjacent transposition');
+  assertFalse(verifyChecksum('5274', { algorithm: 'damm' }), 'Damm catches adjacent transposition');
+  assertTrue(verifyChecksum('5724', { algorithm: 'Damm' }), 'Algorithm names are case-insensitive');
+
+  // Test the ISO 7064 family with published vectors
+  console.log('\nTesting ISO 7064 pure and hybrid systems:');
+  assertEqual(computeIso7064('079', 'mod11-2'), 'X', 'MOD 11-2 check character of 079');
+  assertEqual(computeIso7064('0000-0002-1825-009', 'mod11-2'), '7', 'MOD 11-2 check character of ORCID iD');
+  assertEqual(computeIso7064('G123489654321'), 'Y', 'MOD 37-2 check character of G123489654321');
+  assertEqual(computeIso7064('794', 'mod97-10'), '44', 'MOD 97-10 check characters of 794');
+  assertEqual(computeIso7064('ISO79', 'mod1271-36'), '3W', 'MOD 1271-36 check characters of ISO79');
+  assertEqual(computeIso7064('ABC', 'mod661-26').length, 2, 'MOD 661-26 has two check characters');
+  assertEqual(computeIso7064('0794', 'mod11-10'), '5', 'MOD 11,10 check character of 0794');
+  assertEqual(computeIso7064('A12425GABC1234002', 'mod37-36'), 'M', 'MOD 37,36 check character');
+  assertEqual(computeIso7064Mod97('WEST12345698765432GB'), '82', 'Alphanumeric MOD 97-10 matches IBAN check digits');
+  assertThrows(() => computeIso7064('12A', 'mod11-2'), 'MOD 11-2 should reject letters');
+  assertThrows(() => computeIso7064('AB1', 'mod27-26'), 'MOD 27,26 should reject digits');
+  assertThrows(() => computeIso7064('123', 'mod13-2'), 'Unknown ISO 7064 system should throw');
+  assertEqual(getChecksumAlgorithm('iso7064mod97-10').checkLength, 2, 'MOD 97-10 declares two check characters');
+  assertEqual(getChecksumAlgorithm('iso7064mod11-2').checkAlphabet, '0123456789X', 'MOD 11-2 declares its check alphabet');
+  assertTrue(verifyChecksum('0000-0002-1825-0097', { algorithm: 'iso7064mod11-2' }), 'MOD 11-2 value should verify');
+  assertTrue(verifyChecksum('79444', { algorithm: 'iso7064mod97-10' }), 'Two-character check verifies without checksumLength');
+  assertTrue(verifyChecksum('ISO793W', { algorithm: 'iso7064mod1271-36' }), 'MOD 1271-36 value should verify');
+  assertFalse(verifyChecksum('ISO973W', { algorithm: 'iso7064mod1271-36' }), 'MOD 1271-36 catches transposition');
+  for (const algorithm of ['iso7064mod661-26', 'iso7064mod27-26']) {
+    const value = appendChecksum('OSIAUIN', { algorithm }).value;
+    assertTrue(verifyChecksum(value, { algorithm }), `${algorithm} round trip should verify`);
+    assertFalse(verifyChecksum('OSIAUNI' + value.slice(7), { algorithm }), `${algorithm} catches transposition`);
+  }
+
   // Test appendChecksum
   console.log('\nTesting appendChecksum:');
   const result1 = appendChecksum('ABC123', { algorithm: 'modN' });
@@ -86,15 +155,144 @@ function testChecksumModule() {
   const testValue = 'ABC123';
   const withChecksum = appendChecksum(testValue, { algorithm: 'modN' });
   assertTrue(
-    verifyChecksum(withChecksum.value, { algorithm: 'modN', checksumLength: 1 }),
+    verifyChecksum(withChecksum.value, { algorithm: 'modN' }),
     'Valid checksum should verify'
   );
   assertFalse(
-    verifyChecksum(withChecksum.value.slice(0, -1) + 'X', { algorithm: 'modN', checksumLength: 1 }),
+    verifyChecksum(withChecksum.value.slice(0, -1) + 'X', { algorithm: 'modN' }),
     'Invalid checksum should not verify'
   );
 }
 
+/**
+ * Test Checksum Analyzer
+ */
+async function testChecksumAnalyzer() {
+  console.log('\n=== Testing Checksum Analyzer ===\n');
+
+  const modN = analyzeChecksum({ algorithm: 'modN', charset: '0-9', length: 3 });
+  assertEqual(modN.method, 'exhaustive', 'Small payload spaces are enumerated exhaustively');
+  assertEqual(modN.codewords, 1000, 'Every 3-digit payload is analyzed');
+  assertEqual(modN.errors.singleSubstitution.rate, 1, 'Mod 10 detects every single substitution');
+  assertEqual(modN.errors.adjacentTransposition.withinPayload.rate, 0, 'Mod N detects no adjacent transpositions within the payload');
+  assertEqual(modN.errors.jumpTransposition.withinPayload.rate, 0, 'Mod N detects no jump transpositions within the payload');
+  assertTrue(modN.findings.some(finding => finding.includes('catches no transpositions')), 'Mod N report explains the transposition weakness');
+
+  const iso = analyzeChecksum({ algorithm: 'iso7064mod11-2', charset: '0-9', length: 3 });
+  assertEqual(iso.errors.adjacentTransposition.rate, 1, 'MOD 11-2 detects every adjacent transposition');
+  assertEqual(iso.errors.jumpTransposition.rate, 1, 'MOD 11-2 detects every jump transposition');
+  assertEqual(analyzeChecksum({ algorithm: 'damm', charset: '0-9', length: 3 }).errors.adjacentTransposition.rate, 1, 'Damm detects every adjacent transposition');
+  assertEqual(analyzeChecksum({ algorithm: 'luhn', charset: '0-9', length: 3 }).errors.jumpTransposition.rate, 0, 'Luhn detects no jump transpositions');
+
+  const sampled = analyzeChecksum({ algorithm: 'iso7064mod37-2', charset: 'A-Z0-9', length: 12, samples: 20 });
+  assertEqual(sampled.method, 'sampled', 'Large payload spaces are sampled');
+  assertEqual(sampled.codewords, 20, 'Sample count is respected');
+
+  const ranking = compareChecksums({ charset: '0-9', length: 3 });
+  assertEqual(ranking[ranking.length - 1].algorithm, 'modN', 'Mod N ranks last for numeric payloads');
+  assertFalse(ranking.some(report => report.algorithm === 'iso7064mod661-26'), 'Letter-only systems are skipped for numeric charsets');
+  assertThrows(() => analyzeChecksum({ algorithm: 'luhn', charset: 'A-Z', length: 4 }), 'Charset outside the input alphabet should throw');
+  assertThrows(() => analyzeChecksum({ algorithm: 'luhn', charset: '0-9', length: 0 }), 'Invalid length should throw');
+
+  console.log('\nTesting analysis without blocking the event loop:');
+  const asyncModN = await analyzeChecksumAsync({ algorithm: 'modN', charset: '0-9', length: 3 });
+  assertTrue(JSON.stringify(asyncModN.errors) === JSON.stringify(modN.errors), 'Async analysis matches the sync result');
+  const asyncRanking = await compareChecksumsAsync({ charset: '0-9', length: 3 });
+  assertEqual(asyncRanking.map(report => report.algorithm).join(), ranking.map(report => report.algorithm).join(), 'Async comparison matches the sync ranking');
+
+  let ticks = 0;
+  const ticker = setInterval(() => ticks++, 1);
+  await analyzeChecksumAsync({ algorithm: 'iso7064mod37-2', charset: 'A-Z0-9', length: 64, samples: 20 }, { sliceMs: 1 });
+  clearInterval(ticker);
+  assertTrue(ticks > 0, 'Timers run while a long analysis is in progress');
+
+  console.log('\nTesting analysis cost bounds:');
+  assertEqual(estimateAnalysisCost({ algorithm: 'luhn', charset: '0-9', length: 3 }), 1000 * 9 * 10, 'Exhaustive cost counts every payload');
+  assertEqual(estimateAnalysisCost({ algorithm: 'iso7064mod37-2', charset: 'A-Z0-9', length: 64, samples: 50 }), 50 * 64 * 64 * 36, 'Sampled cost counts the samples');
+  assertEqual(estimateAnalysisCost({ charset: '0-9', length: 3 }), ranking.length * 1000 * 9 * 10, 'Comparison cost covers every applicable algorithm');
+  assertTrue(estimateAnalysisCost({ algorithm: 'iso7064mod37-2', charset: 'A-Z0-9', length: 64, samples: 5000 }) > MAX_REQUEST_ANALYSIS_COST, 'Largest sampled request exceeds the request bound');
+  assertTrue(estimateAnalysisCost({ algorithm: 'iso7064mod37-2', charset: 'A-Z0-9', length: 20 }) <= MAX_REQUEST_ANALYSIS_COST, 'Default samples at length 20 stay within the request bound');
+}
+
+/**
+ * Test Typo Recovery
+ */
+async function testTypoRecovery() {
+  console.log('\n=== Testing Typo Recovery ===\n');
+
+  const numeric = { charset: '0123456789', length: 11, algorithm: 'luhn' };
+
+  const transposed = generateTypoCandidates('79927398731', numeric);
+  const original = transposed.candidates.find(c => c.uin === '79927398713');
+  assertTrue(!!original && original.cost === transposed.candidates[0].cost, 'Transposition ranks among the best corrections');
+  assertEqual(original?.edits[0].type, 'transposition', 'Edit type is reported');
+  assertTrue(transposed.candidates.every(c => verifyChecksum(c.uin, { algorithm: 'luhn' })), 'Every candidate passes the checksum');
+  assertTrue(transposed.candidates.every(c => c.uin.length === 11 && c.distance <= 2), 'Candidates have the expected length and distance');
+
+  const dropped = generateTypoCandidates('7992739871', numeric);
+  assertTrue(dropped.candidates.some(c => c.uin === '79927398713'), 'A dropped character is recovered by insertion');
+  assertEqual(generateTypoCandidates('7992-7398-713', numeric).candidates[0].distance, 0, 'A valid input is its own best candidate');
+  assertTrue(
+    generateTypoCandidates('79927398713', { ...numeric, maxDistance: 1 }).candidates.every(c => c.distance <= 1),
+    'maxDistance limits the number of edits'
+  );
+
+  const alpha = generateTypoCandidates('ABCOEF', { charset: 'ABCDEF0123456789', length: 7, algorithm: 'iso7064' });
+  assertTrue(alpha.candidates.length > 0, 'Characters outside the charset are corrected');
+  assertTrue(alpha.candidates.every(c => !c.uin.includes('O')), 'Candidates only use the charset');
+  assertEqual(alpha.candidates[0].edits[0].type, 'ambiguous', 'Ambiguous-character swaps rank first');
+
+  assertThrows(() => generateTypoCandidates('7992', numeric), 'Input far from the expected length should throw');
+  assertThrows(() => generateTypoCandidates('79927398713', { ...numeric, maxDistance: 3 }), 'Distance above 2 should throw');
+
+  // The server's search yields to the event loop instead of blocking it
+  let ranMeanwhile = false;
+  setImmediate(() => { ranMeanwhile = true; });
+  const searched = await generateTypoCandidatesAsync('79927398731', numeric, { sliceMs: 0 });
+  assertTrue(ranMeanwhile, 'Other work should run during the asynchronous search');
+  assertEqual(JSON.stringify(searched), JSON.stringify(transposed), 'Asynchronous search should find the same candidates');
+}
+
+/**
+ * Test FF1 Format-Preserving Encryption
+ */
+function testFf1() {
+  console.log('\n=== Testing FF1 Format-Preserving Encryption ===\n');
+
+  // NIST SP 800-38G sample vectors (FF1 samples 1-4 and 7)
+  const radix36 = '0123456789abcdefghijklmnopqrstuvwxyz';
+  const vectors = [
+    ['2B7E151628AED2A6ABF7158809CF4F3C', '', 10, '0123456789', '2433477484'],
+    ['2B7E151628AED2A6ABF7158809CF4F3C', '39383736353433323130', 10, '0123456789', '6124200773'],
+    ['2B7E151628AED2A6ABF7158809CF4F3C', '3737373770717273373737', 36, '0123456789abcdefghi', 'a9tv40mll9kdu509eum'],
+    ['2B7E151628AED2A6ABF7158809CF4F3CEF4359D8D580AA4F', '', 10, '0123456789', '2830668132'],
+    ['2B7E151628AED2A6ABF7158809CF4F3CEF4359D8D580AA4F7F036D6F04FC6A94', '', 10, '0123456789', '6657667009']
+  ];
+
+  vectors.forEach(([key, tweak, radix, plaintext, ciphertext], i) => {
+    const keyBytes = Buffer.from(key, 'hex');
+    const tweakBytes = Buffer.from(tweak, 'hex');
+    const toNumerals = (value) => [...value].map(char => radix36.indexOf(char));
+    const fromNumerals = (numerals) => numerals.map(n => radix36[n]).join('');
+
+    const encrypted = fromNumerals(ff1Encrypt(keyBytes, tweakBytes, radix, toNumerals(plaintext)));
+    assertEqual(encrypted, ciphertext, `NIST FF1 vector ${i + 1} encrypts correctly`);
+    assertEqual(fromNumerals(ff1Decrypt(keyBytes, tweakBytes, radix, toNumerals(ciphertext))), plaintext, `NIST FF1 vector ${i + 1} decrypts correctly`);
+  });
+
+  const params = { key: crypto.randomBytes(32), tweak: Buffer.from('health'), alphabet: '0123456789ABCDEFGHJKMNPQRSTVWXYZ', length: 8 };
+  const serials = [0n, 1n, 2n, 12345678901n, 32n ** 8n - 1n];
+  const encrypted = serials.map(serial => encryptSerial(serial, params));
+  assertEqual(new Set(encrypted).size, serials.length, 'Distinct serials encrypt to distinct strings');
+  assertTrue(encrypted.every(value => value.length === 8 && [...value].every(char => params.alphabet.includes(char))), 'Ciphertext keeps the length and alphabet');
+  assertTrue(encrypted.every((value, i) => decryptSerial(value, params) === serials[i]), 'Serials decrypt back');
+  assertNotEqual(encryptSerial(1n, { ...params, tweak: Buffer.from('tax') }), encrypted[1], 'The tweak changes the permutation');
+
+  assertThrows(() => encryptSerial(32n ** 8n, params), 'Serial beyond the domain should throw');
+  assertThrows(() => encryptSerial(1n, { ...params, length: 3 }), 'Domain below one million values should throw');
+  assertThrows(() => encryptSerial(1n, { ...params, alphabet: '0012345678' }), 'Repeated alphabet characters should throw');
+}
+
 /**
  * Test Sector Token Module
  */
@@ -152,6 +350,191 @@ function testSectorTokenModule() {
     () => deriveSectorToken(testUin, 'invalid_sector', {}, config.sectorSecrets),
     'Invalid sector should throw'
   );
+
+  // Versioned sector secrets (rotation)
+  console.log('\nTesting sector secret versions:');
+  assertEqual(sectorSecretName('SECTOR_SECRET_HEALTH'), 'health', 'Unversioned variable should be version 1');
+  assertEqual(sectorSecretName('SECTOR_SECRET_HEALTH_V2'), 'health@v2', 'Variable with _V2 should be version 2');
+  assertEqual(sectorSecretName('UIN_SECTOR_TOKEN_KEY'), null, 'Other variables should be ignored');
+
+  const rotated = { health: 'secret-v1', 'health@v2': 'secret-v2', 'healthcare@v3': 'other-sector' };
+  assertEqual(getSectorSecretVersions(rotated, 'health').join(','), '1,2', 'Versions should be listed per sector');
+  assertEqual(resolveSectorSecret(rotated, 'health').keyVersion, 2, 'Newest version should be the default');
+  assertEqual(resolveSectorSecret(rotated, 'health', 1).secret, 'secret-v1', 'Version 1 should be the unversioned secret');
+  assertThrows(() => resolveSectorSecret(rotated, 'health', 3), 'Unconfigured version should throw');
+
+  const v1Token = deriveSectorToken(testUin, testSector, { keyVersion: 1 }, rotated);
+  const v2Token = deriveSectorToken(testUin, testSector, { salt: v1Token.metadata.salt }, rotated);
+  assertEqual(v2Token.metadata.keyVersion, 2, 'New tokens should use the newest version');
+  assertNotEqual(v1Token.token, v2Token.token, 'Versions should derive different tokens');
+  assertTrue(verifySectorToken(v2Token.token, testUin, testSector, v2Token.metadata, rotated), 'Token should verify with its version');
+  assertTrue(verifySectorToken(v1Token.token, testUin, testSector, v1Token.metadata, rotated), 'Older token should still verify');
+  const legacyMetadata = { ...v1Token.metadata };
+  delete legacyMetadata.keyVersion;
+  assertTrue(verifySectorToken(v1Token.token, testUin, testSector, legacyMetadata, rotated), 'Metadata without keyVersion should use version 1');
+  assertFalse(verifySectorToken(v1Token.token, testUin, testSector, v1Token.metadata, { 'health@v2': 'secret-v2' }), 'Token should not verify once its version is removed');
+
+  // Derivation versions: v2 (HKDF-Expand, rejection sampling) and legacy v1
+  console.log('\nTesting sector token derivation versions:');
+  const rfcPrk = Buffer.from('077709362c2e32df0ddc3f0dc47bba6390b6c73bb50f9c3122ec844ad7c2b3e5', 'hex');
+  assertEqual(
+    hkdfExpand('sha256', rfcPrk, Buffer.from('f0f1f2f3f4f5f6f7f8f9', 'hex'), 42).toString('hex'),
+    '3cb25f25faacd57a90434f64d0362f2a2d2d0a90cf1a5a4c5db02d56ecc4c5bf34007208d5b887185865',
+    'HKDF-Expand should match RFC 5869 test case 1'
+  );
+
+  const alphanumeric = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+  const everyByte = Buffer.from(Array.from({ length: 256 }, (_, i) => i));
+  const sampled = sampleCharset(everyByte, alphanumeric, 252);
+  const counts = new Set([...alphanumeric].map(char => sampled.split(char).length - 1));
+  assertEqual([...counts].join(','), '7', 'Rejection sampling should use each character equally often');
+  assertThrows(() => sampleCharset(Buffer.from([252, 253, 254, 255]), alphanumeric, 1), 'Bytes above the last full multiple should be rejected');
+
+  assertEqual(token1.metadata.version, 2, 'New tokens should use derivation version 2');
+  const legacyToken = deriveSectorToken(testUin, testSector, { version: 1, salt: token1.metadata.salt }, config.sectorSecrets);
+  assertNotEqual(legacyToken.token, token1.token, 'Versions should derive different tokens from the same input');
+  assertTrue(verifySectorToken(legacyToken.token, testUin, testSector, legacyToken.metadata, config.sectorSecrets), 'v1 tokens should still verify');
+  assertFalse(verifySectorToken(legacyToken.token, testUin, testSector, token1.metadata, config.sectorSecrets), 'v1 tokens should not verify as v2');
+  const unversioned = { ...legacyToken.metadata };
+  delete unversioned.version;
+  assertTrue(verifySectorToken(legacyToken.token, testUin, testSector, unversioned, config.sectorSecrets), 'Metadata without version should use v1');
+  assertThrows(() => deriveSectorToken(testUin, testSector, { version: 3 }, config.sectorSecrets), 'Unknown derivation versions should throw');
+  assertEqual(
+    deriveSectorToken(testUin, testSector, { charset: 'AB', tokenLength: 64 }, config.sectorSecrets).token.replace(/[AB]/g, ''),
+    '',
+    'v2 tokens should stay within small charsets'
+  );
+
+  // Foundational UIN references stored by the sector token registry
+  console.log('\nTesting registry UIN references:');
+  assertThrows(() => setSectorTokenKey('abcd'), 'Short sector token keys should be rejected');
+  setSectorTokenKey(crypto.randomBytes(32).toString('hex'));
+  assertEqual(hashUinReference(testUin), hashUinReference(testUin), 'UIN lookup hash should be stable');
+  assertNotEqual(hashUinReference(testUin), hashUinReference(testUin + '0'), 'Different UINs should hash differently');
+
+  const stored = encryptUinReference(testUin, testSector, token1.token);
+  assertFalse(stored.includes(testUin), 'Stored reference should not contain the UIN');
+  assertNotEqual(stored, encryptUinReference(testUin, testSector, token1.token), 'Encryption should be randomized');
+  assertEqual(decryptUinReference(stored, testSector, token1.token), testUin, 'Reference should decrypt to the UIN');
+  assertThrows(() => decryptUinReference(stored, 'finance', token1.token), 'Reference should be bound to its sector');
+  assertThrows(() => decryptUinReference(stored, testSector, token3.token), 'Reference should be bound to its token');
+
+  const tampered = stored.slice(0, -4) + (stored.endsWith('AAAA') ? 'BBBB' : 'AAAA');
+  assertThrows(() => decryptUinReference(tampered, testSector, token1.token), 'Altered reference should not decrypt');
+
+  setSectorTokenKey(crypto.randomBytes(32).toString('hex'));
+  assertThrows(() => decryptUinReference(stored, testSector, token1.token), 'Reference should not decrypt under another key');
+
+  // Cross-sector translation policy
+  console.log('\nTesting translation policy:');
+  const policy = parseTranslationPolicy(' Health>tax, health>finance ,police>* ');
+  assertEqual(JSON.stringify(policy), JSON.stringify({ health: ['tax', 'finance'], police: ['*'] }), 'Policy should map sources to targets');
+  assertEqual(JSON.stringify(parseTranslationPolicy(undefined)), '{}', 'No policy should allow nothing');
+  assertThrows(() => parseTranslationPolicy('health'), 'Entry without a target should be rejected');
+  assertThrows(() => parseTranslationPolicy('health>tax>finance'), 'Entry with two targets should be rejected');
+  assertTrue(isTranslationAllowed('HEALTH', 'tax', policy), 'Listed pair should be allowed (case-insensitive)');
+  assertFalse(isTranslationAllowed('tax', 'health', policy), 'Policy should be directional');
+  assertFalse(isTranslationAllowed('health', 'education', policy), 'Unlisted target should be denied');
+  assertTrue(isTranslationAllowed('police', 'education', policy), "'*' should allow every target");
+  assertFalse(isTranslationAllowed('police', 'police', policy), 'Translation to the same sector should be denied');
+  assertFalse(isTranslationAllowed('health', 'tax', {}), 'Empty policy should deny every pair');
+}
+
+/**
+ * Test Sector Registry
+ */
+async function testSectorRegistry() {
+  console.log('\n=== Testing Sector Registry ===\n');
+
+  const base = { code: 'health', name: 'Health', token_length: 11, charset: 'numeric', algorithm: 'sha256', checksum_algorithm: 'verhoeff', secret_source: 'env' };
+  let valid = true;
+  try {
+    validateSector(base);
+  } catch (error) {
+    valid = false;
+  }
+  assertTrue(valid, 'Valid sector should pass validation');
+  assertThrows(() => validateSector({ ...base, code: 'Health-Care' }), 'Code with upper case and dashes should be rejected');
+  assertThrows(() => validateSector({ ...base, name: ' ' }), 'Empty name should be rejected');
+  assertThrows(() => validateSector({ ...base, token_length: 2 }), 'Token length below 4 should be rejected');
+  assertThrows(() => validateSector({ ...base, algorithm: 'md5' }), 'Unsupported HMAC algorithm should be rejected');
+  assertThrows(() => validateSector({ ...base, secret_source: 'hsm' }), 'HSM secret without key label should be rejected');
+  assertThrows(() => validateSector({ ...base, secret_ref: 'HEALTH-SECRET' }), 'Secret reference that is not a variable name should be rejected');
+  assertThrows(() => validateSector({ ...base, secret_source: 'vault', secret_ref: '/health//secret' }), 'Malformed Vault path should be rejected');
+  let validRefs = true;
+  try {
+    validateSector({ ...base, secret_ref: 'HEALTH_TOKEN_SECRET' });
+    validateSector({ ...base, secret_source: 'vault', secret_ref: 'health/sector-secret' });
+    validateSector({ ...base, secret_source: 'hsm', secret_ref: 'osia-health-key' });
+  } catch (error) {
+    validRefs = false;
+  }
+  assertTrue(validRefs, 'Variable, Vault path and HSM key label references should pass validation');
+  assertThrows(() => validateSector({ ...base, checksum_algorithm: 'nosuch' }), 'Unknown checksum algorithm should be rejected');
+  assertThrows(() => validateSector({ ...base, charset: 'alphanumeric' }), 'Check digit alphabet must cover the charset');
+
+  // Nothing registered: built-in defaults, any configured sector
+  setLoadedSectors([]);
+  assertEqual(getSectorPolicy('health'), null, 'Empty registry should give no policy');
+  assertEqual(generateUin({ mode: 'sector_token', foundationalUin: 'ABC123DEF456', sector: 'health' }).value.length, 20, 'Default token length should apply without a registry');
+
+  const healthId = { format_code: 'HEALTH_ID', separator: '-', segment_lengths: [8, 4], total_length: 12, display_case: 'upper', prefix: 'HLT-', suffix: '' };
+  setLoadedSectors([
+    { ...base, enabled: true, format_code: 'HEALTH_ID', format: healthId },
+    { ...base, code: 'tax', name: 'Tax', checksum_algorithm: null, enabled: false, format_code: null, format: null }
+  ]);
+
+  const result = generateUin({ mode: 'sector_token', foundationalUin: 'ABC123DEF456', sector: 'Health' });
+  assertEqual(result.value.length, 12, 'Sector token length plus check digit should apply');
+  assertTrue(/^[0-9]+$/.test(result.value), 'Sector charset should apply');
+  assertTrue(verifyChecksum(result.value, { algorithm: 'verhoeff' }), 'Sector check digit should be valid');
+  assertEqual(result.formatted, `HLT-${result.value.slice(0, 8)}-${result.value.slice(8)}`, 'Token should be formatted with the sector format');
+  assertTrue(verifySectorToken(result.value, 'ABC123DEF456', 'health', { ...result.metadata, charset: parseCharset('numeric') }, getConfig().sectorSecrets), 'Token with check digit should verify');
+  assertEqual(generateUin({ mode: 'sector_token', foundationalUin: 'ABC123DEF456', sector: 'health', tokenLength: 15 }).value.length, 16, 'Explicit token length should override the sector');
+  assertThrows(() => generateUin({ mode: 'sector_token', foundationalUin: 'ABC123DEF456', sector: 'tax' }), 'Disabled sector should be refused');
+  assertThrows(() => generateUin({ mode: 'sector_token', foundationalUin: 'ABC123DEF456', sector: 'finance' }), 'Unregistered sector should be refused');
+
+  console.log('\nTesting referenced sector secrets:');
+  // Stub PKCS#11 session holding two versions of the health key and the default key
+  const hsmKeys = [['osia-health-key', crypto.randomBytes(32)], ['osia-health-key_v2', crypto.randomBytes(32)], ['osia-sector-key', crypto.randomBytes(32)]];
+  const hsm = new HsmClient({ enabled: true, provider: 'software' });
+  hsm.pkcs11 = {};
+  hsm.graphene = { ObjectClass: { SECRET_KEY: 4 }, MechanismEnum: { SHA256_HMAC: 'sha256', SHA384_HMAC: 'sha384', SHA512_HMAC: 'sha512' } };
+  hsm.session = {
+    find: () => ({ length: hsmKeys.length, items: (i) => ({ toType: () => ({ label: hsmKeys[i][0], value: hsmKeys[i][1] }) }) }),
+    createSign: ({ mechanism }, handle) => ({ once: (data) => crypto.createHmac(mechanism, handle.value).update(data).digest() })
+  };
+  const vault = { readSecret: async (ref) => (ref === 'pension/sector-secret' ? { pension: 'pension-vault-secret', tax: 'other-sector-secret' } : {}) };
+  process.env.TAX_TOKEN_SECRET = 'tax-env-secret';
+
+  const referenced = [
+    { ...base, enabled: true, secret_source: 'hsm', secret_ref: 'osia-health-key', format: null },
+    { ...base, code: 'tax', name: 'Tax', checksum_algorithm: null, enabled: true, secret_ref: 'TAX_TOKEN_SECRET', format: null },
+    { ...base, code: 'pension', name: 'Pension', checksum_algorithm: null, enabled: true, secret_source: 'vault', secret_ref: 'pension/sector-secret', format: null }
+  ];
+  const tokenOf = (sector) => generateUin({ mode: 'sector_token', foundationalUin: 'ABC123DEF456', sector, salt: 'referenced-salt' });
+  const expected = (sector, secrets, checksum) => deriveSectorToken('ABC123DEF456', sector, { tokenLength: 11, charset: parseCharset('numeric'), checksum, salt: 'referenced-salt' }, secrets).token;
+
+  try {
+    setLoadedSectors(referenced);
+    assertEqual((await loadSectorSecretRefs(getLoadedSectors(), { hsm, vault })).length, 0, 'Referenced secrets should load');
+
+    const hsmToken = tokenOf('health');
+    assertEqual(hsmToken.metadata.keyVersion, 2, 'HSM sector should use its newest key version');
+    assertEqual(hsmToken.value, expected('health', { 'health@v2': hsmKeys[1][1] }, 'verhoeff'), 'HSM sector token should come from the referenced key');
+    assertNotEqual(hsmToken.value, expected('health', getConfig().sectorSecrets, 'verhoeff'), 'HSM sector token should not use SECTOR_SECRET_HEALTH');
+    assertEqual(tokenOf('tax').value, expected('tax', { tax: 'tax-env-secret' }), 'Env sector token should come from the referenced variable');
+    assertEqual(tokenOf('pension').value, expected('pension', { pension: 'pension-vault-secret' }), 'Vault sector token should come from the referenced path');
+
+    // Without an HSM the reference cannot be loaded: no fallback to SECTOR_SECRET_HEALTH
+    const problems = await loadSectorSecretRefs(getLoadedSectors(), { hsm: null, vault });
+    assertEqual(problems.map(problem => problem.sector).join(), 'health', 'Unloadable HSM key should be reported');
+    assertThrows(() => tokenOf('health'), 'Sector whose referenced key is unavailable should be refused');
+  } finally {
+    delete process.env.TAX_TOKEN_SECRET;
+    setLoadedSectors([]);
+    await loadSectorSecretRefs([]);
+  }
 }
 
 /**
@@ -277,6 +660,39 @@ function testStructuredMode() {
   });
   assertTrue(uin2.checksum.used, 'Checksum should be used');
 
+  // Named-field templates
+  console.log('\nTesting named-field templates:');
+  const named = generateUin({
+    mode: 'structured',
+    template: '{region:2:lookup(regions)}-{year:date(YYYY)}-{facility:3:numeric}-{serial:5:random(0-9)}',
+    values: { region: '07', facility: '043' },
+    lookups: { regions: { '07': 'Northern', '12': 'Coastal' } },
+    date: '2025-03-14'
+  });
+  assertTrue(/^07-2025-043-\d{5}$/.test(named.value), 'Named fields fill in order');
+  assertEqual(named.rawComponents.year, '2025', 'Date fields derive from the date');
+  assertEqual(Object.keys(named.rawComponents).join(','), 'region,year,facility,serial', 'Components are keyed by field name');
+
+  const literal = generateUin({
+    mode: 'structured',
+    template: 'ID\\{{a:2:charset(A-F)}{b:2:charset(A-F)}\\}{doy:date(YYDDD)}',
+    values: { a: 'AB', b: 'CD', doy: new Date(Date.UTC(2024, 11, 31)) }
+  });
+  assertEqual(literal.value, 'ID{ABCD}24366', 'Literal letters, escapes, adjacent fields and day-of-year work');
+
+  const legacyValue = { mode: 'structured', template: 'RR-NNNN', randomSegments: { N: { charset: '0-9' } } };
+  assertThrows(() => generateUin({ ...legacyValue, values: { R: '123' } }), 'Overlong values should throw instead of being truncated');
+  assertThrows(() => generateUin({ ...legacyValue, values: { R: '1' } }), 'Short values should throw instead of being padded');
+  assertThrows(() => generateUin({ mode: 'structured', template: '{facility:3}' }), 'Missing values should throw');
+  assertThrows(() => generateUin({ mode: 'structured', template: '{f:3:numeric}', values: { f: '04A' } }), 'Values outside the field charset should throw');
+  assertThrows(
+    () => generateUin({ mode: 'structured', template: '{r:2:lookup(regions)}', values: { r: '99' }, lookups: { regions: ['07', '12'] } }),
+    'Values missing from the lookup table should throw'
+  );
+  assertThrows(() => generateUin({ mode: 'structured', template: '{a:2}{a:2}', values: { a: '11' } }), 'Duplicate field names should throw');
+  assertThrows(() => generateUin({ mode: 'structured', template: '{year:2:date(YYYY)}' }), 'Date length mismatch should throw');
+  assertThrows(() => generateUin({ mode: 'structured', template: '{a:2:base64}' }), 'Unknown field types should throw');
+
   // Test error handling
   console.log('\nTesting error handling:');
   assertThrows(
@@ -285,6 +701,508 @@ function testStructuredMode() {
   );
 }
 
+/**
+ * Test structured UIN decomposition
+ */
+function testStructuredParsing() {
+  console.log('\n=== Testing Structured UIN Decomposition ===\n');
+
+  const template = '{region:2:lookup(regions)}-{year:date(YYYY)}-{facility:3:numeric}-{serial:5:random(0-9)}';
+  const lookups = { regions: { '07': 'Northern', '12': 'Coastal' } };
+  const checksum = { enabled: true, algorithm: 'iso7064mod97-10' };
+  const { value } = generateUin({ mode: 'structured', template, values: { region: '07', year: '2025', facility: '043' }, lookups, checksum });
+
+  const parsed = decomposeUin(value, template, { lookups, checksum });
+  assertTrue(parsed.valid, 'Generated UIN decomposes cleanly');
+  assertEqual(parsed.components.facility, '043', 'Facility component is returned');
+  assertEqual(parsed.fields[0].label, 'Northern', 'Lookup fields report their label');
+  assertEqual(parsed.fields[1].date?.year, 2025, 'Date fields report their date');
+  assertTrue(parsed.checksum.valid, 'Checksum is verified');
+
+  const otherFacility = decomposeUin(value, template, { lookups, checksum, expected: { facility: '044' } });
+  assertFalse(otherFacility.valid, 'UIN from another facility is flagged');
+  assertFalse(otherFacility.fields.find(f => f.name === 'facility').valid, 'The mismatching component is marked');
+
+  const tampered = value.replace(/^07/, '99');
+  const badRegion = decomposeUin(tampered, template, { lookups, checksum });
+  assertFalse(badRegion.valid, 'Unknown region is rejected');
+  assertTrue(badRegion.errors.some(e => e.includes('lookup table')), 'Lookup failure is reported');
+  assertFalse(badRegion.checksum.valid, 'Altered UIN fails the checksum');
+
+  assertFalse(decomposeUin('07-2025-13X-12345', template.replace(':lookup(regions)', ':numeric')).valid, 'Characters outside a field charset are rejected');
+  assertFalse(decomposeUin('07-2025-1345', template, { lookups }).valid, 'Wrong length is rejected');
+  assertFalse(decomposeUin('07-2025-043-12345', '{r:2}-{y:date(YYMM)}-{f:3}-{s:5}').valid, 'Impossible dates are rejected');
+  assertEqual(decomposeUin('12-2025-043-12345', 'RR-YYYY-FFF-NNNNN').components.F, '043', 'Legacy templates decompose by character');
+}
+
+/**
+ * Test seeded generation for reproducible fixtures
+ */
+async function testSeededGeneration() {
+  console.log('\n=== Testing Seeded Generation (HMAC_DRBG) ===\n');
+
+  // NIST CAVP HMAC_DRBG SHA-256, no prediction resistance, COUNT = 0: the second generate call is compared
+  const drbg = new HmacDrbg(
+    Buffer.from('ca851911349384bffe89de1cbdc46e6831e44d34a4fb935ee285dd14b71a7488', 'hex'),
+    Buffer.from('659ba96c601dc69fc902940805ec0ca8', 'hex')
+  );
+  drbg.generate(128);
+  assertEqual(
+    drbg.generate(128).toString('hex'),
+    'e528e9abf2dece54d47c7e75e5fe302149f817ea9fb4bee6f4199697d04d5b89d54fbb978a15b5c443c9ec21036d2460b6f73ebad0dc2aba6e624abf07745bc107694bb7547bb0995f70de25d6b29e2d3011bb19d27676c07162c8b5ccde0668961df86803482cb37ed6d5c0bb8d50cf1f50d476aa0458bdaba806f48be9dcb8',
+    'HMAC_DRBG matches the NIST CAVP vector'
+  );
+  assertThrows(() => new HmacDrbg(Buffer.alloc(0)), 'Empty entropy input is rejected');
+
+  const options = { mode: 'foundational', length: 19, checksum: { enabled: true, algorithm: 'iso7064' }, seed: 'qa-fixtures' };
+  const first = generateUin(options);
+  assertEqual(generateUin(options).value, first.value, 'Same seed and options give the same UIN');
+  assertNotEqual(generateUin({ ...options, seed: 'other' }).value, first.value, 'Different seeds give different UINs');
+  assertEqual(first.provenance.source, 'deterministic-test', 'Seeded results are marked deterministic-test');
+  assertEqual((await generateUinAsync(options)).value, first.value, 'Async seeded generation matches the sync path');
+  for (const length of [33, 64]) {
+    const long = { mode: 'random', length, seed: 'qa-fixtures' };
+    assertEqual((await generateUinAsync(long)).value, generateUin(long).value, `Async seeded generation matches the sync path at length ${length}`);
+  }
+  assertEqual(generateUin({ mode: 'random', length: 12, seed: 42 }).value, generateUin({ mode: 'random', length: 12, seed: '42' }).value, 'Numeric seeds are used as text');
+  assertThrows(() => generateUin({ mode: 'random', seed: '' }), 'Empty seeds are rejected');
+
+  const structured = { mode: 'structured', template: '{region:2}-{year:date(YYYY)}-{serial:5:random(0-9)}', values: { region: '07' }, date: '2025-01-01', seed: 7 };
+  assertEqual(generateUin(structured).value, generateUin(structured).value, 'Structured UINs are reproducible with a fixed date');
+
+  const set = async () => {
+    const source = createDeterministicSource('registry-seed');
+    const values = [];
+    for (let i = 0; i < 5; i++) {
+      values.push((await generateUinAsync({ mode: 'random', length: 10 }, source)).value);
+    }
+    return values;
+  };
+  const [setA, setB] = [await set(), await set()];
+  assertEqual(setA.join(','), setB.join(','), 'A shared source reproduces a whole set');
+  assertEqual(new Set(setA).size, 5, 'UINs within a set differ');
+}
+
+/**
+ * Test streaming bulk generation and the Bloom filter
+ */
+async function testStreaming() {
+  console.log('\n=== Testing Streaming Generation ===\n');
+
+  const filter = new BloomFilter(1000, 0.01);
+  assertTrue(filter.add('ABC123'), 'Bloom filter reports a new value as added');
+  assertFalse(filter.add('ABC123'), 'Bloom filter reports a repeated value as seen');
+  assertTrue(filter.has('ABC123') && !filter.has('XYZ789'), 'Bloom filter membership');
+  assertEqual(filter.hashes, 7, 'Bloom filter uses the optimal number of hashes');
+  let falsePositives = 0;
+  for (let i = 0; i < 1000; i++) {
+    filter.add(`item-${i}`);
+  }
+  for (let i = 0; i < 10000; i++) {
+    falsePositives += filter.has(`other-${i}`) ? 1 : 0;
+  }
+  assertTrue(falsePositives < 300, `Bloom filter false-positive rate is near its target (${falsePositives / 100}%)`);
+  assertThrows(() => new BloomFilter(0), 'Bloom filter needs a positive item count');
+  assertThrows(() => new BloomFilter(1000, 1e-12), 'Bloom filter rejects rates below 1e-9');
+  assertThrows(() => new BloomFilter(1000, 0.5), 'Bloom filter rejects rates above 0.1');
+  assertThrows(() => new BloomFilter(1000, '0.01'), 'Bloom filter rejects non-numeric rates');
+  assertThrows(() => new BloomFilter(200000000, 1e-9), 'Bloom filter rejects filters above its size limit');
+
+  // Collects output, accepting a chunk only on the next tick, so backpressure is exercised
+  const sink = (highWaterMark = 1024) => {
+    const chunks = [];
+    const output = new Writable({
+      highWaterMark,
+      write(chunk, encoding, callback) {
+        chunks.push(chunk);
+        setImmediate(callback);
+      }
+    });
+    output.text = () => Buffer.concat(chunks).toString();
+    return output;
+  };
+  const body = text => text.slice(0, text.lastIndexOf('\n', text.length - 2) + 1);
+
+  let output = sink();
+  let summary = await streamUins(output, { count: 2000, options: { mode: 'random', length: 12, seed: 'stream' } });
+  let lines = output.text().trim().split('\n');
+  assertEqual(lines.length, 2001, 'NDJSON stream has one line per UIN plus the summary');
+  assertEqual(JSON.parse(lines[0]).provenance.source, 'deterministic-test', 'Records are full generation results');
+  assertEqual(JSON.parse(lines[2000]).summary.generated, 2000, 'Summary trailer counts the UINs');
+  assertTrue(summary.complete, 'Stream completes');
+  assertEqual(summary.digest.value, crypto.createHash('sha256').update(body(output.text())).digest('hex'), 'Digest covers every byte before the summary');
+  assertEqual(summary.bytes, Buffer.byteLength(body(output.text())), 'Summary counts the bytes written');
+
+  const again = sink();
+  await streamUins(again, { count: 2000, options: { mode: 'random', length: 12, seed: 'stream' } });
+  assertEqual(JSON.parse(again.text().trim().split('\n').pop()).summary.digest.value, summary.digest.value, 'Seeded streams are reproducible');
+
+  output = sink();
+  summary = await streamUins(output, { count: 900, format: 'csv', dedup: true, options: { mode: 'random', length: 3, charset: 'numeric' } });
+  lines = output.text().trim().split('\n');
+  assertEqual(lines[0], 'value,hash_rmd160,source', 'CSV stream starts with a header');
+  assertTrue(lines[lines.length - 1].startsWith('# summary {'), 'CSV summary is a comment line');
+  const values = lines.slice(1, -1).map(line => line.split(',')[0]);
+  assertEqual(new Set(values).size, 900, 'Deduplicated stream has no repeated values');
+  assertTrue(summary.duplicatesSkipped > 0 && summary.dedup.items === 900, 'Duplicates are skipped and counted');
+
+  output = sink();
+  summary = await streamUins(output, { count: 1001, dedup: true, options: { mode: 'random', length: 3, charset: 'numeric' } });
+  assertFalse(summary.complete, 'Stream larger than the namespace does not complete');
+  assertTrue(/namespace is too small/.test(summary.error) && summary.generated <= 1000, 'Exhaustion is reported in the summary');
+  assertTrue(output.text().trim().split('\n').pop().includes('"error"'), 'Exhaustion error is written in the trailer');
+
+  output = sink(64);
+  let written = 0;
+  const original = output.write.bind(output);
+  output.write = (chunk) => {
+    written++;
+    if (written === 2) {
+      output.destroy();
+    }
+    return original(chunk);
+  };
+  summary = await streamUins(output, { count: 50000, options: { mode: 'random', length: 12 } });
+  assertTrue(summary.aborted && summary.generated < 50000, 'Generation stops when the consumer goes away');
+
+  let started = false;
+  let rejected = false;
+  try {
+    await streamUins(sink(), { count: 5, options: { mode: 'structured' }, onStart: () => { started = true; } });
+  } catch (error) {
+    rejected = true;
+  }
+  assertTrue(rejected && !started, 'Invalid options fail before any output');
+  // A tiny rate with a large count is refused before the filter is allocated,
+  // even where UIN_STREAM_MAX_COUNT allows the count
+  const streamConfig = getConfig().stream;
+  const { maxCount } = streamConfig;
+  const alloc = Buffer.alloc;
+  let largestAllocation = 0;
+  Buffer.alloc = (size, ...rest) => {
+    largestAllocation = Math.max(largestAllocation, size);
+    return alloc.call(Buffer, size, ...rest);
+  };
+  streamConfig.maxCount = 1000000000;
+  rejected = false;
+  try {
+    await streamUins(sink(), { count: 500000000, dedup: true, falsePositiveRate: 1e-9, options: { mode: 'random', length: 12 } });
+  } catch (error) {
+    rejected = /limit/.test(error.message);
+  } finally {
+    Buffer.alloc = alloc;
+    streamConfig.maxCount = maxCount;
+  }
+  assertTrue(rejected && largestAllocation < 1024 * 1024, 'Oversized Bloom filter is rejected before allocation');
+
+  for (const params of [{ count: 0 }, { count: 5, format: 'xml' }, { count: 5, format: '__proto__' }, { count: 5, options: { mode: 'fpe' } }, { count: 5, dedup: true, falsePositiveRate: 1e-12 }, { count: 5, dedup: true, falsePositiveRate: 0 }]) {
+    rejected = false;
+    try {
+      await streamUins(sink(), params);
+    } catch (error) {
+      rejected = true;
+    }
+    assertTrue(rejected, `Stream parameters rejected: ${JSON.stringify(params)}`);
+  }
+}
+
+/**
+ * Plugin mode used by testModeRegistry
+ */
+const TEST_MODE_PLUGIN = `export default {
+  name: 'test_plugin',
+  aliases: ['tp'],
+  options: { prefix: { type: 'string', required: true } },
+  generate: (options, { randomString }) => ({ value: options.prefix + randomString(8, '0123456789') }),
+  ui: { label: 'Test plugin', order: 900 }
+};
+`;
+
+/**
+ * Test the generation-mode registry and plugin loading
+ */
+async function testModeRegistry() {
+  console.log('\n=== Testing Mode Registry ===\n');
+
+  const registry = new ModeRegistry();
+  const generate = () => ({ value: 'X' });
+  registry.register({ name: 'alpha', aliases: ['a'], generate, options: { size: { type: 'integer', min: 1, max: 9, required: true }, kind: { type: 'string', enum: ['x', 'y'] } } });
+  assertEqual(registry.resolve('A').name, 'alpha', 'Aliases resolve case-insensitively');
+  assertEqual(registry.resolve('beta'), null, 'Unknown modes resolve to null');
+  assertThrows(() => registry.get('beta'), 'get() rejects unknown modes');
+  assertThrows(() => registry.register({ name: 'beta', aliases: ['a'], generate }), 'Taken aliases are rejected');
+  assertThrows(() => registry.register({ name: 'Bad Name', generate }), 'Invalid names are rejected');
+  assertThrows(() => registry.register({ name: 'gamma' }), 'A generate function is required');
+  assertThrows(() => registry.register({ name: 'delta', generate, options: { n: { type: 'float' } } }), 'Unknown option types are rejected');
+  assertEqual(registry.checkOptions('alpha', { size: 3, kind: 'x' }).length, 0, 'Valid options pass the schema');
+  assertEqual(registry.checkOptions('alpha', {}).length, 1, 'Missing required options are reported');
+  assertEqual(registry.checkOptions('alpha', { size: '3', kind: 'z' }).length, 2, 'Wrong types and enum values are reported');
+  assertEqual(registry.checkOptions('alpha', { size: 10 }).length, 1, 'Out-of-range values are reported');
+  assertEqual(registry.describe()[0].parameters.join(','), 'size,kind', 'describe() lists the option names');
+  assertTrue(registry.unregister('alpha') && registry.resolve('a') === null, 'Unregistering removes the aliases too');
+
+  console.log('\nTesting built-in modes:');
+  const builtIn = getModeRegistry();
+  assertEqual(builtIn.list().map(mode => mode.name).join(','), 'foundational,random,structured,sector_token,fpe,mrz', 'Built-in modes are registered in UI order');
+  assertTrue(builtIn.resolve('fpe').poolOnly, 'fpe is issued through pre-generation only');
+  assertEqual(builtIn.resolve('pii_structured').name, 'structured', 'Legacy mode names are aliases');
+  assertEqual(builtIn.checkOptions('sector_token', { foundationalUin: 'ABC' })[0], "'sector' is required for sector_token mode", 'Required options come from the schema');
+
+  const holder = { issuingCountry: 'UTO', surname: 'ERIKSSON', birthDate: '1974-08-12', expiryDate: '2032-04-15' };
+  const td1 = generateUin({ mode: 'td1', ...holder });
+  assertEqual(td1.format, 'TD1', 'MRZ aliases select their format');
+  assertTrue(validateUin(td1.value, { mode: 'mrz' }).valid, 'MRZ validator accepts a generated MRZ');
+  const td3 = generateUin({ mode: 'passport', ...holder }).value;
+  assertFalse(validateUin(td3.replace(/\d$/, d => String((Number(d) + 1) % 10)), { mode: 'passport' }).valid, 'MRZ validator rejects a wrong check digit');
+
+  const template = '{region:2:numeric}-{serial:6:random(0-9)}';
+  const structured = generateUin({ mode: 'structured', template, values: { region: '07' } });
+  const checked = validateUin(structured.value, { mode: 'structured', template });
+  assertTrue(checked.valid && checked.components.region === '07', 'Structured validator decomposes the UIN');
+
+  let message = '';
+  try {
+    generateUin({ mode: 'nope' });
+  } catch (error) {
+    message = error.message;
+  }
+  assertTrue(message.includes('Supported modes: foundational, random'), 'Unknown modes list the registered modes');
+
+  console.log('\nTesting plugin loading:');
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'osia-modes-'));
+  fs.writeFileSync(path.join(dir, 'a-test.mjs'), TEST_MODE_PLUGIN);
+  fs.writeFileSync(path.join(dir, 'b-invalid.mjs'), "export default { name: 'Bad Name', generate() {} };\n");
+  fs.writeFileSync(path.join(dir, 'c-syntax.mjs'), 'export default {\n');
+  fs.writeFileSync(path.join(dir, 'd-partial.mjs'), "export default [{ name: 'partial_ok', generate() {} }, { name: 'Partial Bad', generate() {} }];\n");
+  fs.writeFileSync(path.join(dir, 'README.txt'), 'not a plugin\n');
+
+  try {
+    const { loaded, errors } = await loadModePlugins(dir);
+    assertEqual(loaded.map(entry => entry.mode).join(','), 'test_plugin', 'Valid plugins are registered');
+    assertEqual(errors.map(entry => entry.file).join(','), 'b-invalid.mjs,c-syntax.mjs,d-partial.mjs', 'Broken plugins are reported and skipped');
+    assertEqual(getModeRegistry().resolve('partial_ok'), null, 'Modes of a plugin that fails part-way are removed again');
+    assertEqual((await loadModePlugins(dir)).loaded.length, 0, 'A directory is loaded once');
+
+    const result = generateUin({ mode: 'TP', prefix: 'T-' });
+    assertTrue(/^T-\d{8}$/.test(result.value), 'Plugin modes generate through generateUin');
+    assertEqual(result.mode, 'test_plugin', 'Results carry the canonical mode name');
+    assertEqual(result.hash_rmd160, computeUinHash(result.value), 'The hash is filled in');
+    assertEqual(result.provenance.source, 'Node.js CSPRNG', 'Provenance is filled in');
+    const seeded = await generateUinAsync({ mode: 'test_plugin', prefix: 'S-', seed: 'plugin' });
+    assertEqual(seeded.value, (await generateUinAsync({ mode: 'test_plugin', prefix: 'S-', seed: 'plugin' })).value, 'Plugin modes draw from the seeded DRBG');
+    assertEqual(getModeRegistry().describe().at(-1).ui.label, 'Test plugin', 'Plugin UI metadata is described');
+  } finally {
+    getModeRegistry().unregister('test_plugin');
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Test the worker-thread generation pool
+ */
+async function testWorkerPool() {
+  console.log('\n=== Testing Worker Pool ===\n');
+
+  const pool = new GenerationPool({ threads: 2, chunkSize: 16 });
+  try {
+    // Per-item values make the order of the merged results visible
+    const optionsList = Array.from({ length: 100 }, (_, i) => ({
+      mode: 'structured',
+      template: '{n:3}-{serial:6:random(0-9)}',
+      values: { n: String(i).padStart(3, '0') }
+    }));
+    const outcomes = await pool.run(optionsList);
+    assertEqual(outcomes.length, 100, 'Pool returns one outcome per options entry');
+    assertTrue(outcomes.every((outcome, i) => outcome.result.value.startsWith(`${String(i).padStart(3, '0')}-`)), 'Results are merged in request order');
+    assertEqual(outcomes[0].result.provenance.source, 'Node.js CSPRNG', 'Worker results carry their own provenance');
+    assertEqual(pool.getStats().running, 2, 'Pool runs the configured number of threads');
+
+    const mixed = await pool.run([{ mode: 'unknown' }, { mode: 'random', length: 12 }]);
+    assertTrue(mixed[0].error instanceof Error && /Unsupported mode/.test(mixed[0].error.message), 'Failures are returned per item');
+    assertEqual(mixed[1].result.value.length, 12, 'A failure does not affect other items');
+
+    const blocklist = getBlocklist();
+    const checked = blocklist.getMetrics().checked;
+    await pool.run(new Array(40).fill({ mode: 'random', length: 12 }));
+    assertTrue(blocklist.getMetrics().checked >= checked + 40, 'Worker blocklist counters are merged into the main thread');
+  } finally {
+    await pool.close();
+  }
+
+  let rejected = false;
+  try {
+    await pool.run([{ mode: 'random' }]);
+  } catch (error) {
+    rejected = true;
+  }
+  assertTrue(rejected, 'A closed pool rejects work');
+  assertEqual(pool.getStats().running, 0, 'Closing stops every worker');
+
+  const merged = new UinBlocklist();
+  merged.merge({ checked: 5, rejected: 2, exhausted: 0, byReason: { run: 2 } });
+  assertEqual(merged.takeMetrics().byReason.run, 2, 'Blocklist metrics can be merged and taken');
+  assertEqual(merged.getMetrics().checked, 0, 'Taking metrics resets the counters');
+
+  // Below minBatch (64 by default) generateEach stays on the main thread
+  const inline = await generateEach([{ mode: 'random', length: 8 }, { mode: 'unknown' }]);
+  assertTrue(!!inline[0].result && inline[1].error instanceof Error, 'Small batches are generated inline with per-item outcomes');
+  rejected = false;
+  try {
+    await generateBatch({ mode: 'random', seed: 'x' }, 2);
+  } catch (error) {
+    rejected = true;
+  }
+  assertTrue(rejected, 'Seeded batches are not sharded across workers');
+}
+
+/**
+ * Test the namespace capacity calculator
+ */
+function testCapacity() {
+  console.log('\n=== Testing Capacity Calculator ===\n');
+
+  const foundational = resolveKeyspace({ mode: 'foundational', length: 12, charset: 'alphanumeric', checksum: { enabled: true, algorithm: 'iso7064' } });
+  assertEqual(foundational.charsetSize, 32, 'Foundational mode drops ambiguous characters');
+  assertEqual(foundational.keyspace, 2n ** 60n, 'Keyspace is charset size to the payload length');
+  assertEqual(foundational.totalLength, 13, 'Check characters add length');
+  assertEqual(resolveKeyspace({ mode: 'random', length: 12, charset: 'alphanumeric' }).charsetSize, 36, 'Random mode keeps ambiguous characters by default');
+
+  const structured = resolveKeyspace({ mode: 'structured', template: '{region:2:numeric}-{serial:3:random(A-F)}-{n:2:sequence(start=10)}' });
+  assertEqual(structured.keyspace, 216n * 90n, 'Only random and sequence fields count towards a structured keyspace');
+  assertFalse(structured.collisionFree, 'Random fields can collide');
+  assertTrue(resolveKeyspace({ mode: 'structured', template: '{region:2}-{n:4:sequence}' }).collisionFree, 'Pure sequences are collision-free');
+  assertThrows(() => resolveKeyspace({ mode: 'structured', template: '{region:2}' }), 'Templates without variable fields have no capacity');
+  assertThrows(() => resolveKeyspace({ mode: 'mrz' }), 'Unsupported modes are rejected');
+
+  assertEqual(expectedRetries(50000, 100000).toFixed(2), '19314.72', 'Retries follow -N ln(1 - n/N) - n');
+  assertTrue(Math.abs(expectedRetries(1e6, 1e18) - 5e-7) < 1e-12, 'Retries stay accurate for sparse keyspaces');
+  assertTrue(Math.abs(collisionProbability(23, 365) - 0.5) < 0.01, 'Birthday bound matches the birthday paradox');
+  assertEqual(collisionProbability(10, 5), 1, 'A population larger than the keyspace must collide');
+
+  const report = analyzeCapacity(
+    { mode: 'foundational', length: 12, charset: 'safe' },
+    { population: 60000000, issuance: { issued: 1000000, issuedInWindow: 500000, windowDays: 365.25 } }
+  );
+  assertEqual(report.entropyBits, 60, 'Entropy bits are reported');
+  assertTrue(report.collisionProbability > 0.0015 && report.collisionProbability < 0.0016, 'Collision probability for 60M in 2^60');
+  assertEqual(report.exhaustion.ratePerYear, 500000, 'Issuance rate is scaled to a year');
+  assertEqual(Math.round(report.exhaustion.years), Math.round((2 ** 60 - 1e6) / 5e5), 'Years to exhaustion at the current rate');
+  assertTrue(report.exhaustion.yearsToRetryThreshold < report.exhaustion.years, 'Retries degrade generation before the keyspace is full');
+
+  const small = analyzeCapacity({ mode: 'random', length: 8, charset: 'numeric' }, { population: 5000000 });
+  assertTrue(small.warnings.some(w => w.includes('collide')), 'Crowded keyspaces are flagged');
+  assertEqual(analyzeCapacity({ mode: 'fpe', length: 8, charset: 'numeric' }, { population: 5000000 }).expectedRetries, 0, 'fpe mode never retries');
+
+  assertThrows(() => resolveKeyspace({ mode: 'random', length: 7 }), 'Lengths below the generation minimum are rejected');
+  assertThrows(() => resolveKeyspace({ mode: 'random', length: 100000 }), 'Lengths above the generation maximum are rejected');
+  assertThrows(() => resolveKeyspace({ mode: 'random', length: NaN }), 'Non-numeric lengths are rejected');
+  assertThrows(() => resolveKeyspace({ mode: 'structured', template: '{serial:100000:random(0-9)}' }), 'Templates longer than a UIN are rejected');
+
+  const options = optionsFromFormat({ total_length: 13, checksum_algorithm: 'iso7064', applies_to_mode: 'foundational', template: null });
+  assertEqual(options.length, 12, 'Format lengths exclude check characters');
+  assertEqual(options.mode, 'foundational', 'Format mode is used');
+}
+
+/**
+ * Test the generation blocklist
+ */
+async function testBlocklist() {
+  console.log('\n=== Testing Generation Blocklist ===\n');
+
+  const words = wordFilter(['fuck', 'ass']);
+  assertTrue(!!words('X7FUCK2'), 'Plain words are rejected');
+  assertTrue(!!words('PH4A55Q'), 'Leetspeak words are rejected');
+  assertFalse(!!words('2845519'), 'Digits alone never spell a word');
+
+  const runs = runFilter(4);
+  assertTrue(!!runs('AB77777C'), 'Runs longer than the limit are rejected');
+  assertFalse(!!runs('AB7777C'), 'Runs up to the limit pass');
+
+  const sequences = sequenceFilter(4);
+  assertTrue(!!sequences('X12345Y'), 'Ascending numeric sequences are rejected');
+  assertTrue(!!sequences('x98765y'), 'Descending sequences are rejected');
+  assertTrue(!!sequences('7QWERT2'), 'Keyboard rows are rejected');
+  assertTrue(!!sequences('9ABCDE1'), 'Alphabetic sequences are rejected');
+  assertFalse(!!sequences('X1234Y5678'), 'Sequences up to the limit pass');
+
+  const reserved = reservedFilter({ PASSPORT: '^[A-Z]\\d{8}$' });
+  assertTrue(!!reserved('A12345678', 'A12345678'), 'Values matching a reserved scheme are rejected');
+  assertFalse(!!reserved('AB1234567', 'AB1234567'), 'Other values pass');
+
+  const blocklist = createBlocklist({ enabled: true, modes: ['random'], wordlists: [], maxRun: 4, maxSequence: 4, maxAttempts: 5, reservedPatterns: {} });
+  assertEqual(blocklist.check('7F-U-C-K2').reason, 'word', 'check() reports the rejecting filter');
+  assertEqual(blocklist.check('3141592653'), null, 'Unremarkable values pass');
+  assertFalse(blocklist.appliesTo('sector_token'), 'Deterministic modes are not filtered');
+
+  const custom = new UinBlocklist({ modes: ['random'] }).addFilter('even', (compact) => (/[02468]$/.test(compact) ? 'ends in an even digit' : null));
+  assertEqual(custom.check('1234').reason, 'even', 'Custom filters can be plugged in');
+  assertThrows(() => custom.addFilter('broken', 'not a function'), 'Filters must be functions');
+
+  console.log('\nTesting regeneration:');
+  const shared = getBlocklist();
+  const before = shared.getMetrics();
+  // First candidate is a run of 1s, the second spells out pi
+  const bytes = Buffer.concat([Buffer.alloc(12, 1), Buffer.from([3, 1, 4, 1, 5, 9, 2, 6, 5, 3, 5, 8]), Buffer.alloc(40, 7)]);
+  const source = async () => ({ bytes, source: 'Test TRNG', hardware: true, fipsLevel: 3, provider: 'test' });
+  const uin = await generateUinAsync({ mode: 'random', length: 12, charset: '0-9' }, source);
+  assertEqual(uin.value, '314159265358', 'Rejected candidates are regenerated');
+
+  const after = shared.getMetrics();
+  assertEqual(after.rejected - before.rejected, 1, 'The rejection is counted');
+  assertEqual((after.byReason.run || 0) - (before.byReason.run || 0), 1, 'The rejection reason is counted');
+
+  shared.maxAttempts = 3;
+  let message = '';
+  try {
+    await generateUinAsync({ mode: 'random', length: 12, charset: '0-9' }, async (length) => ({ bytes: Buffer.alloc(length, 1), source: 'Test TRNG', hardware: true, fipsLevel: 3, provider: 'test' }));
+  } catch (error) {
+    message = error.message;
+  }
+  shared.maxAttempts = before.maxAttempts;
+  assertTrue(message.includes('blocklist'), 'Generation gives up after maxAttempts rejections');
+  assertEqual(shared.getMetrics().exhausted - before.exhausted, 1, 'Giving up is counted');
+}
+
+/**
+ * Test sequence() fields of structured templates
+ */
+function testSequenceFields() {
+  console.log('\n=== Testing Structured Sequence Fields ===\n');
+
+  const template = '{region:2:numeric}-{year:date(YYYY)}-{facility:3}-{serial:5:sequence(start=1,step=2)}';
+  const [serial] = parseTemplate(template).filter(segment => segment.kind === 'sequence');
+  assertEqual(serial.max, 99999, 'Sequence maximum follows the field length');
+  assertEqual(serial.overflow, 'error', 'Sequences stop at their maximum by default');
+
+  const sequences = resolveSequenceFields({ template, values: { region: '07', facility: '043' }, date: '2025-03-01' });
+  assertEqual(sequences.length, 1, 'One counter per sequence field');
+  assertEqual(JSON.stringify(sequences[0].key), JSON.stringify({ region: '07', year: '2025', facility: '043' }), 'Counter is keyed by the other fields');
+  assertEqual(resolveSequenceFields({ template: '{a:2}', values: { a: '01' } }).length, 0, 'Templates without sequences need no counters');
+
+  const keyed = resolveSequenceFields({ template: '{r:2}-{y:date(YYYY)}-{n:4:sequence(key=r)}', values: { r: '07' } });
+  assertEqual(JSON.stringify(keyed[0].key), JSON.stringify({ r: '07' }), 'key= restricts the counter key');
+
+  const result = generateUin({ mode: 'structured', template, values: { region: '07', facility: '043', serial: 7 }, date: '2025-03-01' });
+  assertEqual(result.value, '07-2025-043-00007', 'Counter value is zero-padded');
+  assertEqual(generateUin({ mode: 'structured', template: '{n:5:sequence(start=10000,pad=none)}', values: { n: 10001 } }).value, '10001', 'Unpadded sequence values are used as they are');
+
+  assertThrows(() => generateUin({ mode: 'structured', template, values: { region: '07', facility: '043' } }), 'Sequence fields need a counter value');
+  assertThrows(() => generateUin({ mode: 'structured', template, values: { region: '07', facility: '043', serial: 4 } }), 'Values off the step are rejected');
+  assertThrows(() => generateUin({ mode: 'structured', template, values: { region: '07', facility: '043', serial: 100001 } }), 'Values beyond the field are rejected');
+  assertThrows(() => parseTemplate('{n:3:sequence(start=1000)}'), 'Start must fit the field');
+  assertThrows(() => parseTemplate('{n:3:sequence(pad=none)}'), 'Unpadded sequences must start at full width');
+  assertThrows(() => parseTemplate('{n:3:sequence(overflow=grow)}'), 'Unknown overflow policies are rejected');
+  assertThrows(() => parseTemplate('{n:3:sequence(step=0)}'), 'Step must be positive');
+  assertThrows(() => parseTemplate('{n:16:sequence}'), 'Sequences are limited to 15 digits');
+  assertThrows(() => parseTemplate('{r:2:random}-{n:3:sequence(key=r)}'), 'Random fields cannot key a sequence');
+  assertThrows(() => parseTemplate('{n:3:sequence(key=x)}'), 'Sequence keys must be template fields');
+
+  const parsed = decomposeUin('07-2025-043-00007', template);
+  assertTrue(parsed.valid, 'Sequence UIN decomposes');
+  assertEqual(parsed.fields[3].sequence, 7, 'Decomposition reports the counter value');
+  assertFalse(decomposeUin('07-2025-043-00008', template).valid, 'Decomposition checks the step');
+}
+
 /**
  * Test UIN Generator - Sector Token Mode
  */
@@ -326,6 +1244,503 @@ function testSectorTokenMode() {
   );
 }
 
+/**
+ * Test UIN Generator - FPE Mode
+ */
+function testFpeMode() {
+  console.log('\n=== Testing FPE Mode ===\n');
+
+  setFpeKey(crypto.randomBytes(32).toString('hex'));
+  const options = { mode: 'fpe', scope: 'tax', length: 12, charset: 'numeric', checksum: { enabled: true, algorithm: 'verhoeff' } };
+
+  const results = [1, 2, 3].map(serial => generateUin({ ...options, serial }));
+  assertEqual(results[0].mode, 'fpe', 'Mode should be fpe');
+  assertEqual(results[0].value.length, 13, 'UIN has the configured length plus the check digit');
+  assertTrue(validateUin(results[0].value, options).valid, 'UIN passes its checksum');
+  assertEqual(new Set(results.map(r => r.value)).size, 3, 'Consecutive serials give distinct UINs');
+  assertFalse(JSON.stringify(results).includes('"serial"'), 'Result does not reveal the serial');
+  assertEqual(generateUin({ ...options, serial: 2 }).value, results[1].value, 'Same serial and key give the same UIN');
+
+  assertEqual(reverseFpeUin(results[2].value, options).serial, '3', 'Authorised callers recover the serial');
+  assertNotEqual(generateUin({ ...options, scope: 'health', serial: 1 }).value, results[0].value, 'Scopes use different permutations');
+  const corrupted = results[0].value.slice(0, -1) + ((Number(results[0].value.slice(-1)) + 1) % 10);
+  assertThrows(() => reverseFpeUin(corrupted, options), 'Reversing a UIN with a bad checksum should throw');
+  assertThrows(() => generateUin({ mode: 'fpe', length: 12 }), 'fpe mode without a serial should throw');
+  assertThrows(() => setFpeKey('abcd'), 'Short FPE key should throw');
+}
+
+/**
+ * Test UIN Generator - MRZ Mode (ICAO 9303 specimens)
+ */
+function testMrzMode() {
+  console.log('\n=== Testing MRZ Mode ===\n');
+
+  const specimen = {
+    issuingCountry: 'UTO',
+    surname: 'Eriksson',
+    givenNames: 'Anna Maria',
+    birthDate: '1974-08-12',
+    sex: 'F',
+    expiryDate: '2012-04-15'
+  };
+
+  console.log('Testing computeMrzCheckDigit:');
+  assertEqual(computeMrzCheckDigit('L898902C3'), '6', 'Check digit of L898902C3');
+  assertEqual(computeMrzCheckDigit('740812'), '2', 'Check digit of 740812');
+  assertEqual(computeMrzCheckDigit('ZE184226B<<<<<'), '1', 'Check digit with fillers');
+  assertThrows(() => computeMrzCheckDigit('ab1'), 'Lowercase characters should throw');
+
+  console.log('\nTesting transliterateName:');
+  assertEqual(transliterateName('Müller'), 'MUELLER', 'Umlaut transliterated to digraph');
+  assertEqual(transliterateName("O'Brien-Smith"), 'OBRIEN<SMITH', 'Apostrophe omitted, hyphen to filler');
+  assertEqual(transliterateName('José'), 'JOSE', 'Diacritics removed');
+
+  console.log('\nTesting TD3 generation:');
+  const td3 = generateUin({ mode: 'passport', ...specimen, documentNumber: 'L898902C3', optionalData: 'ZE184226B' });
+  assertEqual(td3.lines[0], 'P<UTOERIKSSON<<ANNA<MARIA<<<<<<<<<<<<<<<<<<<', 'TD3 line 1 matches specimen');
+  assertEqual(td3.lines[1], 'L898902C36UTO7408122F1204159ZE184226B<<<<<10', 'TD3 line 2 matches specimen');
+  assertEqual(td3.mode, 'mrz', 'Mode should be mrz');
+
+  console.log('\nTesting TD2 generation:');
+  const td2 = generateUin({ mode: 'td2', ...specimen, documentNumber: 'D23145890' });
+  assertEqual(td2.lines[0], 'I<UTOERIKSSON<<ANNA<MARIA<<<<<<<<<<<', 'TD2 line 1 matches specimen');
+  assertEqual(td2.lines[1], 'D231458907UTO7408122F1204159<<<<<<<6', 'TD2 line 2 matches specimen');
+
+  console.log('\nTesting TD1 generation:');
+  const td1 = generateUin({ mode: 'mrz', format: 'TD1', ...specimen, documentNumber: 'D23145890' });
+  assertEqual(td1.lines[0], 'I<UTOD231458907<<<<<<<<<<<<<<<', 'TD1 line 1 matches specimen');
+  assertEqual(td1.lines[1], '7408122F1204159UTO<<<<<<<<<<<6', 'TD1 line 2 matches specimen');
+  assertEqual(td1.lines[2], 'ERIKSSON<<ANNA<MARIA<<<<<<<<<<', 'TD1 line 3 matches specimen');
+
+  console.log('\nTesting generated document numbers and truncation:');
+  const generated = generateUin({ mode: 'td1', ...specimen, surname: 'Vandenberghe-Lichtenstein', givenNames: 'Maximiliana' });
+  assertTrue(/^[A-Z0-9]{9}$/.test(generated.fields.documentNumber), 'Document number should be generated');
+  assertEqual(generated.lines[2].length, 30, 'Truncated name should fill the field');
+  assertTrue(generated.nameTruncated, 'Truncation should be reported');
+  assertTrue(COUNTRY_CODES.D === 'Germany', 'ICAO code D should map to Germany');
+
+  console.log('\nTesting error handling:');
+  assertThrows(() => generateUin({ mode: 'td3', ...specimen, issuingCountry: 'ZZZ' }), 'Unknown country should throw');
+  assertThrows(() => generateUin({ mode: 'td3', ...specimen, documentNumber: 'ABC1234567' }), 'Long TD3 document number should throw');
+  assertThrows(() => generateUin({ mode: 'td3', ...specimen, birthDate: '1974-02-30' }), 'Invalid date should throw');
+}
+
+/**
+ * Test MRZ Parsing and OCR Correction
+ */
+function testMrzParsing() {
+  console.log('\n=== Testing MRZ Parsing ===\n');
+
+  const td3 = 'P<UTOERIKSSON<<ANNA<MARIA<<<<<<<<<<<<<<<<<<<\nL898902C36UTO7408122F1204159ZE184226B<<<<<10';
+
+  console.log('Testing valid MRZ:');
+  const parsed = parseMrz(td3);
+  assertEqual(parsed.format, 'TD3', 'Format should be detected as TD3');
+  assertTrue(parsed.valid, 'Specimen should be valid');
+  assertEqual(parsed.fields.documentNumber, 'L898902C3', 'Document number parsed');
+  assertEqual(parsed.fields.givenNames, 'ANNA MARIA', 'Given names parsed');
+  assertTrue(parsed.checkDigits.composite.valid, 'Composite check should pass');
+
+  console.log('\nTesting layout detection:');
+  const td1 = parseMrz('I<UTOD231458907<<<<<<<<<<<<<<<7408122F1204159UTO<<<<<<<<<<<6ERIKSSON<<ANNA<MARIA<<<<<<<<<<');
+  assertEqual(td1.format, 'TD1', 'Unbroken 90 characters detected as TD1');
+  assertTrue(td1.valid, 'TD1 specimen should be valid');
+  assertThrows(() => parseMrz('TOO<SHORT'), 'Unrecognized layout should throw');
+
+  console.log('\nTesting OCR correction:');
+  const scanned = parseMrz('P<UTOERIKSS0N<<ANNA<MARIA<<<<<<<<<<<<<<<<<<<\nL8989O2C36UTO74O8122F1204159ZE1842268<<<<<1O');
+  assertFalse(scanned.valid, 'Scanned MRZ with OCR errors should be invalid');
+  assertFalse(scanned.checkDigits.documentNumber.valid, 'Document number check should fail');
+  assertTrue(scanned.corrected !== null && scanned.corrected.valid, 'Correction should make all checks pass');
+  assertEqual(scanned.corrected.lines.join('\n'), td3, 'Correction should restore the specimen');
+  assertEqual(scanned.corrected.fields.surname, 'ERIKSSON', 'Digit in name corrected to letter');
+}
+
+/**
+ * Test Hash Module (BLAKE3)
+ * Vectors from the official BLAKE3 test_vectors.json (input byte i = i % 251)
+ */
+function testHashModule() {
+  console.log('\n=== Testing Hash Module (BLAKE3) ===\n');
+
+  const key = Buffer.from('whats the Elvish word for friend');
+  const context = 'BLAKE3 2019-12-27 16:29:52 test vectors context';
+  const input = (length) => Buffer.from(Array.from({ length }, (_, i) => i % 251));
+  const vectors = [
+    [0, 'af1349b9f5f9a1a6a0404dea36dcc9499bcb25c9adc112b7cc9a93cae41f3262', '92b2b75604ed3c761f9d6f62392c8a9227ad0ea3f09573e783f1498a4ed60d26', '2cc39783c223154fea8dfb7c1b1660f2ac2dcbd1c1de8277b0b0dd39b7e50d7d'],
+    [1, '2d3adedff11b61f14c886e35afa036736dcd87a74d27b5c1510225d0f592e213', '6d7878dfff2f485635d39013278ae14f1454b8c0a3a2d34bc1ab38228a80c95b', 'b3e2e340a117a499c6cf2398a19ee0d29cca2bb7404c73063382693bf66cb06c'],
+    [1024, '42214739f095a406f3fc83deb889744ac00df831c10daa55189b5d121c855af7', '75c46f6f3d9eb4f55ecaaee480db732e6c2105546f1e675003687c31719c7ba4', '7356cd7720d5b66b6d0697eb3177d9f8d73a4a5c5e968896eb6a689684302706'],
+    [1025, 'd00278ae47eb27b34faecf67b4fe263f82d5412916c1ffd97c8cb7fb814b8444', '357dc55de0c7e382c900fd6e320acc04146be01db6a8ce7210b7189bd664ea69', 'effaa245f065fbf82ac186839a249707c3bddf6d3fdda22d1b95a3c970379bcb'],
+    [2049, '5f4d72f40d7a5f82b15ca2b2e44b1de3c2ef86c426c95c1af0b6879522563030', '9f29700902f7c86e514ddc4df1e3049f258b2472b6dd5267f61bf13983b78dd5', '2ea477c5515cc3dd606512ee72bb3e0e758cfae7232826f35fb98ca1bcbdf273'],
+    [8193, 'bab6c09cb8ce8cf459261398d2e7aef35700bf488116ceb94a36d0f5f1b7bc3b', '954a2a75420c8d6547e3ba5b98d963e6fa6491addc8c023189cc519821b4a1f5', 'af1e0346e389b17c23200270a64aa4e1ead98c61695d917de7d5b00491c9b0f1'],
+    [31744, '62b6960e1a44bcc1eb1a611a8d6235b6b4b78f32e7abc4fb4c6cdcce94895c47', 'efa53b389ab67c593dba624d898d0f7353ab99e4ac9d42302ee64cbf9939a419', '39772aef80e0ebe60596361e45b061e8f417429d529171b6764468c22928e28e']
+  ];
+
+  console.log('Testing official vectors:');
+  for (const [length, hash, keyed, derived] of vectors) {
+    assertEqual(computeHash(input(length)), hash, `Hash of ${length} bytes`);
+    assertEqual(computeKeyedHash(input(length), key), keyed, `Keyed hash of ${length} bytes`);
+    assertEqual(deriveKey(context, input(length)), derived, `Derived key of ${length} bytes`);
+  }
+
+  console.log('\nTesting extended output:');
+  const extended = computeHash(input(1025), { length: 131 });
+  assertEqual(extended.length, 262, 'Extended output should be 131 bytes');
+  assertEqual(extended, 'd00278ae47eb27b34faecf67b4fe263f82d5412916c1ffd97c8cb7fb814b8444f4c4a22b4b399155358a994e52bf255de60035742ec71bd08ac275a1b51cc6bfe332b0ef84b409108cda080e6269ed4b3e2c3f7d722aa4cdc98d16deb554e5627be8f955c98e1d5f9565a9194cad0c4285f93700062d9595adb992ae68ff12800ab67a', 'Extended output matches vector');
+  assertTrue(extended.startsWith(vectors[3][1]), 'Default output is a prefix of extended output');
+  assertEqual(computeHash('abc'), '6437b3ac38465133ffb63b75273a8db548c558465d79db03fd359c6cd5bd9d85', 'String input is UTF-8 encoded');
+  assertEqual(computeHash('abc', { format: 'base64url', length: 16 }).length, 22, 'base64url output of 16 bytes');
+  assertThrows(() => computeHash('abc', { length: 0 }), 'Zero length should throw');
+  assertThrows(() => computeKeyedHash('abc', Buffer.alloc(16)), 'Short key should throw');
+
+  console.log('\nTesting multi-input hashing:');
+  assertNotEqual(hashMultiple(['ab', 'c']), hashMultiple(['a', 'bc']), 'Input boundaries should affect the hash');
+  assertEqual(hashMultiple(['ab', 'c']), hashMultiple(['ab', 'c']), 'Multi-input hash should be deterministic');
+  assertNotEqual(hashMultiple(['ab', 'c'], { key }), hashMultiple(['ab', 'c']), 'Keyed multi-input hash should differ');
+
+  console.log('\nTesting verification:');
+  const digest = computeHash('UIN-123', { length: 48 });
+  assertTrue(verifyHash('UIN-123', digest, { length: 48 }), 'Correct hash should verify');
+  assertFalse(verifyHash('UIN-124', digest, { length: 48 }), 'Wrong data should not verify');
+  assertFalse(verifyHash('UIN-123', digest), 'Hash longer than the default 32-byte tag should not verify');
+  assertFalse(verifyHash('UIN-123', digest.slice(0, 64), { length: 48 }), 'Truncated hash should not verify at full length');
+  assertTrue(verifyHash('UIN-123', computeKeyedHash('UIN-123', key, { format: 'base64' }), { key, format: 'base64' }), 'Keyed base64 hash should verify');
+  assertTrue(verifyHash(['ab', 'c'], hashMultiple(['ab', 'c'])), 'Multi-input hash should verify');
+  assertFalse(verifyHash('UIN-123', 'not-hex'), 'Malformed hash should not verify');
+  const fullTag = computeKeyedHash('UIN-123', key);
+  assertFalse(verifyHash('UIN-123', fullTag.slice(0, 32), { key }), 'Truncated keyed tag should not verify at the default length');
+  assertFalse(verifyHash('UIN-123', fullTag.slice(0, 2), { key }), 'One-byte tag should not verify');
+  assertThrows(() => verifyHash('UIN-123', fullTag.slice(0, 2), { key, length: 1 }), 'Tag length below 16 bytes should throw');
+  assertThrows(() => checkHashTag(fullTag.slice(0, 32)), 'Tag shorter than the tag length should be rejected');
+  assertThrows(() => checkHashTag(fullTag.slice(0, 2), { length: 1 }), 'Short tag length should be rejected');
+  checkHashTag(fullTag);
+}
+
+/**
+ * Test Async Generation with Crypto Service Entropy
+ */
+async function testAsyncGeneration() {
+  console.log('\n=== Testing Async Generation ===\n');
+
+  const hardware = { source: 'Test TRNG', hardware: true, fipsLevel: 3, provider: 'test' };
+  const stubSource = (provenance, fill) => {
+    const calls = [];
+    const source = async (length) => {
+      calls.push(length);
+      return { bytes: Buffer.alloc(length, fill(calls.length)), ...provenance };
+    };
+    return { source, calls };
+  };
+
+  // Constant stub bytes make runs such as 111111111111, which the blocklist would regenerate
+  const blocklist = getBlocklist();
+  blocklist.enabled = false;
+
+  console.log('Testing entropy source and provenance:');
+  const { source, calls } = stubSource(hardware, () => 0x01);
+  const uin = await generateUinAsync({ mode: 'random', length: 12, charset: '0-9' }, source);
+  assertEqual(uin.value, '111111111111', 'UIN should be built from the supplied entropy');
+  assertEqual(uin.provenance.source, 'Test TRNG', 'Provenance should name the entropy source');
+  assertTrue(uin.provenance.hardware, 'Provenance should report hardware entropy');
+  assertEqual(calls.length, 1, 'One draw should be enough');
+
+  const software = await generateUinAsync({ mode: 'foundational', length: 19 });
+  assertEqual(software.provenance.provider, 'software', 'Uninitialized crypto service falls back to software');
+  assertTrue(uin.provenance.hardware, 'Earlier result provenance should not be overwritten');
+  assertFalse(generateUin({ mode: 'random', length: 12 }).provenance.hardware, 'Sync path reports software provenance');
+
+  console.log('\nTesting top-up from the same source:');
+  // 0xFF is rejected for a 10-character charset, so the first draw yields nothing
+  const topUp = stubSource(hardware, (call) => (call === 1 ? 0xFF : 0x02));
+  const topped = await generateUinAsync({ mode: 'random', length: 12, charset: '0-9' }, topUp.source);
+  assertEqual(topped.value, '222222222222', 'Rejected bytes should be topped up');
+  assertEqual(topUp.calls.length, 2, 'A second draw should be requested');
+
+  console.log('\nTesting source change between draws:');
+  let call = 0;
+  const switching = async (length) => {
+    call++;
+    return call === 1
+      ? { bytes: Buffer.alloc(4, 0x03), ...hardware }
+      : { bytes: Buffer.alloc(length, 0x04), source: 'Node.js CSPRNG', hardware: false, fipsLevel: 0, provider: 'software' };
+  };
+  const switched = await generateUinAsync({ mode: 'random', length: 12, charset: '0-9' }, switching);
+  assertEqual(switched.value, '444444444444', 'Bytes from different sources should not be mixed');
+  assertEqual(switched.provenance.provider, 'software', 'Provenance should follow the source actually used');
+
+  console.log('\nTesting exhaustion:');
+  const exhausted = async (length) => ({ bytes: Buffer.alloc(length, 0xFF), ...hardware });
+  let failed = false;
+  try {
+    await generateUinAsync({ mode: 'random', length: 12, charset: '0-9' }, exhausted);
+  } catch (error) {
+    failed = error.code === 'ENTROPY_EXHAUSTED';
+  }
+  assertTrue(failed, 'Unusable entropy should fail instead of falling back to software');
+
+  blocklist.enabled = true;
+}
+
+/**
+ * Stub pkcs11-tool-remote: prints N random bytes for --generate-random N,
+ * refuses a PIN on argv, sleeps STUB_TRNG_DELAY_MS before answering and
+ * emits only zero bytes when STUB_TRNG_STUCK is set
+ */
+const STUB_PKCS11_TOOL = `#!/usr/bin/env node
+const crypto = require('crypto');
+const args = process.argv.slice(2);
+const pinArg = args[args.indexOf('--pin') + 1];
+if (pinArg !== 'env:TRNG_PIN' || process.env.TRNG_PIN !== 'stub-pin-1234' || args.includes('stub-pin-1234')) {
+  process.stderr.write('bad pin\\n');
+  process.exit(1);
+}
+const length = parseInt(args[args.indexOf('--generate-random') + 1]);
+const bytes = process.env.STUB_TRNG_STUCK ? Buffer.alloc(length) : crypto.randomBytes(length);
+setTimeout(() => process.stdout.write(bytes), parseInt(process.env.STUB_TRNG_DELAY_MS || '0'));
+`;
+
+/**
+ * Test Entropy Pool
+ */
+async function testEntropyPool() {
+  console.log('\n=== Testing Entropy Pool ===\n');
+
+  const trng = { source: 'Test TRNG', hardware: true, fipsLevel: 3, provider: 'test' };
+  const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+  console.log('Testing prefetch and fill level:');
+  let fills = 0;
+  const pool = new EntropyPool({
+    fill: async (length) => { fills++; return Buffer.alloc(length, 0xAB); },
+    source: trng,
+    capacity: 256,
+    chunkSize: 64,
+    lowWatermark: 0.5
+  }).start();
+  const first = await pool.take(100);
+  assertEqual(first.bytes.length, 100, 'Pool should serve requested length');
+  assertEqual(first.provider, 'test', 'Pool bytes carry the primary source');
+  await delay(10);
+  assertEqual(pool.getMetrics().available, 256, 'Pool should refill in the background');
+  assertEqual(pool.getMetrics().fillLevel, 1, 'Fill level should be reported');
+  assertTrue(fills >= 5, 'Refill reads the source in chunks');
+  await pool.stop();
+  assertEqual(pool.getMetrics().available, 0, 'Stopped pool should be wiped');
+
+  console.log('\nTesting stall fallback:');
+  const stalled = new EntropyPool({
+    fill: (length) => delay(300).then(() => Buffer.alloc(length)),
+    source: trng,
+    capacity: 256,
+    chunkSize: 64,
+    stallTimeout: 50
+  }).start();
+  const startedAt = Date.now();
+  const fallback = await stalled.take(32);
+  assertTrue(Date.now() - startedAt < 500, 'Stalled source should not hold up the request');
+  assertEqual(fallback.provider, 'software', 'Stalled request served from fallback');
+  assertEqual(stalled.getMetrics().stalls, 1, 'Stall should be counted');
+  await stalled.stop();
+
+  console.log('\nTesting remote TRNG via stub pkcs11-tool-remote:');
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'osia-trng-'));
+  const command = path.join(dir, 'pkcs11-tool-remote');
+  fs.writeFileSync(command, STUB_PKCS11_TOOL, { mode: 0o755 });
+
+  try {
+    const client = new HsmClient({ enabled: true, provider: 'software', entropyPool: { capacity: 512, chunkSize: 128 } });
+    client.configureRemoteTrng({ enabled: true, slot: '5', pin: 'stub-pin-1234', command });
+    await client.initialize();
+    assertTrue(client.remoteTrngAvailable, 'Remote TRNG should be detected via stub');
+
+    let ticked = false;
+    setTimeout(() => { ticked = true; }, 0);
+    await client._remoteRandomBytes(16);
+    assertTrue(ticked, 'Remote TRNG call should not block the event loop');
+
+    const result = await client.randomBytesWithSource(48);
+    assertEqual(result.bytes.length, 48, 'Remote TRNG bytes served from pool');
+    assertEqual(result.provider, 'utimaco-remote', 'Provenance names the remote TRNG');
+    const status = client.getStatus();
+    assertTrue(status.entropyPool !== null && status.entropyPool.capacity === 512, 'Status should include pool metrics');
+    await client.close();
+
+    client.configureRemoteTrng({ enabled: true, slot: '5', pin: 'wrong-pin', command });
+    let rejected = false;
+    try {
+      await client._remoteRandomBytes(16);
+    } catch (error) {
+      rejected = true;
+    }
+    assertTrue(rejected, 'Wrong PIN should be rejected by the stub');
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Test Entropy Health Tests (SP 800-90B)
+ */
+async function testEntropyHealth() {
+  console.log('\n=== Testing Entropy Health Tests ===\n');
+
+  console.log('Testing cutoffs against SP 800-90B:');
+  assertEqual(repetitionCountCutoff(1, 2 ** -20), 21, 'RCT cutoff for H=1, alpha=2^-20');
+  assertEqual(adaptiveProportionCutoff(1, 2 ** -20, 512), 311, 'APT cutoff for H=1, W=512');
+  assertEqual(adaptiveProportionCutoff(8, 2 ** -20, 512), 13, 'APT cutoff for H=8, W=512');
+
+  console.log('\nTesting monitors:');
+  const random = new EntropyHealthMonitor('random');
+  assertTrue(random.startup(crypto.randomBytes(4096)), 'CSPRNG output should pass startup test');
+  assertTrue(random.check(crypto.randomBytes(65536)), 'CSPRNG output should pass continuous tests');
+  assertThrows(() => random.startup(crypto.randomBytes(512)), 'Startup test needs a large sample');
+
+  const stuck = new EntropyHealthMonitor('stuck');
+  const stuckBytes = crypto.randomBytes(1024);
+  stuckBytes.fill(0x42, 600, 610);
+  assertFalse(stuck.check(stuckBytes), 'Repeated value should fail');
+  assertEqual(stuck.getStatus().failure.test, 'Repetition Count Test', 'Failure names the RCT');
+  assertFalse(stuck.check(crypto.randomBytes(64)), 'Quarantine persists for good bytes');
+  stuck.reset();
+  assertTrue(stuck.healthy, 'Reset clears quarantine');
+
+  const biased = new EntropyHealthMonitor('biased');
+  const biasedBytes = crypto.randomBytes(4096);
+  for (let i = 0; i < biasedBytes.length; i += 2) biasedBytes[i] = 0;
+  assertFalse(biased.startup(biasedBytes), 'Biased source should fail startup test');
+  assertEqual(biased.getStatus().failure.test, 'Adaptive Proportion Test', 'Failure names the APT');
+
+  console.log('\nTesting recovery of the software CSPRNG:');
+  const software = getHealthMonitor('software');
+  const alarms = software.alarms;
+  assertFalse(software.check(Buffer.alloc(64)), 'Stuck software bytes should fail');
+  assertTrue(software.healthy, 'Software CSPRNG is never quarantined');
+  assertEqual(software.alarms, alarms + 1, 'Software failure raises an alarm');
+  assertEqual(software.getStatus().lastAlarm.test, 'Repetition Count Test', 'Alarm names the RCT');
+  assertEqual((await generateUinAsync({ mode: 'random', length: 12 })).value.length, 12, 'Generation recovers after a software failure');
+
+  // The CSPRNG returns one stuck block: it is discarded and drawn again
+  const randomBytes = crypto.randomBytes;
+  let stuckDraws = 1;
+  crypto.randomBytes = (size, ...rest) => (stuckDraws-- > 0 ? Buffer.alloc(size) : randomBytes(size, ...rest));
+  try {
+    const redrawn = await generateUinAsync({ mode: 'random', length: 12 });
+    assertEqual(redrawn.value.length, 12, 'Generation succeeds with the redrawn bytes');
+    assertEqual(software.alarms, alarms + 2, 'Stuck block raises an alarm');
+  } finally {
+    crypto.randomBytes = randomBytes;
+  }
+  assertEqual((await generateUinAsync({ mode: 'random', length: 12 })).value.length, 12, 'Later generation is served normally');
+
+  console.log('\nTesting quarantine and failover of the remote TRNG:');
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'osia-trng-'));
+  const command = path.join(dir, 'pkcs11-tool-remote');
+  fs.writeFileSync(command, STUB_PKCS11_TOOL, { mode: 0o755 });
+
+  try {
+    process.env.STUB_TRNG_STUCK = '1';
+    const failing = new HsmClient({ enabled: true, provider: 'software' });
+    failing.configureRemoteTrng({ enabled: true, slot: '5', pin: 'stub-pin-1234', command });
+    await failing.initialize();
+    assertFalse(failing.remoteTrngAvailable, 'Stuck TRNG should fail startup test');
+    assertEqual(failing.getHealthStatus()['utimaco-remote'].state, 'quarantined', 'Stuck TRNG reported as quarantined');
+    assertFalse(failing.getStatus().hasTrng, 'TRNG failing its startup test is not reported as available');
+    await failing.close();
+    delete process.env.STUB_TRNG_STUCK;
+
+    const client = new HsmClient({ enabled: true, provider: 'software', entropyPool: { capacity: 512, chunkSize: 128 } });
+    client.configureRemoteTrng({ enabled: true, slot: '5', pin: 'stub-pin-1234', command });
+    await client.initialize();
+    assertTrue(client.health.remote.startupPassed, 'Healthy TRNG should pass startup test');
+    assertTrue(client.getStatus().hasTrng, 'Healthy TRNG is reported as available');
+
+    // The TRNG gets stuck after startup: the next refill must trip the continuous tests
+    process.env.STUB_TRNG_STUCK = '1';
+    await client.randomBytesWithSource(400);
+    for (let i = 0; i < 50 && client.health.remote.healthy; i++) {
+      await new Promise(resolve => setTimeout(resolve, 20));
+    }
+    assertFalse(client.health.remote.healthy, 'Stuck TRNG should be quarantined by continuous tests');
+    assertEqual(client.entropyPool, null, 'Pool on quarantined source should be stopped');
+    assertFalse(client.getStatus().hasTrng, 'Quarantined TRNG is not reported as available');
+
+    const failover = await client.randomBytesWithSource(32);
+    assertEqual(failover.provider, 'software', 'Requests fail over to the next source');
+    assertEqual(failover.failover.from, 'utimaco-remote', 'Provenance records the failover');
+    await client.close();
+  } finally {
+    delete process.env.STUB_TRNG_STUCK;
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Test API key authentication of privileged endpoints
+ */
+async function testApiKeyAuth() {
+  console.log('\n=== Testing API Key Authentication ===\n');
+
+  // Same guard as POST /sector-tokens/revoke, in front of a stub handler
+  const tokenConfig = getConfig().sectorTokens;
+  const savedKeys = tokenConfig.revokeApiKeys;
+  const sectorConfig = getConfig().sectors;
+  const savedAdminKeys = sectorConfig.adminApiKeys;
+  const app = express();
+  app.use(express.json());
+  app.post('/sector-tokens/revoke', requireApiKey(() => getConfig().sectorTokens.revokeApiKeys, {
+    feature: 'Sector token revocation',
+    path: '/sector-tokens/revoke',
+    envPrefix: 'UIN_SECTOR_TOKEN_REVOKE_KEY_'
+  }), (req, res) => res.json({ success: true, actorSystem: req.apiClient }));
+  // Same guard as POST /sectors, PUT and DELETE /sectors/:code
+  app.delete('/sectors/:code', requireApiKey(() => getConfig().sectors.adminApiKeys, {
+    feature: 'Sector administration',
+    path: '/sectors',
+    envPrefix: 'UIN_SECTOR_ADMIN_KEY_'
+  }), (req, res) => res.json({ success: true, deleted: true }));
+
+  const server = await new Promise(resolve => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  const url = `http://127.0.0.1:${server.address().port}/sector-tokens/revoke`;
+  const revoke = (headers = {}) => fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: JSON.stringify({ sector: 'health', token: 'JW3NHX4YEG971E0T13RC', reason: 'test' })
+  });
+
+  try {
+    console.log('Testing revocation without keys configured:');
+    tokenConfig.revokeApiKeys = {};
+    assertEqual((await revoke()).status, 503, 'Revocation is disabled until a key is configured');
+
+    console.log('\nTesting revocation with keys configured:');
+    tokenConfig.revokeApiKeys = { CASE_OFFICE: 'case-office-key' };
+    const anonymous = await revoke();
+    assertEqual(anonymous.status, 401, 'Revocation without a key is rejected');
+    assertEqual((await anonymous.json()).error, 'Unauthorized', 'Rejection names the error');
+    assertEqual((await revoke({ 'X-API-Key': 'wrong-key' })).status, 401, 'Revocation with a wrong key is rejected');
+
+    const bearer = await revoke({ Authorization: 'Bearer case-office-key' });
+    assertEqual(bearer.status, 200, 'Revocation with a Bearer key is accepted');
+    assertEqual((await bearer.json()).actorSystem, 'CASE_OFFICE', 'Key client is recorded as the actor');
+    assertEqual((await revoke({ 'X-API-Key': 'case-office-key' })).status, 200, 'Revocation with an X-API-Key header is accepted');
+
+    console.log('\nTesting sector administration:');
+    const sectorUrl = `http://127.0.0.1:${server.address().port}/sectors/health`;
+    sectorConfig.adminApiKeys = {};
+    assertEqual((await fetch(sectorUrl, { method: 'DELETE' })).status, 503, 'Sector changes are disabled until a key is configured');
+    sectorConfig.adminApiKeys = { REGISTRY_ADMIN: 'registry-admin-key' };
+    assertEqual((await fetch(sectorUrl, { method: 'DELETE' })).status, 401, 'Sector deletion without a key is rejected');
+    assertEqual((await fetch(sectorUrl, { method: 'DELETE', headers: { 'X-API-Key': 'case-office-key' } })).status, 401, 'Another endpoint\'s key is rejected');
+    assertEqual((await fetch(sectorUrl, { method: 'DELETE', headers: { Authorization: 'Bearer registry-admin-key' } })).status, 200, 'Sector deletion with an admin key is accepted');
+  } finally {
+    tokenConfig.revokeApiKeys = savedKeys;
+    sectorConfig.adminApiKeys = savedAdminKeys;
+    await new Promise(resolve => server.close(resolve));
+  }
+}
+
 /**
  * Test UIN Validation
  */
@@ -355,6 +1770,14 @@ function testValidation() {
     checksum: { enabled: true, algorithm: 'modN', length: 1 }
   });
   assertFalse(result3.valid, 'Invalid checksum should fail validation');
+
+  // Numeric-only check digits through the generator
+  for (const algorithm of ['luhn', 'verhoeff', 'damm']) {
+    const numeric = generateUin({ mode: 'random', length: 15, charset: '0-9', checksum: { enabled: true, algorithm } });
+    assertTrue(validateUin(numeric.value, { checksum: { enabled: true, algorithm } }).valid, `Generated ${algorithm} UIN should validate`);
+  }
+  const lettered = validateUin('ABCDEFGH1', { checksum: { enabled: true, algorithm: 'luhn' } });
+  assertFalse(lettered.valid, 'Letters should fail numeric-only validation');
 }
 
 /**
@@ -369,12 +1792,32 @@ async function runAllTests() {
 
   try {
     testChecksumModule();
+    await testChecksumAnalyzer();
+    await testTypoRecovery();
+    testFf1();
     testSectorTokenModule();
+    await testSectorRegistry();
     testConfigModule();
+    testHashModule();
     testRandomMode();
     testFoundationalMode();
     testStructuredMode();
+    testStructuredParsing();
+    testSequenceFields();
+    await testBlocklist();
+    testCapacity();
+    await testSeededGeneration();
+    await testStreaming();
+    await testWorkerPool();
+    await testModeRegistry();
     testSectorTokenMode();
+    testFpeMode();
+    testMrzMode();
+    testMrzParsing();
+    await testAsyncGeneration();
+    await testEntropyPool();
+    await testEntropyHealth();
+    await testApiKeyAuth();
     testValidation();
 
     console.log('\n╔════════════════════════════════════════════════════════════╗');
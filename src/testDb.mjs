@@ -15,8 +15,28 @@ import {
   releaseStalePreassigned,
   getUin,
   getUinAudit,
-  getPoolStats
+  getPoolStats,
+  getIssuanceStats,
+  suggestUins,
+  reverseFpeSerial
 } from './poolService.mjs';
+import { setFpeKey, setSectorTokenKey, setSectorSecrets } from './cryptoService.mjs';
+import {
+  issueSectorToken,
+  getSectorToken,
+  verifyRegisteredSectorToken,
+  revokeSectorToken,
+  resolveSectorToken,
+  translateSectorToken,
+  startSectorRekey,
+  runSectorRekeyJob,
+  getSectorTokenAudit
+} from './sectorTokenService.mjs';
+import { resetConfig } from './config.mjs';
+import { createSector, updateSector, deleteSector, getSector, checkSectorRegistry } from './sectorService.mjs';
+import { generateUin, reverseFpeUin } from './uinGenerator.mjs';
+import { getGenerationPool } from './workerPool.mjs';
+import crypto from 'crypto';
 
 const TEST_SCOPE = 'test_scope';
 const TEST_CLIENT_ID = 'test_client';
@@ -94,6 +114,13 @@ async function testPoolStats() {
       return false;
     }
 
+    // UINs pre-generated by Test 2 fall inside the issuance window
+    const issuance = await getIssuanceStats({ scope: TEST_SCOPE, windowDays: 1 });
+    if (issuance.issued !== stats.total || issuance.issuedInWindow < 1) {
+      console.error(`✗ Issuance stats disagree with the pool: ${JSON.stringify(issuance)}`);
+      return false;
+    }
+
     console.log('✓ Pool statistics retrieved successfully\n');
     return true;
   } catch (error) {
@@ -317,11 +344,483 @@ async function testLookup(uin) {
   }
 }
 
+/**
+ * Test typo recovery suggestions
+ */
+async function testSuggestUins() {
+  console.log('Test 10: Typo Recovery Suggestions');
+  console.log('===================================\n');
+
+  const scope = `${TEST_SCOPE}_suggest`;
+
+  try {
+    await preGenerateUins({
+      count: 1,
+      mode: 'random',
+      scope,
+      options: {
+        length: 12,
+        charset: '0-9A-Z',
+        checksum: { enabled: true, algorithm: 'iso7064' }
+      }
+    });
+
+    // Unissued UINs are never suggested, so claim it first
+    const claimed = await claimUin({ scope, clientId: TEST_CLIENT_ID });
+    const uin = claimed.uin;
+    const i = [...uin].findIndex((char, index) => index + 1 < uin.length && char !== uin[index + 1]);
+    const misheard = uin.slice(0, i) + uin[i + 1] + uin[i] + uin.slice(i + 2);
+
+    console.log(`Suggesting for ${misheard} (transposed from ${uin})...`);
+    const result = await suggestUins({
+      input: misheard,
+      candidateOptions: { charset: '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ', length: 13, algorithm: 'iso7064' },
+      maxLookups: 20,
+      actorSystem: TEST_CLIENT_ID,
+      actorRef: 'test-case'
+    });
+
+    const match = result.suggestions.find(s => s.uin === uin);
+    if (!match || !match.exists || match.status !== 'PREASSIGNED') {
+      console.error('✗ Original UIN was not suggested as an existing PREASSIGNED UIN');
+      return false;
+    }
+
+    const audit = await getUinAudit(uin);
+    if (!audit.some(entry => entry.event_type === 'SUGGESTED' && entry.actor_ref === 'test-case')) {
+      console.error('✗ Suggestion was not audited');
+      return false;
+    }
+
+    console.log(`✓ ${result.matches} match(es) among ${result.candidatesChecked} checked candidates (${result.candidatesFound} passed the checksum)`);
+    console.log('');
+
+    return true;
+  } catch (error) {
+    console.error('✗ Suggestion failed:', error.message);
+    return false;
+  }
+}
+
+/**
+ * Test FPE pre-generation from the scope sequence and serial reversal
+ */
+async function testFpePreGeneration() {
+  console.log('Test 11: FPE Sequence-Backed Generation');
+  console.log('=======================================\n');
+
+  const scope = `${TEST_SCOPE}_fpe`;
+  setFpeKey(crypto.randomBytes(32).toString('hex'));
+
+  try {
+    const result = await preGenerateUins({
+      count: 5,
+      mode: 'fpe',
+      scope,
+      options: {
+        length: 10,
+        charset: 'numeric',
+        checksum: { enabled: true, algorithm: 'damm' }
+      }
+    });
+
+    if (result.inserted !== 5 || result.errors !== 0) {
+      console.error(`✗ Expected 5 inserted UINs, got ${result.inserted} (${result.errors} errors)`);
+      return false;
+    }
+
+    // Serials come from the scope sequence, so the UINs reverse to consecutive serials
+    const rows = await getDb()('uin_pool').where({ scope }).select('uin');
+    const serials = [];
+    for (const row of rows) {
+      const reversed = await reverseFpeSerial({ uin: row.uin, actorSystem: TEST_CLIENT_ID, actorRef: 'test-case' });
+      serials.push(BigInt(reversed.serial));
+    }
+    serials.sort((a, b) => (a < b ? -1 : 1));
+
+    if (serials.length < 5 || !serials.every((serial, i) => i === 0 || serial === serials[i - 1] + 1n)) {
+      console.error(`✗ Serials are not consecutive: ${serials.join(', ')}`);
+      return false;
+    }
+
+    const audit = await getUinAudit(rows[0].uin);
+    if (!audit.some(entry => entry.event_type === 'FPE_REVERSED' && entry.actor_ref === 'test-case')) {
+      console.error('✗ Reversal was not audited');
+      return false;
+    }
+
+    console.log(`✓ ${result.inserted} UINs issued from serials ${serials[0]}-${serials[serials.length - 1]}`);
+
+    // Scopes permute the same output space: have another scope issue this scope's next UIN first
+    const options = { length: 10, charset: 'numeric', checksum: { enabled: true, algorithm: 'damm' } };
+    const otherScope = `${scope}_other`;
+    const nextSerial = serials[serials.length - 1] + 1n;
+    const taken = generateUin({ mode: 'fpe', ...options, scope, serial: nextSerial });
+    const otherSerial = BigInt(reverseFpeUin(taken.value, { ...options, scope: otherScope }).serial);
+    if (generateUin({ mode: 'fpe', ...options, scope: otherScope, serial: otherSerial }).value !== taken.value) {
+      console.error('✗ Expected the other scope to map a serial to the same UIN');
+      return false;
+    }
+    await getDb()('uin_pool').insert({
+      uin: taken.value,
+      mode: 'fpe',
+      scope: otherScope,
+      iat: getDb().fn.now(),
+      status: 'AVAILABLE',
+      ts: getDb().fn.now(),
+      hash_rmd160: taken.hash_rmd160,
+      meta: { fpe: taken.fpe }
+    });
+
+    const redrawn = await preGenerateUins({ count: 1, mode: 'fpe', scope, options });
+    const [latest] = await getDb()('uin_pool').where({ scope }).whereNotIn('uin', rows.map(row => row.uin)).select('uin');
+    const latestSerial = latest ? BigInt(reverseFpeUin(latest.uin, { ...options, scope }).serial) : null;
+    if (redrawn.inserted !== 1 || redrawn.errors !== 0 || latestSerial !== nextSerial + 1n) {
+      console.error(`✗ Serial ${nextSerial} collides with scope ${otherScope} and should have been skipped (got serial ${latestSerial})`);
+      return false;
+    }
+
+    console.log(`✓ Serial ${nextSerial} collided with serial ${otherSerial} of ${otherScope}; serial ${latestSerial} issued instead`);
+    console.log('');
+
+    return true;
+  } catch (error) {
+    console.error('✗ FPE generation failed:', error.message);
+    return false;
+  }
+}
+
+/**
+ * Test sequence() fields drawn from template counters, up to exhaustion
+ */
+async function testSequencePreGeneration() {
+  console.log('Test 12: Structured Sequence Counters');
+  console.log('=====================================\n');
+
+  // Counters persist, so each run uses a fresh scope
+  const scope = `${TEST_SCOPE}_seq_${Date.now()}`;
+  const template = '{facility:3}-{serial:1:sequence(start=1,step=2)}';
+
+  try {
+    const result = await preGenerateUins({
+      count: 8,
+      mode: 'structured',
+      scope,
+      options: { template, values: { facility: '043' } }
+    });
+
+    // 1, 3, 5, 7, 9 fit in one digit; the sixth UIN exhausts the counter and stops the batch
+    if (result.inserted !== 5 || result.errors !== 1 || !result.errorDetails[0].error.includes('exhausted')) {
+      console.error(`✗ Expected 5 UINs and an exhaustion error, got ${result.inserted} (${JSON.stringify(result.errorDetails)})`);
+      return false;
+    }
+
+    const rows = await getDb()('uin_pool').where({ scope }).orderBy('uin').select('uin');
+    const uins = rows.map(row => row.uin).join(',');
+    if (uins !== '043-1,043-3,043-5,043-7,043-9') {
+      console.error(`✗ Unexpected sequence values: ${uins}`);
+      return false;
+    }
+
+    // Another facility has its own counter
+    const other = await preGenerateUins({ count: 1, mode: 'structured', scope, options: { template, values: { facility: '044' } } });
+    if (other.inserted !== 1) {
+      console.error('✗ A different key value did not start a new counter');
+      return false;
+    }
+
+    // Mode aliases draw from the same counter
+    const aliased = await preGenerateUins({ count: 1, mode: 'PII_STRUCTURED', scope, options: { template, values: { facility: '044' } } });
+    const aliasedRow = await getDb()('uin_pool').where({ scope, uin: '044-3' }).first();
+    if (aliased.inserted !== 1 || !aliasedRow) {
+      console.error(`✗ The structured alias did not draw from the counter: ${JSON.stringify(aliased.errorDetails)}`);
+      return false;
+    }
+
+    const stats = await getPoolStats(scope);
+    if (stats.sequences.counters !== 2 || stats.sequences.exhausted !== 1 || stats.sequences.exhaustedCounters[0].key.facility !== '043') {
+      console.error(`✗ Pool stats do not report the exhausted counter: ${JSON.stringify(stats.sequences)}`);
+      return false;
+    }
+
+    console.log(`✓ ${uins} issued, counter exhaustion reported in pool stats`);
+    console.log('');
+
+    return true;
+  } catch (error) {
+    console.error('✗ Sequence generation failed:', error.message);
+    return false;
+  }
+}
+
+/**
+ * Test pre-generation through the worker pool
+ */
+async function testWorkerPreGeneration() {
+  console.log('Test 13: Worker Pool Pre-Generation');
+  console.log('===================================\n');
+
+  // Each run uses a fresh scope, so the count below covers this run only
+  const scope = `${TEST_SCOPE}_workers_${Date.now()}`;
+
+  try {
+    // Above UIN_WORKER_MIN_BATCH, so candidates are generated in worker threads
+    const result = await preGenerateUins({ count: 300, mode: 'random', scope, options: { length: 16 } });
+    if (result.inserted !== 300 || result.errors !== 0) {
+      console.error(`✗ Expected 300 UINs, got ${result.inserted} (${JSON.stringify(result.errorDetails)})`);
+      return false;
+    }
+
+    const rows = await getDb()('uin_pool').where({ scope }).select('uin', 'meta');
+    if (new Set(rows.map(row => row.uin)).size !== 300 || rows.some(row => !row.meta.provenance)) {
+      console.error('✗ Worker-generated UINs are missing or lack provenance');
+      return false;
+    }
+
+    const workers = getGenerationPool();
+    console.log(`✓ 300 UINs inserted${workers ? ` via ${workers.getStats().threads} worker thread(s)` : ' (worker pool disabled)'}`);
+    console.log('');
+
+    return true;
+  } catch (error) {
+    console.error('✗ Worker pre-generation failed:', error.message);
+    return false;
+  }
+}
+
+/**
+ * Test the sector token registry: issue, look up, verify, resolve and revoke
+ */
+async function testSectorTokenRegistry() {
+  console.log('Test 14: Sector Token Registry');
+  console.log('==============================\n');
+
+  // A fresh UIN per run, so no active token is left over from a previous run
+  const foundationalUin = `TEST${Date.now()}`;
+  setSectorTokenKey(crypto.randomBytes(32).toString('hex'));
+
+  try {
+    const issued = await issueSectorToken({ foundationalUin, sector: 'health', actorSystem: TEST_CLIENT_ID });
+    const again = await issueSectorToken({ foundationalUin, sector: 'Health', actorSystem: TEST_CLIENT_ID });
+    if (issued.existing || !again.existing || again.token !== issued.token) {
+      console.error('✗ Issuing twice should return the active token');
+      return false;
+    }
+
+    const record = await getSectorToken('health', issued.token);
+    if (!record || record.status !== 'ACTIVE' || 'salt' in record || 'foundationalUin' in record) {
+      console.error('✗ Lookup should return the public record only');
+      return false;
+    }
+
+    const verified = await verifyRegisteredSectorToken({ sector: 'health', token: issued.token, foundationalUin });
+    const mismatched = await verifyRegisteredSectorToken({ sector: 'health', token: issued.token, foundationalUin: `${foundationalUin}X` });
+    if (!verified.valid || mismatched.matches) {
+      console.error('✗ Verification should accept the foundational UIN and only it');
+      return false;
+    }
+
+    const resolved = await resolveSectorToken({ sector: 'health', token: issued.token, actorSystem: TEST_CLIENT_ID, actorRef: 'test-case' });
+    if (resolved.foundationalUin !== foundationalUin) {
+      console.error('✗ Resolution returned the wrong foundational UIN');
+      return false;
+    }
+
+    const revoked = await revokeSectorToken({ sector: 'health', token: issued.token, reason: 'test', actorSystem: TEST_CLIENT_ID });
+    const afterRevoke = await verifyRegisteredSectorToken({ sector: 'health', token: issued.token, foundationalUin });
+    const reissued = await issueSectorToken({ foundationalUin, sector: 'health', actorSystem: TEST_CLIENT_ID });
+    if (revoked.status !== 'REVOKED' || afterRevoke.valid || !afterRevoke.matches || reissued.existing || reissued.token === issued.token) {
+      console.error('✗ A revoked token should fail verification and allow a new token');
+      return false;
+    }
+
+    const events = (await getSectorTokenAudit('health', issued.token)).map(entry => entry.event_type);
+    if (events.join(',') !== 'ISSUED,VERIFIED,VERIFIED,RESOLVED,REVOKED,VERIFIED') {
+      console.error(`✗ Unexpected audit trail: ${events.join(', ')}`);
+      return false;
+    }
+
+    console.log(`✓ Token ${issued.token} issued, verified, resolved and revoked; replaced by ${reissued.token}`);
+    console.log('');
+
+    return true;
+  } catch (error) {
+    console.error('✗ Sector token registry failed:', error.message);
+    return false;
+  }
+}
+
+/**
+ * Test cross-sector token translation
+ */
+async function testSectorTokenTranslation() {
+  console.log('Test 15: Sector Token Translation');
+  console.log('=================================\n');
+
+  const foundationalUin = `TEST${Date.now()}`;
+  setSectorTokenKey(crypto.randomBytes(32).toString('hex'));
+  process.env.UIN_SECTOR_TOKEN_TRANSLATE_POLICY = 'health>tax';
+  resetConfig();
+
+  try {
+    const health = await issueSectorToken({ foundationalUin, sector: 'health', actorSystem: TEST_CLIENT_ID });
+    const translated = await translateSectorToken({ sector: 'health', token: health.token, targetSector: 'tax', actorSystem: TEST_CLIENT_ID, actorRef: 'test-case' });
+    const again = await translateSectorToken({ sector: 'health', token: health.token, targetSector: 'tax', actorSystem: TEST_CLIENT_ID, actorRef: 'test-case' });
+    if (translated.sector !== 'tax' || 'foundationalUin' in translated || translated.existing || !again.existing || again.token !== translated.token) {
+      console.error('✗ Translation should issue the target token once and reuse it');
+      return false;
+    }
+
+    const resolved = await resolveSectorToken({ sector: 'tax', token: translated.token, actorSystem: TEST_CLIENT_ID, actorRef: 'test-case' });
+    if (resolved.foundationalUin !== foundationalUin) {
+      console.error('✗ Target token should belong to the same foundational UIN');
+      return false;
+    }
+
+    try {
+      await translateSectorToken({ sector: 'tax', token: translated.token, targetSector: 'health', actorSystem: TEST_CLIENT_ID, actorRef: 'test-case' });
+      console.error('✗ Translation outside the policy should be denied');
+      return false;
+    } catch (error) {
+      if (error.code !== 'TRANSLATION_DENIED') throw error;
+    }
+
+    const events = (await getSectorTokenAudit('health', health.token)).map(entry => entry.event_type);
+    if (events.join(',') !== 'ISSUED,TRANSLATED,TRANSLATED') {
+      console.error(`✗ Unexpected audit trail: ${events.join(', ')}`);
+      return false;
+    }
+
+    console.log(`✓ Health token ${health.token} translated to tax token ${translated.token}`);
+    console.log('');
+
+    return true;
+  } catch (error) {
+    console.error('✗ Sector token translation failed:', error.message);
+    return false;
+  } finally {
+    delete process.env.UIN_SECTOR_TOKEN_TRANSLATE_POLICY;
+    resetConfig();
+  }
+}
+
+/**
+ * Test sector secret rotation
+ */
+async function testSectorRekey() {
+  console.log('Test 16: Sector Secret Rotation');
+  console.log('===============================\n');
+
+  // A fresh sector per run, so its secret versions start at 1
+  const sector = `rekey${Date.now()}`;
+  const foundationalUin = `TEST${Date.now()}`;
+  setSectorTokenKey(crypto.randomBytes(32).toString('hex'));
+  const v1Secret = crypto.randomBytes(32).toString('hex');
+  setSectorSecrets({ [sector]: v1Secret });
+
+  try {
+    const original = await issueSectorToken({ foundationalUin, sector, actorSystem: TEST_CLIENT_ID });
+    const revoked = await issueSectorToken({ foundationalUin: `${foundationalUin}R`, sector, actorSystem: TEST_CLIENT_ID });
+    await revokeSectorToken({ sector, token: revoked.token, reason: 'test', actorSystem: TEST_CLIENT_ID });
+
+    setSectorSecrets({ [sector]: v1Secret, [`${sector}@v2`]: crypto.randomBytes(32).toString('hex') });
+    const job = await startSectorRekey({ sector, targetVersion: 2, requestedBy: TEST_CLIENT_ID });
+    const finished = await runSectorRekeyJob(job.id, { batchSize: 1 });
+    if (job.total !== 1 || finished.status !== 'COMPLETED' || finished.processed !== 1 || finished.retiredVersions.join(',') !== '1') {
+      console.error(`✗ Unexpected job result: ${JSON.stringify(finished)}`);
+      return false;
+    }
+
+    const superseded = await getSectorToken(sector, original.token);
+    const replacement = await getSectorToken(sector, superseded.supersededBy);
+    if (superseded.status !== 'SUPERSEDED' || replacement.status !== 'ACTIVE' || replacement.keyVersion !== 2) {
+      console.error('✗ The original token should be superseded by an active v2 token');
+      return false;
+    }
+
+    const current = await verifyRegisteredSectorToken({ sector, token: replacement.token, foundationalUin });
+    const retired = await verifyRegisteredSectorToken({ sector, token: original.token, foundationalUin });
+    const reissued = await issueSectorToken({ foundationalUin, sector, actorSystem: TEST_CLIENT_ID });
+    if (!current.valid || retired.matches || !reissued.existing || reissued.token !== replacement.token) {
+      console.error('✗ Only the v2 token should verify once v1 is retired');
+      return false;
+    }
+
+    console.log(`✓ Token ${original.token} re-derived under v2 as ${replacement.token}; v1 retired`);
+    console.log('');
+
+    return true;
+  } catch (error) {
+    console.error('✗ Sector secret rotation failed:', error.message);
+    return false;
+  } finally {
+    setSectorSecrets({});
+  }
+}
+
+/**
+ * Test the sector registry
+ */
+async function testSectorRegistryCrud() {
+  console.log('Test 17: Sector Registry');
+  console.log('========================\n');
+
+  // A fresh sector per run; removed at the end, since a non-empty registry refuses unregistered sectors
+  const code = `sector${Date.now()}`;
+
+  try {
+    const created = await createSector({ code, name: 'Test Sector', token_length: 11, charset: 'numeric', checksum_algorithm: 'verhoeff', format_code: 'HEALTH_ID', created_by: TEST_CLIENT_ID });
+    if (!created.enabled || created.format.format_code !== 'HEALTH_ID') {
+      console.error('✗ Created sector should be enabled and linked to its format');
+      return false;
+    }
+
+    try {
+      await updateSector(code, { token_length: 16 });
+      console.error('✗ A token length that does not fit the format should be refused');
+      return false;
+    } catch (error) {
+      // Expected: HEALTH_ID is for 12-character values
+    }
+
+    setSectorSecrets({ [code]: crypto.randomBytes(32).toString('hex') });
+    const token = generateUin({ mode: 'sector_token', foundationalUin: `TEST${Date.now()}`, sector: code });
+    const { problems } = await checkSectorRegistry();
+    if (token.value.length !== 12 || !token.formatted.startsWith('HLT-') || problems.some(entry => entry.sector === code)) {
+      console.error('✗ Generation should follow the sector policy and the sector should be consistent');
+      return false;
+    }
+
+    await updateSector(code, { enabled: false });
+    let refused = false;
+    try {
+      generateUin({ mode: 'sector_token', foundationalUin: 'TEST', sector: code });
+    } catch (error) {
+      refused = true;
+    }
+    if (!refused || (await getSector(code)).enabled) {
+      console.error('✗ A disabled sector should be refused');
+      return false;
+    }
+
+    console.log(`✓ Sector ${code} created, checked, used for generation (${token.formatted}) and disabled`);
+    console.log('');
+
+    return true;
+  } catch (error) {
+    console.error('✗ Sector registry failed:', error.message);
+    return false;
+  } finally {
+    await deleteSector(code).catch(() => {});
+    setSectorSecrets({});
+  }
+}
+
 /**
  * Test stale preassignment cleanup
  */
 async function testStaleCleanup() {
-  console.log('Test 10: Stale Preassignment Cleanup');
+  console.log('Test 18: Stale Preassignment Cleanup');
   console.log('=====================================\n');
 
   try {
@@ -396,7 +895,39 @@ async function runTests() {
     const lookupOk = await testLookup(assignedUin);
     results.push({ test: 'UIN Lookup', passed: lookupOk });
 
-    // Test 10: Cleanup
+    // Test 10: Typo recovery
+    const suggestOk = await testSuggestUins();
+    results.push({ test: 'Typo Recovery', passed: suggestOk });
+
+    // Test 11: FPE generation
+    const fpeOk = await testFpePreGeneration();
+    results.push({ test: 'FPE Generation', passed: fpeOk });
+
+    // Test 12: Sequence counters
+    const sequenceOk = await testSequencePreGeneration();
+    results.push({ test: 'Sequence Counters', passed: sequenceOk });
+
+    // Test 13: Worker pool
+    const workersOk = await testWorkerPreGeneration();
+    results.push({ test: 'Worker Pre-Generation', passed: workersOk });
+
+    // Test 14: Sector token registry
+    const sectorTokensOk = await testSectorTokenRegistry();
+    results.push({ test: 'Sector Token Registry', passed: sectorTokensOk });
+
+    // Test 15: Sector token translation
+    const translationOk = await testSectorTokenTranslation();
+    results.push({ test: 'Sector Token Translation', passed: translationOk });
+
+    // Test 16: Sector secret rotation
+    const rekeyOk = await testSectorRekey();
+    results.push({ test: 'Sector Secret Rotation', passed: rekeyOk });
+
+    // Test 17: Sector registry
+    const sectorRegistryOk = await testSectorRegistryCrud();
+    results.push({ test: 'Sector Registry', passed: sectorRegistryOk });
+
+    // Test 18: Cleanup
     const cleanupOk = await testStaleCleanup();
     results.push({ test: 'Stale Cleanup', passed: cleanupOk });
 
@@ -0,0 +1,248 @@
+/**
+ * Typo Recovery
+ * Generates the UINs a mistyped or misheard input could have been: every string
+ * within edit distance 1-2 (substitutions, insertions, deletions and adjacent
+ * transpositions) that has the expected length, uses the UIN charset and
+ * passes the checksum. Candidates are ranked by how likely the edits are, with
+ * ambiguous-character swaps and transpositions ranked above arbitrary edits.
+ *
+ * The distance-2 search grows with the square of the input length, so servers
+ * use generateTypoCandidatesAsync, which yields to the event loop as it goes.
+ */
+
+import { verifyChecksum, getChecksumAlgorithm } from './checksum.mjs';
+import { excludeAmbiguous } from './config.mjs';
+
+/**
+ * Characters easily confused when read or heard, grouped by what they are mistaken for
+ * The first two groups are the characters excludeAmbiguous() removes
+ */
+const AMBIGUOUS_GROUPS = [
+  ['0', 'O', 'Q', 'D'],
+  ['1', 'I', 'L'],
+  ['2', 'Z'],
+  ['5', 'S'],
+  ['8', 'B'],
+  // Letters that sound alike over the phone
+  ['B', 'C', 'D', 'E', 'G', 'P', 'T', 'V', 'Z'],
+  ['M', 'N'],
+  ['F', 'S', 'X'],
+  ['A', 'J', 'K'],
+  ['I', 'Y'],
+  ['Q', 'U']
+];
+
+/**
+ * Cost of each edit type; lower costs rank first
+ */
+const EDIT_COSTS = {
+  ambiguous: 0.5,
+  transposition: 0.5,
+  substitution: 1,
+  insertion: 1,
+  deletion: 1
+};
+
+export const MAX_SUGGEST_DISTANCE = 2;
+
+// Ordered pairs ('0O', 'O0', ...) of commonly confused characters
+const AMBIGUOUS_PAIRS = new Set(
+  AMBIGUOUS_GROUPS.flatMap(group => group.flatMap(a => group.filter(b => b !== a).map(b => a + b)))
+);
+
+/**
+ * Enumerate single edits of a value that keep it within reach of the target length
+ * @param {string} value - Value to edit
+ * @param {string} charset - Characters that may be inserted or substituted
+ * @param {number[]} lengths - Allowed result lengths
+ * @param {Function} visit - Called with (editedValue, type, position, from, to)
+ */
+function forEachEdit(value, charset, lengths, visit) {
+  const n = value.length;
+
+  if (lengths.includes(n)) {
+    for (let i = 0; i < n; i++) {
+      for (const char of charset) {
+        if (char !== value[i]) {
+          const type = AMBIGUOUS_PAIRS.has(value[i] + char) ? 'ambiguous' : 'substitution';
+          visit(value.slice(0, i) + char + value.slice(i + 1), type, i, value[i], char);
+        }
+      }
+    }
+    for (let i = 0; i + 1 < n; i++) {
+      if (value[i] !== value[i + 1]) {
+        visit(value.slice(0, i) + value[i + 1] + value[i] + value.slice(i + 2), 'transposition', i, value[i] + value[i + 1], value[i + 1] + value[i]);
+      }
+    }
+  }
+
+  if (lengths.includes(n + 1)) {
+    for (let i = 0; i <= n; i++) {
+      for (const char of charset) {
+        visit(value.slice(0, i) + char + value.slice(i), 'insertion', i, '', char);
+      }
+    }
+  }
+
+  if (lengths.includes(n - 1)) {
+    for (let i = 0; i < n; i++) {
+      visit(value.slice(0, i) + value.slice(i + 1), 'deletion', i, value[i], '');
+    }
+  }
+}
+
+/**
+ * Search checksum-valid candidates for a possibly mistyped UIN
+ * Yields after the distance-2 edits of each first edit, so callers can pause the search.
+ * @param {string} input - UIN as received
+ * @param {object} options - Candidate options (see generateTypoCandidates)
+ * @returns {Generator<undefined, object>} Search; returns the ranked candidates
+ */
+function* searchCandidates(input, options) {
+  const { algorithm, length, modulus = 10, maxDistance = MAX_SUGGEST_DISTANCE } = options;
+
+  if (!input || typeof input !== 'string') {
+    throw new Error('Input must be a non-empty string');
+  }
+  if (!algorithm) {
+    throw new Error('A checksum algorithm is required to filter candidates');
+  }
+  if (!Number.isInteger(maxDistance) || maxDistance < 1 || maxDistance > MAX_SUGGEST_DISTANCE) {
+    throw new Error(`Maximum distance must be between 1 and ${MAX_SUGGEST_DISTANCE}`);
+  }
+
+  let charset = options.charset;
+  if (options.excludeAmbiguous) {
+    charset = excludeAmbiguous(charset);
+  }
+  const caseSensitive = charset !== charset.toUpperCase();
+  const normalized = input.replace(/[\s-]/g, '');
+  const value = caseSensitive ? normalized : normalized.toUpperCase();
+
+  if (Math.abs(value.length - length) > maxDistance) {
+    throw new Error(`Input length ${value.length} is more than ${maxDistance} edits from the expected length ${length}`);
+  }
+
+  // Make sure the checksum algorithm exists before enumerating
+  getChecksumAlgorithm(algorithm);
+
+  // Edits only introduce charset characters, so only inputs with foreign characters need checking
+  const allowed = new Set(charset);
+  const needsCharsetCheck = [...value].some(char => !allowed.has(char));
+  const inCharset = (candidate) => {
+    for (const char of candidate) {
+      if (!allowed.has(char)) {
+        return false;
+      }
+    }
+    return true;
+  };
+
+  const candidates = new Map();
+  // Edit records are only built for candidates that are kept
+  const consider = (candidate, cost, buildEdits) => {
+    if (candidate.length !== length || (needsCharsetCheck && !inCharset(candidate))) {
+      return;
+    }
+    const existing = candidates.get(candidate);
+    if (existing && existing.cost <= cost) {
+      return;
+    }
+    let valid;
+    try {
+      valid = existing ? true : verifyChecksum(candidate, { algorithm, modulus });
+    } catch (error) {
+      valid = false;
+    }
+    if (valid) {
+      const edits = buildEdits();
+      candidates.set(candidate, { uin: candidate, distance: edits.length, cost, edits });
+    }
+  };
+
+  consider(value, 0, () => []);
+
+  // Lengths from which the target is still reachable with the remaining edits
+  const reachable = (remaining) => {
+    const lengths = [];
+    for (let l = length - remaining; l <= length + remaining; l++) {
+      lengths.push(l);
+    }
+    return lengths;
+  };
+
+  const firstEdits = [];
+  forEachEdit(value, charset, reachable(maxDistance - 1), (first, type, position, from, to) => {
+    firstEdits.push({ first, edit: { type, position, from, to } });
+  });
+
+  for (const { first, edit } of firstEdits) {
+    const cost = EDIT_COSTS[edit.type];
+    consider(first, cost, () => [edit]);
+
+    if (maxDistance > 1) {
+      forEachEdit(first, charset, [length], (second, secondType, secondPosition, secondFrom, secondTo) => {
+        if (second !== value) {
+          consider(second, cost + EDIT_COSTS[secondType], () => [edit, { type: secondType, position: secondPosition, from: secondFrom, to: secondTo }]);
+        }
+      });
+      yield;
+    }
+  }
+
+  const ranked = [...candidates.values()].sort((a, b) =>
+    a.cost - b.cost || a.distance - b.distance || (a.uin < b.uin ? -1 : 1)
+  );
+
+  return { input: value, candidates: ranked };
+}
+
+/**
+ * Generate checksum-valid candidates for a possibly mistyped UIN
+ * @param {string} input - UIN as received (spaces and hyphens are ignored)
+ * @param {object} options - Candidate options
+ * @param {string} options.charset - UIN charset
+ * @param {boolean} [options.excludeAmbiguous] - The UIN format excludes ambiguous characters
+ * @param {number} options.length - Expected UIN length, including check characters
+ * @param {string} options.algorithm - Checksum algorithm
+ * @param {number} [options.modulus=10] - Modulus for modN algorithm
+ * @param {number} [options.maxDistance=2] - Maximum number of edits (1 or 2)
+ * @returns {{input: string, candidates: Array<{uin: string, distance: number, cost: number, edits: object[]}>}} Ranked candidates
+ */
+export function generateTypoCandidates(input, options = {}) {
+  const search = searchCandidates(input, options);
+  let step = search.next();
+  while (!step.done) {
+    step = search.next();
+  }
+  return step.value;
+}
+
+/**
+ * Generate checksum-valid candidates without blocking the event loop
+ * Same result as generateTypoCandidates; the search lets other work run every sliceMs.
+ * @param {string} input - UIN as received (spaces and hyphens are ignored)
+ * @param {object} options - Candidate options (see generateTypoCandidates)
+ * @param {object} [schedule] - Scheduling options
+ * @param {number} [schedule.sliceMs=10] - Longest run between yields, in milliseconds
+ * @returns {Promise<{input: string, candidates: Array<object>}>} Ranked candidates
+ */
+export async function generateTypoCandidatesAsync(input, options = {}, { sliceMs = 10 } = {}) {
+  const search = searchCandidates(input, options);
+  let sliceStart = Date.now();
+  let step = search.next();
+  while (!step.done) {
+    if (Date.now() - sliceStart >= sliceMs) {
+      await new Promise(resolve => setImmediate(resolve));
+      sliceStart = Date.now();
+    }
+    step = search.next();
+  }
+  return step.value;
+}
+
+export default {
+  generateTypoCandidates,
+  generateTypoCandidatesAsync,
+  MAX_SUGGEST_DISTANCE
+};
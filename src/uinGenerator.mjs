@@ -1,47 +1,139 @@
 /**
  * Core UIN Generator Engine
- * Supports multiple generation modes: random, structured, sector_token, foundational
- * Includes provenance tracking for entropy source (HSM TRNG vs Software CSPRNG)
+ * Supports multiple generation modes: random, structured, sector_token, foundational, fpe, mrz.
+ * Each is registered with the mode registry (see modeRegistry.mjs), as are plugin modes
+ * Includes per-result provenance tracking for entropy source (HSM TRNG vs Software CSPRNG)
  */
 
 import crypto from 'crypto';
-import { appendChecksum, verifyChecksum } from './checksum.mjs';
+import { appendChecksum, verifyChecksum, getChecksumAlgorithm } from './checksum.mjs';
 import { deriveSectorToken } from './sectorToken.mjs';
 import { getConfig, parseCharset, excludeAmbiguous } from './config.mjs';
 import { computeUinHash } from './hash.mjs';
+import { buildMrz, parseMrz, COUNTRY_CODES, DOCUMENT_TYPES, MRZ_FORMATS } from './mrz.mjs';
+import { randomBytesWithSource as cryptoRandomBytesWithSource, getFpeKey, getEffectiveSectorSecrets } from './cryptoService.mjs';
+import { encryptSerial, decryptSerial } from './ff1.mjs';
+import { getBlocklist } from './blocklist.mjs';
+import { HmacDrbg } from './hmacDrbg.mjs';
+import { parseTemplate, checkFieldValue, resolveCharset, formatDate, formatSequenceValue, sequenceKeyFields, decomposeUin } from './template.mjs';
+import { getModeRegistry, registerMode } from './modeRegistry.mjs';
+import { getSectorPolicy } from './sectorService.mjs';
+import { applyFormat } from './formatService.mjs';
+
+export { COUNTRY_CODES, DOCUMENT_TYPES, MRZ_FORMATS };
 
-// Provenance tracking - will be set by async generator
-let lastProvenance = {
+/**
+ * Provenance of the synchronous path, which always draws from Node.js CSPRNG
+ */
+const SOFTWARE_PROVENANCE = Object.freeze({
   source: 'Node.js CSPRNG',
   hardware: false,
   fipsLevel: 0,
-  provider: null
-};
+  provider: 'software'
+});
+
+/**
+ * Provenance of seeded generation: reproducible, and never to be issued
+ */
+const DETERMINISTIC_PROVENANCE = Object.freeze({
+  source: 'deterministic-test',
+  hardware: false,
+  fipsLevel: 0,
+  provider: 'hmac-drbg'
+});
+
+/**
+ * Personalization string separating UIN fixtures from other uses of the same seed
+ */
+const SEED_PERSONALIZATION = Buffer.from('osia-uin-generator/deterministic-test/v1', 'utf8');
+
+/**
+ * Maximum number of entropy top-ups per async generation
+ */
+const MAX_ENTROPY_TOPUPS = 16;
+
+/**
+ * Create a sequential reader over a buffer of entropy
+ * Without a topUp function, running out of bytes throws an error with
+ * code ENTROPY_EXHAUSTED rather than silently switching to another source
+ * @param {Buffer} bytes - Random bytes
+ * @param {Function} [topUp] - Synchronous function returning more bytes from the same source
+ * @returns {{nextByte: Function}} Entropy reader
+ */
+function createEntropyReader(bytes, topUp = null) {
+  let buffer = bytes;
+  let offset = 0;
+
+  return {
+    nextByte() {
+      if (offset >= buffer.length) {
+        if (!topUp) {
+          const error = new Error('Entropy exhausted');
+          error.code = 'ENTROPY_EXHAUSTED';
+          throw error;
+        }
+        buffer = topUp();
+        offset = 0;
+      }
+      return buffer[offset++];
+    }
+  };
+}
+
+/**
+ * Entropy reader backed by Node.js CSPRNG, topped up from the same source
+ * @returns {{nextByte: Function}} Entropy reader
+ */
+function createSoftwareEntropy() {
+  return createEntropyReader(Buffer.alloc(0), () => crypto.randomBytes(64));
+}
+
+/**
+ * HMAC_DRBG instantiated from a test seed
+ * @param {string|number} seed - Seed
+ * @returns {HmacDrbg} DRBG
+ */
+function createSeededDrbg(seed) {
+  const input = Buffer.from(String(seed), 'utf8');
+  if (seed === null || input.length === 0) {
+    throw new Error('Seed must be a non-empty string or number');
+  }
+  return new HmacDrbg(input, Buffer.alloc(0), SEED_PERSONALIZATION);
+}
 
 /**
- * Get current provenance info
- * @returns {object} Provenance information
+ * Bytes drawn from an entropy source at a time
+ * A seeded DRBG stream depends on how it is split into draws, so generateUin and
+ * generateUinAsync draw the same sizes: the same seed then gives the same UIN on both.
+ * @param {object} options - Generation options
+ * @returns {number} Draw size in bytes
  */
-export function getProvenance() {
-  return { ...lastProvenance };
+function entropyDrawSize(options) {
+  return Math.max(64, 2 * (options.length || getConfig().defaultLength));
 }
 
 /**
- * Set provenance info (called by cryptoService when using HSM)
- * @param {object} provenance - Provenance data
+ * Deterministic entropy source for reproducible test fixtures
+ * Has the same shape as cryptoService.randomBytesWithSource, so one source can be
+ * shared by consecutive generateUinAsync calls to produce a reproducible set.
+ * @param {string|number} seed - Seed
+ * @returns {Function} Async function (length) => { bytes, ...provenance }
  */
-export function setProvenance(provenance) {
-  lastProvenance = { ...provenance };
+export function createDeterministicSource(seed) {
+  const drbg = createSeededDrbg(seed);
+  return async (length) => ({ bytes: drbg.generate(length), ...DETERMINISTIC_PROVENANCE });
 }
 
 /**
  * Generate a cryptographically secure random string
  * @param {number} length - Length of the string
  * @param {string} charset - Character set to use
- * @param {Buffer} [providedBytes] - Optional pre-generated random bytes (from HSM)
+ * @param {Buffer|object} [entropy] - Pre-generated random bytes (e.g. from HSM) or an entropy reader;
+ *   defaults to Node.js CSPRNG. Pre-generated bytes are never mixed with another source: if they run
+ *   out, an ENTROPY_EXHAUSTED error is thrown
  * @returns {string} Random string
  */
-function generateRandomString(length, charset, providedBytes = null) {
+function generateRandomString(length, charset, entropy = null) {
   if (length <= 0) {
     throw new Error('Length must be positive');
   }
@@ -51,130 +143,124 @@ function generateRandomString(length, charset, providedBytes = null) {
   }
 
   const charsetLength = charset.length;
-  const randomBytes = providedBytes || crypto.randomBytes(length * 2);
+  if (charsetLength > 256) {
+    throw new Error('Charset must not exceed 256 characters');
+  }
 
-  let result = '';
-  let byteIndex = 0;
+  const reader = Buffer.isBuffer(entropy)
+    ? createEntropyReader(entropy)
+    : (entropy || createSoftwareEntropy());
 
-  while (result.length < length && byteIndex < randomBytes.length) {
-    const byte = randomBytes[byteIndex];
-    // Use rejection sampling for uniform distribution
-    const maxUsable = 256 - (256 % charsetLength);
+  // Use rejection sampling for uniform distribution
+  const maxUsable = 256 - (256 % charsetLength);
+  let result = '';
 
+  while (result.length < length) {
+    const byte = reader.nextByte();
     if (byte < maxUsable) {
-      const charIndex = byte % charsetLength;
-      result += charset[charIndex];
+      result += charset[byte % charsetLength];
     }
-
-    byteIndex++;
-  }
-
-  // If we exhausted our random bytes, generate more (software fallback)
-  if (result.length < length) {
-    return generateRandomString(length, charset);
   }
 
   return result;
 }
 
 /**
- * Parse a template and extract placeholder information
- * @param {string} template - Template string (e.g., "RR-YYYY-FFF-NNNNN")
- * @returns {Array} Array of segments with type and length
+ * Compute one field of a template
+ * @param {object} field - Field segment (see parseTemplate)
+ * @param {object} context - Fill context (values, randomSegments, lookups, date, defaultCharset, entropy)
+ * @returns {string} Field value
  */
-function parseTemplate(template) {
-  const segments = [];
-  let currentSegment = '';
-  let currentChar = null;
-
-  for (let i = 0; i < template.length; i++) {
-    const char = template[i];
-
-    if (/[A-Za-z0-9]/.test(char)) {
-      if (currentChar === null || currentChar === char) {
-        currentChar = char;
-        currentSegment += char;
-      } else {
-        // New placeholder type
-        segments.push({
-          type: 'placeholder',
-          char: currentChar,
-          length: currentSegment.length
-        });
-        currentChar = char;
-        currentSegment = char;
-      }
-    } else {
-      // Separator or literal character
-      if (currentSegment.length > 0) {
-        segments.push({
-          type: 'placeholder',
-          char: currentChar,
-          length: currentSegment.length
-        });
-        currentChar = null;
-        currentSegment = '';
-      }
-      segments.push({
-        type: 'literal',
-        value: char
-      });
+function fillField(field, context) {
+  const { values, randomSegments, defaultCharset, entropy } = context;
+  const raw = field.kind === 'legacy'
+    ? values[field.name] ?? values[field.name.toLowerCase()]
+    : values[field.name];
+  const supplied = raw !== undefined && raw !== null && raw !== '';
+
+  const checked = (value) => {
+    const error = checkFieldValue(field, value, context);
+    if (error) {
+      throw new Error(error);
+    }
+    return value;
+  };
+
+  if (field.kind === 'date') {
+    // Already-rendered values (e.g. '2025' for YYYY) are used as they are
+    if (supplied && typeof raw !== 'object' && /^\d+$/.test(String(raw)) && String(raw).length === field.length) {
+      return checked(String(raw));
     }
+    const date = new Date(supplied ? raw : (context.date || Date.now()));
+    if (Number.isNaN(date.getTime())) {
+      throw new Error(`Field '${field.name}' needs a valid date`);
+    }
+    return formatDate(date, field.format);
   }
 
-  // Add final segment
-  if (currentSegment.length > 0) {
-    segments.push({
-      type: 'placeholder',
-      char: currentChar,
-      length: currentSegment.length
-    });
+  if (field.kind === 'sequence') {
+    if (!supplied) {
+      throw new Error(`Field '${field.name}' is a sequence: its counter value is drawn when pre-generating into the pool`);
+    }
+    return checked(formatSequenceValue(field, raw));
   }
 
-  return segments;
+  if (supplied) {
+    return checked(String(raw));
+  }
+
+  switch (field.kind) {
+    case 'legacy': {
+      const segmentConfig = randomSegments[field.name] || randomSegments[field.name.toLowerCase()] || {};
+      return generateRandomString(field.length, resolveCharset(segmentConfig.charset || defaultCharset), entropy);
+    }
+
+    case 'random':
+      return generateRandomString(field.length, field.charset || defaultCharset, entropy);
+
+    case 'lookup':
+      if (!context.lookups[field.table]) {
+        throw new Error(`Lookup table '${field.table}' for field '${field.name}' was not provided`);
+      }
+      throw new Error(`Missing value for field '${field.name}'`);
+
+    default:
+      throw new Error(`Missing value for field '${field.name}'`);
+  }
 }
 
 /**
  * Fill a template with values
- * @param {string} template - Template string
- * @param {object} values - Values to fill (keyed by placeholder char or name)
- * @param {object} randomSegments - Configuration for random segments
- * @param {string} defaultCharset - Default charset for random segments
- * @returns {{value: string, components: object}} Filled template and components
+ * Supplied values must have exactly the field length; they are never truncated or padded.
+ * @param {string} template - Template string (see template.mjs for the syntax)
+ * @param {object} [options] - Fill options
+ * @param {object} [options.values] - Values keyed by field name
+ * @param {object} [options.randomSegments] - Charsets for random fields of legacy templates, keyed by character
+ * @param {object} [options.lookups] - Lookup tables keyed by name: arrays of codes or objects keyed by code
+ * @param {Date|string} [options.date] - Date for date fields without a value (default: now)
+ * @param {string} [options.defaultCharset='0123456789'] - Charset for fields that do not name one
+ * @param {object} [options.entropy] - Entropy reader for random fields
+ * @returns {{value: string, components: object}} Filled template and components keyed by field name
  */
-function fillTemplate(template, values = {}, randomSegments = {}, defaultCharset = '0123456789') {
-  const segments = parseTemplate(template);
+function fillTemplate(template, options = {}) {
+  const context = {
+    values: options.values || {},
+    randomSegments: options.randomSegments || {},
+    lookups: options.lookups || {},
+    date: options.date,
+    defaultCharset: options.defaultCharset || '0123456789',
+    entropy: options.entropy || null
+  };
+
   let result = '';
   const components = {};
 
-  for (const segment of segments) {
+  for (const segment of parseTemplate(template)) {
     if (segment.type === 'literal') {
       result += segment.value;
     } else {
-      // Placeholder
-      const placeholderChar = segment.char;
-      let value;
-      let charset = defaultCharset;
-
-      // Check if a specific value is provided
-      if (values[placeholderChar]) {
-        value = String(values[placeholderChar]).padStart(segment.length, '0');
-      } else if (values[placeholderChar.toLowerCase()]) {
-        value = String(values[placeholderChar.toLowerCase()]).padStart(segment.length, '0');
-      } else {
-        // Generate random value
-        const segmentConfig = randomSegments[placeholderChar] || randomSegments[placeholderChar.toLowerCase()] || {};
-        const rawCharset = segmentConfig.charset || defaultCharset;
-        // Parse charset to handle patterns like '0-9', 'A-Z', etc.
-        charset = parseCharset(rawCharset);
-
-        value = generateRandomString(segment.length, charset);
-      }
-
-      // Truncate or pad to required length
-      value = value.substring(0, segment.length).padStart(segment.length, charset[0] || '0');
-
-      components[placeholderChar] = value;
+      const value = fillField(segment, context);
+      components[segment.name] = value;
       result += value;
     }
   }
@@ -182,12 +268,51 @@ function fillTemplate(template, values = {}, randomSegments = {}, defaultCharset
   return { value: result, components };
 }
 
+/**
+ * Work out which counter each sequence field of a structured template draws from
+ * The counter is selected by the values of the field's key fields, filled exactly as
+ * generation would fill them. Pin options.date so that date fields agree with generation.
+ * @param {object} options - Structured generation options (template, values, lookups, date, ...)
+ * @returns {Array<object>} One entry per sequence field: {name, start, step, max, overflow, key}
+ */
+export function resolveSequenceFields(options = {}) {
+  if (!options.template) {
+    return [];
+  }
+
+  const segments = parseTemplate(options.template);
+  const sequences = segments.filter(segment => segment.kind === 'sequence');
+  if (sequences.length === 0) {
+    return [];
+  }
+
+  const context = {
+    values: options.values || {},
+    randomSegments: options.randomSegments || {},
+    lookups: options.lookups || {},
+    date: options.date,
+    defaultCharset: parseCharset(options.charset || getConfig().defaultCharset),
+    entropy: null
+  };
+
+  return sequences.map(field => {
+    const key = {};
+    for (const name of sequenceKeyFields(segments, field)) {
+      key[name] = fillField(segments.find(segment => segment.name === name), context);
+    }
+    const { name, start, step, max, overflow } = field;
+    return { name, start, step, max, overflow, key };
+  });
+}
+
 /**
  * Generate a Random UIN
  * @param {object} options - Generation options
+ * @param {object} entropy - Entropy reader
+ * @param {object} provenance - Source of the entropy reader's bytes
  * @returns {object} Generated UIN result
  */
-function generateRandomUin(options) {
+function generateRandomUin(options, entropy, provenance) {
   const config = getConfig();
   const length = options.length || config.defaultLength;
   let charset = parseCharset(options.charset || config.defaultCharset);
@@ -197,7 +322,7 @@ function generateRandomUin(options) {
   }
 
   // Generate base UIN
-  let baseUin = generateRandomString(length, charset);
+  let baseUin = generateRandomString(length, charset, entropy);
 
   // Apply checksum if requested
   let checksumInfo = { used: false };
@@ -224,16 +349,18 @@ function generateRandomUin(options) {
     mode: 'random',
     checksum: checksumInfo,
     hash_rmd160,
-    provenance: getProvenance()
+    provenance: { ...provenance }
   };
 }
 
 /**
  * Generate a Structured UIN
  * @param {object} options - Generation options
+ * @param {object} entropy - Entropy reader
+ * @param {object} provenance - Source of the entropy reader's bytes
  * @returns {object} Generated UIN result
  */
-function generateStructuredUin(options) {
+function generateStructuredUin(options, entropy, provenance) {
   const config = getConfig();
 
   if (!options.template) {
@@ -243,12 +370,14 @@ function generateStructuredUin(options) {
   const defaultCharset = parseCharset(options.charset || config.defaultCharset);
 
   // Fill template
-  const { value: baseUin, components } = fillTemplate(
-    options.template,
-    options.values || {},
-    options.randomSegments || {},
-    defaultCharset
-  );
+  const { value: baseUin, components } = fillTemplate(options.template, {
+    values: options.values,
+    randomSegments: options.randomSegments,
+    lookups: options.lookups,
+    date: options.date,
+    defaultCharset,
+    entropy
+  });
 
   let finalValue = baseUin;
 
@@ -279,16 +408,18 @@ function generateStructuredUin(options) {
     template: options.template,
     checksum: checksumInfo,
     hash_rmd160,
-    provenance: getProvenance()
+    provenance: { ...provenance }
   };
 }
 
 /**
  * Generate a Foundational UIN
  * @param {object} options - Generation options
+ * @param {object} entropy - Entropy reader
+ * @param {object} provenance - Source of the entropy reader's bytes
  * @returns {object} Generated UIN result
  */
-function generateFoundationalUin(options) {
+function generateFoundationalUin(options, entropy, provenance) {
   const config = getConfig();
   const length = options.length || config.defaultLength;
   let charset = parseCharset(options.charset || config.defaultCharset);
@@ -298,7 +429,7 @@ function generateFoundationalUin(options) {
   }
 
   // Generate high-entropy base
-  let baseUin = generateRandomString(length, charset);
+  let baseUin = generateRandomString(length, charset, entropy);
 
   // Apply checksum if requested
   let checksumInfo = { used: false };
@@ -325,7 +456,7 @@ function generateFoundationalUin(options) {
     mode: 'foundational',
     checksum: checksumInfo,
     hash_rmd160,
-    provenance: getProvenance(),
+    provenance: { ...provenance },
     properties: {
       highEntropy: true,
       noPii: true,
@@ -336,6 +467,9 @@ function generateFoundationalUin(options) {
 
 /**
  * Generate a Sector Token
+ * Token length, charset, algorithm and check characters default to the sector's
+ * policy in the sector registry (sectorService.mjs); tokens of a sector with a
+ * display format are also returned formatted.
  * @param {object} options - Generation options
  * @returns {object} Generated token result
  */
@@ -350,18 +484,22 @@ function generateSectorTokenUin(options) {
     throw new Error('Sector is required for sector_token mode');
   }
 
-  const charset = parseCharset(options.charset || config.defaultCharset);
+  // Null while the registry is empty: the built-in defaults apply
+  const policy = getSectorPolicy(options.sector.toLowerCase().trim());
+  const charset = parseCharset(options.charset || (policy && policy.charset) || config.defaultCharset);
 
   // Derive sector token
   const { token, metadata } = deriveSectorToken(
     options.foundationalUin,
     options.sector,
     {
-      tokenLength: options.tokenLength || 20,
+      tokenLength: options.tokenLength || (policy && policy.token_length) || 20,
       charset: charset,
+      algorithm: policy ? policy.algorithm : undefined,
+      checksum: policy && policy.checksum_algorithm ? policy.checksum_algorithm : undefined,
       salt: options.salt
     },
-    config.sectorSecrets
+    getEffectiveSectorSecrets()
   );
 
   // Compute hash
@@ -373,6 +511,7 @@ function generateSectorTokenUin(options) {
     sector: options.sector,
     metadata: metadata,
     hash_rmd160,
+    ...(policy && policy.format ? { formatted: applyFormat(token, policy.format), format_code: policy.format_code } : {}),
     properties: {
       unlinkable: true,
       sectorSpecific: true,
@@ -381,48 +520,424 @@ function generateSectorTokenUin(options) {
   };
 }
 
+/**
+ * Resolve the FF1 parameters shared by fpe generation and reversal
+ * @param {object} options - Generation options
+ * @returns {{scope: string, charset: string, length: number, tweak: Buffer}} FPE parameters
+ */
+function resolveFpeParameters(options) {
+  const config = getConfig();
+  const scope = options.scope || 'fpe';
+  const length = options.length || config.defaultLength;
+  let charset = parseCharset(options.charset || config.defaultCharset);
+
+  if (options.excludeAmbiguous) {
+    charset = excludeAmbiguous(charset);
+  }
+
+  // The scope is the tweak, so each scope's sequence maps to an unrelated permutation
+  return { scope, charset, length, tweak: Buffer.from(scope, 'utf8') };
+}
+
+/**
+ * Generate a UIN by FF1-encrypting a sequence serial
+ * Distinct serials always give distinct UINs, so no duplicate check is needed,
+ * while the ciphertext hides the issuance order. The serial is deliberately not
+ * part of the result; authorised callers recover it with reverseFpeUin.
+ * @param {object} options - Generation options
+ * @returns {object} Generated UIN result
+ */
+function generateFpeUin(options) {
+  const config = getConfig();
+
+  if (options.serial === undefined || options.serial === null) {
+    throw new Error('Serial is required for fpe mode');
+  }
+
+  const { scope, charset, length, tweak } = resolveFpeParameters(options);
+  let baseUin = encryptSerial(options.serial, { key: getFpeKey(), tweak, alphabet: charset, length });
+
+  // Apply checksum if requested
+  let checksumInfo = { used: false };
+  if (options.checksum && options.checksum.enabled) {
+    const checksumResult = appendChecksum(baseUin, {
+      algorithm: options.checksum.algorithm || config.defaultChecksumAlgorithm,
+      modulus: options.checksum.modulus || 10
+    });
+
+    checksumInfo = {
+      used: true,
+      algorithm: options.checksum.algorithm || config.defaultChecksumAlgorithm,
+      value: checksumResult.checksum
+    };
+
+    baseUin = checksumResult.value;
+  }
+
+  // Compute hash
+  const hash_rmd160 = computeUinHash(baseUin);
+
+  return {
+    value: baseUin,
+    mode: 'fpe',
+    checksum: checksumInfo,
+    fpe: { algorithm: 'FF1', scope, charset, length },
+    hash_rmd160,
+    properties: {
+      collisionFree: true,
+      reversible: true
+    }
+  };
+}
+
+/**
+ * Recover the serial an fpe-mode UIN was generated from
+ * Only callers holding the FPE key can do this; expose it to authorised callers only.
+ * @param {string} uin - UIN generated in fpe mode
+ * @param {object} options - The generation options (scope, length, charset, excludeAmbiguous, checksum)
+ * @returns {{serial: string, scope: string}} Serial as a decimal string (it may exceed Number.MAX_SAFE_INTEGER)
+ */
+export function reverseFpeUin(uin, options = {}) {
+  if (!uin || typeof uin !== 'string') {
+    throw new Error('UIN must be a non-empty string');
+  }
+
+  const { scope, charset, length, tweak } = resolveFpeParameters(options);
+  let payload = uin;
+
+  if (options.checksum && options.checksum.enabled) {
+    const algorithm = options.checksum.algorithm || getConfig().defaultChecksumAlgorithm;
+    const modulus = options.checksum.modulus || 10;
+    if (!verifyChecksum(uin, { algorithm, modulus })) {
+      throw new Error('Checksum validation failed');
+    }
+    payload = uin.slice(0, uin.length - getChecksumAlgorithm(algorithm, { modulus }).checkLength);
+  }
+
+  if (payload.length !== length) {
+    throw new Error(`Expected ${length} characters before the check characters, got ${payload.length}`);
+  }
+
+  const serial = decryptSerial(payload, { key: getFpeKey(), tweak, alphabet: charset });
+  return { serial: serial.toString(), scope };
+}
+
+/**
+ * Generate an ICAO 9303 Machine Readable Zone
+ * A random document number is generated when none is supplied
+ * @param {object} options - Generation options
+ * @param {string} format - MRZ format ('TD1', 'TD2', 'TD3')
+ * @param {object} entropy - Entropy reader
+ * @param {object} provenance - Source of the entropy reader's bytes
+ * @returns {object} Generated MRZ result
+ */
+function generateMrzUin(options, format, entropy, provenance) {
+  let documentNumber = options.documentNumber;
+
+  if (!documentNumber) {
+    let charset = parseCharset(options.charset || 'A-Z0-9');
+    if (options.excludeAmbiguous) {
+      charset = excludeAmbiguous(charset);
+    }
+    documentNumber = generateRandomString(options.documentNumberLength || 9, charset.toUpperCase(), entropy);
+  }
+
+  const mrz = buildMrz({ ...options, format, documentNumber });
+  const value = mrz.lines.join('\n');
+
+  // Compute hash
+  const hash_rmd160 = computeUinHash(value);
+
+  return {
+    value,
+    mode: 'mrz',
+    format: mrz.format,
+    lines: mrz.lines,
+    fields: mrz.fields,
+    checkDigits: mrz.checkDigits,
+    nameTruncated: mrz.nameTruncated,
+    hash_rmd160,
+    provenance: { ...provenance }
+  };
+}
+
+// Options shared by the modes that draw characters from a charset
+const CHARSET_OPTIONS = {
+  length: { type: 'integer', min: 1, description: 'Length before check characters' },
+  charset: { type: 'string', description: "Character set, e.g. 'A-Z0-9'" },
+  excludeAmbiguous: { type: 'boolean', description: 'Exclude ambiguous characters (0/O, 1/I/L, ...)' },
+  checksum: { type: 'object', description: 'Checksum configuration: {enabled, algorithm, modulus}' }
+};
+
+/**
+ * ICAO 9303 fields for the MRZ modes
+ */
+const MRZ_OPTIONS = {
+  documentType: { type: 'string', description: "Document type (default: 'P' for TD3, 'I' otherwise)" },
+  issuingCountry: { type: 'string', description: 'Issuing state or organization code' },
+  documentNumber: { type: 'string', description: 'Document number (random when omitted)' },
+  documentNumberLength: { type: 'integer', min: 1, description: 'Length of a random document number' },
+  birthDate: { type: ['string', 'object'], description: 'Date of birth' },
+  sex: { type: 'string', description: 'M, F or X' },
+  expiryDate: { type: ['string', 'object'], description: 'Date of expiry' },
+  nationality: { type: 'string', description: 'Nationality code (default: issuing country)' },
+  surname: { type: 'string', description: 'Primary identifier' },
+  givenNames: { type: 'string', description: 'Secondary identifier' },
+  optionalData: { type: 'string', description: 'Personal number / optional data' },
+  optionalData2: { type: 'string', description: 'Second optional data element (TD1 only)' },
+  charset: { type: 'string', description: 'Charset of a random document number' },
+  excludeAmbiguous: { type: 'boolean', description: 'Exclude ambiguous characters from a random document number' }
+};
+
+/**
+ * Document format of each MRZ mode name; mrz itself takes options.format
+ */
+const MRZ_ALIAS_FORMATS = { passport: 'TD3', td3: 'TD3', td1: 'TD1', td2: 'TD2' };
+
+/**
+ * Validate an MRZ: layout and every check digit
+ * @param {string} uin - MRZ lines separated by line breaks
+ * @returns {object} Validation result
+ */
+function validateMrz(uin) {
+  try {
+    const { valid, format, checkDigits } = parseMrz(uin, { maxChanges: 0 });
+    return valid ? { valid, format, checkDigits } : { valid, format, checkDigits, error: 'MRZ check digit validation failed' };
+  } catch (error) {
+    return { valid: false, error: error.message };
+  }
+}
+
+registerMode({
+  name: 'foundational',
+  options: CHARSET_OPTIONS,
+  generate: (options, { entropy, provenance }) => generateFoundationalUin(options, entropy, provenance),
+  ui: { label: 'Foundational', description: 'High-entropy foundational UIN with no embedded PII', category: 'identifier', order: 10 }
+});
+
+registerMode({
+  name: 'random',
+  options: CHARSET_OPTIONS,
+  generate: (options, { entropy, provenance }) => generateRandomUin(options, entropy, provenance),
+  ui: { label: 'Random', description: 'Fully random UIN with configurable length and charset', category: 'identifier', order: 20 }
+});
+
+registerMode({
+  name: 'structured',
+  aliases: ['pii_structured'],
+  options: {
+    template: { type: 'string', required: true, description: 'Template, e.g. {region:2:numeric}-{serial:5:random(0-9)}' },
+    values: { type: 'object', description: 'Values of fixed fields' },
+    lookups: { type: 'object', description: 'Lookup tables for lookup() fields' },
+    date: { type: ['string', 'object'], description: 'Date for date() fields (default: now)' },
+    randomSegments: { type: 'object', description: 'Random segment configuration (legacy templates)' },
+    charset: { type: 'string', description: 'Charset for fields that do not name one' },
+    checksum: CHARSET_OPTIONS.checksum
+  },
+  generate: (options, { entropy, provenance }) => generateStructuredUin(options, entropy, provenance),
+  // With the template, each component is checked too
+  validate: (uin, options) => (options.template
+    ? decomposeUin(uin, options.template, { lookups: options.lookups, checksum: options.checksum })
+    : null),
+  ui: {
+    label: 'Structured',
+    description: 'Template-based UIN with named, typed fields, e.g. {region:2:numeric}-{serial:5:random(0-9)}. sequence() fields are drawn from Postgres counters through POST /uin/pre-generate',
+    category: 'identifier',
+    order: 30
+  }
+});
+
+registerMode({
+  name: 'sector_token',
+  aliases: ['sectoral'],
+  options: {
+    foundationalUin: { type: 'string', required: true, description: 'Foundational UIN the token is derived from' },
+    sector: { type: 'string', required: true, description: 'Sector (see GET /sectors)' },
+    tokenLength: { type: 'integer', min: 1, description: "Token length (default: the sector's, or 20)" },
+    charset: CHARSET_OPTIONS.charset,
+    salt: { type: 'string', description: 'Additional derivation salt' }
+  },
+  generate: options => generateSectorTokenUin(options),
+  usesEntropy: false,
+  ui: { label: 'Sector Token', description: 'Sector-specific token derived from foundational UIN', category: 'token', order: 40 }
+});
+
+registerMode({
+  name: 'fpe',
+  options: {
+    serial: { type: ['integer', 'string'], required: true, description: 'Sequence serial (drawn by pre-generation)' },
+    scope: { type: 'string', description: 'Scope; used as the FF1 tweak' },
+    ...CHARSET_OPTIONS
+  },
+  generate: options => generateFpeUin(options),
+  usesEntropy: false,
+  poolOnly: true,
+  ui: {
+    label: 'FPE',
+    description: 'FF1-encrypted sequence serial: collision-free, hides issuance order, reversible with the FPE key. Issued through POST /uin/pre-generate only',
+    category: 'identifier',
+    order: 50
+  }
+});
+
+registerMode({
+  name: 'mrz',
+  aliases: Object.keys(MRZ_ALIAS_FORMATS),
+  options: {
+    format: { type: 'string', description: 'MRZ format: TD1, TD2 or TD3 (default: TD3)' },
+    ...MRZ_OPTIONS
+  },
+  generate: (options, { entropy, provenance, mode }) =>
+    generateMrzUin(options, MRZ_ALIAS_FORMATS[mode] || options.format || 'TD3', entropy, provenance),
+  validate: validateMrz,
+  ui: {
+    label: 'MRZ',
+    description: 'ICAO 9303 Machine Readable Zone for passports and ID cards',
+    category: 'document',
+    order: 60,
+    formats: ['TD1 (ID Card - 3x30)', 'TD2 (Travel Doc - 2x36)', 'TD3 (Passport - 2x44)']
+  }
+});
+
 /**
  * Main UIN generation function
  * @param {object} options - Generation options
- * @param {string} options.mode - Generation mode ('random', 'structured', 'sector_token', 'foundational')
+ * @param {string} options.mode - Generation mode or alias registered with the mode registry ('random', 'structured',
+ *   'sector_token', 'foundational', 'fpe', 'mrz', 'td1', 'td2', 'td3', 'passport', or a plugin mode)
  * @param {number} [options.length] - Length of UIN
  * @param {string} [options.charset] - Character set
  * @param {boolean} [options.excludeAmbiguous] - Exclude ambiguous characters
  * @param {object} [options.checksum] - Checksum configuration
  * @param {string} [options.template] - Template for structured mode
  * @param {object} [options.values] - Values for template placeholders
- * @param {object} [options.randomSegments] - Random segment configuration
+ * @param {object} [options.randomSegments] - Random segment configuration (legacy templates)
+ * @param {object} [options.lookups] - Lookup tables for lookup() fields in structured mode
+ * @param {Date|string} [options.date] - Date for date() fields in structured mode (default: now)
  * @param {string} [options.foundationalUin] - Foundational UIN for sector token mode
  * @param {string} [options.sector] - Sector for sector token mode
  * @param {number} [options.tokenLength] - Token length for sector token mode
+ * @param {string} [options.format] - MRZ format for mrz mode ('TD1', 'TD2', 'TD3')
+ * @param {bigint|number|string} [options.serial] - Sequence serial for fpe mode
+ * @param {string} [options.scope] - Scope for fpe mode; used as the FF1 tweak
+ * @param {string|number} [options.seed] - Test seed: draws from an HMAC_DRBG instead of the CSPRNG, so the same
+ *   seed and options always give the same UIN. Results are marked provenance.source = 'deterministic-test'
  * @returns {object} Generated UIN result
  */
 export function generateUin(options = {}) {
+  if (options.seed !== undefined) {
+    const drbg = createSeededDrbg(options.seed);
+    const drawSize = entropyDrawSize(options);
+    return generateWithEntropy(options, createEntropyReader(Buffer.alloc(0), () => drbg.generate(drawSize)), DETERMINISTIC_PROVENANCE);
+  }
+  return generateWithEntropy(options, createSoftwareEntropy(), SOFTWARE_PROVENANCE);
+}
+
+/**
+ * Generate a UIN drawing all entropy from the crypto service (HSM/TRNG when available)
+ * If the initial draw is not enough for rejection sampling, more bytes are fetched from the
+ * same source and generation is replayed over the extended buffer. Should the source change
+ * between draws (e.g. the TRNG fails over to software), the buffer is discarded and generation
+ * restarts on the new source, so the reported provenance always covers every byte used.
+ * @param {object} options - Generation options (see generateUin); with a seed, the entropy source is a fresh HMAC_DRBG
+ * @param {Function} [randomBytesWithSource] - Entropy source, defaults to cryptoService.randomBytesWithSource
+ * @returns {Promise<object>} Generated UIN result with per-call provenance
+ */
+export async function generateUinAsync(options = {}, randomBytesWithSource = cryptoRandomBytesWithSource) {
+  if (options.seed !== undefined) {
+    randomBytesWithSource = createDeterministicSource(options.seed);
+  }
+
+  const drawSize = entropyDrawSize(options);
+
+  let { bytes, ...provenance } = await randomBytesWithSource(drawSize);
+
+  for (let topUps = 0; ; topUps++) {
+    try {
+      return generateWithEntropy(options, createEntropyReader(bytes), provenance);
+    } catch (error) {
+      if (error.code !== 'ENTROPY_EXHAUSTED' || topUps >= MAX_ENTROPY_TOPUPS) {
+        throw error;
+      }
+    }
+
+    const { bytes: more, ...moreProvenance } = await randomBytesWithSource(drawSize);
+    if (moreProvenance.source === provenance.source && moreProvenance.provider === provenance.provider) {
+      bytes = Buffer.concat([bytes, more]);
+    } else {
+      bytes = more;
+      provenance = moreProvenance;
+    }
+  }
+}
+
+/**
+ * Generate a UIN in the requested mode, regenerating candidates the blocklist rejects
+ * @param {object} options - Generation options
+ * @param {object} entropy - Entropy reader
+ * @param {object} provenance - Source of the entropy reader's bytes
+ * @returns {object} Generated UIN result
+ */
+function generateWithEntropy(options, entropy, provenance) {
   const config = getConfig();
   const mode = (options.mode || config.defaultMode).toLowerCase();
+  const definition = getModeRegistry().get(mode);
+  const blocklist = getBlocklist();
 
-  switch (mode) {
-    case 'random':
-      return generateRandomUin(options);
+  if (!blocklist.appliesTo(definition.name)) {
+    return generateForMode(definition, mode, options, entropy, provenance);
+  }
 
-    case 'structured':
-    case 'pii_structured':
-      return generateStructuredUin(options);
+  // Rejections are only recorded once generation completes: an entropy top-up
+  // replays the same candidates, which must not be counted twice
+  const rejections = [];
+  for (let attempt = 0; attempt < blocklist.maxAttempts; attempt++) {
+    const result = generateForMode(definition, mode, options, entropy, provenance);
+    const rejection = blocklist.check(result.value);
+    if (!rejection) {
+      blocklist.record(rejections, true);
+      return result;
+    }
+    rejections.push(rejection);
+  }
 
-    case 'foundational':
-      return generateFoundationalUin(options);
+  blocklist.record(rejections, false);
+  const last = rejections[rejections.length - 1];
+  throw new Error(`No candidate passed the blocklist in ${blocklist.maxAttempts} attempts (last rejected by ${last.reason}: ${last.detail})`);
+}
 
-    case 'sector_token':
-    case 'sectoral':
-      return generateSectorTokenUin(options);
+/**
+ * Dispatch generation to the requested mode's registered generator
+ * The mode's name, the hash and (for modes drawing entropy) the provenance are
+ * filled in when the generator leaves them out.
+ * @param {object} definition - Mode definition (see modeRegistry.mjs)
+ * @param {string} mode - Requested mode name or alias (lower case)
+ * @param {object} options - Generation options
+ * @param {object} entropy - Entropy reader
+ * @param {object} provenance - Source of the entropy reader's bytes
+ * @returns {object} Generated UIN result
+ */
+function generateForMode(definition, mode, options, entropy, provenance) {
+  const result = definition.generate(options, {
+    mode,
+    entropy,
+    provenance,
+    randomString: (length, charset) => generateRandomString(length, charset, entropy)
+  });
+
+  if (!result || typeof result.value !== 'string' || result.value.length === 0) {
+    throw new Error(`Mode '${definition.name}' generated no value`);
+  }
 
-    default:
-      throw new Error(`Unsupported mode: ${mode}. Supported modes: random, structured, foundational, sector_token`);
+  const completed = { ...result, mode: result.mode || definition.name, hash_rmd160: result.hash_rmd160 || computeUinHash(result.value) };
+  if (definition.usesEntropy && !completed.provenance) {
+    completed.provenance = { ...provenance };
   }
+  return completed;
 }
 
 /**
  * Validate a UIN (checksum validation if applicable)
+ * When options.mode names a mode with a validator, that validator decides instead.
  * @param {string} uin - UIN to validate
  * @param {object} options - Validation options
  * @returns {object} Validation result
@@ -443,13 +958,38 @@ export function validateUin(uin, options = {}) {
     };
   }
 
+  // Modes with their own validator check the UIN's structure (template components, MRZ check digits)
+  const definition = options.mode ? getModeRegistry().resolve(options.mode) : null;
+  if (definition && definition.validate) {
+    let result;
+    try {
+      result = definition.validate(uin, options);
+    } catch (error) {
+      return {
+        valid: false,
+        error: error.message
+      };
+    }
+    if (result) {
+      return { ...result, length: uin.length };
+    }
+  }
+
   // Checksum validation if requested
   if (options.checksum && options.checksum.enabled) {
-    const isValid = verifyChecksum(uin, {
-      algorithm: options.checksum.algorithm || 'modN',
-      checksumLength: options.checksum.length || 1,
-      modulus: options.checksum.modulus || 10
-    });
+    let isValid;
+    try {
+      isValid = verifyChecksum(uin, {
+        algorithm: options.checksum.algorithm || 'modN',
+        modulus: options.checksum.modulus || 10
+      });
+    } catch (error) {
+      // e.g. letters in a UIN checked with a numeric-only algorithm
+      return {
+        valid: false,
+        error: error.message
+      };
+    }
 
     if (!isValid) {
       return {
@@ -467,6 +1007,10 @@ export function validateUin(uin, options = {}) {
 
 export default {
   generateUin,
+  generateUinAsync,
+  createDeterministicSource,
+  reverseFpeUin,
+  resolveSequenceFields,
   validateUin,
   generateRandomString
 };
@@ -0,0 +1,223 @@
+/**
+ * Streaming Bulk Generation
+ * Writes large numbers of UINs to a writable stream (an HTTP response or stdout)
+ * as NDJSON or CSV, without holding the results in memory. Writes respect
+ * backpressure: generation pauses until a slow consumer has drained the stream,
+ * and stops if the consumer goes away.
+ *
+ * Optional in-stream deduplication keeps a Bloom filter of the values emitted so
+ * far. Bloom filters have no false negatives, so no value is emitted twice; a false
+ * positive only discards a unique candidate, which is regenerated.
+ *
+ * The stream ends with a summary trailer: counts, and a SHA-256 digest of every
+ * byte written before it, so consumers can check that nothing was lost in transit.
+ */
+
+import crypto from 'crypto';
+import { generateUinAsync, createDeterministicSource } from './uinGenerator.mjs';
+import { getConfig } from './config.mjs';
+import { BloomFilter } from './bloomFilter.mjs';
+import { resolveMode } from './modeRegistry.mjs';
+
+// Records are batched into chunks of about this size before being written
+const FLUSH_BYTES = 64 * 1024;
+// Candidates discarded in a row as duplicates before the namespace is considered exhausted
+const MAX_CONSECUTIVE_DUPLICATES = 1000;
+
+/**
+ * Quote a CSV field when it contains a delimiter, quote or line break
+ * @param {*} value - Field value
+ * @returns {string} CSV field
+ */
+function csvField(value) {
+  const text = value === undefined || value === null ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Output formats: content type, optional header line, record line and summary trailer line
+ */
+export const STREAM_FORMATS = {
+  ndjson: {
+    contentType: 'application/x-ndjson',
+    header: null,
+    record: result => JSON.stringify(result),
+    trailer: summary => JSON.stringify({ summary })
+  },
+  csv: {
+    contentType: 'text/csv; charset=utf-8',
+    header: 'value,hash_rmd160,source',
+    record: result => [result.value, result.hash_rmd160, result.provenance && result.provenance.source].map(csvField).join(','),
+    // Comment line, so CSV readers that skip '#' lines ignore it
+    trailer: summary => `# summary ${JSON.stringify(summary)}`
+  }
+};
+
+/**
+ * Whether a stream can no longer be written to
+ * @param {object} output - Writable stream
+ * @returns {boolean} True if the stream was ended or destroyed
+ */
+function isClosed(output) {
+  return output.destroyed || output.writableEnded;
+}
+
+/**
+ * Wait until a stream has drained its buffer, or has closed
+ * @param {object} output - Writable stream
+ * @returns {Promise<void>}
+ */
+function waitForDrain(output) {
+  return new Promise((resolve) => {
+    const done = () => {
+      output.off('drain', done);
+      output.off('close', done);
+      output.off('error', done);
+      resolve();
+    };
+    output.on('drain', done);
+    output.on('close', done);
+    output.on('error', done);
+  });
+}
+
+/**
+ * Generate UINs into a writable stream
+ * The first UIN is generated before anything is written, so invalid options throw
+ * without output. Once output has started, errors end the stream early and are
+ * reported in the summary trailer instead. The output stream is not ended.
+ * @param {object} output - Writable stream (HTTP response, process.stdout, file stream)
+ * @param {object} params - Stream parameters
+ * @param {number} params.count - Number of UINs to generate
+ * @param {object} [params.options] - Generation options (see generateUin); a seed makes the whole stream reproducible
+ * @param {string} [params.format='ndjson'] - 'ndjson' or 'csv'
+ * @param {boolean} [params.dedup=false] - Skip values already emitted in this stream (Bloom filter)
+ * @param {number} [params.falsePositiveRate] - Bloom filter false-positive rate, 1e-9 to 0.1 (default: config.stream.dedupFalsePositiveRate)
+ * @param {Function} [params.randomBytesWithSource] - Entropy source for generateUinAsync
+ * @param {Function} [params.onStart] - Called just before the first byte is written (e.g. to send HTTP headers)
+ * @returns {Promise<object>} Summary, as written in the trailer, plus aborted=true if the consumer went away
+ */
+export async function streamUins(output, params) {
+  const config = getConfig();
+  const { count, options = {}, format = 'ndjson', dedup = false, randomBytesWithSource, onStart } = params;
+  const writer = Object.hasOwn(STREAM_FORMATS, format) ? STREAM_FORMATS[format] : null;
+
+  if (!writer) {
+    throw new Error(`Invalid stream format '${format}' (use ${Object.keys(STREAM_FORMATS).join(' or ')})`);
+  }
+  if (!Number.isInteger(count) || count < 1 || count > config.stream.maxCount) {
+    throw new Error(`Count must be an integer between 1 and ${config.stream.maxCount}`);
+  }
+  // fpe serials must come from the scope sequence, never from the caller
+  const definition = resolveMode(options.mode || config.defaultMode);
+  if (definition && definition.poolOnly) {
+    throw new Error(`${definition.name} UINs are issued through pre-generation only`);
+  }
+
+  // A seeded stream draws every UIN from one DRBG stream, as a seeded batch does
+  const { seed, ...itemOptions } = options;
+  const source = seed !== undefined ? createDeterministicSource(seed) : randomBytesWithSource;
+  const filter = dedup ? new BloomFilter(count, params.falsePositiveRate ?? config.stream.dedupFalsePositiveRate) : null;
+
+  const startedAt = new Date();
+  const digest = crypto.createHash('sha256');
+  const sources = {};
+  let generated = 0;
+  let duplicatesSkipped = 0;
+  let bytes = 0;
+  let pending = [];
+  let pendingBytes = 0;
+
+  const nextUin = async () => {
+    for (let duplicates = 0; ; duplicates++) {
+      const result = await generateUinAsync(itemOptions, source);
+      if (!filter || filter.add(result.value)) {
+        return result;
+      }
+      duplicatesSkipped++;
+      if (duplicates + 1 >= MAX_CONSECUTIVE_DUPLICATES) {
+        throw new Error(`${MAX_CONSECUTIVE_DUPLICATES} duplicate candidates in a row after ${generated} UINs: the namespace is too small for the requested count`);
+      }
+    }
+  };
+
+  const push = (line) => {
+    pending.push(line, '\n');
+    pendingBytes += line.length + 1;
+  };
+
+  const flush = async () => {
+    if (pending.length === 0 || isClosed(output)) {
+      return;
+    }
+    const chunk = pending.join('');
+    pending = [];
+    pendingBytes = 0;
+    digest.update(chunk);
+    bytes += Buffer.byteLength(chunk);
+    if (!output.write(chunk)) {
+      await waitForDrain(output);
+    }
+  };
+
+  let result = await nextUin();
+
+  if (onStart) {
+    onStart();
+  }
+  if (writer.header) {
+    push(writer.header);
+  }
+
+  let error = null;
+  try {
+    while (!isClosed(output)) {
+      push(writer.record(result));
+      generated++;
+      const resultSource = result.provenance ? result.provenance.source : 'unknown';
+      sources[resultSource] = (sources[resultSource] || 0) + 1;
+
+      if (pendingBytes >= FLUSH_BYTES) {
+        await flush();
+      }
+      if (generated === count) {
+        break;
+      }
+      result = await nextUin();
+    }
+  } catch (err) {
+    error = err;
+  }
+  await flush();
+
+  const finishedAt = new Date();
+  const summary = {
+    format,
+    mode: itemOptions.mode || config.defaultMode,
+    requested: count,
+    generated,
+    complete: generated === count && !error,
+    duplicatesSkipped,
+    dedup: filter ? filter.getInfo() : null,
+    sources,
+    bytes,
+    digest: { algorithm: 'sha256', value: digest.digest('hex') },
+    startedAt: startedAt.toISOString(),
+    finishedAt: finishedAt.toISOString(),
+    elapsedMs: finishedAt - startedAt
+  };
+  if (error) {
+    summary.error = error.message;
+  }
+
+  if (isClosed(output)) {
+    return { ...summary, aborted: true };
+  }
+  output.write(writer.trailer(summary) + '\n');
+  return summary;
+}
+
+export default {
+  STREAM_FORMATS,
+  streamUins
+};
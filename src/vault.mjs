@@ -244,7 +244,8 @@ export class VaultClient {
 
   /**
    * Get sector secrets from Vault
-   * @returns {Promise<object>} Map of sector to secret
+   * Fields are sector names (version 1) or versioned names such as 'health@v2'
+   * @returns {Promise<object>} Map of sector secret name to secret
    */
   async getSectorSecrets() {
     try {
@@ -255,6 +256,32 @@ export class VaultClient {
     }
   }
 
+  /**
+   * Get the format-preserving encryption key from Vault
+   * @returns {Promise<object>} Secret with a hex-encoded AES key in `key`
+   */
+  async getFpeKey() {
+    try {
+      return await this.readSecret('fpe-key');
+    } catch (error) {
+      console.error('[Vault] Failed to read FPE key:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the sector token registry key from Vault
+   * @returns {Promise<object>} Secret with a hex-encoded 32-byte key in `key`
+   */
+  async getSectorTokenKey() {
+    try {
+      return await this.readSecret('sector-token-key');
+    } catch (error) {
+      console.error('[Vault] Failed to read sector token key:', error.message);
+      throw error;
+    }
+  }
+
   /**
    * Get database credentials from Vault
    * @returns {Promise<object>} Database configuration
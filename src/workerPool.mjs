@@ -0,0 +1,287 @@
+/**
+ * Generation Worker Pool
+ * Shards UIN generation across worker threads, so large batches and pre-generation
+ * runs (random strings, checksums, hashing) do not block the event loop that
+ * serves other requests.
+ *
+ * A batch is split into chunks that idle workers take from a shared queue. Each
+ * chunk's results are written back at the chunk's offset, so the merged results
+ * are in the order of the requested options whatever the number of workers and
+ * whichever finishes first. Every worker draws from its own entropy source (see
+ * generationWorker.mjs); seeded generation, which relies on one shared DRBG
+ * stream, stays on the main thread. Each job carries the main thread's sector
+ * registry, so workers apply the same sector policies without a database.
+ */
+
+import { Worker } from 'worker_threads';
+import { generateUinAsync } from './uinGenerator.mjs';
+import { getConfig } from './config.mjs';
+import { getBlocklist } from './blocklist.mjs';
+import { getLoadedSectors } from './sectorService.mjs';
+
+const WORKER_URL = new URL('./generationWorker.mjs', import.meta.url);
+
+/**
+ * Rebuild an Error from a worker outcome
+ * @param {{message: string, code?: string}} error - Serialized error
+ * @returns {Error} Error with its code
+ */
+function toError({ message, code }) {
+  const error = new Error(message);
+  if (code) {
+    error.code = code;
+  }
+  return error;
+}
+
+/**
+ * Generation pool class
+ */
+export class GenerationPool {
+  /**
+   * @param {object} [options] - Pool options
+   * @param {number} [options.threads=1] - Number of worker threads
+   * @param {number} [options.chunkSize=256] - UINs per job handed to a worker
+   */
+  constructor(options = {}) {
+    this.threads = options.threads || 1;
+    this.chunkSize = options.chunkSize || 256;
+    this.workers = [];
+    this.queue = [];
+    this.nextJobId = 1;
+    this.closed = false;
+    this.stats = {
+      jobs: 0,
+      generated: 0,
+      failed: 0,
+      restarts: 0
+    };
+  }
+
+  /**
+   * Start a worker thread
+   */
+  spawn() {
+    // Worker stdout goes to stderr, so diagnostics never mix with CLI output
+    const worker = new Worker(WORKER_URL, { stdout: true });
+    worker.stdout.pipe(process.stderr);
+
+    const entry = { worker, ready: false, job: null };
+    worker.on('message', message => this.onMessage(entry, message));
+    worker.on('error', error => this.onExit(entry, error));
+    worker.on('exit', code => this.onExit(entry, new Error(`Generation worker exited with code ${code}`)));
+    this.workers.push(entry);
+  }
+
+  /**
+   * Handle a message from a worker
+   * @param {object} entry - Worker entry
+   * @param {object} message - Message
+   */
+  onMessage(entry, message) {
+    if (message.type === 'ready') {
+      entry.ready = true;
+    } else if (message.type === 'result' && entry.job && entry.job.id === message.id) {
+      const { job } = entry;
+      entry.job = null;
+      getBlocklist().merge(message.blocklist);
+      for (const outcome of message.outcomes) {
+        if (outcome.error) {
+          this.stats.failed++;
+        } else {
+          this.stats.generated++;
+        }
+      }
+      job.resolve(message.outcomes);
+    }
+    this.dispatch();
+  }
+
+  /**
+   * Handle a worker that crashed or exited: fail its job and replace it
+   * @param {object} entry - Worker entry
+   * @param {Error} error - Cause
+   */
+  onExit(entry, error) {
+    if (!this.workers.includes(entry)) {
+      return;
+    }
+    this.workers = this.workers.filter(other => other !== entry);
+    if (entry.job) {
+      entry.job.reject(error);
+      entry.job = null;
+    }
+
+    // A worker that fails during startup would fail again if respawned; the next run() retries
+    if (!entry.ready) {
+      if (this.workers.length === 0) {
+        for (const job of this.queue.splice(0)) {
+          job.reject(new Error(`Generation worker failed to start: ${error.message}`));
+        }
+      }
+      return;
+    }
+    if (!this.closed) {
+      this.stats.restarts++;
+      this.spawn();
+    }
+  }
+
+  /**
+   * Hand queued jobs to idle workers
+   */
+  dispatch() {
+    for (const entry of this.workers) {
+      if (this.queue.length === 0) {
+        return;
+      }
+      if (entry.ready && !entry.job) {
+        entry.job = this.queue.shift();
+        entry.worker.postMessage({ id: entry.job.id, items: entry.job.items, sectors: getLoadedSectors() });
+      }
+    }
+  }
+
+  /**
+   * Generate one UIN per set of options
+   * @param {Array<object>} optionsList - Generation options, one entry per UIN
+   * @returns {Promise<Array<object>>} Outcomes in the order of optionsList: { result } or { error }
+   */
+  async run(optionsList) {
+    if (this.closed) {
+      throw new Error('Generation pool is closed');
+    }
+    while (this.workers.length < this.threads) {
+      this.spawn();
+    }
+
+    const jobs = [];
+    for (let offset = 0; offset < optionsList.length; offset += this.chunkSize) {
+      const items = optionsList.slice(offset, offset + this.chunkSize);
+      jobs.push(new Promise((resolve, reject) => {
+        this.queue.push({ id: this.nextJobId++, items, resolve, reject });
+      }));
+      this.stats.jobs++;
+    }
+    this.dispatch();
+
+    const outcomes = await Promise.all(jobs);
+    return outcomes.flat().map(outcome => (outcome.error ? { error: toError(outcome.error) } : outcome));
+  }
+
+  /**
+   * Get pool statistics
+   * @returns {object} Threads, busy workers, queued jobs and counters
+   */
+  getStats() {
+    return {
+      threads: this.threads,
+      running: this.workers.length,
+      busy: this.workers.filter(entry => entry.job).length,
+      queued: this.queue.length,
+      chunkSize: this.chunkSize,
+      ...this.stats
+    };
+  }
+
+  /**
+   * Stop all workers; queued jobs are rejected
+   * @returns {Promise<void>}
+   */
+  async close() {
+    this.closed = true;
+    for (const job of this.queue.splice(0)) {
+      job.reject(new Error('Generation pool is closed'));
+    }
+    const workers = this.workers;
+    this.workers = [];
+    for (const entry of workers) {
+      if (entry.job) {
+        entry.job.reject(new Error('Generation pool is closed'));
+      }
+    }
+    await Promise.all(workers.map(entry => entry.worker.terminate()));
+  }
+}
+
+// Singleton instance
+let pool = null;
+
+/**
+ * Get the generation pool
+ * @returns {GenerationPool|null} Pool, or null when UIN_WORKER_THREADS=0
+ */
+export function getGenerationPool() {
+  const { threads, chunkSize } = getConfig().workers;
+  if (threads < 1) {
+    return null;
+  }
+  if (!pool) {
+    pool = new GenerationPool({ threads, chunkSize });
+  }
+  return pool;
+}
+
+/**
+ * Stop the generation pool's workers (lets a CLI process exit)
+ * @returns {Promise<void>}
+ */
+export async function closeGenerationPool() {
+  if (pool) {
+    const closing = pool;
+    pool = null;
+    await closing.close();
+  }
+}
+
+/**
+ * Generate one UIN per set of options, in worker threads when the batch is large enough
+ * Outcomes are in the order of optionsList. Failures are returned, not thrown, so that
+ * callers such as pre-generation can count them per UIN.
+ * @param {Array<object>} optionsList - Generation options, one entry per UIN
+ * @returns {Promise<Array<object>>} Outcomes: { result } or { error }
+ */
+export async function generateEach(optionsList) {
+  const workers = getGenerationPool();
+  if (workers && optionsList.length >= getConfig().workers.minBatch) {
+    return workers.run(optionsList);
+  }
+
+  const outcomes = [];
+  for (const options of optionsList) {
+    try {
+      outcomes.push({ result: await generateUinAsync(options) });
+    } catch (error) {
+      outcomes.push({ error });
+    }
+  }
+  return outcomes;
+}
+
+/**
+ * Generate a batch of UINs with the same options
+ * @param {object} options - Generation options (see generateUin); must not include a seed
+ * @param {number} count - Number of UINs
+ * @returns {Promise<Array<object>>} Results in order
+ * @throws {Error} The first generation error
+ */
+export async function generateBatch(options, count) {
+  if (options.seed !== undefined) {
+    throw new Error('Seeded batches share one DRBG stream and are generated on the main thread');
+  }
+
+  const outcomes = await generateEach(new Array(count).fill(options));
+  const failed = outcomes.find(outcome => outcome.error);
+  if (failed) {
+    throw failed.error;
+  }
+  return outcomes.map(outcome => outcome.result);
+}
+
+export default {
+  GenerationPool,
+  getGenerationPool,
+  closeGenerationPool,
+  generateEach,
+  generateBatch
+};
@@ -142,6 +142,9 @@ function MermaidDiagram({ chart, title }) {
 const API_BASE_URL = '/api';
 const OSIA_LOGO_URL = 'https://mma.prnewswire.com/media/2394623/OSIA_Logo.jpg';
 
+// Check-digit algorithms that only accept digits
+const NUMERIC_CHECKSUMS = ['luhn', 'verhoeff', 'damm', 'iso7064mod11-2', 'iso7064mod97-10', 'iso7064mod11-10'];
+
 // Tab component
 function TabButton({ active, onClick, children }) {
   return (
@@ -2658,11 +2661,19 @@ function AppContent() {
                       </div>
                       <div className="param-item">
                         <label>{t('generate.checksum.label')}</label>
-                        <select value={useChecksum ? checksumAlgorithm : 'none'} onChange={(e) => { if(e.target.value === 'none') { setUseChecksum(false); } else { setUseChecksum(true); setChecksumAlgorithm(e.target.value); }}} className="input-sm">
+                        <select value={useChecksum ? checksumAlgorithm : 'none'} onChange={(e) => { if(e.target.value === 'none') { setUseChecksum(false); } else { setUseChecksum(true); setChecksumAlgorithm(e.target.value); if (NUMERIC_CHECKSUMS.includes(e.target.value)) setCharset('0-9'); }}} className="input-sm">
                           <option value="none">{t('common.none')}</option>
                           <option value="iso7064">{t('generate.checksum.iso7064')}</option>
                           <option value="modN">Mod N</option>
                           <option value="iso7064mod97">{t('generate.checksum.mod97')}</option>
+                          <option value="luhn">{t('generate.checksum.luhn')}</option>
+                          <option value="verhoeff">{t('generate.checksum.verhoeff')}</option>
+                          <option value="damm">{t('generate.checksum.damm')}</option>
+                          <option value="iso7064mod11-2">ISO 7064 MOD 11-2</option>
+                          <option value="iso7064mod97-10">ISO 7064 MOD 97-10</option>
+                          <option value="iso7064mod1271-36">ISO 7064 MOD 1271-36</option>
+                          <option value="iso7064mod11-10">ISO 7064 MOD 11,10</option>
+                          <option value="iso7064mod37-36">ISO 7064 MOD 37,36</option>
                         </select>
                       </div>
                     </div>
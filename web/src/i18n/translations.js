@@ -84,7 +84,9 @@ export const translations = {
         algorithm: 'Algorithm',
         iso7064: 'ISO 7064 MOD 37-2',
         mod97: 'MOD 97-10 (IBAN-style)',
-        luhn: 'Luhn Algorithm'
+        luhn: 'Luhn Algorithm',
+        verhoeff: 'Verhoeff Algorithm',
+        damm: 'Damm Algorithm'
       },
       separator: {
         label: 'Formatting',
@@ -692,7 +694,9 @@ export const translations = {
         algorithm: 'Algorithmus',
         iso7064: 'ISO 7064 MOD 37-2',
         mod97: 'MOD 97-10 (IBAN-Stil)',
-        luhn: 'Luhn-Algorithmus'
+        luhn: 'Luhn-Algorithmus',
+        verhoeff: 'Verhoeff-Algorithmus',
+        damm: 'Damm-Algorithmus'
       },
       separator: {
         label: 'Formatierung',
@@ -1293,7 +1297,9 @@ export const translations = {
         algorithm: 'Algorithme',
         iso7064: 'ISO 7064 MOD 37-2',
         mod97: 'MOD 97-10 (style IBAN)',
-        luhn: 'Algorithme de Luhn'
+        luhn: 'Algorithme de Luhn',
+        verhoeff: 'Algorithme de Verhoeff',
+        damm: 'Algorithme de Damm'
       },
       separator: {
         label: 'Formatage',
@@ -1894,7 +1900,9 @@ export const translations = {
         algorithm: 'Algoritmo',
         iso7064: 'ISO 7064 MOD 37-2',
         mod97: 'MOD 97-10 (estilo IBAN)',
-        luhn: 'Algoritmo de Luhn'
+        luhn: 'Algoritmo de Luhn',
+        verhoeff: 'Algoritmo de Verhoeff',
+        damm: 'Algoritmo de Damm'
       },
       separator: {
         label: 'Formato',